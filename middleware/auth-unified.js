@@ -2,6 +2,7 @@ const JWTService = require('../utils/jwt');
 const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 const monitoring = require('../services/monitoring');
+const SessionService = require('../services/SessionService');
 
 /**
  * UNIFIED AUTHENTICATION MIDDLEWARE
@@ -51,6 +52,15 @@ class AuthMiddleware {
         }
       }
 
+      // Check the session itself (signed out from another device)
+      if (decoded.sid && await JWTService.isSessionRevoked(decoded.sid)) {
+        console.log(`❌ [AUTH] Session ${decoded.sid} revoked - User: ${decoded.sub}`);
+        return res.status(401).json({
+          error: 'Session has been revoked',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
       // Find user
       const user = await User.findById(decoded.sub).select('-password');
       if (!user) {
@@ -76,6 +86,8 @@ class AuthMiddleware {
         status: { $in: ['active', 'trialing'] }
       });
 
+      SessionService.touch(user, decoded.sid);
+
       // Attach to request
       req.user = user;
       req.subscription = subscription;
@@ -112,16 +124,24 @@ class AuthMiddleware {
 
   /**
    * Super admin role middleware
+   * Super admins must have two-factor authentication enabled (enroll via /api/auth/2fa)
    */
   static async requireSuperAdmin(req, res, next) {
     await AuthMiddleware.authenticate(req, res, () => {
       if (!req.user || req.user.role !== 'superadmin') {
         console.log(`❌ [AUTH] Super admin access denied: ${req.user?.email} (${req.user?.role})`);
-        return res.status(403).json({ 
+        return res.status(403).json({
           error: 'Super admin access required',
           code: 'INSUFFICIENT_PERMISSIONS'
         });
       }
+      if (!req.user.twoFactorEnabled) {
+        console.log(`❌ [AUTH] Super admin without 2FA: ${req.user.email}`);
+        return res.status(403).json({
+          error: 'Two-factor authentication must be enabled for super admin access',
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
       console.log(`✅ [AUTH] Super admin access granted: ${req.user.email}`);
       next();
     });
@@ -24,6 +24,24 @@ const rateLimiters = {
   })
 };
 
+// Per-key rate limiters, rebuilt when a key's limit settings change
+const apiKeyRateLimiters = new Map();
+
+const getApiKeyRateLimiter = (apiKey) => {
+  const { requests, interval } = apiKey.rateLimit;
+  const duration = interval === 'second' ? 1 : interval === 'minute' ? 60 : 3600;
+  const cacheKey = apiKey._id.toString();
+  const cached = apiKeyRateLimiters.get(cacheKey);
+  
+  if (cached && cached.points === requests && cached.duration === duration) {
+    return cached.limiter;
+  }
+  
+  const limiter = new RateLimiterMemory({ points: requests, duration });
+  apiKeyRateLimiters.set(cacheKey, { limiter, points: requests, duration });
+  return limiter;
+};
+
 // JWT Authentication
 const authenticateToken = async (req, res, next) => {
   try {
@@ -122,34 +140,65 @@ const authenticateApiKey = async (req, res, next) => {
     
     // Apply rate limiting based on API key settings
     try {
-      const rateLimiter = new RateLimiterMemory({
-        points: result.apiKey.rateLimit.requests,
-        duration: result.apiKey.rateLimit.interval === 'second' ? 1 : 
-                 result.apiKey.rateLimit.interval === 'minute' ? 60 : 3600
-      });
-      
-      await rateLimiter.consume(apiKey);
+      await getApiKeyRateLimiter(result.apiKey).consume(result.apiKey._id.toString());
     } catch (rateLimitError) {
-      res.set('Retry-After', String(Math.round(rateLimitError.msBeforeNext / 1000)) || 60);
+      const retryAfter = Math.max(1, Math.round(rateLimitError.msBeforeNext / 1000));
+      res.set('Retry-After', String(retryAfter));
       return res.status(429).json({ 
         error: 'Rate limit exceeded',
-        retryAfter: Math.round(rateLimitError.msBeforeNext / 1000)
+        retryAfter
       });
     }
     
-    // Update API key usage
-    result.apiKey.usage.lastUsedAt = new Date();
-    result.apiKey.usage.lastUsedIP = clientIp;
-    result.apiKey.usage.lastUsedEndpoint = req.originalUrl;
-    await result.apiKey.save();
-    
-    next();
+    // Usage (totals, last used IP and endpoint) is written once the response is sent
+    trackApiKeyUsage(req, res, next);
   } catch (error) {
     console.error('API key auth error:', error);
     res.status(500).json({ error: 'Authentication failed' });
   }
 };
 
+// Require API key scope (use after authenticateApiKey)
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return res.status(401).json({ error: 'API key required' });
+    }
+    
+    if (!req.apiKey.hasScope(scope)) {
+      return res.status(403).json({ 
+        error: 'Insufficient scope',
+        requiredScope: scope,
+        grantedScopes: req.apiKey.scopes
+      });
+    }
+    
+    next();
+  };
+};
+
+// Record API key usage once the response is sent (authenticateApiKey already does this -
+// calling it again is a no-op)
+// Routes can add service usage via req.apiKeyUsage = { ttsCharacters, musicGenerations }
+const trackApiKeyUsage = (req, res, next) => {
+  if (!req.apiKey || req.apiKeyTracked) {
+    return next();
+  }
+  req.apiKeyTracked = true;
+  
+  const ip = req.ip || req.connection.remoteAddress;
+  const endpoint = req.originalUrl;
+  res.on('finish', () => {
+    const serviceUsage = res.statusCode < 400 ? (req.apiKeyUsage || {}) : {};
+    
+    req.apiKey.updateMonthlyUsage({ requests: 1, ...serviceUsage }, { ip, endpoint }).catch(error => {
+      console.error('API key usage tracking error:', error);
+    });
+  });
+  
+  next();
+};
+
 // Combined authentication (JWT or API Key)
 const authenticate = async (req, res, next) => {
   const apiKey = req.headers['x-api-key'] || req.query.api_key;
@@ -281,6 +330,8 @@ module.exports = {
   authenticate,
   authenticateAdmin,
   authenticateSuperAdmin,
+  requireScope,
+  trackApiKeyUsage,
   rateLimiter,
   checkSubscriptionLimit,
   refreshToken
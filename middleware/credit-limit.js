@@ -1,6 +1,20 @@
+const crypto = require('crypto');
 const CreditService = require('../services/CreditService');
+const EnterpriseCreditService = require('../services/EnterpriseCreditService');
+const StorageQuotaService = require('../services/StorageQuotaService');
 const ResponseUtil = require('../utils/response');
 const logger = require('../services/logger');
+const SsmlParser = require('../utils/ssml');
+
+// REQUIRE_EMAIL_VERIFICATION=true - paid generations need a verified email address
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const emailNotVerified = (res) => res.status(403).json({
+  success: false,
+  error: 'EMAIL_NOT_VERIFIED',
+  redirectUrl: '/verify-email',
+  message: 'Please verify your email address before using paid features'
+});
 
 /**
  * Credit limit checking middleware
@@ -76,6 +90,119 @@ class CreditLimitMiddleware {
     };
   }
 
+  /**
+   * Reserve credits for a paid operation before the provider is called
+   * The handler consumes the reservation on success (or hands req.creditInfo.reservationId
+   * to a background job and sets req.creditInfo.handedOff); any response with an error status
+   * releases it, and so does a client disconnect unless a job took the reservation over
+   * @param {string} service - Service type (tts, music, voice-clone, etc.)
+   * @param {Function} paramExtractor - Function to extract parameters from request
+   * @param {Object} options
+   * @param {boolean} options.free - Record a zero-credit reservation (admin test generations)
+   * @returns {Function} Express middleware
+   */
+  static reserveCredits(service, paramExtractor = null, options = {}) {
+    return async (req, res, next) => {
+      try {
+        const userId = req.user.id;
+
+        const params = paramExtractor && typeof paramExtractor === 'function'
+          ? paramExtractor(req)
+          : this.extractDefaultParams(req, service);
+
+        const userCreditInfo = await CreditService.getUserCreditInfo(userId);
+        const cost = options.free
+          ? 0
+          : await CreditService.calculateCreditCost(userCreditInfo.plan.id, service, params);
+
+        if (cost > 0 && REQUIRE_EMAIL_VERIFICATION && !req.user.emailVerified) {
+          return emailNotVerified(res);
+        }
+
+        const operationId = `${service}_${crypto.randomUUID()}`;
+        let reservation;
+
+        try {
+          reservation = await EnterpriseCreditService.reserveCredits(userId, service, cost, operationId, {
+            endpoint: req.originalUrl,
+            method: req.method,
+            ...params
+          });
+        } catch (error) {
+          if (error.code !== 'INSUFFICIENT_CREDITS') {
+            throw error;
+          }
+
+          logger.warn(`Credit limit exceeded for user ${userId}:`, {
+            service,
+            required: error.required,
+            available: error.available
+          });
+
+          return res.status(403).json({
+            success: false,
+            error: 'INSUFFICIENT_CREDITS',
+            redirectUrl: '/pricing',
+            message: 'Insufficient credits',
+            details: {
+              required: error.required,
+              available: error.available,
+              shortfall: Math.max(0, error.required - error.available),
+              service
+            }
+          });
+        }
+
+        req.creditInfo = {
+          service,
+          params,
+          cost,
+          availableBefore: userCreditInfo.available,
+          plan: userCreditInfo.plan,
+          reservationId: reservation.reservationId,
+          reservationExpiresAt: reservation.expiresAt
+        };
+
+        // Release the hold if the request fails - a no-op once the reservation is consumed
+        const release = (reason) => {
+          EnterpriseCreditService.cancelReservation(operationId, reason)
+            .catch(error => logger.error('Failed to release credit reservation:', error));
+        };
+        // After a disconnect the reservation is released unless a job took it over (creditInfo.handedOff)
+        const releaseAfterDisconnect = () => {
+          if (!req.creditInfo.handedOff) {
+            release('Client disconnected');
+          }
+        };
+
+        res.on('close', () => {
+          if (res.writableFinished) {
+            if (res.statusCode >= 400) {
+              release(`Request failed with status ${res.statusCode}`);
+            }
+            return;
+          }
+
+          // Client went away mid-request - 'finish' never fires. The handler keeps running and may
+          // still consume the reservation or hand it to a job, so decide once it ends the response.
+          if (res.writableEnded) {
+            return releaseAfterDisconnect();
+          }
+          const end = res.end;
+          res.end = function(...args) {
+            releaseAfterDisconnect();
+            return end.apply(this, args);
+          };
+        });
+
+        next();
+      } catch (error) {
+        logger.error('Credit reservation middleware error:', error);
+        return ResponseUtil.serverError(res, 'Failed to reserve credits');
+      }
+    };
+  }
+
   /**
    * Middleware to consume credits after successful operation
    * Should be used after the main service operation is completed
@@ -91,13 +218,17 @@ class CreditLimitMiddleware {
         const userId = req.user.id;
         const { service, cost, params } = req.creditInfo;
 
-        // Consume the credits
-        const consumption = await CreditService.consumeCredits(userId, service, cost, {
+        const metadata = {
           requestId: req.requestId || req.headers['x-request-id'],
           endpoint: req.path,
           method: req.method,
           ...params
-        });
+        };
+
+        // Consume the reservation made by reserveCredits, or the credits directly
+        const consumption = req.creditInfo.reservationId
+          ? await EnterpriseCreditService.consumeReservedCredits(req.creditInfo.reservationId, metadata)
+          : await CreditService.consumeCredits(userId, service, cost, metadata);
 
         // Attach consumption info to response
         req.creditConsumption = consumption;
@@ -131,7 +262,10 @@ class CreditLimitMiddleware {
     switch (service) {
       case 'tts':
         return {
-          characterCount: (body.text || body.content || query.text || '').length
+          characterCount: body.ssml
+            ? this.getSpokenLength(body.ssml)
+            : (body.text || body.content || query.text || '').length,
+          modelId: body.modelId
         };
 
       case 'music':
@@ -159,6 +293,71 @@ class CreditLimitMiddleware {
     }
   }
 
+  /**
+   * Characters billed for an SSML document - markup is free
+   * Invalid SSML falls back to the raw length; the route rejects it afterwards
+   * @param {string} ssml - SSML document
+   * @returns {number} Character count
+   */
+  static getSpokenLength(ssml) {
+    try {
+      return SsmlParser.spokenLength(ssml);
+    } catch (error) {
+      return String(ssml).length;
+    }
+  }
+
+  /**
+   * Middleware to require a plan feature
+   * @param {string} feature - Plan feature flag (e.g. 'ssmlSupport')
+   * @param {Function} condition - Optional (req) => boolean, the feature is only required when true
+   * @returns {Function} Express middleware
+   */
+  static requireFeature(feature, condition = null) {
+    return async (req, res, next) => {
+      try {
+        if (condition && !condition(req)) {
+          return next();
+        }
+
+        const creditInfo = await CreditService.getUserCreditInfo(req.user.id);
+        const plan = await CreditService.getPlanFromCache(creditInfo.plan.id);
+
+        if (!plan.hasFeature(feature)) {
+          return res.status(403).json({
+            success: false,
+            error: 'FEATURE_NOT_AVAILABLE',
+            redirectUrl: '/pricing',
+            message: `Your plan does not include ${feature}`,
+            details: {
+              feature,
+              plan: creditInfo.plan.name
+            }
+          });
+        }
+
+        next();
+      } catch (error) {
+        logger.error('Feature check error:', error);
+        return ResponseUtil.serverError(res, 'Failed to check plan features');
+      }
+    };
+  }
+
+  /**
+   * Middleware to require a verified email address when REQUIRE_EMAIL_VERIFICATION is on
+   * reserveCredits checks this itself - use it for paid operations that reserve credits elsewhere (batches)
+   * @returns {Function} Express middleware
+   */
+  static requireVerifiedEmail() {
+    return (req, res, next) => {
+      if (REQUIRE_EMAIL_VERIFICATION && !req.user.emailVerified) {
+        return emailNotVerified(res);
+      }
+      next();
+    };
+  }
+
   /**
    * Middleware to add credit info to response headers
    * Useful for client-side credit tracking
@@ -238,6 +437,39 @@ class CreditLimitMiddleware {
     };
   }
 
+  /**
+   * Middleware to block generations whose output would not fit in the plan's storage quota
+   * Runs before reserveCredits so a rejected request holds no credits
+   * @param {string} service - Service type, see StorageQuotaService.estimate
+   * @param {Function} paramExtractor - Optional (req) => { duration, characterCount, fileSize }
+   * @returns {Function} Express middleware
+   */
+  static checkStorageQuota(service, paramExtractor = null) {
+    return async (req, res, next) => {
+      try {
+        const params = paramExtractor && typeof paramExtractor === 'function'
+          ? paramExtractor(req)
+          : this.extractDefaultParams(req, service);
+
+        await StorageQuotaService.assertAvailable(req.user.id, StorageQuotaService.estimate(service, params));
+        next();
+      } catch (error) {
+        if (error.code !== 'STORAGE_QUOTA_EXCEEDED') {
+          logger.error('Storage quota middleware error:', error);
+          return ResponseUtil.serverError(res, 'Failed to check storage quota');
+        }
+
+        return res.status(error.status).json({
+          success: false,
+          error: error.code,
+          redirectUrl: '/pricing',
+          message: error.message,
+          details: { ...error.details, service }
+        });
+      }
+    };
+  }
+
   /**
    * Middleware to validate single operation limits
    * @param {string} service - Service type
@@ -254,7 +486,9 @@ class CreditLimitMiddleware {
 
         switch (service) {
           case 'tts':
-            const textLength = (req.body.text || '').length;
+            const textLength = req.body.ssml
+              ? this.getSpokenLength(req.body.ssml)
+              : (req.body.text || '').length;
             if (textLength > plan.limits.maxTtsLength) {
               validation = {
                 valid: false,
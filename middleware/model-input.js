@@ -0,0 +1,57 @@
+const { validationResult } = require('express-validator');
+const AIModel = require('../models/AIModel');
+const ResponseUtil = require('../utils/response');
+const SchemaUtil = require('../utils/schema');
+const logger = require('../services/logger');
+
+/**
+ * Generation input validation middleware
+ * Checks the request body against the selected model's input schema (AIModel.getInputSchema)
+ */
+class ModelInputMiddleware {
+  /**
+   * Load body.modelId and validate the body against its schema
+   * Sets req.aiModel and req.modelInput (declared fields only, coerced, defaults applied)
+   * and writes the coerced values back to req.body for the limit/credit middleware
+   * @param {string} type - Expected AIModel type (music, tts, ...)
+   * @returns {Function} Express middleware
+   */
+  static validate(type) {
+    return async (req, res, next) => {
+      try {
+        // Report express-validator errors from the route first
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return ResponseUtil.validationError(res, errors.array());
+        }
+
+        const aiModel = await AIModel.findById(req.body.modelId);
+        if (!aiModel || aiModel.type !== type) {
+          return ResponseUtil.notFound(res, 'AI Model');
+        }
+        if (aiModel.status !== 'active') {
+          return ResponseUtil.error(res, 'AI Model is not active', 400, 'MODEL_INACTIVE');
+        }
+
+        const { modelId, ...input } = req.body;
+        const { value, errors: fieldErrors } = SchemaUtil.validate(aiModel.getInputSchema(), input);
+        if (fieldErrors.length > 0) {
+          return ResponseUtil.validationError(res, fieldErrors);
+        }
+
+        req.aiModel = aiModel;
+        req.modelInput = value;
+        Object.assign(req.body, value);
+        next();
+      } catch (error) {
+        if (error.name === 'CastError') {
+          return ResponseUtil.notFound(res, 'AI Model');
+        }
+        logger.error('Model input validation error:', error);
+        return ResponseUtil.serverError(res, 'Failed to validate model input');
+      }
+    };
+  }
+}
+
+module.exports = ModelInputMiddleware;
@@ -86,6 +86,7 @@ return { blocked and 1 or 0, remaining }
  * @param {number} config.userLimit - Max requests per user
  * @param {number} config.ipUserLimit - Max requests per IP+user combo
  * @param {Function} config.getUserId - Function to extract user ID from request
+ * @param {string} config.keyPrefix - Gives the limiter its own counters (limiters without one share them)
  * @returns {Function} Express middleware
  */
 const multiRateLimit = (config) => {
@@ -94,8 +95,10 @@ const multiRateLimit = (config) => {
     ipLimit = 10,
     userLimit = 5,
     ipUserLimit = 3,
-    getUserId = null
+    getUserId = null,
+    keyPrefix = null
   } = config;
+  const namespace = keyPrefix ? `rl:${keyPrefix}` : 'rl';
 
   return async (req, res, next) => {
     // Skip rate limiting if Redis is not connected
@@ -111,9 +114,9 @@ const multiRateLimit = (config) => {
       const ttlSec = Math.ceil(windowSeconds * 1.5); // Buffer for cleanup
 
       // Build keys
-      const ipKey = `rl:ip:${ip}`;
-      const userKey = userId ? `rl:user:${userId}` : '';
-      const ipUserKey = userId ? `rl:ipu:${ip}:${userId}` : '';
+      const ipKey = `${namespace}:ip:${ip}`;
+      const userKey = userId ? `${namespace}:user:${userId}` : '';
+      const ipUserKey = userId ? `${namespace}:ipu:${ip}:${userId}` : '';
 
       const result = await client.eval(multiRateLimitScript, {
         keys: [ipKey, userKey, ipUserKey],
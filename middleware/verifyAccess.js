@@ -32,6 +32,10 @@ const verifyAccess = async (req, res, next) => {
       }
     }
 
+    if (payload.sid && await JWTService.isSessionRevoked(payload.sid)) {
+      return res.status(401).json({ error: 'unauthorized' });
+    }
+
     // Set user data on request
     req.user = { id: payload.sub, email: payload.email, role: payload.role };
     req.userId = payload.sub;
@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 
+// Accepted generation inputs for models without config.inputSchema (the limits the routes used to hard-code)
+// Only inputs every music provider takes - models that accept lyrics declare them in their own schema
+const DEFAULT_INPUT_SCHEMAS = {
+  music: {
+    type: 'object',
+    properties: {
+      prompt: { type: 'string', minLength: 1, maxLength: 1000 },
+      duration: { type: 'integer', minimum: 10, maximum: 240, default: 30 },
+      style: { type: 'string', maxLength: 200 }
+    },
+    required: ['prompt']
+  }
+};
+
 const aiModelSchema = new mongoose.Schema({
   // Basic Information
   name: {
@@ -34,7 +48,7 @@ const aiModelSchema = new mongoose.Schema({
   provider: {
     name: {
       type: String,
-      enum: ['replicate', 'openai', 'elevenlabs', 'custom'],
+      enum: ['replicate', 'openai', 'elevenlabs', 'custom', 'local', 'mock'],
       required: true
     },
     modelId: String, // Provider's model ID
@@ -47,15 +61,28 @@ const aiModelSchema = new mongoose.Schema({
     // Replicate specific
     replicateVersion: String,
     
-    // Common parameters
+    // Provider input defaults (e.g. temperature, cfg_weight, seed) - merged into every request
     defaultParameters: {
-      temperature: Number,
-      maxLength: Number,
-      topP: Number,
-      topK: Number,
-      repetitionPenalty: Number
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
     },
     
+    // Provider input field names for TTS requests
+    inputMapping: {
+      text: String, // default 'prompt'
+      voice: String, // Reference audio field, default 'audio_prompt'
+      // SSML controls - unmapped controls are ignored
+      speed: String, // <prosody rate> multiplier
+      pitch: String, // <prosody pitch> multiplier
+      emphasis: String, // <emphasis> strength 0-1
+      audio: String // Input audio field - voice-isolator input (default 'audio'), music continuation (default 'input_audio')
+    },
+    outputKey: String, // File to use when the provider returns several outputs (e.g. 'vocals')
+
+    // JSON schema of accepted generation inputs (see utils/schema.js for the supported keywords)
+    // Declaring lyrics/seed is what marks a model as supporting them
+    inputSchema: mongoose.Schema.Types.Mixed,
+    
     // Input/Output specs
     inputFormats: [String], // ['text', 'audio', 'image']
     outputFormats: [String], // ['audio/mp3', 'audio/wav']
@@ -93,7 +120,8 @@ const aiModelSchema = new mongoose.Schema({
       speedControl: Boolean,
       pitchControl: Boolean,
       multiSpeaker: Boolean,
-      ssml: Boolean
+      ssml: Boolean,
+      continuation: Boolean // Music: can continue from input audio (extend)
     }
   },
   
@@ -113,6 +141,13 @@ const aiModelSchema = new mongoose.Schema({
     },
     userPrice: Number, // Final price for users
     
+    // Multiplier applied to the plan's credit rate for this model
+    creditMultiplier: {
+      type: Number,
+      default: 1,
+      min: 0
+    },
+    
     // Plan-specific pricing
     planPricing: [{
       plan: {
@@ -157,6 +192,7 @@ const aiModelSchema = new mongoose.Schema({
       default: 100
     },
     averageProcessingTime: Number,
+    recentLatency: Number, // Moving average (ms) weighted toward recent requests - used by ProviderRouter
     lastUsedAt: Date
   },
   
@@ -248,6 +284,17 @@ aiModelSchema.methods.getPriceForPlan = function(plan) {
   return this.pricing.userPrice;
 };
 
+// Schema the generate routes validate against
+aiModelSchema.methods.getInputSchema = function() {
+  return this.config?.inputSchema || DEFAULT_INPUT_SCHEMAS[this.type] || null;
+};
+
+// Default active model of a type (featured first, then display order)
+aiModelSchema.statics.findDefault = function(type) {
+  return this.findOne({ type, status: 'active' })
+    .sort({ 'display.featured': -1, 'display.order': 1, createdAt: 1 });
+};
+
 // Update usage statistics
 aiModelSchema.methods.updateUsage = async function(success = true, processingTime = 0) {
   this.stats.totalUsage += 1;
@@ -259,12 +306,14 @@ aiModelSchema.methods.updateUsage = async function(success = true, processingTim
     const totalRequests = this.stats.totalUsage;
     this.stats.averageProcessingTime = 
       (currentAvg * (totalRequests - 1) + processingTime) / totalRequests;
+    this.stats.recentLatency = this.stats.recentLatency
+      ? this.stats.recentLatency * 0.8 + processingTime * 0.2
+      : processingTime;
   }
   
-  if (!success) {
-    const successCount = (this.stats.successRate / 100) * (this.stats.totalUsage - 1);
-    this.stats.successRate = (successCount / this.stats.totalUsage) * 100;
-  }
+  // Successes count too, otherwise the rate could only ever go down
+  const successCount = (this.stats.successRate / 100) * (this.stats.totalUsage - 1) + (success ? 1 : 0);
+  this.stats.successRate = (successCount / this.stats.totalUsage) * 100;
   
   return await this.save();
 };
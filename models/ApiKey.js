@@ -120,6 +120,13 @@ const apiKeySchema = new mongoose.Schema({
   revokedAt: Date,
   revokedReason: String,
   
+  // Rotation - the old key stays valid until expiresAt (grace period)
+  rotatedAt: Date,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  
   // Webhook for this API key
   webhookUrl: String,
   webhookSecret: String
@@ -172,7 +179,7 @@ apiKeySchema.statics.createKey = async function(userId, options = {}) {
   const apiKey = new this({
     user: userId,
     name,
-    key: key, // Store the full key only on creation
+    key: hashedKey, // Never persist the plaintext key
     hashedKey,
     lastFourChars,
     scopes,
@@ -190,10 +197,47 @@ apiKeySchema.statics.createKey = async function(userId, options = {}) {
     id: apiKey._id,
     key: key,
     name: apiKey.name,
+    lastFourChars,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
     createdAt: apiKey.createdAt
   };
 };
 
+// Count keys towards the plan limit (keys in a rotation grace period don't count)
+apiKeySchema.statics.countActiveKeys = function(userId) {
+  return this.countDocuments({
+    user: userId,
+    status: 'active',
+    rotatedAt: { $exists: false }
+  });
+};
+
+// Create a key unless the user already has `limit` keys counted by countActiveKeys (-1 = unlimited)
+// The key is inserted first and checked after, so parallel requests can't both take the last slot:
+// every request sees the same _id order and only keys beyond the limit are removed again
+// Returns null when the limit is reached
+apiKeySchema.statics.createKeyWithinLimit = async function(userId, limit, options = {}) {
+  if (limit !== -1 && await this.countActiveKeys(userId) >= limit) {
+    return null;
+  }
+
+  const created = await this.createKey(userId, options);
+  if (limit === -1) {
+    return created;
+  }
+
+  const active = await this.find({ user: userId, status: 'active', rotatedAt: { $exists: false } })
+    .select('_id')
+    .sort({ _id: 1 });
+  if (active.findIndex(key => key._id.equals(created.id)) >= limit) {
+    await this.deleteOne({ _id: created.id });
+    return null;
+  }
+
+  return created;
+};
+
 // Verify API Key
 apiKeySchema.statics.verifyKey = async function(key) {
   const hashedKey = this.hashKey(key);
@@ -214,18 +258,16 @@ apiKeySchema.statics.verifyKey = async function(key) {
     return { valid: false, error: 'API key expired' };
   }
   
-  // Update usage
-  apiKey.usage.lastUsedAt = new Date();
-  apiKey.usage.totalRequests += 1;
-  await apiKey.save();
-  
+  // Usage is recorded once the request finishes (updateMonthlyUsage)
   return { valid: true, apiKey };
 };
 
 // Check IP restriction
 apiKeySchema.methods.checkIP = function(ip) {
   if (this.allowedIPs.length === 0) return true;
-  return this.allowedIPs.includes(ip);
+  // Express reports IPv4 clients as IPv4-mapped IPv6 (::ffff:1.2.3.4)
+  const normalizedIP = (ip || '').replace(/^::ffff:/, '');
+  return this.allowedIPs.includes(normalizedIP);
 };
 
 // Check domain restriction
@@ -236,6 +278,11 @@ apiKeySchema.methods.checkDomain = function(domain) {
   );
 };
 
+// Check scope (admin:all grants every scope)
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes('admin:all') || this.scopes.includes(scope);
+};
+
 // Revoke key
 apiKeySchema.methods.revoke = async function(reason = '') {
   this.status = 'revoked';
@@ -244,26 +291,112 @@ apiKeySchema.methods.revoke = async function(reason = '') {
   return await this.save();
 };
 
-// Update monthly usage
-apiKeySchema.methods.updateMonthlyUsage = async function(usage) {
-  const monthKey = new Date().toISOString().slice(0, 7); // YYYY-MM
+// Rotate key - issues a replacement with the same settings
+// The old key keeps working for gracePeriodMs so clients can switch over
+// Returns null if the key was already rotated or is no longer active (e.g. by a parallel request)
+apiKeySchema.methods.rotate = async function(gracePeriodMs = 24 * 60 * 60 * 1000) {
+  if (this.status !== 'active' || this.rotatedAt) {
+    return null;
+  }
   
-  const existingMonth = this.usage.monthlyUsage.find(m => m.month === monthKey);
+  const replacement = await this.constructor.createKey(this.user._id || this.user, {
+    name: this.name,
+    scopes: this.scopes,
+    expiresIn: this.expiresAt ? Math.max(1, this.expiresAt - Date.now()) : null,
+    allowedIPs: this.allowedIPs,
+    allowedDomains: this.allowedDomains,
+    rateLimit: {
+      requests: this.rateLimit.requests,
+      interval: this.rateLimit.interval
+    },
+    environment: this.environment
+  });
   
-  if (existingMonth) {
-    existingMonth.requests += usage.requests || 0;
-    existingMonth.ttsCharacters += usage.ttsCharacters || 0;
-    existingMonth.musicGenerations += usage.musicGenerations || 0;
-  } else {
-    this.usage.monthlyUsage.push({
-      month: monthKey,
-      requests: usage.requests || 0,
-      ttsCharacters: usage.ttsCharacters || 0,
-      musicGenerations: usage.musicGenerations || 0
-    });
+  // Claim the rotation only now - until then the old key still counts, so the
+  // replacement can't open a slot for a parallel create
+  const graceEndsAt = new Date(Date.now() + gracePeriodMs);
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'active', rotatedAt: null },
+    {
+      $set: {
+        rotatedAt: new Date(),
+        replacedBy: replacement.id,
+        expiresAt: !this.expiresAt || this.expiresAt > graceEndsAt ? graceEndsAt : this.expiresAt
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    await this.constructor.deleteOne({ _id: replacement.id });
+    return null;
   }
   
-  return await this.save();
+  this.rotatedAt = claimed.rotatedAt;
+  this.replacedBy = claimed.replacedBy;
+  this.expiresAt = claimed.expiresAt;
+  return replacement;
+};
+
+// Update monthly usage, the request total and last-used details
+// One atomic update per request (two on the first request of a month), so concurrent
+// requests on the same key don't overwrite each other
+apiKeySchema.methods.updateMonthlyUsage = async function(usage, { ip, endpoint } = {}) {
+  const monthKey = new Date().toISOString().slice(0, 7); // YYYY-MM
+  const increments = {
+    'usage.totalRequests': usage.requests || 0,
+    'usage.monthlyUsage.$.requests': usage.requests || 0,
+    'usage.monthlyUsage.$.ttsCharacters': usage.ttsCharacters || 0,
+    'usage.monthlyUsage.$.musicGenerations': usage.musicGenerations || 0
+  };
+  const lastUsed = {
+    'usage.lastUsedAt': new Date(),
+    ...(ip && { 'usage.lastUsedIP': ip }),
+    ...(endpoint && { 'usage.lastUsedEndpoint': endpoint })
+  };
+
+  const existing = await this.constructor.updateOne(
+    { _id: this._id, 'usage.monthlyUsage.month': monthKey },
+    { $inc: increments, $set: lastUsed }
+  );
+
+  if (existing.matchedCount === 0) {
+    // First call this month - only push if no other request created the entry meanwhile
+    const created = await this.constructor.updateOne(
+      { _id: this._id, 'usage.monthlyUsage.month': { $ne: monthKey } },
+      {
+        $inc: { 'usage.totalRequests': usage.requests || 0 },
+        $set: lastUsed,
+        $push: {
+          'usage.monthlyUsage': {
+            month: monthKey,
+            requests: usage.requests || 0,
+            ttsCharacters: usage.ttsCharacters || 0,
+            musicGenerations: usage.musicGenerations || 0
+          }
+        }
+      }
+    );
+
+    if (created.matchedCount === 0) {
+      await this.constructor.updateOne(
+        { _id: this._id, 'usage.monthlyUsage.month': monthKey },
+        { $inc: increments, $set: lastUsed }
+      );
+    }
+  }
+
+  return this;
+};
+
+// Get usage for a month (defaults to current month)
+apiKeySchema.methods.getMonthlyUsage = function(monthKey = new Date().toISOString().slice(0, 7)) {
+  const month = this.usage.monthlyUsage.find(m => m.month === monthKey);
+  return {
+    month: monthKey,
+    requests: month?.requests || 0,
+    ttsCharacters: month?.ttsCharacters || 0,
+    musicGenerations: month?.musicGenerations || 0
+  };
 };
 
 module.exports = mongoose.model('ApiKey', apiKeySchema);
\ No newline at end of file
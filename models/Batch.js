@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * Batch of music prompts or TTS scripts submitted in one request
+ * Items run through the regular generation pipelines (see BatchService); credits for
+ * the whole batch are held by one reservation that each item draws from
+ */
+const batchItemSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  input: {
+    type: mongoose.Schema.Types.Mixed, // music: { prompt, duration, style, lyrics } | tts: { text, voiceId, mood }
+    required: true
+  },
+  credits: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  resultId: mongoose.Schema.Types.ObjectId, // Music or Speech document
+  audioUrl: String,
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+const batchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['music', 'tts'],
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  modelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AIModel',
+    required: true
+  },
+
+  // Processing
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  concurrency: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  tickLockedUntil: Date, // Held while a tick runs (see BatchService.runTick)
+  items: [batchItemSchema],
+  totals: {
+    items: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  // Credits
+  credits: {
+    reserved: { type: Number, default: 0 },
+    consumed: { type: Number, default: 0 },
+    refunded: { type: Number, default: 0 },
+    reservationId: String
+  },
+
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+batchSchema.index({ user: 1, createdAt: -1 });
+
+// Share of items that reached a final state
+batchSchema.virtual('progress').get(function() {
+  if (!this.totals.items) return 0;
+  return Math.round(((this.totals.completed + this.totals.failed) / this.totals.items) * 100);
+});
+
+batchSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Batch', batchSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Credits held for an in-flight paid operation
+ * The held amount is mirrored in Subscription.credits.reserved until the
+ * reservation is consumed, cancelled or expires (see EnterpriseCreditService)
+ */
+const creditReservationSchema = new mongoose.Schema({
+  operationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    required: true
+  },
+
+  // Operation
+  service: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['reserved', 'consumed', 'cancelled', 'expired'],
+    default: 'reserved',
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  consumedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+creditReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('CreditReservation', creditReservationSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const emailDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+
+  // Message - rendered from the template at send time, so retries pick up template fixes
+  template: {
+    type: String,
+    required: true,
+    index: true
+  },
+  locale: {
+    type: String,
+    default: 'en'
+  },
+  templateData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  subject: String,
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: ['pending', 'retrying', 'sent', 'failed', 'suppressed'],
+    default: 'pending',
+    index: true
+  },
+  transport: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  sentAt: Date,
+  messageId: String,
+
+  // Last error (SMTP response code and text)
+  responseCode: Number,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+emailDeliverySchema.index({ createdAt: -1 });
+
+// Record a send attempt
+emailDeliverySchema.methods.recordAttempt = function({ success, transport, messageId, responseCode, error, isFinalAttempt }) {
+  this.attempts += 1;
+  this.lastAttemptAt = new Date();
+  this.transport = transport;
+  this.responseCode = responseCode;
+  this.error = error ? String(error).substring(0, 1000) : undefined;
+
+  if (success) {
+    this.status = 'sent';
+    this.sentAt = new Date();
+    this.messageId = messageId;
+  } else {
+    this.status = isFinalAttempt ? 'failed' : 'retrying';
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('EmailDelivery', emailDeliverySchema);
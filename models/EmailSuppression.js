@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Addresses no email is sent to - hard bounces, spam complaints and manual blocks
+const emailSuppressionSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['hard_bounce', 'complaint', 'manual'],
+    required: true
+  },
+  // SMTP response or note explaining the suppression
+  details: String,
+  // Delivery that bounced, when there was one
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailDelivery'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EmailSuppression', emailSuppressionSchema);
@@ -64,9 +64,24 @@ const musicSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['generating', 'processing', 'completed', 'failed'],
+    enum: ['queued', 'generating', 'processing', 'completed', 'failed', 'expired'], // expired: audio removed by the retention sweep
     default: 'generating'
   },
+  // Generation pipeline (JobQueue 'music-generate') - timestamps make each stage idempotent
+  pipeline: {
+    stage: {
+      type: String,
+      enum: ['queued', 'submitting', 'generating', 'finalizing', 'uploading', 'artwork', 'settling', 'completed', 'failed'],
+      default: 'queued'
+    },
+    submitClaimedAt: Date,
+    submittedAt: Date,
+    usageRecordedAt: Date,
+    audioUploadedAt: Date,
+    artworkGeneratedAt: Date,
+    creditsSettledAt: Date,
+    lastError: String
+  },
   modelId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'AIModel'
@@ -75,7 +90,21 @@ const musicSchema = new mongoose.Schema({
     type: String
   },
   provider: {
-    type: String
+    type: String // Provider that actually served the job
+  },
+  // Model/provider that accepted the job after failover (see ProviderRouter) - polling uses it
+  servedBy: {
+    modelId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AIModel'
+    },
+    provider: {
+      name: String,
+      modelId: String,
+      apiEndpoint: String
+    },
+    fallback: Boolean,
+    attempts: Number
   },
   providerJobId: {
     type: String
@@ -93,6 +122,32 @@ const musicSchema = new mongoose.Schema({
   style: {
     type: String
   },
+  parameters: {
+    type: mongoose.Schema.Types.Mixed // Extra model inputs validated against AIModel.config.inputSchema (seed, negative_prompt...)
+  },
+  // Lineage - variations, extensions and remixes point at the track they were made from
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Music',
+    default: null,
+    index: true
+  },
+  rootId: {
+    type: mongoose.Schema.Types.ObjectId, // First track of the version tree (own _id for originals)
+    ref: 'Music',
+    index: true
+  },
+  operation: {
+    type: String,
+    enum: ['generate', 'variation', 'extend', 'remix'],
+    default: 'generate'
+  },
+  derivation: {
+    seed: Number, // variation
+    sourceAudioUrl: String, // extend - audio the provider continues from
+    extendedBy: Number, // extend - seconds added to the parent
+    parentStyle: String // remix
+  },
   lyrics: {
     type: String
   },
@@ -111,12 +166,29 @@ const musicSchema = new mongoose.Schema({
   fileUrl: {
     type: String
   },
+  // Bytes this record holds in storage, counted against the plan's quota (StorageQuotaService)
+  storageBytes: {
+    type: Number,
+    default: 0
+  },
+  // Pinned files are never removed by the retention sweep (RetentionService)
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  retention: {
+    warnedAt: Date,
+    expiresAt: Date, // Set with the warning - the file is deleted from storage after this
+    expiredAt: Date
+  },
   reservedCredits: {
     amount: Number,
     userId: String,
     service: String,
     reserved: Boolean,
-    consumedAt: Date
+    reservationId: String, // CreditReservation.operationId
+    consumedAt: Date,
+    releasedAt: Date
   },
   metadata: {
     type: mongoose.Schema.Types.Mixed
@@ -164,4 +236,31 @@ const musicSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Listings and retention sweeps
+musicSchema.index({ userId: 1, createdAt: -1 });
+
+// Originals are the root of their own version tree
+musicSchema.pre('save', function(next) {
+  if (!this.rootId) {
+    this.rootId = this._id;
+  }
+  next();
+});
+
+// The uploaded artwork file, if any - artworkUrl can also hold a CSS gradient
+musicSchema.virtual('artworkFileUrl').get(function() {
+  return this.artworkUrl && !this.artworkUrl.startsWith('linear-gradient(') ? this.artworkUrl : null;
+});
+
+// Private files are stored as storage://private/ references - API responses carry a signed URL instead
+musicSchema.set('toJSON', {
+  transform(doc, ret) {
+    const StorageService = require('../services/StorageService');
+    if (StorageService.isPrivate(ret.cdnUrl)) {
+      ret.cdnUrl = StorageService.resolveUrl(ret.cdnUrl);
+    }
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('Music', musicSchema);
\ No newline at end of file
@@ -244,6 +244,18 @@ const planSchema = new mongoose.Schema({
     maxTtsLength: {
       type: Number, // characters
       default: 5000
+    },
+    
+    // Private cloned voices per user (with features.voiceCloning), -1 = unlimited
+    voiceSlots: {
+      type: Number,
+      default: 0
+    },
+    
+    // Batch generation (with features.batchProcessing), -1 = unlimited
+    maxBatchItems: {
+      type: Number,
+      default: 50
     }
   },
   
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * Admin-defined provider failover for one capability (AIModel type)
+ * A request runs on its own model first, then on each candidate in order (see ProviderRouter).
+ * A candidate is either another AIModel or the requested model served by a different provider.
+ */
+const candidateSchema = new mongoose.Schema({
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AIModel'
+  },
+  provider: {
+    name: {
+      type: String,
+      enum: ['replicate', 'custom', 'local', 'mock']
+    },
+    modelId: String,
+    apiEndpoint: String
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const routingPolicySchema = new mongoose.Schema({
+  capability: {
+    type: String,
+    enum: ['music', 'tts', 'voice-isolator'],
+    required: true,
+    unique: true
+  },
+  candidates: {
+    type: [candidateSchema],
+    validate: {
+      validator: candidates => candidates.every(c => !!c.model !== !!c.provider?.name),
+      message: 'Each candidate needs either a model or a provider'
+    }
+  },
+
+  // Health-based skipping - unhealthy candidates are tried last instead of first
+  health: {
+    minSuccessRate: { type: Number, default: 80, min: 0, max: 100 }, // AIModel.stats.successRate
+    maxLatencyMs: { type: Number, default: 60000 }, // AIModel.stats.recentLatency
+    minSamples: { type: Number, default: 20 } // Too little usage to judge - treated as healthy
+  },
+
+  // A submission slower than this moves on to the next candidate
+  submitTimeoutMs: {
+    type: Number,
+    default: 30000,
+    min: 1000
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RoutingPolicy', routingPolicySchema);
@@ -24,7 +24,23 @@ const speechSchema = new mongoose.Schema({
   },
   audioUrl: {
     type: String,
-    required: true
+    // Long-form speech is stored before its chunks are rendered
+    required: function() { return this.status === 'completed'; }
+  },
+  // Bytes this record holds in storage, counted against the plan's quota (StorageQuotaService)
+  storageBytes: {
+    type: Number,
+    default: 0
+  },
+  // Pinned files are never removed by the retention sweep (RetentionService)
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  retention: {
+    warnedAt: Date,
+    expiresAt: Date, // Set with the warning - the file is deleted from storage after this
+    expiredAt: Date
   },
   cdnUrl: {
     type: String
@@ -46,9 +62,68 @@ const speechSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['generating', 'completed', 'failed'],
+    enum: ['queued', 'generating', 'completed', 'failed', 'expired'], // expired: audio removed by the retention sweep
     default: 'generating'
   },
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  error: {
+    type: String
+  },
+
+  // Long-form pipeline (see LongFormSpeechService)
+  longForm: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    stage: {
+      type: String,
+      enum: ['rendering', 'stitching', 'settling', 'completed', 'failed']
+    },
+    voiceModelId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VoiceModel'
+    },
+    totalChunks: Number,
+    completedChunks: {
+      type: Number,
+      default: 0
+    },
+    chunks: [{
+      index: Number,
+      text: String,
+      pauseAfter: Number, // Silence in ms inserted after this chunk
+      status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed'],
+        default: 'pending'
+      },
+      providerJobId: String,
+      // Model and provider that took the job (ProviderRouter) - may be a failover candidate
+      servedBy: {
+        modelId: mongoose.Schema.Types.ObjectId,
+        provider: {
+          name: String,
+          modelId: String,
+          apiEndpoint: String
+        },
+        fallback: Boolean,
+        attempts: Number
+      },
+      audioUrl: String, // Private copy of the provider output, deleted once stitched
+      completedAt: Date
+    }],
+    creditsSettledAt: Date
+  },
+  reservedCredits: {
+    amount: Number,
+    reservationId: String
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed
   }
@@ -56,4 +131,18 @@ const speechSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Indexes
+speechSchema.index({ userId: 1, createdAt: -1 });
+
+// Speech audio is stored privately - API responses carry a signed URL instead of the storage reference
+speechSchema.set('toJSON', {
+  transform(doc, ret) {
+    const StorageService = require('../services/StorageService');
+    if (StorageService.isPrivate(ret.audioUrl)) {
+      ret.audioUrl = StorageService.resolveUrl(ret.audioUrl);
+    }
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('Speech', speechSchema);
\ No newline at end of file
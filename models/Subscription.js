@@ -56,6 +56,12 @@ const subscriptionSchema = new mongoose.Schema({
       default: 0
     },
     
+    // Credits held by in-flight operations (see CreditReservation)
+    reserved: {
+      type: Number,
+      default: 0
+    },
+    
     // Current period start date
     periodStart: {
       type: Date,
@@ -100,11 +106,12 @@ const subscriptionSchema = new mongoose.Schema({
 
   // Legacy Limits (for backward compatibility)
   limits: {
-    // Storage (in MB)
+    // Storage (in MB) - the quota itself comes from Plan.limits.storage
     storage: {
       type: Number,
       default: 1000
     },
+    // Bytes stored, kept up to date by StorageQuotaService
     storageUsed: {
       type: Number,
       default: 0
@@ -293,7 +300,7 @@ subscriptionSchema.methods.addCredits = function(amount, reason = 'manual', meta
 };
 
 subscriptionSchema.methods.getAvailableCredits = function() {
-  return Math.max(0, (this.credits.monthly + this.credits.rollover) - this.credits.used);
+  return Math.max(0, (this.credits.monthly + this.credits.rollover) - this.credits.used - (this.credits.reserved || 0));
 };
 
 subscriptionSchema.methods.getTotalCredits = function() {
@@ -49,7 +49,7 @@ const userSchema = new mongoose.Schema({
   },
   emailVerified: {
     type: Boolean,
-    default: true
+    default: false
   },
   emailVerificationToken: String,
   emailVerificationExpires: Date,
@@ -59,7 +59,19 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  twoFactorSecret: String,
+  twoFactorEnabledAt: Date,
+  // TOTP secret, encrypted - see TwoFactorService. Set before twoFactorEnabled while enrolling
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step - a code can't be used twice
+  twoFactorLastStep: Number,
   lastLogin: Date,
   lastLoginIp: String,
   failedLoginAttempts: {
@@ -71,14 +83,35 @@ const userSchema = new mongoose.Schema({
   // Password Reset
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Refresh tokens issued before this are rejected
+  passwordChangedAt: Date,
   
-  // Refresh Tokens
+  // Refresh Tokens - one per signed-in device (session), see SessionService
   refreshTokens: [{
+    // `sid` claim of the session's access and refresh tokens
+    sessionId: String,
+    // SHA-256 of the current refresh token
     token: String,
     createdAt: Date,
     expiresAt: Date,
-    deviceInfo: String
+    lastActiveAt: Date,
+    // e.g. "Chrome on macOS"
+    deviceInfo: String,
+    // See knownDevices
+    deviceId: String,
+    ip: String,
+    userAgent: String,
+    location: {
+      city: String,
+      country: String,
+      countryCode: String
+    }
   }],
+  // Refresh tokens without a session ID issued before this are rejected
+  sessionsRevokedAt: Date,
+  // Devices the user has signed in from (SessionService.deviceId) - kept after their sessions end,
+  // a login from any other device triggers a security email
+  knownDevices: [String],
   
   // OAuth
   oauth: {
@@ -124,6 +157,19 @@ const userSchema = new mongoose.Schema({
   },
 
   
+  // Voice cloning - total follows Plan.limits.voiceSlots (-1 = unlimited)
+  voiceSlots: {
+    total: {
+      type: Number,
+      default: 0
+    },
+    used: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  
   // Metadata  
   lastActivityAt: Date,
   deletedAt: Date
@@ -160,13 +206,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Only the SHA-256 of emailed tokens is stored
+const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(String(token))
+  .digest('hex');
+
 // Generate email verification token
 userSchema.methods.generateEmailVerificationToken = function() {
   const token = crypto.randomBytes(32).toString('hex');
-  this.emailVerificationToken = crypto
-    .createHash('sha256')
-    .update(token)
-    .digest('hex');
+  this.emailVerificationToken = hashToken(token);
   this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
   return token;
 };
@@ -174,14 +223,35 @@ userSchema.methods.generateEmailVerificationToken = function() {
 // Generate password reset token
 userSchema.methods.generatePasswordResetToken = function() {
   const token = crypto.randomBytes(32).toString('hex');
-  this.passwordResetToken = crypto
-    .createHash('sha256')
-    .update(token)
-    .digest('hex');
+  this.passwordResetToken = hashToken(token);
   this.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 hour
   return token;
 };
 
+// Claim an unexpired password reset token - atomically cleared so a link works only once
+userSchema.statics.consumePasswordResetToken = function(token) {
+  return this.findOneAndUpdate(
+    { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: Date.now() } },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Claim an unexpired email verification token - atomically cleared so a link works only once
+userSchema.statics.consumeEmailVerificationToken = function(token) {
+  return this.findOneAndUpdate(
+    { emailVerificationToken: hashToken(token), emailVerificationExpires: { $gt: Date.now() } },
+    { $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Whether a token issued at `iat` (JWT seconds) predates the last password change
+userSchema.methods.changedPasswordAfter = function(iat) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > iat;
+};
+
 
 // Handle failed login attempts
 userSchema.methods.incLoginAttempts = function() {
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Voice isolation result - the input recording with background sound removed
+ * Billed per started minute of input as 'voice-isolator'
+ */
+const voiceIsolationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  inputUrl: {
+    type: String,
+    required: true
+  },
+  audioUrl: {
+    type: String,
+    required: true
+  },
+  // Bytes this record holds in storage, counted against the plan's quota (StorageQuotaService)
+  storageBytes: {
+    type: Number,
+    default: 0
+  },
+  duration: {
+    type: Number // Input length in seconds
+  },
+  format: {
+    type: String, // Input format (wav | mp3)
+    enum: ['wav', 'mp3']
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  credits: {
+    type: Number,
+    default: 0
+  },
+  metadata: {
+    modelId: mongoose.Schema.Types.ObjectId,
+    provider: String,
+    providerJobId: String,
+    processingTime: Number,
+    fileName: String,
+    fileSize: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+voiceIsolationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('VoiceIsolation', voiceIsolationSchema);
@@ -72,9 +72,58 @@ const voiceModelSchema = new mongoose.Schema({
   groupId: {
     type: String,
     default: null
+  },
+  // User clones - private to their owner; library voices have no owner
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  consent: {
+    statement: String,
+    version: String,
+    acceptedAt: Date,
+    ip: String,
+    userAgent: String
+  },
+  // Cloned voices only - library voices don't count against anyone's quota
+  storageBytes: {
+    type: Number,
+    default: 0
+  },
+  source: {
+    format: String,
+    duration: Number, // seconds
+    size: Number // bytes
   }
 }, {
   timestamps: true
 });
 
+// Library voices plus the user's own clones
+voiceModelSchema.statics.visibleTo = function(userId) {
+  return userId
+    ? { $or: [{ owner: null }, { owner: userId }] }
+    : { owner: null };
+};
+
+// Whether a user may list and use this voice
+voiceModelSchema.methods.isAccessibleBy = function(userId) {
+  return !this.owner || (!!userId && this.owner.toString() === userId.toString());
+};
+
+// Cloned voices are stored privately - API responses carry a signed URL instead of the storage reference
+voiceModelSchema.set('toJSON', {
+  transform(doc, ret) {
+    const StorageService = require('../services/StorageService');
+    for (const field of ['audioFile', 'previewUrl']) {
+      if (StorageService.isPrivate(ret[field])) {
+        ret[field] = StorageService.resolveUrl(ret[field]);
+      }
+    }
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('VoiceModel', voiceModelSchema);
\ No newline at end of file
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const NetUtil = require('../utils/net');
+
+const WEBHOOK_EVENTS = [
+  'music.completed',
+  'music.failed',
+  'speech.completed',
+  'speech.failed',
+  'batch.completed',
+  'credits.low',
+  'subscription.renewed'
+];
+
+const webhookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Endpoint
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      // Public HTTPS endpoints only - resolved on save, and again by WebhookService before each delivery
+      validator: async function(url) {
+        if (!this.isNew && !this.isModified('url')) {
+          return true;
+        }
+        try {
+          await NetUtil.assertPublicUrl(url, { protocols: ['https:'] });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Webhook URL must be a valid HTTPS URL on a public host'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  // Subscribed events
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS
+  }],
+
+  // Signing secret (needed in plain text to sign payloads)
+  secret: {
+    type: String,
+    required: true
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active',
+    index: true
+  },
+
+  // Delivery statistics
+  stats: {
+    totalDeliveries: {
+      type: Number,
+      default: 0
+    },
+    failedDeliveries: {
+      type: Number,
+      default: 0
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    lastDeliveryAt: Date,
+    lastSuccessAt: Date,
+    lastFailureAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookSchema.index({ user: 1, status: 1 });
+webhookSchema.index({ events: 1, status: 1 });
+
+// Generate signing secret
+webhookSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Find active webhooks subscribed to an event
+webhookSchema.statics.findSubscribers = function(userId, event) {
+  return this.find({
+    user: userId,
+    status: 'active',
+    events: event
+  });
+};
+
+// Record delivery outcome
+webhookSchema.methods.recordDelivery = async function(success) {
+  const now = new Date();
+  const update = {
+    $inc: { 'stats.totalDeliveries': 1 },
+    $set: { 'stats.lastDeliveryAt': now }
+  };
+
+  if (success) {
+    update.$set['stats.lastSuccessAt'] = now;
+    update.$set['stats.consecutiveFailures'] = 0;
+  } else {
+    update.$inc['stats.failedDeliveries'] = 1;
+    update.$inc['stats.consecutiveFailures'] = 1;
+    update.$set['stats.lastFailureAt'] = now;
+  }
+
+  return await this.constructor.updateOne({ _id: this._id }, update);
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Event
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: ['pending', 'retrying', 'success', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  deliveredAt: Date,
+
+  // Last response
+  responseStatus: Number,
+  responseBody: String,
+  responseTime: Number,
+  error: String,
+
+  // Manual redelivery
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Record a delivery attempt
+webhookDeliverySchema.methods.recordAttempt = function({ success, responseStatus, responseBody, responseTime, error, isFinalAttempt }) {
+  this.attempts += 1;
+  this.lastAttemptAt = new Date();
+  this.responseStatus = responseStatus;
+  this.responseBody = responseBody ? responseBody.substring(0, 1000) : undefined;
+  this.responseTime = responseTime;
+  this.error = error;
+
+  if (success) {
+    this.status = 'success';
+    this.deliveredAt = new Date();
+  } else {
+    this.status = isFinalAttempt ? 'failed' : 'retrying';
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
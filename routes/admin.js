@@ -8,11 +8,22 @@ const Subscription = require('../models/Subscription');
 const AIModel = require('../models/AIModel');
 const Plan = require('../models/Plan');
 const Music = require('../models/Music');
+const RoutingPolicy = require('../models/RoutingPolicy');
+const MusicGenerationService = require('../services/MusicGenerationService');
 const ProviderFactory = require('../services/ProviderFactory');
+const ProviderRouter = require('../services/ProviderRouter');
+const ProviderGuard = require('../services/ProviderGuard');
 const AuthMiddleware = require('../middleware/auth-unified');
+const CreditLimitMiddleware = require('../middleware/credit-limit');
 const logger = require('../services/logger');
 const FeaturedMusicService = require('../services/FeaturedMusicService');
-const cloudflareService = require('../services/cloudflare');
+const StorageService = require('../services/StorageService');
+const StorageQuotaService = require('../services/StorageQuotaService');
+const TwoFactorService = require('../services/TwoFactorService');
+const SessionService = require('../services/SessionService');
+const EmailService = require('../services/EmailService');
+const EmailDelivery = require('../models/EmailDelivery');
+const EmailSuppression = require('../models/EmailSuppression');
 const multer = require('multer');
 const AdminActivityLogger = require('../middleware/adminActivityLogger');
 
@@ -31,6 +42,27 @@ const upload = multer({
   }
 });
 
+// Issue the admin panel's access and refresh tokens
+const sendAdminTokens = async (req, res, user) => {
+  // Initialize session version if not exists (for existing users)
+  await JWTService.initializeSession(user._id);
+
+  const { accessToken, refreshToken } = await SessionService.create(user, req);
+
+  // Admin panel için accessToken ve refreshToken döndür
+  return res.json({
+    accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      twoFactorEnabled: user.twoFactorEnabled
+    }
+  });
+};
+
 // Admin authentication
 router.post('/login', async (req, res) => {
   try {
@@ -56,29 +88,45 @@ router.post('/login', async (req, res) => {
       return ResponseUtil.unauthorized(res, 'Invalid credentials');
     }
 
-    // Initialize session version if not exists (for existing users)
-    await JWTService.initializeSession(user._id);
-
-    const accessToken = await JWTService.generateAccessToken(user._id, user.email, user.role);
-    const refreshToken = JWTService.generateRefreshToken(user._id);
+    // Second step with a code - see POST /login/2fa. Admins without 2FA get tokens that
+    // only reach enrollment (requireSuperAdmin answers TWO_FACTOR_REQUIRED)
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: JWTService.generateChallengeToken(user._id)
+      });
+    }
 
-    // Admin panel için accessToken ve refreshToken döndür
-    return res.json({
-      accessToken,
-      refreshToken,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
-    });
+    return await sendAdminTokens(req, res, user);
   } catch (error) {
     console.error('❌ [ADMIN LOGIN] Error:', error);
     return ResponseUtil.error(res, 'Admin login failed', 500, 'ADMIN_LOGIN_ERROR');
   }
 });
 
+// Admin login - two-factor step
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return ResponseUtil.badRequest(res, 'challengeToken and code are required');
+    }
+
+    const { user } = await TwoFactorService.completeChallenge(challengeToken, code);
+    if (user.role !== 'superadmin') {
+      return ResponseUtil.forbidden(res, 'Access denied. Super admin required.');
+    }
+
+    return await sendAdminTokens(req, res, user);
+  } catch (error) {
+    if (error instanceof TwoFactorService.TwoFactorError) {
+      return ResponseUtil.error(res, error.message, error.status, error.code);
+    }
+    console.error('❌ [ADMIN LOGIN] 2FA error:', error);
+    return ResponseUtil.error(res, 'Admin login failed', 500, 'ADMIN_LOGIN_ERROR');
+  }
+});
+
 // Admin refresh token endpoint
 router.post('/auth/refresh', async (req, res) => {
   try {
@@ -105,8 +153,14 @@ router.post('/auth/refresh', async (req, res) => {
       return res.status(403).json({ error: 'Access denied. Super admin required.' });
     }
 
+    // Revoked session, or signed out everywhere by a password reset
+    if (!SessionService.isRefreshValid(user, decoded, refreshToken)) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
     // Generate new access token
-    const newAccessToken = await JWTService.generateAccessToken(user._id, user.email, user.role);
+    const newAccessToken = await JWTService.generateAccessToken(user._id, user.email, user.role, decoded.sid);
+    SessionService.touch(user, decoded.sid);
     
     res.json({
       accessToken: newAccessToken,
@@ -142,6 +196,13 @@ router.post('/auth/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: JWTService.generateChallengeToken(user._id)
+      });
+    }
+
     const token = await JWTService.generateAccessToken(user._id, user.email, user.role);
 
     res.json({
@@ -186,7 +247,7 @@ router.post('/auth/register', async (req, res) => {
       password: hashedPassword,
       name,
       role: 'superadmin',
-      isEmailVerified: true
+      emailVerified: true
     });
 
     await user.save();
@@ -608,16 +669,110 @@ router.post('/models/:id/test', AuthMiddleware.requireSuperAdmin, async (req, re
   }
 });
 
+// ===============================
+// PROVIDER ROUTING POLICIES
+// ===============================
+
+// List failover policies with each candidate's current health stats
+router.get('/routing-policies', AuthMiddleware.requireSuperAdmin, async (req, res) => {
+  try {
+    const policies = await RoutingPolicy.find()
+      .populate('candidates.model', 'name displayName type status provider stats')
+      .sort({ capability: 1 });
+
+    res.json({
+      policies,
+      providers: ProviderFactory.getAvailableProviders()
+    });
+  } catch (error) {
+    console.error('Error fetching routing policies:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Circuit breaker state and in-flight load per provider (this instance)
+router.get('/providers/health', AuthMiddleware.requireAdmin, (req, res) => {
+  res.json(ProviderGuard.getStats());
+});
+
+// Create or replace the policy for a capability
+router.put('/routing-policies/:capability', AuthMiddleware.requireSuperAdmin, AdminActivityLogger.logActivity, async (req, res) => {
+  try {
+    const { capability } = req.params;
+    const { candidates = [], health, submitTimeoutMs, isActive } = req.body;
+
+    // Fallback models must be able to do the same job
+    const modelIds = candidates.filter(candidate => candidate.model).map(candidate => candidate.model);
+    const models = await AIModel.find({ _id: { $in: modelIds } }).select('type');
+    const invalid = modelIds.filter(id => !models.some(model => model._id.equals(id) && model.type === capability));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Candidate models must be existing ${capability} models`, invalid });
+    }
+
+    const unsupported = candidates
+      .filter(candidate => candidate.provider?.name && !ProviderFactory.isProviderSupported(candidate.provider.name))
+      .map(candidate => candidate.provider.name);
+    if (unsupported.length > 0) {
+      return res.status(400).json({ error: 'Unknown provider', unsupported });
+    }
+
+    const policy = await RoutingPolicy.findOneAndUpdate(
+      { capability },
+      {
+        capability,
+        candidates,
+        ...(health && { health }),
+        ...(submitTimeoutMs && { submitTimeoutMs }),
+        ...(isActive !== undefined && { isActive }),
+        updatedBy: req.user._id
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    ProviderRouter.invalidate(capability);
+    res.json(policy);
+  } catch (error) {
+    console.error('Error saving routing policy:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a policy - the capability goes back to single-provider generation
+router.delete('/routing-policies/:capability', AuthMiddleware.requireSuperAdmin, AdminActivityLogger.logActivity, async (req, res) => {
+  try {
+    const policy = await RoutingPolicy.findOneAndDelete({ capability: req.params.capability });
+    if (!policy) {
+      return res.status(404).json({ error: 'Routing policy not found' });
+    }
+
+    ProviderRouter.invalidate(req.params.capability);
+    res.json({ message: 'Routing policy deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting routing policy:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get Replicate models for dropdown
 router.get('/replicate-models', AuthMiddleware.requireSuperAdmin, async (req, res) => {
   try {
-    // Backend'deki aktif Replicate modelleri - sadece Google Lyria-2
+    // Backend'deki aktif Replicate modelleri - Google Lyria-2 (music), Chatterbox (tts)
     const replicateModels = [
       {
         id: 'google/lyria-2',
         name: 'Google Lyria-2',
         description: 'High quality 48kHz stereo music generation with advanced AI capabilities.',
         type: 'music'
+      },
+      {
+        id: 'resemble-ai/chatterbox',
+        name: 'Chatterbox',
+        description: 'Zero-shot voice cloning text-to-speech from a short reference clip.',
+        type: 'tts'
       }
     ];
 
@@ -840,8 +995,14 @@ router.get('/featured', AuthMiddleware.authenticate, AuthMiddleware.requireSuper
   }
 });
 
-// Admin generates music (no credit limits)
-router.post('/music/generate', AuthMiddleware.authenticate, AuthMiddleware.requireSuperAdmin, async (req, res) => {
+// Admin generates music (no credit limits - recorded as a zero-credit reservation)
+router.post('/music/generate',
+  AuthMiddleware.authenticate,
+  AuthMiddleware.requireSuperAdmin,
+  CreditLimitMiddleware.reserveCredits('music', (req) => ({
+    duration: req.body.duration || 30
+  }), { free: true }),
+  async (req, res) => {
   try {
     const { prompt, modelId, duration = 30, style = '', lyrics = "" } = req.body;
     
@@ -858,46 +1019,20 @@ router.post('/music/generate', AuthMiddleware.authenticate, AuthMiddleware.requi
       return ResponseUtil.error(res, 'AI Model is not active', 400, 'MODEL_INACTIVE');
     }
     
-    // Get provider (same as user flow)
-    const provider = ProviderFactory.getProvider(aiModel);
-    
-    // Generate music (same as user flow)
-    const generationParams = {
-      prompt,
-      duration,
-      style,
-      lyrics: aiModel.type === 'tts' ? lyrics : undefined
-    };
-    
-    const result = await provider.generateMusic(generationParams);
-    
-    // Create music record (same as user flow)
-    const music = new Music({
-      userId: req.user._id,
-      title: prompt.substring(0, 50),
-      prompt,
-      duration,
-      style,
-      lyrics,
-      modelId: aiModel._id,
-      modelName: aiModel.displayName,
-      provider: aiModel.provider.name,
-      providerJobId: result.jobId,
-      status: 'processing',
-      estimatedTime: result.estimatedTime || 30,
-      progress: 0
+    // Queue generation (same pipeline as user flow)
+    const music = await MusicGenerationService.startGeneration({
+      user: req.user,
+      aiModel,
+      params: { prompt, duration, style, lyrics },
+      creditInfo: req.creditInfo,
+      metadata: { endpoint: '/api/admin/music/generate' }
     });
     
-    await music.save();
-    
     logger.info('🎵 [ADMIN] Music generation started:', {
       adminId: req.user._id,
-      musicId: music._id,
-      jobId: result.jobId
+      musicId: music._id
     });
     
-    // MusicProcessor will handle polling and CDN upload automatically
-    
     return ResponseUtil.success(res, music, 'Admin music generation started');
   } catch (error) {
     logger.error('Admin music generation failed:', error);
@@ -915,7 +1050,7 @@ router.get('/audio-proxy/:musicId', AuthMiddleware.authenticate, AuthMiddleware.
       return res.status(404).json({ error: 'Audio not found' });
     }
     
-    const audioUrl = music.cdnUrl || music.audioUrl;
+    const audioUrl = StorageService.resolveUrl(music.cdnUrl || music.audioUrl);
     console.log('🎵 [ADMIN-PROXY] Proxying audio:', audioUrl);
     
     // Fetch audio and stream it
@@ -970,17 +1105,18 @@ router.delete('/music/:id', AuthMiddleware.authenticate, AuthMiddleware.requireS
     
     // Delete from CDN if exists
     if (music.cdnUrl) {
-      await cloudflareService.deleteFile(music.cdnUrl);
+      await StorageService.delete(music.cdnUrl);
       logger.info('🗑️ [CDN] Music file deleted from CDN:', music.cdnUrl);
     }
     
     // Delete artwork from CDN if exists
     if (music.featured?.artwork?.cdnUrl) {
-      await cloudflareService.deleteFile(music.featured.artwork.cdnUrl);
+      await StorageService.delete(music.featured.artwork.cdnUrl);
       logger.info('🗑️ [CDN] Artwork deleted from CDN:', music.featured.artwork.cdnUrl);
     }
     
     await Music.deleteOne({ _id: id });
+    await StorageQuotaService.release(music);
     logger.info('🗑️ [ADMIN] Music deleted:', { musicId: id, adminId: req.user._id });
     
     return ResponseUtil.success(res, null, 'Music deleted successfully');
@@ -1747,4 +1883,88 @@ router.post('/users/credits/bulk-add', AuthMiddleware.authenticate, AuthMiddlewa
   }
 });
 
+// Email delivery log
+router.get('/emails', AuthMiddleware.authenticate, AuthMiddleware.requireSuperAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { status, template, to } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (template) filter.template = template;
+    if (to) filter.to = String(to).toLowerCase().trim();
+
+    const [deliveries, total] = await Promise.all([
+      EmailDelivery.find(filter)
+        .select('-templateData')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailDelivery.countDocuments(filter)
+    ]);
+
+    return ResponseUtil.paginated(res, deliveries, { page, limit, total });
+  } catch (error) {
+    logger.error('Failed to fetch email deliveries:', error);
+    return ResponseUtil.serverError(res, 'Failed to fetch email deliveries');
+  }
+});
+
+// Suppressed email addresses
+router.get('/emails/suppressions', AuthMiddleware.authenticate, AuthMiddleware.requireSuperAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [suppressions, total] = await Promise.all([
+      EmailSuppression.find()
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailSuppression.countDocuments()
+    ]);
+
+    return ResponseUtil.paginated(res, suppressions, { page, limit, total });
+  } catch (error) {
+    logger.error('Failed to fetch email suppressions:', error);
+    return ResponseUtil.serverError(res, 'Failed to fetch email suppressions');
+  }
+});
+
+// Stop sending email to an address
+router.post('/emails/suppressions', AuthMiddleware.authenticate, AuthMiddleware.requireSuperAdmin, AdminActivityLogger.logActivity, async (req, res) => {
+  try {
+    const { email, reason = 'manual', details } = req.body;
+
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      return ResponseUtil.badRequest(res, 'Valid email is required');
+    }
+    if (!['hard_bounce', 'complaint', 'manual'].includes(reason)) {
+      return ResponseUtil.badRequest(res, 'Reason must be hard_bounce, complaint or manual');
+    }
+
+    const suppression = await EmailService.suppress(email, reason, { details, createdBy: req.user._id });
+    return ResponseUtil.success(res, suppression, 'Email address suppressed', 201);
+  } catch (error) {
+    logger.error('Failed to suppress email address:', error);
+    return ResponseUtil.serverError(res, 'Failed to suppress email address');
+  }
+});
+
+// Allow email to a suppressed address again
+router.delete('/emails/suppressions/:email', AuthMiddleware.authenticate, AuthMiddleware.requireSuperAdmin, AdminActivityLogger.logActivity, async (req, res) => {
+  try {
+    const removed = await EmailService.unsuppress(req.params.email);
+    if (!removed) {
+      return ResponseUtil.notFound(res, 'Suppression');
+    }
+
+    return ResponseUtil.success(res, null, 'Email address unsuppressed');
+  } catch (error) {
+    logger.error('Failed to unsuppress email address:', error);
+    return ResponseUtil.serverError(res, 'Failed to unsuppress email address');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+
+const AuthMiddleware = require('../middleware/auth-unified');
+const CreditLimitMiddleware = require('../middleware/credit-limit');
+const ResponseUtil = require('../utils/response');
+
+const VoiceIsolation = require('../models/VoiceIsolation');
+const VoiceIsolationService = require('../services/VoiceIsolationService');
+const { VoiceIsolationError } = require('../services/VoiceIsolationService');
+const EnterpriseCreditService = require('../services/EnterpriseCreditService');
+const StorageService = require('../services/StorageService');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: VoiceIsolationService.getRequirements().maxFileSize
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('audio/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only audio files are allowed'));
+    }
+  }
+});
+
+const formatIsolation = (isolation) => ({
+  id: isolation._id,
+  // Both files are private - hand out short-lived signed URLs
+  audioUrl: StorageService.resolveUrl(isolation.audioUrl),
+  inputUrl: StorageService.resolveUrl(isolation.inputUrl),
+  duration: isolation.duration,
+  format: isolation.format,
+  model: isolation.model,
+  credits: isolation.credits,
+  createdAt: isolation.createdAt
+});
+
+// Load and measure the input before credits are reserved - billing uses the real duration
+const loadInput = async (req, res, next) => {
+  try {
+    req.aiModel = await VoiceIsolationService.resolveModel(req.body.modelId);
+    if (!req.aiModel) {
+      return ResponseUtil.notFound(res, 'Voice isolation model');
+    }
+
+    req.audioInput = await VoiceIsolationService.loadInput({
+      file: req.file,
+      url: req.body.audioUrl
+    });
+    next();
+  } catch (error) {
+    if (error instanceof VoiceIsolationError) {
+      return ResponseUtil.error(res, error.message, error.status, error.code);
+    }
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Voice isolation model');
+    }
+    console.error('❌ [VOICE-ISOLATOR] Input error:', error);
+    return ResponseUtil.error(res, 'Failed to read audio', 500, 'AUDIO_INPUT_ERROR');
+  }
+};
+
+// Isolate vocals from an uploaded "audioFile" or a public "audioUrl"
+router.post('/isolate',
+  AuthMiddleware.authenticate,
+  CreditLimitMiddleware.requireFeature('voiceIsolator'),
+  (req, res, next) => {
+    upload.single('audioFile')(req, res, (error) => {
+      if (error) {
+        return ResponseUtil.badRequest(res, error.message);
+      }
+      next();
+    });
+  },
+  loadInput,
+  CreditLimitMiddleware.checkStorageQuota('voice-isolator', req => ({ fileSize: req.audioInput.buffer.length })),
+  CreditLimitMiddleware.reserveCredits('voice-isolator', req => ({
+    duration: req.audioInput.duration,
+    modelId: req.aiModel._id.toString()
+  })),
+  async (req, res) => {
+  try {
+    const isolation = await VoiceIsolationService.isolate({
+      user: req.user,
+      input: req.audioInput,
+      aiModel: req.aiModel,
+      credits: req.creditInfo.cost
+    });
+
+    // Result is already stored - don't fail the request if credit consumption fails
+    try {
+      await EnterpriseCreditService.consumeReservedCredits(req.creditInfo.reservationId, {
+        isolationId: isolation._id
+      });
+    } catch (creditError) {
+      console.error('❌ [VOICE-ISOLATOR] Credit consumption error:', creditError);
+    }
+
+    return ResponseUtil.success(res, formatIsolation(isolation), 'Voice isolated successfully', 201);
+  } catch (error) {
+    if (error.code === 'PROVIDER_UNAVAILABLE') {
+      return ResponseUtil.providerUnavailable(res, error);
+    }
+    console.error('❌ [VOICE-ISOLATOR] Isolation error:', error);
+    return ResponseUtil.error(res, 'Voice isolation failed', 500, 'ISOLATION_ERROR');
+  }
+});
+
+// List user's isolation history
+router.get('/isolations', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [isolations, total] = await Promise.all([
+      VoiceIsolation.find({ userId: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      VoiceIsolation.countDocuments({ userId: req.user._id })
+    ]);
+
+    return ResponseUtil.paginated(res, isolations.map(formatIsolation), {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }, 'Isolations retrieved successfully');
+  } catch (error) {
+    console.error('❌ [VOICE-ISOLATOR] List error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch isolations', 500, 'FETCH_ERROR');
+  }
+});
+
+// Delete an isolation and free its storage
+router.delete('/isolations/:id', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const deleted = await VoiceIsolationService.deleteIsolation(req.user._id, req.params.id);
+    if (!deleted) {
+      return ResponseUtil.notFound(res, 'Isolation');
+    }
+
+    return ResponseUtil.success(res, null, 'Isolation deleted successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Isolation');
+    }
+    console.error('❌ [VOICE-ISOLATOR] Delete error:', error);
+    return ResponseUtil.error(res, 'Failed to delete isolation', 500, 'DELETE_ERROR');
+  }
+});
+
+module.exports = router;
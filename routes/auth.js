@@ -8,6 +8,11 @@ const Plan = require('../models/Plan');
 const AuthMiddleware = require('../middleware/auth-unified');
 const { multiRateLimit } = require('../middleware/rateLimit');
 const monitoring = require('../services/monitoring');
+const StorageQuotaService = require('../services/StorageQuotaService');
+const EmailService = require('../services/EmailService');
+const TwoFactorService = require('../services/TwoFactorService');
+const SessionService = require('../services/SessionService');
+const { TwoFactorError } = TwoFactorService;
 const { google } = require('googleapis');
 
 // DEPRECATED - Use JWTService instead
@@ -33,6 +38,78 @@ const registerRateLimit = multiRateLimit({
   getUserId: (req) => req.body.email
 });
 
+// Password reset / verification emails - counted separately from login attempts
+const emailLinkRateLimit = multiRateLimit({
+  keyPrefix: 'email-link',
+  windowSeconds: 3600, // 1 hour
+  ipLimit: 10,
+  userLimit: 3,
+  ipUserLimit: 3,
+  getUserId: (req) => req.body.email && String(req.body.email).toLowerCase()
+});
+
+// Token submissions (reset-password, verify-email, 2FA codes) - by IP only
+const tokenRateLimit = multiRateLimit({
+  keyPrefix: 'token',
+  windowSeconds: 600, // 10 minutes
+  ipLimit: 20
+});
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Same reply whether or not the address has an account
+const EMAIL_LINK_SENT = 'If an account exists for this email, we have sent a link to it.';
+
+// Email the verification link for a token from user.generateEmailVerificationToken()
+// The link goes in secretData so the token isn't stored in the EmailDelivery log
+const sendVerificationEmail = (user, token) => EmailService.sendToUser(user, 'email-verification', {
+  expiresInHours: 24
+}, {
+  secretData: { verifyUrl: `${FRONTEND_URL}/verify-email?token=${token}` }
+});
+
+// Start a session and send its tokens with the user summary after a completed login
+const sendLoginResponse = async (req, res, user) => {
+  // Update last login
+  user.lastLogin = Date.now();
+  await user.save();
+
+  // Initialize session version if not exists (for existing users)
+  await JWTService.initializeSession(user._id);
+
+  const { accessToken, refreshToken } = await SessionService.create(user, req);
+
+  // Get user's subscription to fetch credits
+  const subscription = await Subscription.findOne({ 
+    user: user._id, 
+    status: { $in: ['active', 'trialing'] } 
+  });
+  
+  res.json({
+    accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role, // Add role field for consistency
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      credits: subscription ? subscription.getAvailableCredits() : 0, // Get credits from subscription
+      subscription: subscription ? subscription.planName : 'Free',
+      voiceSlots: user.voiceSlots || 0
+    }
+  });
+};
+
+const sendTwoFactorError = (res, error, fallbackMessage) => {
+  if (error instanceof TwoFactorError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
 // CSRF Token endpoint
 router.get('/csrf-token', (req, res) => {
   // Generate a simple token (you can make this more secure)
@@ -74,8 +151,10 @@ router.post('/register', [
       email,
       password
     });
+    const verificationToken = user.generateEmailVerificationToken();
 
     await user.save();
+    await sendVerificationEmail(user, verificationToken);
 
     // Initialize session version for new user
     await JWTService.initializeSession(user._id);
@@ -107,8 +186,7 @@ router.post('/register', [
 
     await subscription.save();
 
-    const accessToken = await JWTService.generateAccessToken(user._id, user.email, user.role);
-    const refreshToken = JWTService.generateRefreshToken(user._id);
+    const { accessToken, refreshToken } = await SessionService.create(user, req, { signup: true });
 
     res.status(201).json({
       accessToken,
@@ -117,6 +195,7 @@ router.post('/register', [
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
         credits: subscription.getAvailableCredits(), // Get credits from subscription
         subscription: subscription.planName,
         voiceSlots: user.voiceSlots || 0
@@ -155,38 +234,18 @@ router.post('/login', [
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Update last login
-    user.lastLogin = Date.now();
-    await user.save();
-
-    // Initialize session version if not exists (for existing users)
-    await JWTService.initializeSession(user._id);
-
-    const accessToken = await JWTService.generateAccessToken(user._id, user.email, user.role);
-    const refreshToken = JWTService.generateRefreshToken(user._id);
+    // Enrolled users finish with a code - see POST /login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: JWTService.generateChallengeToken(user._id)
+      });
+    }
 
     // Track successful login
     monitoring.trackLogin(true, 'password');
 
-    // Get user's subscription to fetch credits
-    const subscription = await Subscription.findOne({ 
-      user: user._id, 
-      status: { $in: ['active', 'trialing'] } 
-    });
-    
-    res.json({
-      accessToken,
-      refreshToken,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role, // Add role field for consistency
-        credits: subscription ? subscription.getAvailableCredits() : 0, // Get credits from subscription
-        subscription: subscription ? subscription.planName : 'Free',
-        voiceSlots: user.voiceSlots || 0
-      }
-    });
+    await sendLoginResponse(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     monitoring.trackError('login_error', 'error');
@@ -194,6 +253,35 @@ router.post('/login', [
   }
 });
 
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa', tokenRateLimit, [
+  body('challengeToken').isString().notEmpty(),
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { user, method, recoveryCodesRemaining } = await TwoFactorService.completeChallenge(
+      req.body.challengeToken,
+      req.body.code
+    );
+
+    monitoring.trackLogin(true, 'password');
+    if (method === 'recovery') {
+      res.set('X-Recovery-Codes-Remaining', String(recoveryCodesRemaining));
+    }
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    if (error.code === 'TWO_FACTOR_INVALID') {
+      monitoring.trackLogin(false, '2fa');
+    }
+    sendTwoFactorError(res, error, 'Error logging in');
+  }
+});
+
 // Validate token and get current user (for frontend auth validation)
 const { verifyAccess } = require('../middleware/verifyAccess');
 router.get('/validate', verifyAccess, async (req, res) => {
@@ -242,6 +330,7 @@ router.get('/me', AuthMiddleware.authenticate, async (req, res) => {
       name: req.user.name,
       email: req.user.email,
       role: req.user.role, // Add role field for consistency
+      emailVerified: req.user.emailVerified,
       credits: subscription ? subscription.getAvailableCredits() : 0, // Get credits from subscription
       subscription: subscription ? subscription.planName : 'Free',
       voiceSlots: req.user.voiceSlots || 0
@@ -249,6 +338,23 @@ router.get('/me', AuthMiddleware.authenticate, async (req, res) => {
   });
 });
 
+// Storage quota and usage by file type (bytes)
+router.get('/storage', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const { quota, breakdown } = await StorageQuotaService.getBreakdown(req.user._id);
+
+    res.json({
+      limit: quota.limit,
+      used: quota.used,
+      available: quota.available,
+      breakdown
+    });
+  } catch (error) {
+    console.error('Storage usage error:', error);
+    res.status(500).json({ error: 'Error fetching storage usage' });
+  }
+});
+
 // Update user credits (for testing)
 router.post('/add-credits', AuthMiddleware.authenticate, async (req, res) => {
   try {
@@ -292,14 +398,23 @@ router.put('/update-profile', AuthMiddleware.authenticate, async (req, res) => {
     }
 
     // Update user
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      { 
-        ...(name && { name }),
-        ...(email && { email })
-      },
-      { new: true }
-    );
+    const updatedUser = await User.findById(userId);
+    if (name) {
+      updatedUser.name = name;
+    }
+
+    // A new address has to be verified again
+    let verificationToken = null;
+    if (email && email !== updatedUser.email) {
+      updatedUser.email = email;
+      updatedUser.emailVerified = false;
+      verificationToken = updatedUser.generateEmailVerificationToken();
+    }
+
+    await updatedUser.save();
+    if (verificationToken) {
+      await sendVerificationEmail(updatedUser, verificationToken);
+    }
 
     res.json({
       message: 'Profile updated successfully',
@@ -307,6 +422,7 @@ router.put('/update-profile', AuthMiddleware.authenticate, async (req, res) => {
         id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
+        emailVerified: updatedUser.emailVerified,
         credits: updatedUser.credits,
         subscription: updatedUser.subscription,
         voiceSlots: updatedUser.voiceSlots
@@ -343,6 +459,202 @@ router.put('/change-password', AuthMiddleware.authenticate, async (req, res) =>
   }
 });
 
+// Request a password reset link
+router.post('/forgot-password', emailLinkRateLimit, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Reply before looking the address up - the response time shouldn't tell whether the account exists
+    res.json({ message: EMAIL_LINK_SENT });
+
+    const user = await User.findOne({ email: req.body.email, status: 'active' });
+    if (user) {
+      const token = user.generatePasswordResetToken();
+      await user.save();
+
+      await EmailService.sendToUser(user, 'password-reset', {
+        expiresInMinutes: 60
+      }, {
+        secretData: { resetUrl: `${FRONTEND_URL}/reset-password?token=${token}` }
+      });
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error requesting password reset' });
+    }
+  }
+});
+
+// Set a new password with a reset link token
+router.post('/reset-password', tokenRateLimit, [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.consumePasswordResetToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid or expired reset link',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordChangedAt = new Date();
+    // The link was delivered to the account's address
+    user.emailVerified = true;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    // Sign out every session - access tokens by session version, refresh tokens by passwordChangedAt
+    await JWTService.revokeAllSessions(user._id);
+    await SessionService.revokeAll(user._id);
+    monitoring.trackSessionRevocation();
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Error resetting password' });
+  }
+});
+
+// Confirm an email address with a verification link token
+router.post('/verify-email', tokenRateLimit, [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.consumeEmailVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Invalid or expired verification link',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Error verifying email' });
+  }
+});
+
+// Send a new verification link
+router.post('/resend-verification', emailLinkRateLimit, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Reply first, as in /forgot-password
+    res.json({ message: EMAIL_LINK_SENT });
+
+    const user = await User.findOne({ email: req.body.email, status: 'active', emailVerified: false });
+    if (user) {
+      const token = user.generateEmailVerificationToken();
+      await user.save();
+      await sendVerificationEmail(user, token);
+    }
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error sending verification email' });
+    }
+  }
+});
+
+// Two-factor authentication status
+router.get('/2fa', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    res.json(await TwoFactorService.getStatus(req.user._id));
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Error fetching two-factor status');
+  }
+});
+
+// Start two-factor enrollment - returns the secret and otpauth:// URI for the QR code
+router.post('/2fa/setup', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await TwoFactorService.beginEnrollment(req.user._id);
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Error starting two-factor setup');
+  }
+});
+
+// Finish enrollment with a first code - recovery codes are only shown in this response
+router.post('/2fa/enable', AuthMiddleware.authenticate, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { recoveryCodes } = await TwoFactorService.confirmEnrollment(req.user._id, req.body.code);
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Error enabling two-factor authentication');
+  }
+});
+
+// Turn two-factor authentication off (needs a current code)
+router.post('/2fa/disable', tokenRateLimit, AuthMiddleware.authenticate, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await TwoFactorService.disable(req.user._id, req.body.code);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Error disabling two-factor authentication');
+  }
+});
+
+// Replace recovery codes (needs a current code)
+router.post('/2fa/recovery-codes', tokenRateLimit, AuthMiddleware.authenticate, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { recoveryCodes } = await TwoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    sendTwoFactorError(res, error, 'Error generating recovery codes');
+  }
+});
+
 // Refresh token endpoint
 router.post('/refresh', async (req, res) => {
   try {
@@ -364,8 +676,14 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
+    // Revoked session, or signed out everywhere by a password reset
+    if (!SessionService.isRefreshValid(user, decoded, refreshToken)) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
     // Generate new access token
-    const newAccessToken = await JWTService.generateAccessToken(user._id, user.email, user.role);
+    const newAccessToken = await JWTService.generateAccessToken(user._id, user.email, user.role, decoded.sid);
+    SessionService.touch(user, decoded.sid);
     
     // Get user's subscription to fetch credits
     const subscription = await Subscription.findOne({ 
@@ -392,9 +710,17 @@ router.post('/refresh', async (req, res) => {
 });
 
 // Logout (revoke all sessions)
+// Sign out this session - DELETE /sessions signs out the other devices
 router.post('/logout', verifyAccess, async (req, res) => {
   try {
-    await JWTService.revokeAllSessions(req.userId);
+    const { sid } = req.tokenPayload;
+    if (sid) {
+      await SessionService.revoke(req.userId, sid);
+    } else {
+      // Tokens from before sessions were tracked can only be revoked all together
+      await JWTService.revokeAllSessions(req.userId);
+      await SessionService.revokeAll(req.userId);
+    }
     monitoring.trackSessionRevocation();
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
@@ -404,6 +730,45 @@ router.post('/logout', verifyAccess, async (req, res) => {
   }
 });
 
+// Signed-in devices
+router.get('/sessions', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const sessions = await SessionService.list(req.user._id, req.token.sid);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Error fetching sessions' });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeAll(req.user._id, req.token.sid || null);
+    monitoring.trackSessionRevocation();
+    res.json({ message: 'Other sessions signed out', revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Error revoking sessions' });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const revoked = await SessionService.revoke(req.user._id, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    monitoring.trackSessionRevocation();
+    res.json({ message: 'Session signed out', current: req.params.sessionId === req.token.sid });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Error revoking session' });
+  }
+});
+
 // Get public plans (for pricing page)
 router.get('/plans', async (req, res) => {
   try {
@@ -484,6 +849,7 @@ router.get('/google/callback', async (req, res) => {
         { 'oauth.google.id': googleId }
       ]
     });
+    const signup = !user;
     
     if (user) {
       // Update existing user with Google info
@@ -494,6 +860,10 @@ router.get('/google/callback', async (req, res) => {
         name: name,
         picture: picture
       };
+      // Google has verified this address
+      if (user.email === email.toLowerCase()) {
+        user.emailVerified = true;
+      }
       user.lastLogin = new Date();
       await user.save();
     } else {
@@ -544,9 +914,28 @@ router.get('/google/callback', async (req, res) => {
       }
     }
     
+    // Disable CSP and prevent caching
+    res.removeHeader('Content-Security-Policy');
+    res.setHeader('Content-Security-Policy', '');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+
+    // Enrolled users finish with a code through POST /login/2fa
+    if (user.twoFactorEnabled) {
+      return res.send(`
+    <script>
+      window.opener.postMessage({
+        type: 'GOOGLE_AUTH_2FA_REQUIRED',
+        challengeToken: '${JWTService.generateChallengeToken(user._id)}'
+      }, '${process.env.FRONTEND_URL || 'http://localhost:5173'}');
+      window.close();
+    </script>
+    `);
+    }
+
     // Generate JWT tokens
-    const accessToken = JWTService.generateAccessToken(user._id, user.email, user.role);
-    const refreshToken = JWTService.generateRefreshToken(user._id, user.email);
+    const { accessToken, refreshToken } = await SessionService.create(user, req, { signup });
     
     // Track successful login
     monitoring.trackLogin(true, 'google_oauth');
@@ -569,13 +958,6 @@ router.get('/google/callback', async (req, res) => {
       }
     };
     
-    // Disable CSP and prevent caching
-    res.removeHeader('Content-Security-Policy');
-    res.setHeader('Content-Security-Policy', '');
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
-    
     const instantCloseHtml = `
     <script>
       // Send message to parent window (cross-origin safe)
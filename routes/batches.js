@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+
+const AuthMiddleware = require('../middleware/auth-unified');
+const CreditLimitMiddleware = require('../middleware/credit-limit');
+const ResponseUtil = require('../utils/response');
+const StorageService = require('../services/StorageService');
+
+const Batch = require('../models/Batch');
+const BatchService = require('../services/BatchService');
+const { BatchError } = require('../services/BatchService');
+const { body, validationResult } = require('express-validator');
+
+// Batch files are small text documents
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (name.endsWith('.csv') || name.endsWith('.json')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Batch file must be CSV or JSON'));
+    }
+  }
+});
+
+const formatBatch = (batch) => ({
+  id: batch._id,
+  name: batch.name,
+  type: batch.type,
+  status: batch.status,
+  progress: batch.progress,
+  totals: batch.totals,
+  concurrency: batch.concurrency,
+  credits: {
+    reserved: batch.credits.reserved,
+    consumed: batch.credits.consumed,
+    refunded: batch.credits.refunded
+  },
+  createdAt: batch.createdAt,
+  completedAt: batch.completedAt
+});
+
+// Submit a batch - JSON body { type, modelId, items: [...] } or multipart with a CSV/JSON "file"
+router.post('/',
+  AuthMiddleware.authenticate,
+  CreditLimitMiddleware.requireFeature('batchProcessing'),
+  CreditLimitMiddleware.requireVerifiedEmail(),
+  (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+      if (error) {
+        return ResponseUtil.badRequest(res, error.message);
+      }
+      next();
+    });
+  },
+  // Item sizes aren't known yet - only a full quota is refused here
+  CreditLimitMiddleware.checkStorageQuota('batch'),
+  [
+    body('type').isIn(['music', 'tts']).withMessage('type must be music or tts'),
+    body('modelId').optional().isMongoId(),
+    body('name').optional().trim().isLength({ max: 100 })
+  ],
+  async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const { type, modelId, name, voiceId, mood, duration, style } = req.body;
+    const items = BatchService.parseItems(req.file, req.body.items);
+
+    // Batch-wide values for items that leave them out
+    const defaults = type === 'music' ? { duration, style } : { voiceId, mood };
+    Object.keys(defaults).forEach(key => defaults[key] === undefined && delete defaults[key]);
+
+    const batch = await BatchService.createBatch({
+      user: req.user,
+      type,
+      items,
+      modelId,
+      defaults,
+      name
+    });
+
+    return ResponseUtil.success(res, formatBatch(batch), 'Batch queued successfully', 202);
+  } catch (error) {
+    if (error instanceof BatchError) {
+      // Row errors are returned in every environment so the file can be fixed
+      return res.status(400).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+        details: error.details
+      });
+    }
+    if (error.code === 'INSUFFICIENT_CREDITS') {
+      return res.status(403).json({
+        success: false,
+        error: 'INSUFFICIENT_CREDITS',
+        redirectUrl: '/pricing',
+        message: 'Insufficient credits',
+        details: {
+          required: error.required,
+          available: error.available,
+          shortfall: Math.max(0, error.required - error.available),
+          service: req.body.type
+        }
+      });
+    }
+    console.error('❌ [BATCH] Create error:', error);
+    return ResponseUtil.error(res, 'Failed to create batch', 500, 'BATCH_ERROR');
+  }
+});
+
+// List user's batches
+router.get('/', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [batches, total] = await Promise.all([
+      Batch.find({ user: req.user._id })
+        .select('-items')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Batch.countDocuments({ user: req.user._id })
+    ]);
+
+    return ResponseUtil.paginated(res, batches.map(formatBatch), {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }, 'Batches retrieved successfully');
+  } catch (error) {
+    console.error('❌ [BATCH] List error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch batches', 500, 'FETCH_ERROR');
+  }
+});
+
+// Aggregate status with per-item results
+router.get('/:id', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const batch = await Batch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!batch) {
+      return ResponseUtil.notFound(res, 'Batch');
+    }
+
+    return ResponseUtil.success(res, {
+      ...formatBatch(batch),
+      items: batch.items.map(item => ({
+        index: item.index,
+        status: item.status,
+        resultId: item.resultId,
+        audioUrl: StorageService.resolveUrl(item.audioUrl),
+        credits: item.credits,
+        error: item.error
+      }))
+    }, 'Batch retrieved successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Batch');
+    }
+    console.error('❌ [BATCH] Fetch error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch batch', 500, 'FETCH_ERROR');
+  }
+});
+
+// Download the ZIP manifest of a finished batch
+router.get('/:id/manifest', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const batch = await Batch.findOne({ _id: req.params.id, user: req.user._id });
+    if (!batch) {
+      return ResponseUtil.notFound(res, 'Batch');
+    }
+
+    if (!['completed', 'failed'].includes(batch.status)) {
+      return ResponseUtil.error(res, 'Batch is still processing', 409, 'BATCH_NOT_FINISHED', {
+        progress: batch.progress
+      });
+    }
+
+    const zip = BatchService.buildManifest(batch);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="batch_${batch._id}.zip"`,
+      'Content-Length': zip.length
+    });
+    return res.send(zip);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Batch');
+    }
+    console.error('❌ [BATCH] Manifest error:', error);
+    return ResponseUtil.error(res, 'Failed to build manifest', 500, 'MANIFEST_ERROR');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const router = express.Router();
+const StorageService = require('../services/StorageService');
+
+/**
+ * Private file downloads through signed, expiring URLs (StorageService.getSignedUrl)
+ * The token is the authorization - it is only issued after an ownership check
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const signed = StorageService.verifySignedToken(req.params.token);
+    if (!signed) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired', code: 'INVALID_SIGNATURE' });
+    }
+
+    const file = await StorageService.stat(signed.key, 'private');
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    if (file.contentType) {
+      res.type(file.contentType);
+    }
+    if (signed.fileName) {
+      res.attachment(signed.fileName);
+    }
+
+    // Local files go through sendFile for Range support (audio seeking)
+    const driver = StorageService.privateDriver;
+    if (typeof driver.resolve === 'function') {
+      return res.sendFile(driver.resolve(signed.key));
+    }
+
+    const { stream, size } = await StorageService.get(signed.key, 'private');
+    if (size !== undefined) {
+      res.set('Content-Length', String(size));
+    }
+    // Headers are already sent if the read fails midway - cut the response short
+    pipeline(stream, res, error => {
+      if (error) {
+        console.error(`❌ [FILES] Stream error for ${signed.key}:`, error.message);
+        res.destroy(error);
+      }
+    });
+  } catch (error) {
+    console.error('❌ [FILES] Signed download error:', error);
+    res.status(500).json({ error: 'Failed to read file' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+
+const AuthMiddleware = require('../middleware/auth-unified');
+const ResponseUtil = require('../utils/response');
+
+const ApiKey = require('../models/ApiKey');
+const CreditService = require('../services/CreditService');
+const { body, param, validationResult } = require('express-validator');
+
+const AVAILABLE_SCOPES = ApiKey.schema.path('scopes').caster.enumValues;
+const MAX_GRACE_PERIOD_HOURS = 7 * 24;
+
+// Fields that are safe to return in list/detail views
+const PUBLIC_FIELDS = 'name prefix lastFourChars scopes rateLimit allowedIPs allowedDomains status usage expiresAt environment rotatedAt replacedBy revokedAt createdAt';
+
+const formatKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  maskedKey: `${apiKey.prefix}_••••${apiKey.lastFourChars}`,
+  lastFourChars: apiKey.lastFourChars,
+  scopes: apiKey.scopes,
+  rateLimit: apiKey.rateLimit,
+  allowedIPs: apiKey.allowedIPs,
+  allowedDomains: apiKey.allowedDomains,
+  status: apiKey.status,
+  environment: apiKey.environment,
+  lastUsedAt: apiKey.usage?.lastUsedAt || null,
+  totalRequests: apiKey.usage?.totalRequests || 0,
+  monthlyUsage: apiKey.getMonthlyUsage(),
+  expiresAt: apiKey.expiresAt || null,
+  rotatedAt: apiKey.rotatedAt || null,
+  replacedBy: apiKey.replacedBy || null,
+  createdAt: apiKey.createdAt
+});
+
+// Get the user's API key limit from their plan (-1 = unlimited)
+const getKeyLimit = async (userId) => {
+  const plan = await CreditService.getUserPlan(userId);
+  return plan.limits?.apiKeys ?? 1;
+};
+
+// List user's API keys
+router.get('/', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.includeRevoked !== 'true') {
+      filter.status = { $ne: 'revoked' };
+    }
+
+    const keys = await ApiKey.find(filter)
+      .select(PUBLIC_FIELDS)
+      .sort({ createdAt: -1 });
+
+    const limit = await getKeyLimit(req.user.id);
+    const used = await ApiKey.countActiveKeys(req.user._id);
+
+    return ResponseUtil.success(res, {
+      keys: keys.map(formatKey),
+      limit: { used, max: limit }
+    }, 'API keys retrieved successfully');
+  } catch (error) {
+    console.error('❌ [API-KEYS] List error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch API keys', 500, 'FETCH_ERROR');
+  }
+});
+
+// Create API key - the secret is only returned in this response
+router.post('/', AuthMiddleware.authenticate, [
+  body('name').notEmpty().trim().isLength({ max: 100 }),
+  body('scopes').optional().isArray({ min: 1 }),
+  body('scopes.*').isIn(AVAILABLE_SCOPES).withMessage('Invalid scope'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }).toInt(),
+  body('allowedIPs').optional().isArray(),
+  body('allowedDomains').optional().isArray(),
+  body('environment').optional().isIn(['development', 'staging', 'production'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const { name, scopes, expiresInDays, allowedIPs, allowedDomains, environment } = req.body;
+
+    if (scopes?.includes('admin:all') && !['admin', 'superadmin'].includes(req.user.role)) {
+      return ResponseUtil.forbidden(res, 'admin:all scope requires an admin account');
+    }
+
+    // Enforce plan key limit
+    const limit = await getKeyLimit(req.user.id);
+    const created = await ApiKey.createKeyWithinLimit(req.user._id, limit, {
+      name,
+      scopes,
+      expiresIn: expiresInDays ? expiresInDays * 24 * 60 * 60 * 1000 : null,
+      allowedIPs,
+      allowedDomains,
+      environment
+    });
+    if (!created) {
+      return ResponseUtil.error(res, `Your plan allows ${limit} active API key(s)`, 403, 'API_KEY_LIMIT_REACHED');
+    }
+
+    console.log(`🔑 [API-KEYS] Key created for user ${req.user.email}: ${created.id}`);
+
+    return ResponseUtil.success(res, {
+      ...created,
+      warning: 'Store this key securely - it will not be shown again'
+    }, 'API key created successfully', 201);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return ResponseUtil.badRequest(res, error.message);
+    }
+    console.error('❌ [API-KEYS] Create error:', error);
+    return ResponseUtil.error(res, 'Failed to create API key', 500, 'CREATE_ERROR');
+  }
+});
+
+// Rotate API key - old key stays valid for the grace period
+router.post('/:id/rotate', AuthMiddleware.authenticate, [
+  param('id').isMongoId(),
+  body('gracePeriodHours').optional().isInt({ min: 0, max: MAX_GRACE_PERIOD_HOURS }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+    if (!apiKey) {
+      return ResponseUtil.notFound(res, 'API key');
+    }
+
+    if (apiKey.status !== 'active' || apiKey.rotatedAt) {
+      return ResponseUtil.badRequest(res, 'Only active keys that have not been rotated can be rotated');
+    }
+
+    const gracePeriodHours = req.body.gracePeriodHours ?? 24;
+    const replacement = await apiKey.rotate(gracePeriodHours * 60 * 60 * 1000);
+    if (!replacement) {
+      return ResponseUtil.badRequest(res, 'Only active keys that have not been rotated can be rotated');
+    }
+
+    console.log(`🔑 [API-KEYS] Key rotated for user ${req.user.email}: ${apiKey._id} -> ${replacement.id}`);
+
+    return ResponseUtil.success(res, {
+      ...replacement,
+      previousKey: {
+        id: apiKey._id,
+        expiresAt: apiKey.expiresAt
+      },
+      warning: 'Store this key securely - it will not be shown again'
+    }, 'API key rotated successfully', 201);
+  } catch (error) {
+    console.error('❌ [API-KEYS] Rotate error:', error);
+    return ResponseUtil.error(res, 'Failed to rotate API key', 500, 'ROTATE_ERROR');
+  }
+});
+
+// Revoke API key
+router.delete('/:id', AuthMiddleware.authenticate, [
+  param('id').isMongoId(),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+    if (!apiKey) {
+      return ResponseUtil.notFound(res, 'API key');
+    }
+
+    if (apiKey.status === 'revoked') {
+      return ResponseUtil.badRequest(res, 'API key is already revoked');
+    }
+
+    await apiKey.revoke(req.body.reason || 'Revoked by user');
+
+    console.log(`🔑 [API-KEYS] Key revoked for user ${req.user.email}: ${apiKey._id}`);
+
+    return ResponseUtil.success(res, formatKey(apiKey), 'API key revoked successfully');
+  } catch (error) {
+    console.error('❌ [API-KEYS] Revoke error:', error);
+    return ResponseUtil.error(res, 'Failed to revoke API key', 500, 'REVOKE_ERROR');
+  }
+});
+
+module.exports = router;
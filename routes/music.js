@@ -3,17 +3,17 @@ const router = express.Router();
 
 const AuthMiddleware = require('../middleware/auth-unified');
 const CreditLimitMiddleware = require('../middleware/credit-limit');
+const ModelInputMiddleware = require('../middleware/model-input');
 const ResponseUtil = require('../utils/response');
 
 const Music = require('../models/Music');
 const AIModel = require('../models/AIModel');
 const User = require('../models/User');
-const Usage = require('../models/Usage');
-const ProviderFactory = require('../services/ProviderFactory');
-const cloudflareService = require('../services/cloudflare');
+const StorageService = require('../services/StorageService');
+const StorageQuotaService = require('../services/StorageQuotaService');
 const CreditService = require('../services/CreditService');
 const FeaturedMusicService = require('../services/FeaturedMusicService');
-const ArtworkGenerationService = require('../services/ArtworkGenerationService');
+const MusicGenerationService = require('../services/MusicGenerationService');
 const { body, validationResult } = require('express-validator');
 
 // Get active AI models for frontend
@@ -26,10 +26,16 @@ router.get('/models',
         status: 'active',
         type: { $in: ['music', 'tts'] }
       })
-      .select('_id name displayName description type provider pricing capabilities')
+      .select('_id name displayName description type provider pricing capabilities config.inputSchema')
       .sort({ 'display.order': 1, displayName: 1 });
 
-      return ResponseUtil.success(res, models, 'Active models retrieved successfully');
+      // Clients build generation forms from inputSchema
+      const data = models.map(model => {
+        const { config, ...fields } = model.toObject();
+        return { ...fields, inputSchema: model.getInputSchema() };
+      });
+
+      return ResponseUtil.success(res, data, 'Active models retrieved successfully');
       
     } catch (error) {
       return ResponseUtil.error(res, 'Failed to fetch models', 500, 'MODELS_FETCH_ERROR');
@@ -41,155 +47,37 @@ router.post('/generate',
   AuthMiddleware.authenticate,
   [
     body('prompt').notEmpty().trim().escape(),
-    body('modelId').notEmpty().withMessage('Model ID is required'),
-    body('duration').optional().isInt({ min: 10, max: 240 }).toInt()
+    body('modelId').notEmpty().withMessage('Model ID is required')
   ],
+  ModelInputMiddleware.validate('music'), // Ranges, enums, lyrics/seed support from AIModel.config.inputSchema
   CreditLimitMiddleware.validateOperationLimits('music'),
   CreditLimitMiddleware.checkConcurrentLimit('music'),
-  CreditLimitMiddleware.requireCredits('music', (req) => ({
-    duration: req.body.duration || 30
+  CreditLimitMiddleware.checkStorageQuota('music', (req) => ({ duration: req.modelInput.duration || 30 })),
+  CreditLimitMiddleware.reserveCredits('music', (req) => ({
+    duration: req.modelInput.duration || 30,
+    modelId: req.body.modelId
   })),
   async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return ResponseUtil.validationError(res, errors.array());
-    }
-
-    const { prompt, modelId, duration = 30, style = '', lyrics = "" } = req.body;
+    const { modelId } = req.body;
     
-    console.log('🎵 [DEBUG] Request body:', { modelId, prompt: prompt?.substring(0, 30) });
-
-    // 1. Get AI Model from database
-    const aiModel = await AIModel.findById(modelId);
-    
-    if (aiModel) {
-      console.log('🎵 [DEBUG] AI Model found:', {
-        name: aiModel.name,
-        displayName: aiModel.displayName,
-        modelId: aiModel.provider?.modelId
-      });
-    } else {
-      console.log('🎵 [DEBUG] AI Model NOT found for ID:', modelId);
-    }
-    if (!aiModel) {
-      return ResponseUtil.notFound(res, 'AI Model');
-    }
-
-    if (aiModel.status !== 'active') {
-      return ResponseUtil.error(res, 'AI Model is not active', 400, 'MODEL_INACTIVE');
-    }
-
-    // 2. Get appropriate provider for this model
-    const provider = ProviderFactory.getProvider(aiModel);
-
-    // 3. Generate music using provider
-    const generationParams = {
-      prompt,
-      duration,
-      style,
-      lyrics: aiModel.type === 'tts' ? lyrics : undefined
-    };
-
-    const result = await provider.generateMusic(generationParams);
-
-    // 4. Generate artwork for the music
-    console.log('🎨 [GENERATE] Generating artwork for music...');
-    const artworkData = await ArtworkGenerationService.generateArtworkFromPrompt(
-      prompt, 
-      null, // genre 
-      null, // mood
-      null  // musicId - will be set after saving
-    );
-
-    // 4. Create music record with initial status
-    const music = new Music({
-      userId: req.user._id,
-      title: prompt.substring(0, 50), // Initial title
-      prompt,
-      duration,
-      style,
-      lyrics,
-      modelId: aiModel._id,
-      modelName: aiModel.displayName,
-      provider: aiModel.provider.name,
-      providerJobId: result.jobId,
-      status: 'processing',
-      estimatedTime: result.estimatedTime || 30,
-      progress: 0,
-      artworkData: artworkData,
-      artworkUrl: artworkData?.style?.background || artworkData?.gradient
+    console.log('🎵 [DEBUG] Request body:', { modelId, prompt: req.modelInput.prompt?.substring(0, 30) });
+
+    // 1. AI Model was loaded and checked by ModelInputMiddleware
+    const aiModel = req.aiModel;
+    console.log('🎵 [DEBUG] AI Model found:', {
+      name: aiModel.name,
+      displayName: aiModel.displayName,
+      modelId: aiModel.provider?.modelId
     });
 
-    await music.save();
-
-    // 5. Upload SVG artwork to CDN with musicId
-    try {
-      console.log('🎨 [GENERATE] Uploading SVG artwork to CDN...');
-      const updatedArtwork = await ArtworkGenerationService.generateArtworkFromPrompt(
-        prompt, 
-        null, // genre 
-        null, // mood
-        music._id.toString()  // Now we have musicId
-      );
-      
-      if (updatedArtwork.cdnUrl) {
-        music.artworkData = updatedArtwork;
-        music.artworkUrl = updatedArtwork.cdnUrl;
-        await music.save();
-        console.log('✅ [GENERATE] SVG artwork uploaded to CDN:', updatedArtwork.cdnUrl);
-      }
-    } catch (artworkError) {
-      console.error('❌ [GENERATE] Artwork upload failed:', artworkError);
-      // Continue without CDN artwork
-    }
-
-    // 6. Update AI Model usage statistics
-    await aiModel.updateUsage(true);
-
-    // 7. Credits will be deducted when music completes successfully (in MusicProcessor)
-    // This ensures failed generations don't consume credits
-
-    // 8. Create usage record
-    await Usage.createUsageRecord({
-      userId: req.user.id,
-      service: 'music',
-      operation: 'generate',
-      model: aiModel,
-      input: {
-        text: prompt,
-        characters: prompt.length,
-        duration: duration
-      },
-      output: {
-        duration: duration,
-        format: 'audio/mpeg',
-        url: music.audioUrl
-      },
-      parameters: {
-        style,
-        lyrics: lyrics?.substring(0, 100)
-      },
-      performance: {
-        processingTime: result.estimatedTime * 1000,
-        success: true
-      },
-      provider: {
-        name: aiModel.provider.name,
-        requestId: result.jobId
-      },
-      metadata: {
-        requestId: music._id.toString(),
-        endpoint: '/api/music/generate',
-        method: 'POST'
-      },
-      credits: req.creditInfo.cost,
-      creditCalculation: {
-        service: 'music',
-        baseRate: req.creditInfo.cost,
-        parameters: { duration }
-      },
-      plan: await CreditService.getPlanFromCache(req.creditInfo.plan.id)
+    // 2. Create queued record - submission, polling and finalization run on the job queue
+    const music = await MusicGenerationService.startGeneration({
+      user: req.user,
+      aiModel,
+      params: req.modelInput,
+      creditInfo: req.creditInfo,
+      metadata: { endpoint: '/api/music/generate' }
     });
 
     return ResponseUtil.success(res, {
@@ -210,11 +98,166 @@ router.post('/generate',
       }
     }, 'Music generation started successfully');
   } catch (error) {
+    if (error.code === 'PROVIDER_UNAVAILABLE') {
+      return ResponseUtil.providerUnavailable(res, error);
+    }
     console.error('❌ [GENERATE] Error:', error);
     return ResponseUtil.error(res, 'Failed to generate music', 500, 'GENERATION_ERROR', error.message);
   }
 });
 
+// ===============================
+// VERSIONS - variations, extend, remix
+// ===============================
+
+/**
+ * Load the parent track and build the derived generation input
+ * Runs before credit reservation so only the added duration is billed
+ */
+const loadDerivative = (operation) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const parent = await Music.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!parent) {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+    if (parent.status !== 'completed') {
+      return ResponseUtil.error(res, 'Only completed tracks can be used for new versions', 409, 'MUSIC_NOT_COMPLETED');
+    }
+
+    const aiModel = await AIModel.findById(parent.modelId);
+    if (!aiModel) {
+      return ResponseUtil.notFound(res, 'AI Model');
+    }
+    if (aiModel.status !== 'active') {
+      return ResponseUtil.error(res, 'AI Model is not active', 400, 'MODEL_INACTIVE');
+    }
+    if (operation === 'extend' && !aiModel.capabilities?.features?.continuation) {
+      return ResponseUtil.error(res, `${aiModel.displayName} cannot extend tracks`, 400, 'OPERATION_NOT_SUPPORTED');
+    }
+
+    const derivative = MusicGenerationService.buildDerivative(parent, operation, {
+      seconds: req.body.seconds,
+      style: req.body.style
+    });
+
+    const plan = await CreditService.getUserPlan(req.user._id);
+    if (derivative.params.duration > plan.limits.maxMusicDuration) {
+      return ResponseUtil.badRequest(res, `Duration too long. Maximum ${plan.limits.maxMusicDuration} seconds allowed.`, {
+        error: 'OPERATION_LIMIT_EXCEEDED',
+        details: {
+          limit: plan.limits.maxMusicDuration,
+          current: derivative.params.duration
+        }
+      });
+    }
+
+    req.aiModel = aiModel;
+    req.derivative = derivative;
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+    console.error(`❌ [MUSIC-${operation.toUpperCase()}] Error:`, error);
+    return ResponseUtil.error(res, 'Failed to prepare music generation', 500, 'GENERATION_ERROR');
+  }
+};
+
+const deriveMusic = (operation, validators = []) => [
+  AuthMiddleware.authenticate,
+  validators,
+  loadDerivative(operation),
+  CreditLimitMiddleware.checkConcurrentLimit('music'),
+  CreditLimitMiddleware.checkStorageQuota('music', (req) => ({ duration: req.derivative.params.duration })),
+  CreditLimitMiddleware.reserveCredits('music', (req) => ({
+    duration: req.derivative.billedDuration,
+    modelId: req.aiModel._id.toString()
+  })),
+  async (req, res) => {
+    try {
+      const { params, lineage } = req.derivative;
+
+      const music = await MusicGenerationService.startGeneration({
+        user: req.user,
+        aiModel: req.aiModel,
+        params,
+        lineage,
+        creditInfo: req.creditInfo,
+        metadata: { endpoint: req.originalUrl }
+      });
+
+      return ResponseUtil.success(res, {
+        _id: music._id,
+        title: music.title,
+        prompt: music.prompt,
+        style: music.style,
+        duration: music.duration,
+        parentId: music.parentId,
+        rootId: music.rootId,
+        operation: music.operation,
+        artworkUrl: music.artworkUrl,
+        artworkData: music.artworkData,
+        status: music.status,
+        createdAt: music.createdAt,
+        credits: {
+          reserved: req.creditInfo.cost,
+          status: 'pending_completion'
+        }
+      }, 'Music generation started successfully');
+    } catch (error) {
+      if (error.code === 'PROVIDER_UNAVAILABLE') {
+        return ResponseUtil.providerUnavailable(res, error);
+      }
+      console.error(`❌ [MUSIC-${operation.toUpperCase()}] Error:`, error);
+      return ResponseUtil.error(res, 'Failed to generate music', 500, 'GENERATION_ERROR', error.message);
+    }
+  }
+];
+
+// New take of a track with a different seed
+router.post('/:id/variations', deriveMusic('variation'));
+
+// Continue a track by N seconds
+router.post('/:id/extend', deriveMusic('extend', [
+  body('seconds').isInt({ min: 5, max: 120 }).withMessage('seconds must be between 5 and 120').toInt()
+]));
+
+// Same lyrics in a new style
+router.post('/:id/remix', deriveMusic('remix', [
+  body('style').trim().notEmpty().withMessage('Style is required').isLength({ max: 200 })
+]));
+
+// Every version in a track's tree - the client builds the tree from parentId
+router.get('/:id/versions', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const music = await Music.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!music) {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+
+    const rootId = music.rootId || music._id;
+    const versions = await Music.find({
+      userId: req.user._id,
+      $or: [{ _id: rootId }, { rootId }]
+    })
+      .select('title prompt style duration status operation parentId rootId audioUrl cdnUrl artworkUrl createdAt')
+      .sort({ createdAt: 1 });
+
+    return ResponseUtil.success(res, { rootId, versions }, 'Music versions retrieved successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+    console.error('❌ [MUSIC-VERSIONS] Error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch music versions', 500, 'FETCH_ERROR');
+  }
+});
+
 // Get user's music (both endpoints for compatibility)
 router.get('/', AuthMiddleware.authenticate, async (req, res) => {
   try {
@@ -275,6 +318,108 @@ router.get('/:id', AuthMiddleware.authenticate, async (req, res) => {
   }
 });
 
+// Download link - public tracks get their CDN URL, private ones a short-lived signed URL
+router.get('/:id/download', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const music = await Music.findById(req.params.id);
+    if (!music) {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+
+    if (music.userId.toString() !== req.user._id.toString() && !music.isPublic) {
+      return ResponseUtil.forbidden(res, 'You do not have access to this music');
+    }
+
+    if (music.status === 'expired') {
+      return ResponseUtil.error(res, 'This track was deleted under your plan\'s file retention', 410, 'FILE_EXPIRED');
+    }
+    if (music.status !== 'completed' || !music.cdnUrl) {
+      return ResponseUtil.error(res, 'Music is not ready for download', 409, 'NOT_READY');
+    }
+
+    let download;
+    if (StorageService.isPrivate(music.cdnUrl)) {
+      const { key } = StorageService.parse(music.cdnUrl);
+      const extension = key.includes('.') ? key.slice(key.lastIndexOf('.')) : '';
+      download = StorageService.getSignedUrl(key, {
+        fileName: `${music.title || 'music'}${extension}`
+      });
+    } else {
+      download = { url: music.cdnUrl, expiresAt: null };
+    }
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(302, download.url);
+    }
+    return ResponseUtil.success(res, download, 'Download URL created successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+    console.error('❌ [MUSIC-DOWNLOAD] Error:', error);
+    return ResponseUtil.error(res, 'Failed to create download URL', 500, 'DOWNLOAD_ERROR');
+  }
+});
+
+// Make a track public (served from the CDN) or private (signed URLs only)
+router.patch('/:id/visibility', AuthMiddleware.authenticate, [
+  body('isPublic').isBoolean().withMessage('isPublic must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const music = await Music.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!music) {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+
+    await MusicGenerationService.setVisibility(music, req.body.isPublic);
+
+    return ResponseUtil.success(res, { _id: music._id, isPublic: music.isPublic }, 'Music visibility updated successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+    console.error('❌ [MUSIC-VISIBILITY] Error:', error);
+    return ResponseUtil.error(res, 'Failed to update music visibility', 500, 'UPDATE_ERROR');
+  }
+});
+
+// Pin a track to keep it past the plan's file retention (clears a pending deletion warning)
+router.patch('/:id/pin', AuthMiddleware.authenticate, [
+  body('pinned').isBoolean().withMessage('pinned must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const music = await Music.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      {
+        $set: { pinned: req.body.pinned },
+        $unset: { 'retention.warnedAt': 1, 'retention.expiresAt': 1 }
+      },
+      { new: true }
+    );
+    if (!music) {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+
+    return ResponseUtil.success(res, { _id: music._id, pinned: music.pinned }, 'Music pin updated successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+    console.error('❌ [MUSIC-PIN] Error:', error);
+    return ResponseUtil.error(res, 'Failed to update music pin', 500, 'UPDATE_ERROR');
+  }
+});
+
 // Delete music
 router.delete('/:id', AuthMiddleware.authenticate, async (req, res) => {
   try {
@@ -289,11 +434,13 @@ router.delete('/:id', AuthMiddleware.authenticate, async (req, res) => {
       return ResponseUtil.forbidden(res, 'You can only delete your own music');
     }
 
-    // Delete from CDN
-    await cloudflareService.deleteFile(music.fileUrl);
+    // Delete from CDN (public or private storage)
+    await StorageService.delete(music.cdnUrl || music.fileUrl);
+    await StorageService.delete(music.artworkFileUrl);
 
-    // Delete from database
+    // Delete from database and give the space back
     await music.deleteOne();
+    await StorageQuotaService.release(music);
 
     return ResponseUtil.success(res, null, 'Music deleted successfully');
   } catch (error) {
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+
+const Music = require('../models/Music');
+const ProviderRouter = require('../services/ProviderRouter');
+const ReplicateProvider = require('../services/providers/ReplicateProvider');
+const MusicProcessor = require('../services/MusicProcessor');
+const logger = require('../services/logger');
+
+/**
+ * Finalize a music record from a Replicate prediction
+ * When the webhook is unsigned the status is re-fetched from Replicate instead of trusting the body
+ */
+const finalizeMusic = async (music, prediction, verified) => {
+  const served = await ProviderRouter.getServingProvider(music.modelId, music.servedBy);
+  if (!served) {
+    await MusicProcessor.markAsFailed(music, 'AI Model not found');
+    return;
+  }
+
+  const result = verified
+    ? {
+        status: prediction.status,
+        error: prediction.error,
+        output: prediction.output,
+        audioUrl: prediction.output
+      }
+    : await served.provider.checkStatus(prediction.id);
+
+  await MusicProcessor.applyStatus(music, result, served.aiModel.name);
+};
+
+// Replicate prediction completed (registered by ReplicateProvider.generateMusic)
+router.post('/replicate', async (req, res) => {
+  try {
+    const verified = !!process.env.REPLICATE_WEBHOOK_SECRET;
+
+    if (verified) {
+      const isValid = await ReplicateProvider.verifyWebhook(req.headers, req.rawBody);
+      if (!isValid) {
+        logger.warn('❌ [PROVIDER-WEBHOOK] Invalid Replicate webhook signature');
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+      }
+    } else {
+      logger.warn('⚠️ [PROVIDER-WEBHOOK] REPLICATE_WEBHOOK_SECRET not configured - status will be re-fetched from Replicate');
+    }
+
+    const prediction = req.body;
+    if (!prediction?.id || !prediction.status) {
+      return res.status(400).json({ error: 'Invalid prediction payload' });
+    }
+
+    const music = await Music.findOne({ providerJobId: prediction.id });
+    if (!music || !['generating', 'processing'].includes(music.status)) {
+      // Unknown or already finalized (e.g. by the reconciliation sweep) - acknowledge so Replicate stops retrying
+      return res.status(200).json({ received: true });
+    }
+
+    logger.info(`🎵 [PROVIDER-WEBHOOK] Replicate prediction ${prediction.id} ${prediction.status} for music ${music._id}`);
+
+    // Acknowledge immediately, finalize in background (artwork/CDN work can take a while)
+    res.status(200).json({ received: true });
+
+    finalizeMusic(music, prediction, verified).catch(error => {
+      logger.error(`❌ [PROVIDER-WEBHOOK] Failed to finalize music ${music._id}:`, error);
+    });
+  } catch (error) {
+    logger.error('❌ [PROVIDER-WEBHOOK] Replicate webhook error:', error);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+module.exports = router;
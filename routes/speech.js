@@ -4,83 +4,102 @@ const AuthMiddleware = require('../middleware/auth-unified');
 const ResponseUtil = require('../utils/response');
 const Speech = require('../models/Speech');
 const User = require('../models/User');
-const replicateService = require('../services/replicate');
-const cloudflareService = require('../services/cloudflare');
+const StorageService = require('../services/StorageService');
+const StorageQuotaService = require('../services/StorageQuotaService');
+const CreditLimitMiddleware = require('../middleware/credit-limit');
+const EnterpriseCreditService = require('../services/EnterpriseCreditService');
+const SpeechGenerationService = require('../services/SpeechGenerationService');
+const { SpeechGenerationError } = SpeechGenerationService;
+const LongFormSpeechService = require('../services/LongFormSpeechService');
 const { body, validationResult } = require('express-validator');
 
+// Report express-validator errors before any credits are reserved
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
 // Generate speech
 router.post('/generate', AuthMiddleware.authenticate, [
-  body('text').notEmpty().trim().isLength({ max: 5000 }),
+  body('text').notEmpty().trim(), // Length is limited per plan (maxTtsLength)
   body('voiceId').notEmpty(),
   body('voiceName').notEmpty(),
-  body('model').optional().isIn(['speech-2.5-hd', 'speech-2.5', 'speech-1.0'])
-], async (req, res) => {
+  body('modelId').optional().isMongoId()
+],
+rejectInvalid,
+CreditLimitMiddleware.validateOperationLimits('tts'),
+CreditLimitMiddleware.checkStorageQuota('tts'),
+CreditLimitMiddleware.reserveCredits('tts'),
+async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+    const { text, voiceId, mood, modelId } = req.body;
+
+    const voice = await SpeechGenerationService.resolveVoice(voiceId, mood, req.user._id);
+    if (!voice) {
+      return res.status(404).json({ error: 'Voice not found' });
     }
 
-    const { text, voiceId, voiceName, model = 'speech-2.5-hd', language = 'en' } = req.body;
-    const creditsNeeded = 5;
+    const aiModel = await SpeechGenerationService.resolveModel(modelId);
+    if (!aiModel) {
+      return res.status(404).json({ error: 'TTS model not found' });
+    }
 
-    // Check user credits
-    if (req.user.credits < creditsNeeded) {
-      return res.status(402).json({ 
-        error: 'Insufficient credits',
-        creditsNeeded,
-        creditsAvailable: req.user.credits
+    // Text over the model's input limit is chunked and rendered in the background
+    if (SpeechGenerationService.isLongForm(aiModel, text)) {
+      const speech = await LongFormSpeechService.startGeneration({
+        user: req.user,
+        text,
+        voice,
+        aiModel,
+        creditInfo: req.creditInfo
       });
-    }
 
-    // Check voice slots
-    if (req.user.voiceSlots.used >= req.user.voiceSlots.total) {
-      return res.status(402).json({ 
-        error: 'Voice slot limit reached',
-        slotsUsed: req.user.voiceSlots.used,
-        slotsTotal: req.user.voiceSlots.total
+      return res.status(202).json({
+        speech: {
+          id: speech._id,
+          text: speech.text,
+          voiceName: speech.voiceName,
+          status: speech.status,
+          totalChunks: speech.longForm.totalChunks,
+          createdAt: speech.createdAt
+        },
+        creditsReserved: req.creditInfo.cost
       });
     }
 
-    // Generate speech with Replicate (or another TTS service)
-    const audioUrl = await replicateService.generateSpeech(text, voiceId, model);
-
-    // Upload to Cloudflare CDN
-    const cdnUrl = await cloudflareService.uploadAudio(audioUrl, `speech-${Date.now()}.mp3`);
-
-    // Create speech record
-    const speech = new Speech({
-      userId: req.user._id,
-      text,
-      voiceId,
-      voiceName,
-      fileUrl: cdnUrl,
-      duration: Math.ceil(text.length / 150) * 60, // Rough estimate
-      language,
-      model,
-      credits: creditsNeeded
-    });
+    const speech = await SpeechGenerationService.generate(req.user, text, voice, { aiModel });
 
-    await speech.save();
-
-    // Deduct credits and update voice slots
-    req.user.credits -= creditsNeeded;
-    req.user.voiceSlots.used += 1;
-    await req.user.save();
+    // Speech is already generated - don't fail the request if credit consumption fails
+    let consumption = null;
+    try {
+      consumption = await EnterpriseCreditService.consumeReservedCredits(req.creditInfo.reservationId, { speechId: speech._id });
+    } catch (creditError) {
+      console.error('Speech credit consumption error:', creditError);
+    }
 
     res.json({
       speech: {
         id: speech._id,
         text: speech.text,
         voiceName: speech.voiceName,
-        fileUrl: speech.fileUrl,
+        fileUrl: StorageService.resolveUrl(speech.audioUrl),
         duration: speech.duration,
         createdAt: speech.createdAt
       },
-      creditsRemaining: req.user.credits,
-      voiceSlotsRemaining: req.user.voiceSlots.total - req.user.voiceSlots.used
+      creditsConsumed: req.creditInfo.cost,
+      creditsRemaining: consumption?.remainingCredits
     });
   } catch (error) {
+    if (error.code === 'PROVIDER_UNAVAILABLE') {
+      res.set('Retry-After', String(error.retryAfter || 5));
+      return res.status(503).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof SpeechGenerationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Speech generation error:', error);
     res.status(500).json({ error: 'Error generating speech' });
   }
@@ -134,6 +153,78 @@ router.get('/:id', AuthMiddleware.authenticate, async (req, res) => {
   }
 });
 
+// Download link - a short-lived signed URL, for the owner only
+router.get('/:id/download', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const speech = await Speech.findById(req.params.id);
+
+    if (!speech) {
+      return res.status(404).json({ error: 'Speech not found' });
+    }
+
+    if (speech.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (speech.status === 'expired') {
+      return res.status(410).json({ error: 'This speech was deleted under your plan\'s file retention', code: 'FILE_EXPIRED' });
+    }
+    if (!speech.audioUrl) {
+      return res.status(409).json({ error: 'Speech is not ready for download', code: 'NOT_READY' });
+    }
+
+    // Speech created before private storage still has a public CDN URL
+    let download = { url: speech.audioUrl, expiresAt: null };
+    if (StorageService.isPrivate(speech.audioUrl)) {
+      const { key } = StorageService.parse(speech.audioUrl);
+      download = StorageService.getSignedUrl(key, { fileName: key.split('/').pop() });
+    }
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(302, download.url);
+    }
+    res.json(download);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Speech not found' });
+    }
+    console.error('❌ [SPEECH-DOWNLOAD] Error:', error);
+    res.status(500).json({ error: 'Error creating download URL' });
+  }
+});
+
+// Pin speech to keep it past the plan's file retention (clears a pending deletion warning)
+router.patch('/:id/pin', AuthMiddleware.authenticate, [
+  body('pinned').isBoolean().withMessage('pinned must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const speech = await Speech.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      {
+        $set: { pinned: req.body.pinned },
+        $unset: { 'retention.warnedAt': 1, 'retention.expiresAt': 1 }
+      },
+      { new: true }
+    );
+    if (!speech) {
+      return res.status(404).json({ error: 'Speech not found' });
+    }
+
+    res.json({ id: speech._id, pinned: speech.pinned });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Speech not found' });
+    }
+    console.error('❌ [SPEECH-PIN] Error:', error);
+    res.status(500).json({ error: 'Error updating speech pin' });
+  }
+});
+
 // Delete speech
 router.delete('/:id', AuthMiddleware.authenticate, async (req, res) => {
   try {
@@ -148,19 +239,16 @@ router.delete('/:id', AuthMiddleware.authenticate, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Delete from CDN
-    await cloudflareService.deleteFile(speech.fileUrl);
+    // Delete from CDN, with any long-form chunks still waiting to be stitched
+    await StorageService.delete(speech.audioUrl);
+    await LongFormSpeechService.deleteChunks(speech);
 
-    // Delete from database
+    // Delete from database and give the space back
     await speech.deleteOne();
-
-    // Update voice slots
-    req.user.voiceSlots.used = Math.max(0, req.user.voiceSlots.used - 1);
-    await req.user.save();
+    await StorageQuotaService.release(speech);
 
     res.json({ 
-      message: 'Speech deleted successfully',
-      voiceSlotsRemaining: req.user.voiceSlots.total - req.user.voiceSlots.used
+      message: 'Speech deleted successfully'
     });
   } catch (error) {
     res.status(500).json({ error: 'Error deleting speech' });
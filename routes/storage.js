@@ -0,0 +1,53 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const router = express.Router();
+const StorageService = require('../services/StorageService');
+
+/**
+ * Static file serving for the local and memory storage drivers (development and tests)
+ * With R2/S3 files are served by the CDN and this route answers 404
+ */
+router.get('/*', async (req, res) => {
+  if (!StorageService.servesFiles) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    const key = req.params[0] || '';
+    const file = await StorageService.stat(key);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    // The frontend runs on another origin in development
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    if (file.contentType) {
+      res.type(file.contentType);
+    }
+
+    // Local files go through sendFile for Range support (audio seeking)
+    const driver = StorageService.driver;
+    if (typeof driver.resolve === 'function') {
+      return res.sendFile(driver.resolve(key));
+    }
+
+    const { stream, size } = await StorageService.get(key);
+    res.set('Content-Length', String(size));
+    // Headers are already sent if the read fails midway - cut the response short
+    pipeline(stream, res, error => {
+      if (error) {
+        console.error(`❌ [STORAGE] Stream error for ${key}:`, error.message);
+        res.destroy(error);
+      }
+    });
+  } catch (error) {
+    if (error.message.startsWith('Invalid storage key')) {
+      return res.status(400).json({ error: 'Invalid file path' });
+    }
+    console.error('❌ [STORAGE] File serve error:', error);
+    res.status(500).json({ error: 'Failed to read file' });
+  }
+});
+
+module.exports = router;
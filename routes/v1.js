@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticateApiKey, requireScope, trackApiKeyUsage } = require('../middleware/auth');
+const CreditLimitMiddleware = require('../middleware/credit-limit');
+const ModelInputMiddleware = require('../middleware/model-input');
+const ResponseUtil = require('../utils/response');
+
+const Music = require('../models/Music');
+const Speech = require('../models/Speech');
+const VoiceModel = require('../models/VoiceModel');
+const CreditService = require('../services/CreditService');
+const EnterpriseCreditService = require('../services/EnterpriseCreditService');
+const MusicGenerationService = require('../services/MusicGenerationService');
+const SpeechGenerationService = require('../services/SpeechGenerationService');
+const { SpeechGenerationError } = SpeechGenerationService;
+const LongFormSpeechService = require('../services/LongFormSpeechService');
+const StorageService = require('../services/StorageService');
+const { body, validationResult } = require('express-validator');
+
+// Public developer API - every route requires an API key (x-api-key header)
+router.use(authenticateApiKey);
+router.use(trackApiKeyUsage);
+
+// Report express-validator errors before any credits are reserved
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return ResponseUtil.validationError(res, errors.array());
+  }
+  next();
+};
+
+// Generate music
+router.post('/music/generate',
+  requireScope('music:write'),
+  [
+    body('prompt').notEmpty().trim().escape(),
+    body('modelId').notEmpty().withMessage('Model ID is required')
+  ],
+  ModelInputMiddleware.validate('music'),
+  CreditLimitMiddleware.validateOperationLimits('music'),
+  CreditLimitMiddleware.checkConcurrentLimit('music'),
+  CreditLimitMiddleware.checkStorageQuota('music', (req) => ({ duration: req.modelInput.duration || 30 })),
+  CreditLimitMiddleware.reserveCredits('music', (req) => ({
+    duration: req.modelInput.duration || 30,
+    modelId: req.body.modelId
+  })),
+  async (req, res) => {
+  try {
+    const music = await MusicGenerationService.startGeneration({
+      user: req.user,
+      aiModel: req.aiModel,
+      params: req.modelInput,
+      creditInfo: req.creditInfo,
+      metadata: {
+        endpoint: '/api/v1/music/generate',
+        apiKeyId: req.apiKey._id.toString()
+      }
+    });
+
+    req.apiKeyUsage = { musicGenerations: 1 };
+
+    return ResponseUtil.success(res, {
+      id: music._id,
+      status: music.status,
+      prompt: music.prompt,
+      duration: music.duration,
+      estimatedTime: music.estimatedTime,
+      credits: {
+        reserved: req.creditInfo.cost,
+        status: 'pending_completion'
+      }
+    }, 'Music generation started successfully', 202);
+  } catch (error) {
+    if (error.code === 'PROVIDER_UNAVAILABLE') {
+      return ResponseUtil.providerUnavailable(res, error);
+    }
+    console.error('❌ [API-V1] Music generation error:', error);
+    return ResponseUtil.error(res, 'Failed to generate music', 500, 'GENERATION_ERROR');
+  }
+});
+
+// Get generated music status/result
+router.get('/music/:id', requireScope('music:read'), async (req, res) => {
+  try {
+    const music = await Music.findOne({ _id: req.params.id, userId: req.user._id })
+      .select('title prompt duration style status progress pipeline.stage audioUrl cdnUrl artworkUrl error createdAt');
+
+    if (!music) {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+
+    return ResponseUtil.success(res, music, 'Music retrieved successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Music');
+    }
+    console.error('❌ [API-V1] Music fetch error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch music', 500, 'FETCH_ERROR');
+  }
+});
+
+// Generate speech
+router.post('/tts/generate',
+  requireScope('tts:write'),
+  [
+    body('text').notEmpty().withMessage('Text is required'),
+    body('voiceId').notEmpty().withMessage('Voice ID is required'),
+    body('modelId').optional().isMongoId()
+  ],
+  rejectInvalid,
+  CreditLimitMiddleware.validateOperationLimits('tts'),
+  CreditLimitMiddleware.checkStorageQuota('tts'),
+  CreditLimitMiddleware.reserveCredits('tts'),
+  async (req, res) => {
+  try {
+    const { text, voiceId, mood, modelId } = req.body;
+
+    const voice = await SpeechGenerationService.resolveVoice(voiceId, mood, req.user._id);
+    if (!voice) {
+      return ResponseUtil.notFound(res, 'Voice');
+    }
+
+    const aiModel = await SpeechGenerationService.resolveModel(modelId);
+    if (!aiModel) {
+      return ResponseUtil.notFound(res, 'TTS model');
+    }
+
+    // Text over the model's input limit is chunked and rendered in the background
+    if (SpeechGenerationService.isLongForm(aiModel, text)) {
+      const speech = await LongFormSpeechService.startGeneration({
+        user: req.user,
+        text,
+        voice,
+        aiModel,
+        creditInfo: req.creditInfo
+      });
+
+      req.apiKeyUsage = { ttsCharacters: text.length };
+
+      return ResponseUtil.success(res, {
+        id: speech._id,
+        status: speech.status,
+        voice: voice.name,
+        characters: text.length,
+        totalChunks: speech.longForm.totalChunks,
+        credits: {
+          reserved: req.creditInfo.cost,
+          status: 'pending_completion'
+        }
+      }, 'Long-form speech generation started successfully', 202);
+    }
+
+    const speech = await SpeechGenerationService.generate(req.user, text, voice, { aiModel });
+
+    // Speech is already generated - don't fail the request if credit consumption fails
+    let consumption = null;
+    try {
+      consumption = await EnterpriseCreditService.consumeReservedCredits(req.creditInfo.reservationId, {
+        speechId: speech._id,
+        apiKeyId: req.apiKey._id.toString()
+      });
+    } catch (creditError) {
+      console.error('❌ [API-V1] Credit consumption error:', creditError);
+    }
+
+    req.apiKeyUsage = { ttsCharacters: text.length };
+
+    return ResponseUtil.success(res, {
+      id: speech._id,
+      audioUrl: StorageService.resolveUrl(speech.audioUrl),
+      voice: voice.name,
+      characters: text.length,
+      credits: {
+        consumed: req.creditInfo.cost,
+        remaining: consumption?.remainingCredits
+      }
+    }, 'Speech generated successfully');
+  } catch (error) {
+    if (error.code === 'PROVIDER_UNAVAILABLE') {
+      return ResponseUtil.providerUnavailable(res, error);
+    }
+    if (error instanceof SpeechGenerationError) {
+      return ResponseUtil.error(res, error.message, error.status, error.code);
+    }
+    console.error('❌ [API-V1] TTS generation error:', error);
+    return ResponseUtil.error(res, 'Failed to generate speech', 500, 'GENERATION_ERROR');
+  }
+});
+
+// Get generated speech status/result
+router.get('/tts/:id', requireScope('tts:read'), async (req, res) => {
+  try {
+    const speech = await Speech.findOne({ _id: req.params.id, userId: req.user._id })
+      .select('text voiceName status progress error audioUrl duration longForm.totalChunks longForm.completedChunks createdAt');
+
+    if (!speech) {
+      return ResponseUtil.notFound(res, 'Speech');
+    }
+
+    return ResponseUtil.success(res, speech, 'Speech retrieved successfully');
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return ResponseUtil.notFound(res, 'Speech');
+    }
+    console.error('❌ [API-V1] Speech fetch error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch speech', 500, 'FETCH_ERROR');
+  }
+});
+
+// List available voices
+router.get('/voices', requireScope('voice:read'), async (req, res) => {
+  try {
+    const voices = await VoiceModel.find({ isActive: true, ...VoiceModel.visibleTo(req.user._id) })
+      .select('name description gender age language previewUrl baseVoiceName mood isPartOfGroup')
+      .sort({ createdAt: -1 });
+
+    return ResponseUtil.success(res, voices, 'Voices retrieved successfully');
+  } catch (error) {
+    console.error('❌ [API-V1] Voice list error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch voices', 500, 'FETCH_ERROR');
+  }
+});
+
+// Usage for this API key and the owning account
+router.get('/usage', requireScope('usage:read'), async (req, res) => {
+  try {
+    const creditInfo = await CreditService.getUserCreditInfo(req.user.id);
+
+    return ResponseUtil.success(res, {
+      apiKey: {
+        id: req.apiKey._id,
+        name: req.apiKey.name,
+        totalRequests: req.apiKey.usage.totalRequests,
+        currentMonth: req.apiKey.getMonthlyUsage(req.query.month),
+        rateLimit: req.apiKey.rateLimit
+      },
+      credits: creditInfo
+    }, 'Usage retrieved successfully');
+  } catch (error) {
+    console.error('❌ [API-V1] Usage error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch usage', 500, 'USAGE_ERROR');
+  }
+});
+
+module.exports = router;
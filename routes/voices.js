@@ -2,14 +2,16 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const VoiceModel = require('../models/VoiceModel');
-const Speech = require('../models/Speech');
 const AuthMiddleware = require('../middleware/auth-unified');
-const cloudflareService = require('../services/cloudflare');
-const Replicate = require('replicate');
-
-const replicate = new Replicate({
-  auth: process.env.REPLICATE_API_TOKEN,
-});
+const CreditLimitMiddleware = require('../middleware/credit-limit');
+const EnterpriseCreditService = require('../services/EnterpriseCreditService');
+const StorageService = require('../services/StorageService');
+const SpeechGenerationService = require('../services/SpeechGenerationService');
+const { SpeechGenerationError } = require('../services/SpeechGenerationService');
+const LongFormSpeechService = require('../services/LongFormSpeechService');
+const VoiceCloneService = require('../services/VoiceCloneService');
+const { VoiceCloneError } = require('../services/VoiceCloneService');
+const { SsmlError } = require('../utils/ssml');
 
 // Multer configuration for file uploads
 const upload = multer({
@@ -33,11 +35,11 @@ const upload = multer({
   }
 });
 
-// Get all active voices (public)
-router.get('/list', async (req, res) => {
+// Get all active voices (public) - signed-in users also get their own cloned voices
+router.get('/list', AuthMiddleware.optionalAuth, async (req, res) => {
   try {
-    const voices = await VoiceModel.find({ isActive: true })
-      .select('name description gender age language previewUrl artwork')
+    const voices = await VoiceModel.find({ isActive: true, ...VoiceModel.visibleTo(req.user?._id) })
+      .select('name description gender age language previewUrl artwork owner')
       .sort({ createdAt: -1 });
     
     res.json({
@@ -50,9 +52,9 @@ router.get('/list', async (req, res) => {
 });
 
 // Get voices grouped by base name (for Voice Library)
-router.get('/list-grouped', async (req, res) => {
+router.get('/list-grouped', AuthMiddleware.optionalAuth, async (req, res) => {
   try {
-    const voices = await VoiceModel.find({ isActive: true })
+    const voices = await VoiceModel.find({ isActive: true, ...VoiceModel.visibleTo(req.user?._id) })
       .select('name description gender age language previewUrl artwork baseVoiceName mood isPartOfGroup groupId')
       .sort({ createdAt: -1 });
     
@@ -83,7 +85,7 @@ router.get('/list-grouped', async (req, res) => {
       } else {
         // Single voice
         grouped[voice.name] = {
-          ...voice.toObject(),
+          ...voice.toJSON(),
           isGroup: false,
           moods: []
         };
@@ -126,17 +128,17 @@ router.get('/moods/:baseVoiceName', async (req, res) => {
 });
 
 // Get voice preview
-router.get('/preview/:id', async (req, res) => {
+router.get('/preview/:id', AuthMiddleware.optionalAuth, async (req, res) => {
   try {
     const voice = await VoiceModel.findById(req.params.id);
-    if (!voice) {
+    if (!voice || !voice.isAccessibleBy(req.user?._id)) {
       return res.status(404).json({ error: 'Voice not found' });
     }
     
     res.json({
       success: true,
       name: voice.name,
-      previewUrl: voice.previewUrl || voice.audioFile
+      previewUrl: StorageService.resolveUrl(voice.previewUrl || voice.audioFile)
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to get preview' });
@@ -144,93 +146,221 @@ router.get('/preview/:id', async (req, res) => {
 });
 
 // Generate TTS
-router.post('/generate-tts', AuthMiddleware.authenticate, async (req, res) => {
-  try {
-    const { text, voiceId, mood } = req.body;
-    
-    if (!text || !voiceId) {
-      return res.status(400).json({ error: 'Text and voiceId required' });
+router.post('/generate-tts',
+  AuthMiddleware.authenticate,
+  // Reject incomplete requests before any credits are reserved
+  (req, res, next) => {
+    const { text, ssml, voiceId } = req.body;
+    if ((!text && !ssml) || !voiceId) {
+      return res.status(400).json({ error: 'Text (or ssml) and voiceId required' });
     }
+    next();
+  },
+  CreditLimitMiddleware.requireFeature('ssmlSupport', req => !!req.body.ssml),
+  CreditLimitMiddleware.validateOperationLimits('tts'),
+  CreditLimitMiddleware.checkStorageQuota('tts'),
+  CreditLimitMiddleware.reserveCredits('tts'),
+  async (req, res) => {
+  try {
+    const { text, ssml, voiceId, mood, modelId } = req.body;
     
-    let voice;
-    
-    // Check if voiceId is ObjectId or group name
-    try {
-      // First try as ObjectId for single voices
-      voice = await VoiceModel.findById(voiceId);
-    } catch (err) {
-      // Not an ObjectId, try as baseVoiceName for groups
-      voice = null;
-    }
-    
-    if (!voice) {
-      // Try finding by baseVoiceName and mood for multi-mood groups
-      if (mood) {
-        voice = await VoiceModel.findOne({ 
-          baseVoiceName: voiceId, 
-          mood: mood,
-          isActive: true 
-        });
-      } else {
-        // Try finding first available mood for this group (sorted for consistency)
-        voice = await VoiceModel.findOne({ 
-          baseVoiceName: voiceId,
-          isActive: true 
-        }).sort({ mood: 1, createdAt: 1 });
-      }
-    }
+    const voice = await SpeechGenerationService.resolveVoice(voiceId, mood, req.user._id);
     
     if (!voice) {
       return res.status(404).json({ error: 'Voice not found' });
     }
     
-    // Generate with Resemble-AI Chatterbox
-    const output = await replicate.run(
-      "resemble-ai/chatterbox",
-      {
-        input: {
-          prompt: text,
-          audio_prompt: voice.audioFile,
-          seed: 0,
-          cfg_weight: 0.5,
-          temperature: 0.8,
-          exaggeration: 0.5
-        }
-      }
-    );
+    const aiModel = await SpeechGenerationService.resolveModel(modelId);
     
-    // Upload to CDN
-    const timestamp = Date.now();
-    const fileName = `tts_${req.user._id}_${timestamp}.mp3`;
-    const cdnUrl = await cloudflareService.uploadAudio(output, fileName, 'VeeqAI/Text_to_Speech');
-    
-    // Save to database
-    const speech = new Speech({
-      userId: req.user._id,
-      text: text,
-      voiceId: voice.name,
-      voiceName: voice.name,
-      audioUrl: cdnUrl,
-      model: 'chatterbox',
-      status: 'completed'
-    });
-    await speech.save();
+    if (!aiModel) {
+      return res.status(404).json({ error: 'TTS model not found' });
+    }
     
-    // Update voice usage
-    voice.usageCount += 1;
-    await voice.save();
+    // Text over the model's input limit is chunked and rendered in the background
+    if (!ssml && SpeechGenerationService.isLongForm(aiModel, text)) {
+      const speech = await LongFormSpeechService.startGeneration({
+        user: req.user,
+        text,
+        voice,
+        aiModel,
+        creditInfo: req.creditInfo
+      });
+
+      return res.status(202).json({
+        success: true,
+        speechId: speech._id,
+        status: speech.status,
+        totalChunks: speech.longForm.totalChunks
+      });
+    }
+
+    // SSML takes precedence - <voice> tags override the request voice per segment
+    const speech = ssml
+      ? await SpeechGenerationService.generateFromSsml(req.user, ssml, voice, { aiModel })
+      : await SpeechGenerationService.generate(req.user, text, voice, { aiModel });
+
+    // Speech is already generated - don't fail the request if credit consumption fails
+    try {
+      await EnterpriseCreditService.consumeReservedCredits(req.creditInfo.reservationId, {
+        speechId: speech._id,
+        ssml: !!ssml
+      });
+    } catch (creditError) {
+      console.error('TTS credit consumption error:', creditError);
+    }
     
     res.json({
       success: true,
-      audioUrl: cdnUrl,
+      audioUrl: StorageService.resolveUrl(speech.audioUrl),
       speechId: speech._id
     });
   } catch (error) {
+    if (error instanceof SsmlError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof SpeechGenerationError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'PROVIDER_UNAVAILABLE') {
+      res.set('Retry-After', String(error.retryAfter || 5));
+      return res.status(503).json({ error: error.message, code: error.code });
+    }
     console.error('TTS Generation Error:', error);
     res.status(500).json({ error: 'TTS generation failed: ' + error.message });
   }
 });
 
+// Voice cloning consent statement and upload requirements
+router.get('/clone/consent', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      consent: VoiceCloneService.getConsent(),
+      requirements: VoiceCloneService.getRequirements(),
+      slots: await VoiceCloneService.getSlots(req.user._id)
+    });
+  } catch (error) {
+    console.error('Voice clone consent error:', error);
+    res.status(500).json({ error: 'Failed to load voice cloning requirements' });
+  }
+});
+
+// User: list own cloned voices
+router.get('/my', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const voices = await VoiceModel.find({ owner: req.user._id })
+      .select('name description gender age language previewUrl isActive usageCount source createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      voices,
+      slots: await VoiceCloneService.getSlots(req.user._id)
+    });
+  } catch (error) {
+    console.error('My voices error:', error);
+    res.status(500).json({ error: 'Failed to fetch voices' });
+  }
+});
+
+// User: clone a voice from a reference recording (private to the user)
+router.post('/clone',
+  AuthMiddleware.authenticate,
+  CreditLimitMiddleware.requireFeature('voiceCloning'),
+  (req, res, next) => {
+    upload.single('audioFile')(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      next();
+    });
+  },
+  // Reject incomplete requests and unusable recordings before any credits are reserved
+  (req, res, next) => {
+    const { name, consent } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Voice name required' });
+    }
+    if (consent !== true && consent !== 'true') {
+      return res.status(400).json({ error: 'You must accept the voice cloning consent statement', code: 'CONSENT_REQUIRED' });
+    }
+
+    try {
+      VoiceCloneService.validateAudio(req.file);
+    } catch (error) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    next();
+  },
+  CreditLimitMiddleware.checkStorageQuota('voice-clone-creation', req => ({ fileSize: req.file.size })),
+  CreditLimitMiddleware.reserveCredits('voice-clone-creation'),
+  async (req, res) => {
+  try {
+    const { name, description, gender, age, language, consent } = req.body;
+
+    const voice = await VoiceCloneService.createClone({
+      user: req.user,
+      file: req.file,
+      details: { name: name.trim(), description, gender, age, language },
+      consent: {
+        accepted: consent === true || consent === 'true',
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    // Voice is already stored - don't fail the request if credit consumption fails
+    try {
+      await EnterpriseCreditService.consumeReservedCredits(req.creditInfo.reservationId, { voiceId: voice._id });
+    } catch (creditError) {
+      console.error('Voice clone credit consumption error:', creditError);
+    }
+
+    res.status(201).json({
+      success: true,
+      voice: {
+        _id: voice._id,
+        name: voice.name,
+        description: voice.description,
+        gender: voice.gender,
+        age: voice.age,
+        language: voice.language,
+        previewUrl: StorageService.resolveUrl(voice.previewUrl),
+        source: voice.source
+      },
+      creditsConsumed: req.creditInfo.cost,
+      slots: await VoiceCloneService.getSlots(req.user._id)
+    });
+  } catch (error) {
+    if (error instanceof VoiceCloneError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Voice clone error:', error);
+    res.status(500).json({ error: 'Voice cloning failed' });
+  }
+});
+
+// User: delete own cloned voice and free its slot
+router.delete('/my/:id', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const deleted = await VoiceCloneService.deleteClone(req.user._id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Voice not found' });
+    }
+
+    res.json({
+      success: true,
+      slots: await VoiceCloneService.getSlots(req.user._id)
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Voice not found' });
+    }
+    console.error('Voice delete error:', error);
+    res.status(500).json({ error: 'Failed to delete voice' });
+  }
+});
+
 // Admin: Upload and clone voice (Single Mode)
 router.post('/admin/upload', AuthMiddleware.authenticate, AuthMiddleware.requireSuperAdmin, upload.fields([
   { name: 'audioFile', maxCount: 1 },
@@ -249,14 +379,14 @@ router.post('/admin/upload', AuthMiddleware.authenticate, AuthMiddleware.require
     const timestamp = Date.now();
     const originalFileName = `${name}_${timestamp}_original.${audioFile.originalname.split('.').pop()}`;
     const originalPath = `VeeqAI/Voice_Clone/${originalFileName}`;
-    const cdnOriginal = await cloudflareService.uploadFromBuffer(audioFile.buffer, originalPath);
+    const { url: cdnOriginal } = await StorageService.upload(originalPath, audioFile.buffer, { contentType: audioFile.mimetype });
     
     // Upload artwork if provided
     let artworkUrl = null;
     if (artworkFile) {
       const artworkFileName = `${name}_${timestamp}_artwork.${artworkFile.originalname.split('.').pop()}`;
       const artworkPath = `VeeqAI/Artwork/${artworkFileName}`;
-      artworkUrl = await cloudflareService.uploadFromBuffer(artworkFile.buffer, artworkPath);
+      artworkUrl = (await StorageService.upload(artworkPath, artworkFile.buffer, { contentType: artworkFile.mimetype })).url;
     }
     
     // Create voice model
@@ -320,7 +450,7 @@ router.post('/admin/upload-group', AuthMiddleware.authenticate, AuthMiddleware.r
       const timestamp = Date.now();
       const artworkFileName = `${baseVoiceName}_${timestamp}_artwork.${artworkFile.originalname.split('.').pop()}`;
       const artworkPath = `VeeqAI/Artwork/${artworkFileName}`;
-      artworkUrl = await cloudflareService.uploadFromBuffer(artworkFile.buffer, artworkPath);
+      artworkUrl = (await StorageService.upload(artworkPath, artworkFile.buffer, { contentType: artworkFile.mimetype })).url;
     }
     
     // Generate group ID
@@ -333,7 +463,7 @@ router.post('/admin/upload-group', AuthMiddleware.authenticate, AuthMiddleware.r
       const timestamp = Date.now();
       const moodFileName = `${baseVoiceName}_${mood}_${timestamp}.${moodFile.originalname.split('.').pop()}`;
       const moodPath = `VeeqAI/Voice_Clone/${moodFileName}`;
-      const cdnUrl = await cloudflareService.uploadFromBuffer(moodFile.buffer, moodPath);
+      const { url: cdnUrl } = await StorageService.upload(moodPath, moodFile.buffer, { contentType: moodFile.mimetype });
       
       // Create voice model for this mood
       const voiceModel = new VoiceModel({
@@ -414,7 +544,7 @@ router.put('/admin/:id', AuthMiddleware.authenticate, AuthMiddleware.requireSupe
       const timestamp = Date.now();
       const artworkFileName = `${name}_${timestamp}_artwork.${artworkFile.originalname.split('.').pop()}`;
       const artworkPath = `VeeqAI/Artwork/${artworkFileName}`;
-      updateData.artwork = await cloudflareService.uploadFromBuffer(artworkFile.buffer, artworkPath);
+      updateData.artwork = (await StorageService.upload(artworkPath, artworkFile.buffer, { contentType: artworkFile.mimetype })).url;
     }
     
     const voice = await VoiceModel.findByIdAndUpdate(
@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+
+const AuthMiddleware = require('../middleware/auth-unified');
+const ResponseUtil = require('../utils/response');
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const CreditService = require('../services/CreditService');
+const WebhookService = require('../services/WebhookService');
+const { body, param, query, validationResult } = require('express-validator');
+
+const formatWebhook = (webhook) => ({
+  id: webhook._id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  status: webhook.status,
+  stats: webhook.stats,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt
+});
+
+// Webhooks require the plan (or a subscription override) to include the feature
+const getWebhookAccess = async (req) => {
+  const plan = await CreditService.getUserPlan(req.user.id);
+  return {
+    enabled: plan.hasFeature('webhooks') || req.subscription?.features?.webhooks === true,
+    limit: plan.limits?.webhooks ?? 0
+  };
+};
+
+// List available events
+router.get('/events', AuthMiddleware.authenticate, (req, res) => {
+  return ResponseUtil.success(res, Webhook.EVENTS, 'Webhook events retrieved successfully');
+});
+
+// List user's webhooks
+router.get('/', AuthMiddleware.authenticate, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ user: req.user._id }).sort({ createdAt: -1 });
+    const access = await getWebhookAccess(req);
+
+    return ResponseUtil.success(res, {
+      webhooks: webhooks.map(formatWebhook),
+      limit: { used: webhooks.length, max: access.enabled ? access.limit : 0 }
+    }, 'Webhooks retrieved successfully');
+  } catch (error) {
+    console.error('❌ [WEBHOOKS] List error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch webhooks', 500, 'FETCH_ERROR');
+  }
+});
+
+// Register webhook endpoint - the signing secret is only returned in this response
+router.post('/', AuthMiddleware.authenticate, [
+  body('url').isURL({ protocols: ['https'], require_protocol: true }).withMessage('A valid HTTPS URL is required'),
+  body('events').isArray({ min: 1 }),
+  body('events.*').isIn(Webhook.EVENTS).withMessage('Invalid event'),
+  body('description').optional().trim().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const access = await getWebhookAccess(req);
+    if (!access.enabled) {
+      return ResponseUtil.error(res, 'Webhooks are not available on your plan', 403, 'FEATURE_NOT_AVAILABLE');
+    }
+
+    const count = await Webhook.countDocuments({ user: req.user._id });
+    if (access.limit !== -1 && count >= access.limit) {
+      return ResponseUtil.error(res, `Your plan allows ${access.limit} webhook endpoint(s)`, 403, 'WEBHOOK_LIMIT_REACHED');
+    }
+
+    const { url, events, description } = req.body;
+    const webhook = new Webhook({
+      user: req.user._id,
+      url,
+      events: [...new Set(events)],
+      description,
+      secret: Webhook.generateSecret()
+    });
+    await webhook.save();
+
+    console.log(`🪝 [WEBHOOKS] Endpoint registered for user ${req.user.email}: ${webhook._id}`);
+
+    return ResponseUtil.success(res, {
+      ...formatWebhook(webhook),
+      secret: webhook.secret,
+      warning: 'Store this signing secret securely - it will not be shown again'
+    }, 'Webhook created successfully', 201);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return ResponseUtil.badRequest(res, error.message);
+    }
+    console.error('❌ [WEBHOOKS] Create error:', error);
+    return ResponseUtil.error(res, 'Failed to create webhook', 500, 'CREATE_ERROR');
+  }
+});
+
+// Update webhook endpoint
+router.put('/:id', AuthMiddleware.authenticate, [
+  param('id').isMongoId(),
+  body('url').optional().isURL({ protocols: ['https'], require_protocol: true }).withMessage('A valid HTTPS URL is required'),
+  body('events').optional().isArray({ min: 1 }),
+  body('events.*').isIn(Webhook.EVENTS).withMessage('Invalid event'),
+  body('description').optional().trim().isLength({ max: 200 }),
+  body('status').optional().isIn(['active', 'disabled'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, user: req.user._id });
+    if (!webhook) {
+      return ResponseUtil.notFound(res, 'Webhook');
+    }
+
+    const { url, events, description, status } = req.body;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (status !== undefined) {
+      webhook.status = status;
+      if (status === 'active') {
+        webhook.stats.consecutiveFailures = 0;
+      }
+    }
+    await webhook.save();
+
+    return ResponseUtil.success(res, formatWebhook(webhook), 'Webhook updated successfully');
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return ResponseUtil.badRequest(res, error.message);
+    }
+    console.error('❌ [WEBHOOKS] Update error:', error);
+    return ResponseUtil.error(res, 'Failed to update webhook', 500, 'UPDATE_ERROR');
+  }
+});
+
+// Delete webhook endpoint
+router.delete('/:id', AuthMiddleware.authenticate, [
+  param('id').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!webhook) {
+      return ResponseUtil.notFound(res, 'Webhook');
+    }
+
+    console.log(`🪝 [WEBHOOKS] Endpoint deleted for user ${req.user.email}: ${webhook._id}`);
+
+    return ResponseUtil.success(res, null, 'Webhook deleted successfully');
+  } catch (error) {
+    console.error('❌ [WEBHOOKS] Delete error:', error);
+    return ResponseUtil.error(res, 'Failed to delete webhook', 500, 'DELETE_ERROR');
+  }
+});
+
+// Delivery log for a webhook endpoint
+router.get('/:id/deliveries', AuthMiddleware.authenticate, [
+  param('id').isMongoId(),
+  query('status').optional().isIn(['pending', 'retrying', 'success', 'failed'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, user: req.user._id });
+    if (!webhook) {
+      return ResponseUtil.notFound(res, 'Webhook');
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    return ResponseUtil.paginated(res, deliveries, { page, limit, total }, 'Webhook deliveries retrieved successfully');
+  } catch (error) {
+    console.error('❌ [WEBHOOKS] Deliveries error:', error);
+    return ResponseUtil.error(res, 'Failed to fetch webhook deliveries', 500, 'FETCH_ERROR');
+  }
+});
+
+// Manually redeliver a logged delivery
+router.post('/deliveries/:deliveryId/redeliver', AuthMiddleware.authenticate, [
+  param('deliveryId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return ResponseUtil.validationError(res, errors.array());
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, user: req.user._id });
+    if (!delivery) {
+      return ResponseUtil.notFound(res, 'Webhook delivery');
+    }
+
+    const webhook = await Webhook.findById(delivery.webhook);
+    if (!webhook || webhook.status !== 'active') {
+      return ResponseUtil.badRequest(res, 'Webhook endpoint is deleted or disabled');
+    }
+
+    const redelivery = await WebhookService.redeliver(delivery);
+
+    return ResponseUtil.success(res, redelivery, 'Webhook redelivery queued', 202);
+  } catch (error) {
+    console.error('❌ [WEBHOOKS] Redeliver error:', error);
+    return ResponseUtil.error(res, 'Failed to redeliver webhook', 500, 'REDELIVER_ERROR');
+  }
+});
+
+module.exports = router;
@@ -27,6 +27,10 @@ async function clearMockModels() {
       }
     }
 
+    // Models seeded by seed-mock-models.js
+    const providerResult = await AIModel.deleteMany({ 'provider.name': 'mock' });
+    console.log(`✅ Deleted ${providerResult.deletedCount} model(s) using the mock provider`);
+
     // Tüm modelleri göster
     const remainingModels = await AIModel.find({});
     console.log(`\n📊 Remaining models: ${remainingModels.length}`);
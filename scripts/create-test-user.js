@@ -28,6 +28,7 @@ async function createTestUser() {
         email: 'test@test.com',
         password: hashedPassword,
         isVerified: true,
+        emailVerified: true,
         role: 'user'
       });
       console.log('Created new user');
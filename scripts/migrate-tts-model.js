@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const AIModel = require('../models/AIModel');
+const User = require('../models/User');
+const { replicateModels } = require('./seed-replicate-models');
+
+// Load environment variables
+dotenv.config();
+
+// Text-to-speech runs on the default 'tts' AIModel (SpeechGenerationService.resolveModel).
+// Deployments from before TTS was model-driven have none - this adds Chatterbox, the model
+// the voices route used to call directly.
+const DEFAULT_TTS_MODEL = 'resemble-chatterbox';
+
+async function migrateTtsModel() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/veeqai');
+    console.log('✅ Connected to MongoDB');
+
+    const current = await AIModel.findDefault('tts');
+    if (current) {
+      console.log(`⚠️  Skipped: ${current.displayName} is already the default TTS model`);
+      return;
+    }
+
+    const modelData = replicateModels.find(model => model.name === DEFAULT_TTS_MODEL);
+    const existing = await AIModel.findOne({ name: modelData.name });
+    if (existing) {
+      // Seeded earlier but switched off
+      existing.status = 'active';
+      await existing.save();
+      console.log(`✅ Reactivated: ${existing.displayName}`);
+      return;
+    }
+
+    const adminUser = await User.findOne({ role: 'superadmin' });
+    const model = new AIModel({
+      ...modelData,
+      createdBy: adminUser?._id,
+      updatedBy: adminUser?._id
+    });
+    await model.save();
+    console.log(`✅ Added: ${model.displayName}`);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run the migration
+if (require.main === module) {
+  migrateTtsModel();
+}
+
+module.exports = { migrateTtsModel };
@@ -54,7 +54,9 @@ const creditPlans = [
       teamMembers: 1,
       concurrentGenerations: 1,
       maxMusicDuration: 30, // 30 seconds max
-      maxTtsLength: 1000 // 1000 characters max per request
+      maxTtsLength: 1000, // 1000 characters max per request
+      maxBatchItems: 0,
+      voiceSlots: 0
     },
     features: {
       textToSpeech: true,
@@ -150,7 +152,9 @@ const creditPlans = [
       teamMembers: 1,
       concurrentGenerations: 2,
       maxMusicDuration: 60, // 60 seconds
-      maxTtsLength: 5000
+      maxTtsLength: 5000,
+      maxBatchItems: 0,
+      voiceSlots: 1
     },
     features: {
       textToSpeech: true,
@@ -246,7 +250,9 @@ const creditPlans = [
       teamMembers: 3,
       concurrentGenerations: 5,
       maxMusicDuration: 120, // 2 minutes
-      maxTtsLength: 10000
+      maxTtsLength: 10000,
+      maxBatchItems: 50,
+      voiceSlots: 3
     },
     features: {
       textToSpeech: true,
@@ -342,7 +348,9 @@ const creditPlans = [
       teamMembers: 10,
       concurrentGenerations: 10,
       maxMusicDuration: 300, // 5 minutes
-      maxTtsLength: 25000
+      maxTtsLength: 25000,
+      maxBatchItems: 200,
+      voiceSlots: -1
     },
     features: {
       textToSpeech: true,
@@ -438,7 +446,9 @@ const creditPlans = [
       teamMembers: 100,
       concurrentGenerations: 50,
       maxMusicDuration: 600, // 10 minutes
-      maxTtsLength: 100000
+      maxTtsLength: 100000,
+      maxBatchItems: 1000,
+      voiceSlots: -1
     },
     features: {
       textToSpeech: true,
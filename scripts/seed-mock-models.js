@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const AIModel = require('../models/AIModel');
+require('dotenv').config();
+
+// Offline models backed by the 'mock' provider (services/providers/MockProvider.js)
+// For development and CI only - the provider isn't registered in production unless ENABLE_MOCK_PROVIDER=true
+const mockModels = [
+  {
+    name: 'mock-music',
+    displayName: 'Mock Music',
+    description: 'Scripted music generation for offline development and integration tests.',
+    type: 'music',
+    category: 'experimental',
+    provider: {
+      name: 'mock',
+      modelId: 'mock/music'
+    },
+    config: {
+      defaultParameters: {
+        scenario: 'success',
+        queuedMs: 1000,
+        processingMs: 4000
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          prompt: { type: 'string', minLength: 1, maxLength: 500 },
+          duration: { type: 'integer', minimum: 5, maximum: 300, default: 30 },
+          style: { type: 'string', maxLength: 200 },
+          lyrics: { type: 'string', maxLength: 3000 },
+          seed: { type: 'integer', minimum: 0, maximum: 2147483647 },
+          // Per-request timeline, so tests can pick an outcome
+          scenario: { type: 'string', enum: ['success', 'failure', 'error', 'stalled'] },
+          queuedMs: { type: 'integer', minimum: 0, maximum: 600000 },
+          processingMs: { type: 'integer', minimum: 0, maximum: 600000 }
+        },
+        required: ['prompt']
+      },
+      inputFormats: ['text', 'audio'],
+      outputFormats: ['audio/wav'],
+      maxInputLength: 500,
+      maxOutputDuration: 300
+    },
+    capabilities: {
+      features: {
+        voiceCloning: false,
+        emotionControl: false,
+        speedControl: false,
+        pitchControl: false,
+        multiSpeaker: false,
+        ssml: false,
+        continuation: true
+      }
+    },
+    pricing: {
+      model: 'per-generation',
+      baseCost: 0,
+      markup: 1.0,
+      currency: 'USD'
+    },
+    status: 'active',
+    availability: {
+      plans: ['free', 'starter', 'pro', 'enterprise'],
+      regions: ['us', 'eu'],
+      restrictions: []
+    },
+    display: {
+      order: 99,
+      featured: false,
+      icon: '🧪',
+      color: '#9CA3AF',
+      tags: ['music', 'mock', 'offline']
+    }
+  },
+  {
+    name: 'mock-tts',
+    displayName: 'Mock TTS',
+    description: 'Scripted text-to-speech for offline development and integration tests.',
+    type: 'tts',
+    category: 'experimental',
+    provider: {
+      name: 'mock',
+      modelId: 'mock/tts'
+    },
+    config: {
+      defaultParameters: {
+        scenario: 'success',
+        queuedMs: 0,
+        processingMs: 1000
+      },
+      inputFormats: ['text', 'audio'],
+      outputFormats: ['audio/wav'],
+      // Low limit so long-form chunking is exercised with short scripts
+      maxInputLength: 500
+    },
+    capabilities: {
+      languages: [
+        { code: 'en', name: 'English', quality: 'basic' }
+      ],
+      features: {
+        voiceCloning: true,
+        emotionControl: false,
+        speedControl: false,
+        pitchControl: false,
+        multiSpeaker: false,
+        ssml: true
+      }
+    },
+    pricing: {
+      model: 'per-character',
+      baseCost: 0,
+      markup: 1.0,
+      creditMultiplier: 1,
+      currency: 'USD'
+    },
+    status: 'active',
+    availability: {
+      plans: ['free', 'starter', 'pro', 'enterprise'],
+      regions: ['us', 'eu'],
+      restrictions: []
+    },
+    display: {
+      order: 99,
+      featured: false,
+      icon: '🧪',
+      color: '#9CA3AF',
+      tags: ['tts', 'mock', 'offline']
+    }
+  }
+];
+
+async function seedMockModels() {
+  if (process.env.NODE_ENV === 'production' && process.env.ENABLE_MOCK_PROVIDER !== 'true') {
+    console.error('❌ Refusing to seed mock models in production. Set ENABLE_MOCK_PROVIDER=true to override.');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Upsert so re-running resets timelines changed by earlier test runs
+    for (const modelData of mockModels) {
+      await AIModel.findOneAndUpdate(
+        { name: modelData.name },
+        { $set: modelData },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+      console.log(`✅ Seeded: ${modelData.displayName}`);
+    }
+
+    console.log('\n🎉 Mock model seeding completed!');
+
+  } catch (error) {
+    console.error('❌ Seeding failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Run the seeding
+if (require.main === module) {
+  seedMockModels();
+}
+
+module.exports = { seedMockModels, mockModels };
@@ -3,7 +3,7 @@ const AIModel = require('../models/AIModel');
 const User = require('../models/User');
 require('dotenv').config();
 
-// Replicate'deki aktif music modelleri - sadece Google Lyria-2
+// Replicate'deki aktif modeller - Google Lyria-2 (music), Chatterbox (tts)
 const replicateModels = [
   {
     name: 'google-lyria-2',
@@ -21,6 +21,17 @@ const replicateModels = [
         quality: '48khz_stereo',
         negative_prompt: 'low quality, distorted, noise, static'
       },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          prompt: { type: 'string', minLength: 1, maxLength: 200 },
+          duration: { type: 'integer', minimum: 10, maximum: 180, default: 30 },
+          style: { type: 'string', maxLength: 200 },
+          negative_prompt: { type: 'string', maxLength: 500 },
+          seed: { type: 'integer', minimum: 0, maximum: 2147483647 }
+        },
+        required: ['prompt']
+      },
       inputFormats: ['text'],
       outputFormats: ['audio/wav'],
       maxInputLength: 200,
@@ -73,6 +84,118 @@ const replicateModels = [
       color: '#10B981',
       tags: ['music', 'ai', 'high-quality', 'stereo']
     }
+  },
+  {
+    name: 'resemble-chatterbox',
+    displayName: 'Chatterbox',
+    description: 'Zero-shot voice cloning text-to-speech from a short reference clip.',
+    type: 'tts',
+    category: 'standard',
+    provider: {
+      name: 'replicate',
+      modelId: 'resemble-ai/chatterbox',
+      apiEndpoint: 'https://api.replicate.com'
+    },
+    config: {
+      defaultParameters: {
+        seed: 0,
+        cfg_weight: 0.5,
+        temperature: 0.8,
+        exaggeration: 0.5
+      },
+      inputMapping: {
+        text: 'prompt',
+        voice: 'audio_prompt',
+        emphasis: 'exaggeration'
+      },
+      inputFormats: ['text', 'audio'],
+      outputFormats: ['audio/wav'],
+      maxInputLength: 5000
+    },
+    capabilities: {
+      languages: [
+        { code: 'en', name: 'English', quality: 'native' }
+      ],
+      features: {
+        voiceCloning: true,
+        emotionControl: true,
+        speedControl: false,
+        pitchControl: false,
+        multiSpeaker: false,
+        ssml: true
+      }
+    },
+    pricing: {
+      model: 'per-character',
+      baseCost: 0.00002,
+      markup: 2.0,
+      creditMultiplier: 1,
+      currency: 'USD'
+    },
+    status: 'active',
+    availability: {
+      plans: ['free', 'starter', 'pro', 'enterprise'],
+      regions: ['us', 'eu'],
+      restrictions: []
+    },
+    display: {
+      order: 1,
+      featured: true,
+      icon: '🗣️',
+      color: '#6366F1',
+      tags: ['tts', 'voice-cloning']
+    }
+  },
+  {
+    name: 'local-voice-isolator',
+    displayName: 'Local Voice Isolator',
+    description: 'In-process voice isolation for offline development. Band-limits speech and gates background noise.',
+    type: 'voice-isolator',
+    category: 'experimental',
+    provider: {
+      name: 'local',
+      modelId: 'local/voice-isolator'
+    },
+    config: {
+      defaultParameters: {
+        highPassHz: 100,
+        lowPassHz: 7000,
+        gateDb: -45
+      },
+      inputFormats: ['audio'],
+      outputFormats: ['audio/wav'],
+      maxOutputDuration: 1800
+    },
+    capabilities: {
+      features: {
+        voiceCloning: false,
+        emotionControl: false,
+        speedControl: false,
+        pitchControl: false,
+        multiSpeaker: false,
+        ssml: false
+      }
+    },
+    pricing: {
+      model: 'per-second',
+      baseCost: 0,
+      markup: 1.0,
+      creditMultiplier: 1,
+      currency: 'USD'
+    },
+    status: 'active',
+    availability: {
+      plans: ['starter', 'pro', 'enterprise'],
+      regions: ['us', 'eu'],
+      restrictions: []
+    },
+    display: {
+      order: 1,
+      featured: false,
+      icon: '🎧',
+      color: '#0EA5E9',
+      tags: ['voice-isolator', 'offline']
+    }
   }
 ];
 
@@ -132,4 +255,8 @@ async function seedModels() {
 }
 
 // Run the seeding
-seedModels();
\ No newline at end of file
+if (require.main === module) {
+  seedModels();
+}
+
+module.exports = { seedModels, replicateModels };
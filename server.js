@@ -36,8 +36,13 @@ console.log('🔄 [DEBUG] Loading MusicProcessor...');
 const MusicProcessor = require('./services/MusicProcessor');
 console.log('🔄 [DEBUG] MusicProcessor loaded');
 
+console.log('🔄 [DEBUG] Loading EnterpriseCreditService...');
+const EnterpriseCreditService = require('./services/EnterpriseCreditService');
+console.log('🔄 [DEBUG] EnterpriseCreditService loaded');
+
 console.log('🔄 [DEBUG] Loading monitoring...');
 const monitoring = require('./services/monitoring');
+const ProviderGuard = require('./services/ProviderGuard');
 console.log('🔄 [DEBUG] All services loaded successfully');
 
 // Security middleware
@@ -86,7 +91,14 @@ app.options('*', (req, res) => {
 });
 
 console.log('🔄 [DEBUG] Applying JSON middleware...');
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for signature verification of inbound provider webhooks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/provider-webhooks')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 console.log('🔄 [DEBUG] JSON middleware applied');
 
@@ -113,12 +125,35 @@ function loadRoutes() {
   console.log('🔄 [DEBUG] Payment routes loaded');
   console.log('🔄 [DEBUG] Loading admin routes...');
   app.use('/api/admin', require('./routes/admin'));
+  console.log('🔄 [DEBUG] Loading API key routes...');
+  app.use('/api/keys', require('./routes/keys')); // Self-service API key management
+  console.log('🔄 [DEBUG] Loading webhook routes...');
+  app.use('/api/webhooks', require('./routes/webhooks')); // Customer webhook endpoints
+  console.log('🔄 [DEBUG] Loading batch routes...');
+  app.use('/api/batches', require('./routes/batches')); // Batch generation (batchProcessing plans)
+  console.log('🔄 [DEBUG] Loading audio tool routes...');
+  app.use('/api/audio', require('./routes/audio')); // Audio tools - voice isolator
+  console.log('🔄 [DEBUG] Loading provider webhook routes...');
+  app.use('/api/provider-webhooks', require('./routes/provider-webhooks')); // Inbound AI provider callbacks - signature verified
+  console.log('🔄 [DEBUG] Loading public API v1 routes...');
+  app.use('/api/v1', require('./routes/v1')); // Developer API - API key auth
+  console.log('🔄 [DEBUG] Loading file download routes...');
+  app.use('/api/files', require('./routes/files')); // Signed, expiring links to private files
+  console.log('🔄 [DEBUG] Loading storage routes...');
+  app.use('/storage', require('./routes/storage')); // Local/memory storage driver files - 404 with R2/S3
   console.log('🔄 [DEBUG] All routes loaded successfully');
 }
 
 // Health check
+// Per-provider breaker and load details are admin-only: GET /api/admin/providers/health
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Server is running' });
+  const { providers } = ProviderGuard.getStats();
+  const degraded = Object.values(providers).some(provider => provider.state !== 'CLOSED');
+
+  res.json({
+    status: degraded ? 'DEGRADED' : 'OK',
+    message: degraded ? 'Server is running, some AI providers are unavailable' : 'Server is running'
+  });
 });
 
 // Metrics endpoint for Prometheus
@@ -158,6 +193,28 @@ async function initializeServices() {
     loadRoutes();
     console.log('🔄 [DEBUG] Routes loaded successfully after DB connection');
     
+    // Initialize job queue (webhook deliveries and other background jobs) - requires Redis
+    try {
+      await RedisManager.initialize();
+      if (RedisManager.isConnected) {
+        await JobQueue.initialize();
+        logger.info('✅ [SERVICES] JobQueue initialized');
+        await JobQueue.scheduleRetentionSweep(); // Deletes files past their plan's retention
+        await EventBus.initialize(); // Delivers pipeline progress events to WebSocket clients
+        logger.info('✅ [SERVICES] EventBus initialized');
+      } else {
+        logger.warn('⚠️ [JOBQUEUE] Redis not connected - background jobs will run inline');
+      }
+    } catch (queueError) {
+      logger.warn('⚠️ [JOBQUEUE] Failed to initialize:', queueError.message);
+    }
+
+    // Music processor - reconciles generations whose queue job or provider webhook went missing
+    MusicProcessor.start();
+
+    // Release credit reservations whose operation never consumed or cancelled them
+    EnterpriseCreditService.startReservationSweep();
+
     console.log('🔄 [DEBUG] Step 3 - Starting WebSocket initialization...');
     // Initialize WebSocket without Redis
     try {
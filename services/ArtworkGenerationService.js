@@ -1,5 +1,5 @@
 const logger = require('./logger');
-const cloudflareService = require('./cloudflare');
+const StorageService = require('./StorageService');
 
 /**
  * HSL-based Artwork Generation Service
@@ -50,8 +50,10 @@ class ArtworkGenerationService {
       if (musicId) {
         logger.info(`📤 [ARTWORK] Attempting CDN upload for music: ${musicId}`);
         try {
-          cdnUrl = await this.uploadToCDN(musicId, svgContent);
+          const upload = await this.uploadToCDN(musicId, svgContent);
+          cdnUrl = upload.url;
           artworkData.cdnUrl = cdnUrl;
+          artworkData.cdnBytes = upload.size;
           logger.info(`✅ [ARTWORK] CDN upload successful: ${cdnUrl}`);
         } catch (uploadError) {
           logger.error(`❌ [ARTWORK] CDN upload failed for music ${musicId}:`, uploadError);
@@ -642,6 +644,7 @@ class ArtworkGenerationService {
 
   /**
    * Upload SVG to CDN using VeeqAI/Artwork/ path
+   * @returns {Promise<Object>} { url, size } - size is counted against the owner's storage quota
    */
   static async uploadToCDN(musicId, svgContent) {
     try {
@@ -652,15 +655,13 @@ class ArtworkGenerationService {
       // Convert SVG string to buffer
       const svgBuffer = Buffer.from(svgContent, 'utf8');
       
-      // Upload to Cloudflare R2
-      const cdnUrl = await cloudflareService.uploadBuffer(
-        svgBuffer,
-        cdnPath,
-        'image/svg+xml'
-      );
+      // Upload to CDN
+      const upload = await StorageService.upload(cdnPath, svgBuffer, {
+        contentType: 'image/svg+xml'
+      });
       
-      logger.info(`☁️ [ARTWORK] Uploaded to CDN: ${cdnUrl}`);
-      return cdnUrl;
+      logger.info(`☁️ [ARTWORK] Uploaded to CDN: ${upload.url}`);
+      return upload;
       
     } catch (error) {
       logger.error(`❌ [ARTWORK] CDN upload failed:`, error);
@@ -0,0 +1,619 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const Music = require('../models/Music');
+const Speech = require('../models/Speech');
+const AIModel = require('../models/AIModel');
+const CreditService = require('./CreditService');
+const EnterpriseCreditService = require('./EnterpriseCreditService');
+const MusicGenerationService = require('./MusicGenerationService');
+const SpeechGenerationService = require('./SpeechGenerationService');
+const LongFormSpeechService = require('./LongFormSpeechService');
+const ProviderRouter = require('./ProviderRouter');
+const EventBus = require('./events/EventBus');
+const JobQueue = require('./queue/JobQueue');
+const WebhookService = require('./WebhookService');
+const StorageService = require('./StorageService');
+const CsvUtil = require('../utils/csv');
+const SchemaUtil = require('../utils/schema');
+const ZipUtil = require('../utils/zip');
+const logger = require('./logger');
+
+// The batch hold must outlive every item it funds
+const BATCH_RESERVATION_TTL = 24 * 60 * 60;
+// An item marked processing that never got a result record was interrupted mid-dispatch
+const DISPATCH_TIMEOUT_MS = 10 * 60 * 1000;
+// A tick holding the batch lock longer than this is assumed dead and the lock is taken over
+const TICK_LOCK_MS = 5 * 60 * 1000;
+
+const MANIFEST_COLUMNS = ['index', 'status', 'input', 'audioUrl', 'credits', 'resultId', 'error'];
+// Private outputs are listed with signed URLs valid this long (seconds)
+const MANIFEST_URL_TTL = 24 * 60 * 60;
+
+class BatchError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'BatchError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Batch generation for plans with the batchProcessing feature
+ *
+ * Credits for the whole batch are reserved up front; each item draws its own share
+ * (EnterpriseCreditService.splitReservation) and runs through the regular music or
+ * long-form TTS pipeline, so failed items release their share like any other generation.
+ * A 'batch' JobQueue tick keeps up to Plan.limits.concurrentGenerations items in flight,
+ * collects results and finally releases whatever is left of the hold.
+ */
+class BatchService {
+  constructor() {
+    this.tickInterval = 10000;
+  }
+
+  /**
+   * Read batch items from an uploaded CSV/JSON file or a JSON request body
+   * @param {Object} file - multer file (optional)
+   * @param {Array} items - Items from a JSON body (used when there is no file)
+   * @returns {Array<Object>} Raw items
+   */
+  parseItems(file, items) {
+    if (!file) {
+      if (!Array.isArray(items)) {
+        throw new BatchError('Provide items as a JSON array or upload a CSV/JSON file', 'INVALID_BATCH');
+      }
+      return items;
+    }
+
+    const content = file.buffer.toString('utf8');
+    const isJson = file.mimetype === 'application/json' || file.originalname?.toLowerCase().endsWith('.json');
+
+    try {
+      if (isJson) {
+        const parsed = JSON.parse(content);
+        const list = Array.isArray(parsed) ? parsed : parsed.items;
+        if (!Array.isArray(list)) {
+          throw new Error('JSON must be an array or { "items": [...] }');
+        }
+        return list;
+      }
+      return CsvUtil.parse(content);
+    } catch (error) {
+      throw new BatchError(`Could not read batch file: ${error.message}`, 'INVALID_BATCH');
+    }
+  }
+
+  /**
+   * Validate the items, reserve credits for all of them and queue the batch
+   * @param {Object} options
+   * @param {Object} options.user - Authenticated user document
+   * @param {string} options.type - music | tts
+   * @param {Array<Object>} options.items - Raw items (see parseItems)
+   * @param {string} options.modelId - AIModel ID (optional for tts)
+   * @param {Object} options.defaults - Values for items that omit them (voiceId, mood, duration, style)
+   * @param {string} options.name - Optional batch name
+   * @returns {Promise<Object>} Saved Batch document
+   */
+  async createBatch({ user, type, items, modelId, defaults = {}, name }) {
+    const plan = await CreditService.getUserPlan(user._id);
+    const maxItems = plan.limits.maxBatchItems;
+
+    if (items.length === 0) {
+      throw new BatchError('Batch has no items', 'INVALID_BATCH');
+    }
+    if (maxItems !== -1 && items.length > maxItems) {
+      throw new BatchError(`Batch too large. Maximum ${maxItems} items allowed.`, 'BATCH_TOO_LARGE', {
+        limit: maxItems,
+        current: items.length
+      });
+    }
+
+    const aiModel = await this.resolveModel(type, modelId);
+    const normalized = await this.validateItems(type, items, defaults, plan, user._id, aiModel);
+
+    // Price every item now so the hold covers the whole batch
+    let total = 0;
+    for (const item of normalized) {
+      const params = type === 'music'
+        ? { duration: item.input.duration, modelId: aiModel._id }
+        : { characterCount: item.input.text.length, modelId: aiModel._id };
+      item.credits = await CreditService.calculateCreditCost(plan._id, type, params);
+      total += item.credits;
+    }
+
+    const batchId = new mongoose.Types.ObjectId();
+    const operationId = `batch_${crypto.randomUUID()}`;
+
+    await EnterpriseCreditService.reserveCredits(user._id, type, total, operationId, {
+      batchId,
+      items: normalized.length
+    }, { ttl: BATCH_RESERVATION_TTL });
+
+    let batch;
+    try {
+      batch = await Batch.create({
+        _id: batchId,
+        user: user._id,
+        type,
+        name,
+        modelId: aiModel._id,
+        concurrency: Math.max(1, plan.limits.concurrentGenerations || 1),
+        items: normalized,
+        totals: { items: normalized.length },
+        credits: { reserved: total, reservationId: operationId }
+      });
+
+      await this.enqueueTick(batch._id);
+    } catch (error) {
+      if (batch) {
+        await Batch.updateOne({ _id: batch._id }, { $set: { status: 'failed', completedAt: new Date() } });
+      }
+      await EnterpriseCreditService.cancelReservation(operationId, 'Failed to queue batch');
+      throw error;
+    }
+
+    console.log(`📦 [BATCH] Batch ${batch._id} queued: ${normalized.length} ${type} items, ${total} credits reserved`);
+    return batch;
+  }
+
+  async resolveModel(type, modelId) {
+    let aiModel = null;
+
+    if (type === 'tts') {
+      aiModel = await SpeechGenerationService.resolveModel(modelId);
+    } else if (modelId) {
+      aiModel = await AIModel.findOne({ _id: modelId, type: 'music', status: 'active' });
+    }
+
+    if (!aiModel) {
+      throw new BatchError(modelId ? 'AI Model not found or not active' : 'modelId is required', 'MODEL_NOT_FOUND');
+    }
+    return aiModel;
+  }
+
+  /**
+   * Normalize items and apply plan limits; reports every invalid row at once
+   */
+  async validateItems(type, items, defaults, plan, userId, aiModel) {
+    const errors = [];
+    const voices = new Map();
+    const normalized = [];
+
+    for (const [index, raw] of items.entries()) {
+      const item = { ...defaults, ...(raw || {}) };
+
+      if (type === 'music') {
+        if (typeof item.prompt === 'string') {
+          item.prompt = item.prompt.trim();
+        }
+
+        // Same per-model schema as POST /api/music/generate
+        const { value, errors: fieldErrors } = SchemaUtil.validate(aiModel.getInputSchema(), item);
+        const duration = value.duration || 30;
+
+        if (fieldErrors.length > 0) {
+          errors.push({ index, message: fieldErrors.map(error => error.msg).join('; ') });
+        } else if (duration > plan.limits.maxMusicDuration) {
+          errors.push({ index, message: `duration must be at most ${plan.limits.maxMusicDuration} seconds` });
+        } else {
+          normalized.push({
+            index,
+            input: { ...value, duration }
+          });
+        }
+        continue;
+      }
+
+      const text = String(item.text || '').trim();
+      const voiceId = item.voiceId ? String(item.voiceId) : '';
+
+      if (!text) {
+        errors.push({ index, message: 'text is required' });
+        continue;
+      }
+      if (text.length > plan.limits.maxTtsLength) {
+        errors.push({ index, message: `text exceeds ${plan.limits.maxTtsLength} characters` });
+        continue;
+      }
+      if (!voiceId) {
+        errors.push({ index, message: 'voiceId is required' });
+        continue;
+      }
+
+      const voiceKey = `${voiceId}:${item.mood || ''}`;
+      if (!voices.has(voiceKey)) {
+        voices.set(voiceKey, await SpeechGenerationService.resolveVoice(voiceId, item.mood, userId));
+      }
+      if (!voices.get(voiceKey)) {
+        errors.push({ index, message: `voice "${voiceId}" not found` });
+        continue;
+      }
+
+      normalized.push({
+        index,
+        input: { text, voiceId, mood: item.mood || undefined }
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new BatchError(`${errors.length} batch item(s) are invalid`, 'INVALID_ITEMS', errors.slice(0, 100));
+    }
+    return normalized;
+  }
+
+  // ===============================
+  // QUEUE HELPERS
+  // ===============================
+
+  /**
+   * Schedule the next tick, or run it inline when the queue is unavailable
+   */
+  async enqueueTick(batchId, delay = 0) {
+    const id = batchId.toString();
+
+    if (JobQueue.isInitialized) {
+      await JobQueue.tickBatch(id, { delay });
+      return;
+    }
+
+    logger.warn(`⚠️ [BATCH] JobQueue not initialized - running tick inline for ${id}`);
+    setTimeout(() => {
+      this.runTick(id, { isFinalAttempt: true }).catch(error => {
+        logger.error(`❌ [BATCH] Inline tick failed for ${id}:`, error.message);
+      });
+    }, delay);
+  }
+
+  /**
+   * Collect finished items, start new ones up to the concurrency limit and reschedule
+   * (called by the 'batch' queue processor)
+   * @param {string} batchId - Batch ID
+   * @param {Object} options
+   * @param {boolean} options.isFinalAttempt - Fail the remaining items if this attempt throws
+   */
+  async runTick(batchId, { isFinalAttempt = false } = {}) {
+    // One tick per batch at a time - overlapping ticks would dispatch the same items twice
+    const now = new Date();
+    const batch = await Batch.findOneAndUpdate(
+      {
+        _id: batchId,
+        status: { $nin: ['completed', 'failed'] },
+        $or: [{ tickLockedUntil: null }, { tickLockedUntil: { $lt: now } }]
+      },
+      { $set: { tickLockedUntil: new Date(now.getTime() + TICK_LOCK_MS) } },
+      { new: true }
+    );
+
+    if (!batch) {
+      const current = await Batch.findById(batchId).select('status');
+      if (!current) {
+        logger.warn(`⚠️ [BATCH] Batch ${batchId} not found, dropping tick`);
+        return;
+      }
+      // Another tick holds the lock - check back in case it dies before rescheduling
+      if (!['completed', 'failed'].includes(current.status)) {
+        await this.enqueueTick(batchId, this.tickInterval);
+      }
+      return;
+    }
+
+    try {
+      const changed = await this.collectResults(batch);
+      const started = await this.dispatchItems(batch);
+
+      this.updateTotals(batch);
+      await batch.save();
+
+      if (batch.items.every(item => ['completed', 'failed'].includes(item.status))) {
+        await this.finish(batch);
+        return;
+      }
+
+      if (changed || started) {
+        await this.notifyProgress(batch);
+      }
+
+      await this.enqueueTick(batch._id, this.tickInterval);
+    } catch (error) {
+      if (isFinalAttempt) {
+        await this.failBatch(batch, error.message);
+        return;
+      }
+      throw error;
+    } finally {
+      // Only release our own lock - it may have been taken over after expiring
+      await Batch.updateOne(
+        { _id: batch._id, tickLockedUntil: batch.tickLockedUntil },
+        { $unset: { tickLockedUntil: 1 } }
+      );
+    }
+  }
+
+  // ===============================
+  // ITEMS
+  // ===============================
+
+  /**
+   * Update in-flight items from their Music/Speech records
+   * @returns {Promise<boolean>} Whether any item finished
+   */
+  async collectResults(batch) {
+    const inFlight = batch.items.filter(item => item.status === 'processing');
+    if (inFlight.length === 0) {
+      return false;
+    }
+
+    const ResultModel = batch.type === 'music' ? Music : Speech;
+    const results = await ResultModel.find({ _id: { $in: inFlight.filter(item => item.resultId).map(item => item.resultId) } })
+      .select('status audioUrl cdnUrl error');
+    const byId = new Map(results.map(result => [result._id.toString(), result]));
+
+    let changed = false;
+
+    for (const item of inFlight) {
+      if (!item.resultId) {
+        if (Date.now() - item.startedAt.getTime() > DISPATCH_TIMEOUT_MS) {
+          await EnterpriseCreditService.cancelReservation(this.getItemOperationId(batch, item), 'Batch dispatch interrupted');
+          this.markItem(item, 'failed', { error: 'Dispatch interrupted' });
+          changed = true;
+        }
+        continue;
+      }
+
+      const result = byId.get(item.resultId.toString());
+      if (!result) {
+        this.markItem(item, 'failed', { error: 'Result record was deleted' });
+        changed = true;
+      } else if (result.status === 'completed') {
+        this.markItem(item, 'completed', { audioUrl: result.cdnUrl || result.audioUrl });
+        changed = true;
+      } else if (result.status === 'failed') {
+        // The pipeline already released the item's credits
+        this.markItem(item, 'failed', { error: result.error || 'Generation failed' });
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Start pending items while there are free slots
+   * @returns {Promise<number>} Items started
+   */
+  async dispatchItems(batch) {
+    const running = batch.items.filter(item => item.status === 'processing').length;
+    const slots = batch.concurrency - running;
+    const pending = batch.items.filter(item => item.status === 'pending').slice(0, Math.max(0, slots));
+
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    const [aiModel, plan] = await Promise.all([
+      AIModel.findById(batch.modelId),
+      CreditService.getUserPlan(batch.user)
+    ]);
+
+    // Leave items pending while the provider is unavailable - a later tick starts them
+    if (aiModel && !(await this.isProviderAvailable(aiModel))) {
+      logger.warn(`⚠️ [BATCH] Provider unavailable for batch ${batch._id}, holding ${pending.length} item(s)`);
+      return 0;
+    }
+
+    for (const item of pending) {
+      // Persist the claim first so a crashed tick doesn't start the item twice
+      item.status = 'processing';
+      item.startedAt = new Date();
+      await batch.save();
+
+      try {
+        if (!aiModel || aiModel.status !== 'active') {
+          throw new Error('AI Model is no longer available');
+        }
+        item.resultId = await this.startItem(batch, item, aiModel, plan);
+      } catch (error) {
+        logger.error(`❌ [BATCH] Item ${item.index} of batch ${batch._id} failed to start:`, error.message);
+        await EnterpriseCreditService.cancelReservation(this.getItemOperationId(batch, item), error.message);
+        this.markItem(item, 'failed', { error: error.message });
+      }
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Move the item's credits out of the batch hold and start its generation
+   * @returns {Promise<Object>} Music or Speech ID
+   */
+  async startItem(batch, item, aiModel, plan) {
+    const operationId = this.getItemOperationId(batch, item);
+
+    await EnterpriseCreditService.splitReservation(batch.credits.reservationId, item.credits, operationId, {
+      batchId: batch._id,
+      batchIndex: item.index
+    });
+
+    const user = { _id: batch.user };
+    const creditInfo = {
+      cost: item.credits,
+      reservationId: operationId,
+      plan: { id: plan._id }
+    };
+
+    if (batch.type === 'music') {
+      const music = await MusicGenerationService.startGeneration({
+        user,
+        aiModel,
+        params: item.input,
+        creditInfo,
+        metadata: {
+          endpoint: '/api/batches',
+          batchId: batch._id.toString(),
+          batchIndex: item.index
+        }
+      });
+      return music._id;
+    }
+
+    const voice = await SpeechGenerationService.resolveVoice(item.input.voiceId, item.input.mood, batch.user);
+    if (!voice) {
+      throw new Error(`Voice "${item.input.voiceId}" not found`);
+    }
+
+    // Every batch script runs through the queued pipeline, short ones as a single chunk
+    const speech = await LongFormSpeechService.startGeneration({
+      user,
+      text: item.input.text,
+      voice,
+      aiModel,
+      creditInfo
+    });
+    return speech._id;
+  }
+
+  async isProviderAvailable(aiModel) {
+    try {
+      await ProviderRouter.assertAvailable(aiModel);
+      return true;
+    } catch (error) {
+      if (error.code === 'PROVIDER_UNAVAILABLE') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  markItem(item, status, { audioUrl, error } = {}) {
+    item.status = status;
+    item.completedAt = new Date();
+    if (audioUrl) item.audioUrl = audioUrl;
+    if (error) item.error = error;
+  }
+
+  updateTotals(batch) {
+    batch.totals.completed = batch.items.filter(item => item.status === 'completed').length;
+    batch.totals.failed = batch.items.filter(item => item.status === 'failed').length;
+    if (batch.status === 'queued' && batch.items.some(item => item.status !== 'pending')) {
+      batch.status = 'processing';
+    }
+  }
+
+  getItemOperationId(batch, item) {
+    return `${batch.credits.reservationId}_${item.index}`;
+  }
+
+  // ===============================
+  // COMPLETION
+  // ===============================
+
+  /**
+   * Release what is left of the batch hold and report the result
+   */
+  async finish(batch) {
+    // Items that never started still have their share in the batch hold
+    await EnterpriseCreditService.cancelReservation(batch.credits.reservationId, 'Batch finished');
+
+    const consumed = batch.items
+      .filter(item => item.status === 'completed')
+      .reduce((total, item) => total + item.credits, 0);
+
+    this.updateTotals(batch);
+    batch.credits.consumed = consumed;
+    batch.credits.refunded = batch.credits.reserved - consumed;
+    batch.status = batch.totals.completed > 0 ? 'completed' : 'failed';
+    batch.completedAt = new Date();
+    await batch.save();
+
+    console.log(`📦 [BATCH] Batch ${batch._id} ${batch.status}: ${batch.totals.completed}/${batch.totals.items} items, ${batch.credits.refunded} credits refunded`);
+
+    await this.notifyProgress(batch);
+
+    // Notify customer webhooks
+    await WebhookService.dispatch(batch.user, 'batch.completed', {
+      id: batch._id,
+      type: batch.type,
+      status: batch.status,
+      totals: batch.totals,
+      credits: {
+        consumed: batch.credits.consumed,
+        refunded: batch.credits.refunded
+      },
+      completedAt: batch.completedAt.toISOString()
+    });
+  }
+
+  /**
+   * Give up on every item that hasn't started; in-flight items keep their own credits
+   */
+  async failBatch(batch, errorMessage) {
+    logger.error(`❌ [BATCH] Batch ${batch._id} failed:`, errorMessage);
+
+    for (const item of batch.items) {
+      if (item.status === 'pending') {
+        this.markItem(item, 'failed', { error: `Batch failed: ${errorMessage}` });
+      }
+    }
+
+    await this.finish(batch);
+  }
+
+  /**
+   * ZIP with manifest.json and manifest.csv describing every item
+   * @param {Object} batch - Finished Batch document
+   * @returns {Buffer} ZIP file
+   */
+  buildManifest(batch) {
+    const items = batch.items.map(item => ({
+      index: item.index,
+      status: item.status,
+      input: batch.type === 'music' ? item.input.prompt : item.input.text,
+      audioUrl: StorageService.resolveUrl(item.audioUrl, { expiresIn: MANIFEST_URL_TTL }) || '',
+      credits: item.status === 'completed' ? item.credits : 0,
+      resultId: item.resultId ? item.resultId.toString() : '',
+      error: item.error || ''
+    }));
+
+    const manifest = {
+      id: batch._id,
+      name: batch.name,
+      type: batch.type,
+      status: batch.status,
+      totals: batch.totals,
+      credits: {
+        reserved: batch.credits.reserved,
+        consumed: batch.credits.consumed,
+        refunded: batch.credits.refunded
+      },
+      createdAt: batch.createdAt,
+      completedAt: batch.completedAt,
+      items
+    };
+
+    return ZipUtil.create([
+      { name: 'manifest.json', data: JSON.stringify(manifest, null, 2), date: batch.completedAt },
+      { name: 'manifest.csv', data: CsvUtil.stringify(items, MANIFEST_COLUMNS), date: batch.completedAt }
+    ]);
+  }
+
+  async notifyProgress(batch) {
+    try {
+      await EventBus.publishWebSocketEvent('user_specific', {
+        userId: batch.user.toString(),
+        type: 'BATCH_PROGRESS',
+        batchId: batch._id.toString(),
+        status: batch.status,
+        progress: batch.progress,
+        totals: batch.totals
+      });
+    } catch (error) {
+      logger.debug(`📡 [BATCH] Progress notification failed for ${batch._id}:`, error.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new BatchService();
+module.exports.BatchError = BatchError;
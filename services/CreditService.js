@@ -170,6 +170,9 @@ class CreditService {
 
       // Use subscription.credits.used instead of calculated usage for more accuracy
       const subscriptionUsed = subscription.credits?.used || 0;
+
+      // Credits held by in-flight operations aren't available
+      const reservedCredits = subscription.credits?.reserved || 0;
       
       // Use actual subscription credits, not plan defaults
       const actualMonthlyCredits = subscription.credits?.monthly || subscription.plan.credits.monthly;
@@ -179,8 +182,9 @@ class CreditService {
         planCredits: subscription.plan.credits.monthly,
         actualMonthlyCredits,
         used: subscriptionUsed,
+        reserved: reservedCredits,
         rollover: rolloverCredits,
-        available: actualMonthlyCredits + rolloverCredits - subscriptionUsed
+        available: actualMonthlyCredits + rolloverCredits - subscriptionUsed - reservedCredits
       });
       
       const creditInfo = {
@@ -191,7 +195,8 @@ class CreditService {
           rolloverEnabled: subscription.plan.credits.rollover.enabled
         },
         usage: subscriptionUsed,
-        available: Math.max(0, actualMonthlyCredits + rolloverCredits - subscriptionUsed),
+        reserved: reservedCredits,
+        available: Math.max(0, actualMonthlyCredits + rolloverCredits - subscriptionUsed - reservedCredits),
         rollover: rolloverCredits,
         total: actualMonthlyCredits + rolloverCredits,
         utilizationPercent: Math.round((subscriptionUsed / (actualMonthlyCredits + rolloverCredits)) * 100),
@@ -219,13 +224,39 @@ class CreditService {
   async calculateCreditCost(planId, service, params = {}) {
     try {
       const plan = await this.getPlanFromCache(planId);
-      return plan.calculateCreditCost(service, params);
+      const cost = plan.calculateServiceCost(service, params);
+      const multiplier = await this.getModelCreditMultiplier(service, params.modelId);
+      return multiplier === 1 ? cost : Math.ceil(cost * multiplier);
     } catch (error) {
       logger.error('Failed to calculate credit cost:', error);
       throw error;
     }
   }
 
+  /**
+   * Per-model credit multiplier (AIModel.pricing.creditMultiplier)
+   * TTS requests without a model use the default TTS model
+   * @param {string} service - Service type
+   * @param {string} modelId - Optional AIModel ID
+   * @returns {Promise<number>} Multiplier (1 when the model is unknown)
+   */
+  async getModelCreditMultiplier(service, modelId) {
+    const AIModel = require('../models/AIModel');
+
+    let aiModel = null;
+    try {
+      if (modelId) {
+        aiModel = await AIModel.findById(modelId).select('pricing.creditMultiplier');
+      } else if (service === 'tts') {
+        aiModel = await AIModel.findDefault('tts').select('pricing.creditMultiplier');
+      }
+    } catch (error) {
+      return 1; // Invalid model ID - the route rejects it
+    }
+
+    return aiModel?.pricing?.creditMultiplier ?? 1;
+  }
+
   /**
    * Check if user has enough credits for operation
    * @param {string} userId - User ID
@@ -320,6 +351,8 @@ class CreditService {
         remainingCredits: creditInfo.available - credits
       });
 
+      await this.notifyIfLowCredits(userId, creditInfo, creditInfo.available, creditInfo.available - credits);
+
       return {
         success: true,
         creditsConsumed: credits,
@@ -332,6 +365,28 @@ class CreditService {
     }
   }
 
+  /**
+   * Notify customer webhooks once when the balance drops below the low-credit threshold
+   * @param {string} userId - User ID
+   * @param {Object} creditInfo - Credit info from getUserCreditInfo
+   * @param {number} availableBefore - Available credits before the operation
+   * @param {number} availableAfter - Available credits after the operation
+   */
+  async notifyIfLowCredits(userId, creditInfo, availableBefore, availableAfter) {
+    const thresholdPercent = parseInt(process.env.CREDITS_LOW_THRESHOLD_PERCENT) || 10;
+    const lowThreshold = creditInfo.total * thresholdPercent / 100;
+
+    if (availableBefore >= lowThreshold && availableAfter < lowThreshold) {
+      const WebhookService = require('./WebhookService');
+      await WebhookService.dispatch(userId, 'credits.low', {
+        remainingCredits: availableAfter,
+        totalCredits: creditInfo.total,
+        thresholdPercent,
+        resetDate: creditInfo.resetDate
+      });
+    }
+  }
+
   /**
    * Get rollover credits for user
    * @param {string} userId - User ID
@@ -432,6 +487,16 @@ class CreditService {
     return plan;
   }
 
+  /**
+   * Get the plan of the user's active subscription
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Plan object
+   */
+  async getUserPlan(userId) {
+    const creditInfo = await this.getUserCreditInfo(userId);
+    return await this.getPlanFromCache(creditInfo.plan.id);
+  }
+
   // Utility Methods
   getStartOfMonth() {
     const date = new Date();
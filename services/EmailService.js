@@ -0,0 +1,249 @@
+const path = require('path');
+const User = require('../models/User');
+const EmailDelivery = require('../models/EmailDelivery');
+const EmailSuppression = require('../models/EmailSuppression');
+const SmtpTransport = require('./email/SmtpTransport');
+const FileTransport = require('./email/FileTransport');
+const MemoryTransport = require('./email/MemoryTransport');
+const Templates = require('./email/templates');
+const JobQueue = require('./queue/JobQueue');
+const logger = require('./logger');
+
+/**
+ * Outbound email
+ * Every send gets an EmailDelivery log entry and goes through the 'email' JobQueue (retries with
+ * exponential backoff). Jobs carry the delivery ID: the message is rebuilt from the logged
+ * template name, locale and templateData on each attempt. Link tokens go in secretData, which
+ * only travels with the job and is never written to the log.
+ *
+ * The transport comes from EMAIL_TRANSPORT:
+ *   smtp   - SMTP_* settings (the default when SMTP_HOST is set)
+ *   file   - .eml files under EMAIL_FILE_DIR, a local sink for development (default otherwise)
+ *   memory - in-process outbox, for tests
+ *
+ * Addresses in EmailSuppression are never mailed; SMTP 5xx rejections add the address there.
+ * 'notice' templates also respect the user's settings.emailNotifications.
+ */
+class EmailService {
+  constructor() {
+    const transportName = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+    this.transport = this.createTransport(transportName);
+    this.from = process.env.EMAIL_FROM || 'VeeqAI <no-reply@veeq.ai>';
+    this.replyTo = process.env.EMAIL_REPLY_TO || undefined;
+    logger.info(`📧 [EMAIL] Using ${this.transport.name} transport`);
+  }
+
+  createTransport(name) {
+    switch (name) {
+      case 'smtp':
+        return new SmtpTransport({
+          host: process.env.SMTP_HOST || 'localhost',
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        });
+      case 'file':
+        return new FileTransport({
+          dir: process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', 'storage', 'mail')
+        });
+      case 'memory':
+        return new MemoryTransport();
+      default:
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+  }
+
+  /**
+   * Queue an email
+   * Never throws - a failed email must not break the calling flow
+   * @param {Object} options
+   * @param {string} options.to - Recipient address
+   * @param {string} options.template - Template name (see services/email/templates)
+   * @param {Object} options.templateData - Values for the template
+   * @param {Object} options.secretData - Values for the template kept out of the log (e.g. reset links)
+   * @param {string} options.locale - Language, defaults to English
+   * @param {string} options.userId - Recipient's user ID, for the log
+   * @returns {Promise<Object|null>} EmailDelivery document, or null if nothing was queued
+   */
+  async send({ to, template, templateData = {}, secretData, locale = 'en', userId } = {}) {
+    try {
+      if (!to || !Templates.exists(template)) {
+        throw new Error(!to ? 'Recipient is required' : `Unknown email template: ${template}`);
+      }
+
+      const delivery = await EmailDelivery.create({
+        user: userId,
+        to,
+        template,
+        locale,
+        templateData
+      });
+
+      if (await this.isSuppressed(delivery.to)) {
+        delivery.status = 'suppressed';
+        await delivery.save();
+        logger.info(`🚫 [EMAIL] ${template} to ${delivery.to} suppressed`);
+        return delivery;
+      }
+
+      await this.enqueue(delivery, secretData);
+      return delivery;
+    } catch (error) {
+      logger.error(`❌ [EMAIL] Failed to queue ${template} to ${to}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Queue an email to a user, in their language (settings.language)
+   * Notices are skipped for users who turned email notifications off
+   * @param {Object|string} user - User document or ID
+   * @param {string} template - Template name
+   * @param {Object} templateData - Values for the template; `name` defaults to the user's name
+   * @param {Object} options - { to } to send to another address than user.email (e.g. a new address),
+   *                           { secretData } for values kept out of the log (see send)
+   */
+  async sendToUser(user, template, templateData = {}, { to, secretData } = {}) {
+    try {
+      if (!user?.email || !user.settings) {
+        user = await User.findById(user?._id || user).select('name email settings');
+      }
+      if (!user) {
+        return null;
+      }
+
+      if (Templates.getCategory(template) === 'notice' && user.settings?.emailNotifications === false) {
+        logger.debug(`📧 [EMAIL] ${template} skipped for user ${user._id} - email notifications off`);
+        return null;
+      }
+
+      return await this.send({
+        to: to || user.email,
+        template,
+        templateData: { name: user.name, ...templateData },
+        secretData,
+        locale: user.settings?.language,
+        userId: user._id
+      });
+    } catch (error) {
+      logger.error(`❌ [EMAIL] Failed to queue ${template} for user ${user?._id || user}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Queue a delivery, or send inline (single attempt) when the queue is unavailable
+   */
+  async enqueue(delivery, secretData) {
+    if (JobQueue.isInitialized) {
+      await JobQueue.sendEmail({ deliveryId: delivery._id.toString(), secretData });
+      return;
+    }
+
+    logger.warn('⚠️ [EMAIL] JobQueue not initialized - sending inline without retries');
+    this.deliver(delivery._id, { isFinalAttempt: true, secretData }).catch(error => {
+      logger.error(`❌ [EMAIL] Inline delivery ${delivery._id} failed:`, error.message);
+    });
+  }
+
+  /**
+   * Perform a single send attempt (called by the 'email' queue processor)
+   * Throws on temporary failures so the queue retries with backoff; permanent rejections
+   * suppress the address and are not retried
+   * @param {string} deliveryId - EmailDelivery ID
+   * @param {Object} options
+   * @param {boolean} options.isFinalAttempt - Mark the delivery as failed if this attempt fails
+   * @param {Object} options.secretData - Template values from the job, not stored on the delivery
+   */
+  async deliver(deliveryId, { isFinalAttempt = false, secretData = {} } = {}) {
+    const delivery = await EmailDelivery.findById(deliveryId);
+    if (!delivery) {
+      logger.warn(`⚠️ [EMAIL] Delivery ${deliveryId} not found`);
+      return;
+    }
+
+    if (delivery.status === 'sent' || delivery.status === 'suppressed') {
+      return;
+    }
+
+    // The address may have bounced since the email was queued
+    if (await this.isSuppressed(delivery.to)) {
+      delivery.status = 'suppressed';
+      await delivery.save();
+      return;
+    }
+
+    const message = Templates.render(delivery.template, delivery.locale, { ...delivery.templateData, ...secretData });
+    delivery.subject = message.subject;
+
+    try {
+      const { messageId } = await this.transport.send({
+        from: this.from,
+        replyTo: this.replyTo,
+        to: delivery.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        headers: { 'X-Veeq-Delivery': delivery._id.toString() }
+      });
+
+      await delivery.recordAttempt({ success: true, transport: this.transport.name, messageId });
+      logger.info(`✅ [EMAIL] ${delivery.template} sent to ${delivery.to}`);
+    } catch (error) {
+      const permanent = this.transport.isPermanentFailure(error);
+      await delivery.recordAttempt({
+        success: false,
+        transport: this.transport.name,
+        responseCode: error.responseCode,
+        error: error.response || error.message,
+        isFinalAttempt: isFinalAttempt || permanent
+      });
+
+      if (permanent) {
+        await this.suppress(delivery.to, 'hard_bounce', {
+          details: error.response || error.message,
+          delivery: delivery._id
+        });
+        logger.warn(`⚠️ [EMAIL] ${delivery.to} rejected ${delivery.template} permanently (${error.responseCode}) - address suppressed`);
+        return;
+      }
+
+      logger.warn(`⚠️ [EMAIL] ${delivery.template} to ${delivery.to} failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // ===============================
+  // SUPPRESSION LIST
+  // ===============================
+
+  async isSuppressed(email) {
+    return !!(await EmailSuppression.exists({ email: String(email).toLowerCase().trim() }));
+  }
+
+  /**
+   * Stop sending to an address
+   * @param {string} email - Address
+   * @param {string} reason - hard_bounce | complaint | manual
+   * @param {Object} options - { details, delivery, createdBy }
+   */
+  async suppress(email, reason, { details, delivery, createdBy } = {}) {
+    return await EmailSuppression.findOneAndUpdate(
+      { email: String(email).toLowerCase().trim() },
+      { $setOnInsert: { reason, details, delivery, createdBy } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * @returns {Promise<boolean>} False if the address wasn't suppressed
+   */
+  async unsuppress(email) {
+    const result = await EmailSuppression.deleteOne({ email: String(email).toLowerCase().trim() });
+    return result.deletedCount > 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new EmailService();
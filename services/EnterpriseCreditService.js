@@ -1,7 +1,6 @@
-const mongoose = require('mongoose');
 const Plan = require('../models/Plan');
 const Subscription = require('../models/Subscription');
-const Usage = require('../models/Usage');
+const CreditReservation = require('../models/CreditReservation');
 const RedisManager = require('./redis/RedisManager');
 const logger = require('./logger');
 const EventBus = require('./events/EventBus');
@@ -9,266 +8,336 @@ const EventBus = require('./events/EventBus');
 /**
  * Enterprise-grade Credit Reservation and Consumption System
  * Ensures credits are only deducted after successful completion
+ * Every paid operation reserves first (CreditLimitMiddleware.reserveCredits), then
+ * consumes on success or cancels on failure; unclaimed holds expire
  */
 class EnterpriseCreditService {
   constructor() {
     this.cacheTTL = 300; // 5 minutes cache
     this.reservationTTL = 1800; // 30 minutes reservation timeout
+    this.reservationTTLs = {
+      music: 3600, // Queued generation can poll the provider for up to 20 minutes
+      tts: 3600 // Long-form speech renders many chunks through the queue
+    };
+    this.sweepIntervalId = null;
   }
 
   /**
    * 1. REZERVASYON AŞAMASI - Credit Reservation
    * İşlem başladığında kredileri rezerve et ama düşürme
+   * The hold is a single conditional update on the subscription, so parallel
+   * requests can't reserve the same credits
+   * @param {string} userId - User ID
+   * @param {string} service - Service type (music, tts, ...)
+   * @param {number} amount - Credits to hold
+   * @param {string} operationId - Unique operation ID (reservation key)
+   * @param {Object} metadata - Stored on the reservation
+   * @param {Object} options
+   * @param {number} options.ttl - Hold duration in seconds (defaults to the service TTL)
+   * @returns {Promise<Object>} Reservation result
    */
-  async reserveCredits(userId, service, amount, operationId) {
-    const session = await mongoose.startSession();
-    
-    try {
-      await session.withTransaction(async () => {
-        console.log(`💳 [RESERVE] Starting credit reservation for user ${userId}, amount: ${amount}`);
-        
-        // Kredi bilgilerini getir
-        const creditInfo = await this.getUserCreditInfo(userId);
-        
-        // Yeteri kadar kredi var mı kontrol et
-        if (creditInfo.available < amount) {
-          throw new Error(`Insufficient credits: ${amount} required, ${creditInfo.available} available`);
+  async reserveCredits(userId, service, amount, operationId, metadata = {}, options = {}) {
+    console.log(`💳 [RESERVE] Starting credit reservation for user ${userId}, amount: ${amount}`);
+
+    let subscription = await Subscription.findOne({ user: userId, status: 'active' }).populate('plan');
+    if (!subscription) {
+      subscription = await this.createFreeSubscription(userId);
+    }
+
+    // Same total as CreditService.getUserCreditInfo
+    const totalCredits = (subscription.credits?.monthly || subscription.plan.credits.monthly) + await this.getRolloverCredits(userId);
+
+    // Hold the credits only if total - used - reserved still covers the amount
+    const held = await Subscription.findOneAndUpdate(
+      {
+        _id: subscription._id,
+        status: 'active',
+        $expr: {
+          $gte: [
+            { $subtract: [totalCredits, { $add: ['$credits.used', { $ifNull: ['$credits.reserved', 0] }] }] },
+            amount
+          ]
         }
-        
-        // Redis'te rezervasyon oluştur
-        const reservationKey = `credit:reservation:${operationId}`;
-        const reservationData = {
-          userId,
-          service,
-          amount,
-          status: 'reserved',
-          createdAt: new Date().toISOString(),
-          expiresAt: new Date(Date.now() + this.reservationTTL * 1000).toISOString()
-        };
-        
-        await RedisManager.setCache(reservationKey, reservationData, this.reservationTTL);
-        
-        // Kullanıcının aktif rezervasyonlarını takip et
-        const userReservationsKey = `credit:user_reservations:${userId}`;
-        let userReservations = await RedisManager.getCache(userReservationsKey) || [];
-        userReservations.push(operationId);
-        await RedisManager.setCache(userReservationsKey, userReservations, this.reservationTTL);
-        
-        console.log(`✅ [RESERVE] Credits reserved successfully: ${amount} credits for operation ${operationId}`);
-        
-        // Cache'i temizle - fresh data için
-        await this.clearUserCreditCache(userId);
-        
-        return {
-          success: true,
-          reservationId: operationId,
-          amount,
-          expiresAt: reservationData.expiresAt
-        };
+      },
+      { $inc: { 'credits.reserved': amount } },
+      { new: true }
+    );
+
+    if (!held) {
+      const available = Math.max(0, totalCredits - subscription.credits.used - (subscription.credits.reserved || 0));
+      const error = new Error(`Insufficient credits: ${amount} required, ${available} available`);
+      error.code = 'INSUFFICIENT_CREDITS';
+      error.required = amount;
+      error.available = available;
+      throw error;
+    }
+
+    const expiresAt = new Date(Date.now() + (options.ttl || this.getReservationTTL(service)) * 1000);
+
+    try {
+      await CreditReservation.create({
+        operationId,
+        user: userId,
+        subscription: subscription._id,
+        service,
+        amount,
+        metadata,
+        expiresAt
       });
     } catch (error) {
+      // Give the hold back - e.g. a duplicate operationId
+      await Subscription.updateOne({ _id: subscription._id }, { $inc: { 'credits.reserved': -amount } });
       console.error(`❌ [RESERVE] Failed to reserve credits:`, error);
       throw error;
-    } finally {
-      await session.endSession();
     }
+
+    console.log(`✅ [RESERVE] Credits reserved successfully: ${amount} credits for operation ${operationId}`);
+
+    // Cache'i temizle - fresh data için
+    await this.clearUserCreditCache(userId);
+
+    return {
+      success: true,
+      reservationId: operationId,
+      amount,
+      expiresAt: expiresAt.toISOString()
+    };
   }
 
   /**
-   * 2. TÜKETİM AŞAMASI - Credit Consumption  
+   * 2. TÜKETİM AŞAMASI - Credit Consumption
    * İşlem başarıyla tamamlandığında rezerve edilen kredileri tüket
+   * Safe to call more than once - an already consumed reservation is reported, not charged again
+   * A reservation that expired while the work ran is still charged (its hold was already released)
    */
   async consumeReservedCredits(operationId, metadata = {}) {
-    const session = await mongoose.startSession();
-    
-    try {
-      return await session.withTransaction(async () => {
-        console.log(`💳 [CONSUME] Starting credit consumption for operation ${operationId}`);
-        
-        // Rezervasyonu getir
-        const reservationKey = `credit:reservation:${operationId}`;
-        const reservation = await RedisManager.getCache(reservationKey);
-        
-        if (!reservation) {
-          throw new Error(`Reservation not found: ${operationId}`);
-        }
-        
-        if (reservation.status !== 'reserved') {
-          throw new Error(`Invalid reservation status: ${reservation.status}`);
-        }
-        
-        // Rezervasyonun süresinin dolup dolmadığını kontrol et
-        if (new Date() > new Date(reservation.expiresAt)) {
-          // Süresi dolmuş rezervasyonu temizle
-          await RedisManager.deleteCache(reservationKey);
-          throw new Error(`Reservation expired: ${operationId}`);
-        }
-        
-        // Subscription'dan kredileri düş
-        const result = await Subscription.findOneAndUpdate(
-          { user: reservation.userId, status: 'active' },
-          {
-            $inc: { 'credits.used': reservation.amount },
-            $push: {
-              'credits.history': {
-                date: new Date(),
-                service: reservation.service,
-                credits: reservation.amount,
-                operationId,
-                metadata: {
-                  ...metadata,
-                  reservedAt: reservation.createdAt,
-                  consumedAt: new Date().toISOString()
-                }
-              }
-            }
-          },
-          { new: true, session }
-        );
-        
-        if (!result) {
-          throw new Error(`Subscription not found for user: ${reservation.userId}`);
-        }
-        
-        // Rezervasyonu tüketime işaretle
-        reservation.status = 'consumed';
-        reservation.consumedAt = new Date().toISOString();
-        reservation.metadata = metadata;
-        await RedisManager.setCache(reservationKey, reservation, 86400); // 24 saat tutma
-        
-        // Kullanıcının rezervasyon listesinden çıkar
-        await this.removeUserReservation(reservation.userId, operationId);
-        
-        // Cache'leri temizle
-        await this.clearUserCreditCache(reservation.userId);
-        
-        console.log(`✅ [CONSUME] Credits consumed successfully: ${reservation.amount} credits for user ${reservation.userId}`);
-        
-        // Real-time güncelleme için WebSocket event gönder
-        await this.notifyUserCreditUpdate(reservation.userId);
-        
-        // Analytics event yayınla
-        await EventBus.publishSystemEvent('credit.consumed', {
-          userId: reservation.userId,
-          service: reservation.service,
-          credits: reservation.amount,
-          operationId,
-          metadata
-        });
-        
+    console.log(`💳 [CONSUME] Starting credit consumption for operation ${operationId}`);
+
+    // Claim the reservation
+    let held = true;
+    let reservation = await CreditReservation.findOneAndUpdate(
+      { operationId, status: 'reserved' },
+      { $set: { status: 'consumed', consumedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!reservation) {
+      held = false;
+      reservation = await CreditReservation.findOneAndUpdate(
+        { operationId, status: 'expired' },
+        { $set: { status: 'consumed', consumedAt: new Date() } },
+        { new: true }
+      );
+      if (reservation) {
+        console.warn(`⚠️ [CONSUME] Reservation ${operationId} expired before settlement - charging without a hold`);
+      }
+    }
+
+    if (!reservation) {
+      const existing = await CreditReservation.findOne({ operationId });
+      if (!existing) {
+        throw new Error(`Reservation not found: ${operationId}`);
+      }
+      if (existing.status === 'consumed') {
         return {
           success: true,
-          creditsConsumed: reservation.amount,
+          alreadyConsumed: true,
+          creditsConsumed: existing.amount,
           operationId,
-          userId: reservation.userId
+          userId: existing.user
         };
-      });
-    } catch (error) {
-      console.error(`❌ [CONSUME] Failed to consume credits:`, error);
-      throw error;
-    } finally {
-      await session.endSession();
+      }
+      throw new Error(`Invalid reservation status: ${existing.status}`);
+    }
+
+    const creditInfoBefore = await this.getUserCreditInfo(reservation.user);
+
+    // Move the hold into used credits
+    const inc = {
+      'credits.used': reservation.amount,
+      ...(held && { 'credits.reserved': -reservation.amount })
+    };
+    const usageKey = this.getUsageKey(reservation.service);
+    if (usageKey) {
+      inc[`credits.usageByService.${usageKey}`] = reservation.amount;
+    }
+
+    await Subscription.updateOne(
+      { _id: reservation.subscription },
+      {
+        $inc: inc,
+        $push: {
+          'credits.history': {
+            date: new Date(),
+            service: reservation.service,
+            amount: -reservation.amount,
+            operation: 'consumed',
+            metadata: {
+              ...metadata,
+              operationId,
+              reservedAt: reservation.createdAt,
+              consumedAt: reservation.consumedAt
+            }
+          }
+        }
+      }
+    );
+
+    // Cache'leri temizle
+    await this.clearUserCreditCache(reservation.user);
+
+    console.log(`✅ [CONSUME] Credits consumed successfully: ${reservation.amount} credits for user ${reservation.user}`);
+
+    // Real-time güncelleme için WebSocket event gönder
+    await this.notifyUserCreditUpdate(reservation.user);
+
+    // Analytics event yayınla
+    await EventBus.publishSystemEvent('credit.consumed', {
+      userId: reservation.user,
+      service: reservation.service,
+      credits: reservation.amount,
+      operationId,
+      metadata
+    });
+
+    // The hold was already excluded from available credits, so the balance drops at reservation time
+    const CreditService = require('./CreditService');
+    await CreditService.notifyIfLowCredits(
+      reservation.user,
+      creditInfoBefore,
+      creditInfoBefore.available + reservation.amount,
+      creditInfoBefore.available
+    );
+
+    return {
+      success: true,
+      creditsConsumed: reservation.amount,
+      remainingCredits: creditInfoBefore.available,
+      operationId,
+      userId: reservation.user
+    };
+  }
+
+  /**
+   * Push a reservation's expiry out by its service TTL
+   * Queued work calls this when it starts, so time spent waiting in the queue doesn't let the
+   * expiry sweep release the hold mid-run
+   * @param {string} operationId - Reservation key
+   * @returns {Promise<boolean>} False if the reservation is no longer held
+   */
+  async extendReservation(operationId) {
+    const reservation = await CreditReservation.findOne({ operationId, status: 'reserved' }).select('service');
+    if (!reservation) {
+      return false;
     }
+
+    const expiresAt = new Date(Date.now() + this.getReservationTTL(reservation.service) * 1000);
+    const result = await CreditReservation.updateOne(
+      { _id: reservation._id, status: 'reserved' },
+      { $max: { expiresAt } }
+    );
+    return result.matchedCount === 1;
   }
 
   /**
    * 3. İPTAL AŞAMASI - Credit Reservation Cancellation
    * İşlem başarısız olduğunda rezervasyonu iptal et
    */
-  async cancelReservation(operationId, reason = 'Operation failed') {
+  async cancelReservation(operationId, reason = 'Operation failed', status = 'cancelled') {
+    console.log(`💳 [CANCEL] Cancelling reservation for operation ${operationId}`);
+
+    const reservation = await CreditReservation.findOneAndUpdate(
+      { operationId, status: 'reserved' },
+      { $set: { status, cancelledAt: new Date(), cancellationReason: reason } },
+      { new: true }
+    );
+
+    if (!reservation) {
+      // Unknown, already consumed or already released
+      console.log(`⚠️ [CANCEL] No active reservation: ${operationId}`);
+      return { success: true, message: 'Reservation not active' };
+    }
+
+    // Release the hold
+    await Subscription.updateOne(
+      { _id: reservation.subscription },
+      { $inc: { 'credits.reserved': -reservation.amount } }
+    );
+
+    await this.clearUserCreditCache(reservation.user);
+    await this.notifyUserCreditUpdate(reservation.user);
+
+    console.log(`✅ [CANCEL] Reservation ${status}: ${operationId}`);
+
+    return {
+      success: true,
+      operationId,
+      reason
+    };
+  }
+
+  /**
+   * Move part of a reservation into a new reservation for a sub-operation
+   * (e.g. one item of a batch). The subscription hold is unchanged - the credits
+   * just change owner, so consuming or cancelling the child settles that part only.
+   * @param {string} parentOperationId - Reservation to take credits from
+   * @param {number} amount - Credits to move
+   * @param {string} operationId - Operation ID of the new reservation
+   * @param {Object} metadata - Stored on the new reservation
+   * @returns {Promise<Object>} Reservation result for the new reservation
+   */
+  async splitReservation(parentOperationId, amount, operationId, metadata = {}) {
+    const parent = await CreditReservation.findOneAndUpdate(
+      { operationId: parentOperationId, status: 'reserved', amount: { $gte: amount } },
+      { $inc: { amount: -amount } },
+      { new: true }
+    );
+
+    if (!parent) {
+      const error = new Error(`Reservation ${parentOperationId} is not active or has less than ${amount} credits left`);
+      error.code = 'RESERVATION_EXHAUSTED';
+      throw error;
+    }
+
+    const expiresAt = new Date(Date.now() + this.getReservationTTL(parent.service) * 1000);
+
     try {
-      console.log(`💳 [CANCEL] Cancelling reservation for operation ${operationId}`);
-      
-      const reservationKey = `credit:reservation:${operationId}`;
-      const reservation = await RedisManager.getCache(reservationKey);
-      
-      if (!reservation) {
-        console.log(`⚠️ [CANCEL] Reservation not found: ${operationId}`);
-        return { success: true, message: 'Reservation not found' };
-      }
-      
-      // Rezervasyonu iptal et
-      reservation.status = 'cancelled';
-      reservation.cancelledAt = new Date().toISOString();
-      reservation.cancellationReason = reason;
-      await RedisManager.setCache(reservationKey, reservation, 86400); // 24 saat tutma
-      
-      // Kullanıcının rezervasyon listesinden çıkar
-      await this.removeUserReservation(reservation.userId, operationId);
-      
-      console.log(`✅ [CANCEL] Reservation cancelled: ${operationId}`);
-      
-      return {
-        success: true,
+      await CreditReservation.create({
         operationId,
-        reason
-      };
+        user: parent.user,
+        subscription: parent.subscription,
+        service: parent.service,
+        amount,
+        metadata: { ...metadata, parentOperationId },
+        expiresAt
+      });
     } catch (error) {
-      console.error(`❌ [CANCEL] Failed to cancel reservation:`, error);
+      // Hand the credits back; if the parent was released meanwhile, release them too
+      const restored = await CreditReservation.updateOne(
+        { operationId: parentOperationId, status: 'reserved' },
+        { $inc: { amount } }
+      );
+      if (restored.modifiedCount === 0) {
+        await Subscription.updateOne({ _id: parent.subscription }, { $inc: { 'credits.reserved': -amount } });
+      }
       throw error;
     }
+
+    return {
+      success: true,
+      reservationId: operationId,
+      amount,
+      expiresAt: expiresAt.toISOString()
+    };
   }
 
   /**
    * Kullanıcının mevcut kredi bilgilerini getir (rezervasyonlar dahil)
    */
   async getUserCreditInfo(userId) {
-    try {
-      const cacheKey = `credit:info:${userId}`;
-      
-      // Cache'den dene
-      const cached = await RedisManager.getCache(cacheKey);
-      if (cached) {
-        return cached;
-      }
-      
-      // Aktif subscription getir
-      let subscription = await Subscription.findOne({
-        user: userId,
-        status: 'active'
-      }).populate('plan');
-      
-      // Subscription yoksa free plan ile oluştur
-      if (!subscription) {
-        subscription = await this.createFreeSubscription(userId);
-      }
-      
-      if (!subscription || !subscription.plan) {
-        throw new Error('Failed to create or find subscription');
-      }
-      
-      // Aktif rezervasyonları getir
-      const reservedCredits = await this.getUserReservedCredits(userId);
-      
-      // Rollover kredilerini getir
-      const rolloverCredits = await this.getRolloverCredits(userId);
-      
-      const subscriptionUsed = subscription.credits?.used || 0;
-      const totalAvailable = subscription.plan.credits.monthly + rolloverCredits;
-      const actuallyAvailable = Math.max(0, totalAvailable - subscriptionUsed - reservedCredits);
-      
-      const creditInfo = {
-        plan: {
-          id: subscription.plan._id,
-          name: subscription.plan.displayName,
-          monthly: subscription.plan.credits.monthly
-        },
-        used: subscriptionUsed,
-        reserved: reservedCredits,
-        available: actuallyAvailable,
-        rollover: rolloverCredits,
-        total: totalAvailable,
-        utilizationPercent: Math.round((subscriptionUsed / totalAvailable) * 100)
-      };
-      
-      // Kısa cache - dinamik veri
-      await RedisManager.setCache(cacheKey, creditInfo, 60);
-      
-      return creditInfo;
-    } catch (error) {
-      logger.error('Failed to get user credit info:', error);
-      throw error;
-    }
+    const CreditService = require('./CreditService');
+    const creditInfo = await CreditService.getUserCreditInfo(userId);
+    return { ...creditInfo, used: creditInfo.usage };
   }
 
   /**
@@ -297,42 +366,27 @@ class EnterpriseCreditService {
    * Utility Methods
    */
   async getUserReservedCredits(userId) {
-    try {
-      const userReservationsKey = `credit:user_reservations:${userId}`;
-      const reservationIds = await RedisManager.getCache(userReservationsKey) || [];
-      
-      let totalReserved = 0;
-      for (const operationId of reservationIds) {
-        const reservationKey = `credit:reservation:${operationId}`;
-        const reservation = await RedisManager.getCache(reservationKey);
-        
-        if (reservation && reservation.status === 'reserved') {
-          // Süresinin dolup dolmadığını kontrol et
-          if (new Date() <= new Date(reservation.expiresAt)) {
-            totalReserved += reservation.amount;
-          } else {
-            // Süresi dolmuş, temizle
-            await RedisManager.deleteCache(reservationKey);
-          }
-        }
-      }
-      
-      return totalReserved;
-    } catch (error) {
-      console.error('Failed to get user reserved credits:', error);
-      return 0;
-    }
+    const subscription = await Subscription.findOne({ user: userId, status: 'active' }).select('credits.reserved');
+    return subscription?.credits?.reserved || 0;
   }
 
-  async removeUserReservation(userId, operationId) {
-    const userReservationsKey = `credit:user_reservations:${userId}`;
-    let userReservations = await RedisManager.getCache(userReservationsKey) || [];
-    userReservations = userReservations.filter(id => id !== operationId);
-    
-    if (userReservations.length > 0) {
-      await RedisManager.setCache(userReservationsKey, userReservations, this.reservationTTL);
-    } else {
-      await RedisManager.deleteCache(userReservationsKey);
+  getReservationTTL(service) {
+    return this.reservationTTLs[service] || this.reservationTTL;
+  }
+
+  // Subscription.credits.usageByService key for a service type
+  getUsageKey(service) {
+    switch (service) {
+      case 'tts':
+      case 'music':
+        return service;
+      case 'voice-clone-creation':
+      case 'voice-clone-usage':
+        return 'voiceClone';
+      case 'voice-isolator':
+        return 'voiceIsolator';
+      default:
+        return null;
     }
   }
 
@@ -418,18 +472,48 @@ class EnterpriseCreditService {
 
   /**
    * Süresi dolmuş rezervasyonları temizleme görevi
+   * Releases holds whose operation never consumed or cancelled them (crash, lost job)
+   * @returns {Promise<number>} Number of expired reservations
    */
   async cleanupExpiredReservations() {
     try {
-      console.log('🧹 [CLEANUP] Starting expired reservation cleanup...');
-      
-      // Bu gelecek implementasyon için - Redis pattern matching gerekli
-      // Şimdilik manuel cleanup yapılacak
-      
+      const expired = await CreditReservation.find({
+        status: 'reserved',
+        expiresAt: { $lt: new Date() }
+      }).select('operationId').limit(500);
+
+      if (expired.length === 0) {
+        return 0;
+      }
+
+      console.log(`🧹 [CLEANUP] Releasing ${expired.length} expired credit reservations...`);
+
+      for (const reservation of expired) {
+        await this.cancelReservation(reservation.operationId, 'Reservation expired', 'expired');
+      }
+
       console.log('✅ [CLEANUP] Cleanup completed');
+      return expired.length;
     } catch (error) {
       console.error('❌ [CLEANUP] Failed to cleanup expired reservations:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Start the periodic expired reservation sweep
+   */
+  startReservationSweep(intervalMs = 5 * 60 * 1000) {
+    if (this.sweepIntervalId) {
+      return;
     }
+
+    this.sweepIntervalId = setInterval(() => {
+      this.cleanupExpiredReservations();
+    }, intervalMs);
+
+    // Initial run
+    this.cleanupExpiredReservations();
   }
 }
 
@@ -1,5 +1,5 @@
 const Music = require('../models/Music');
-const cloudflareService = require('./cloudflare');
+const StorageService = require('./StorageService');
 const logger = require('./logger');
 
 /**
@@ -39,10 +39,15 @@ class FeaturedMusicService {
         throw new Error(`Music not found: ${musicId}`);
       }
       
+      // Featured tracks are played on public pages - move private audio to the CDN
+      const cdnUrl = await StorageService.setVisibility(music.cdnUrl, 'public');
+
       // Update music as featured
       const updatedMusic = await Music.findByIdAndUpdate(
         musicId,
         {
+          cdnUrl,
+          isPublic: true,
           'featured.isActive': true,
           'featured.category': category,
           'featured.subcategory': subcategory,
@@ -128,17 +133,13 @@ class FeaturedMusicService {
         throw new Error(`Music not featured: ${musicId}`);
       }
       
-      // Generate unique filename
-      const fileExtension = fileName.split('.').pop();
-      const uniqueFileName = `${musicId}_${Date.now()}.${fileExtension}`;
-      const cdnPath = `${this.artworkPath}${uniqueFileName}`;
-      
-      // Upload to CDN
-      const cdnUrl = await cloudflareService.uploadBuffer(
-        fileBuffer,
-        cdnPath,
-        mimeType
-      );
+      // Upload to CDN - the extension comes from the detected image type, not the client's file name
+      const upload = await StorageService.upload(`${this.artworkPath}${musicId}_${Date.now()}`, fileBuffer, {
+        contentType: mimeType,
+        appendExtension: true
+      });
+      const cdnUrl = upload.url;
+      const uniqueFileName = upload.key.split('/').pop();
       
       // Update music with artwork info
       const updatedMusic = await Music.findByIdAndUpdate(
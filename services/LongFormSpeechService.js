@@ -0,0 +1,458 @@
+const Speech = require('../models/Speech');
+const AIModel = require('../models/AIModel');
+const VoiceModel = require('../models/VoiceModel');
+const ProviderRouter = require('./ProviderRouter');
+const EnterpriseCreditService = require('./EnterpriseCreditService');
+const SpeechGenerationService = require('./SpeechGenerationService');
+const StorageService = require('./StorageService');
+const EventBus = require('./events/EventBus');
+const JobQueue = require('./queue/JobQueue');
+const WebhookService = require('./WebhookService');
+const StorageQuotaService = require('./StorageQuotaService');
+const WavUtil = require('../utils/wav');
+const logger = require('./logger');
+
+// Share of the progress bar taken by chunk rendering; stitching and settlement take the rest
+const RENDER_PROGRESS = 90;
+// Signed URL lifetime (seconds) for the audio link in speech.completed webhooks
+const WEBHOOK_URL_TTL = 24 * 60 * 60;
+// Signed URL lifetime (seconds) for private voice recordings handed to the provider
+const PROVIDER_URL_TTL = 60 * 60;
+
+/**
+ * Long-form text-to-speech pipeline for input too long for one provider request
+ *
+ * The request stores a 'queued' Speech record with its text split into chunks; the
+ * 'tts-longform' JobQueue then runs:
+ *   chunk    - render one chunk (chunks run in parallel) into private storage, the last one enqueues assemble
+ *   assemble - loudness-normalize and stitch the chunks, upload, settle credits, delete the chunk files
+ * Chunk and settlement state lives on the record so retries are safe.
+ */
+class LongFormSpeechService {
+
+  /**
+   * Create a queued long-form Speech record and enqueue its chunks
+   * @param {Object} options
+   * @param {Object} options.user - Authenticated user document
+   * @param {string} options.text - Input text
+   * @param {Object} options.voice - VoiceModel document
+   * @param {Object} options.aiModel - TTS AIModel document
+   * @param {Object} options.creditInfo - req.creditInfo from CreditLimitMiddleware.reserveCredits
+   * @returns {Promise<Object>} Saved Speech document
+   */
+  async startGeneration({ user, text, voice, aiModel, creditInfo }) {
+    // Chunks are stitched as WAV - MP3 models would only fail once every chunk was paid for
+    SpeechGenerationService.assertStitchable(aiModel);
+
+    // Don't queue chunks the provider won't accept (the route returns 503)
+    await ProviderRouter.assertAvailable(aiModel);
+
+    const maxLength = aiModel.config?.maxInputLength || SpeechGenerationService.maxSegmentLength;
+    const chunks = SpeechGenerationService.chunkText(text, maxLength);
+
+    const speech = new Speech({
+      userId: user._id,
+      text,
+      voiceId: voice.name,
+      voiceName: voice.name,
+      model: aiModel.name,
+      status: 'queued',
+      progress: 0,
+      longForm: {
+        enabled: true,
+        stage: 'rendering',
+        voiceModelId: voice._id,
+        totalChunks: chunks.length,
+        completedChunks: 0,
+        chunks: chunks.map((chunk, index) => ({ index, ...chunk }))
+      },
+      reservedCredits: {
+        amount: creditInfo.cost,
+        reservationId: creditInfo.reservationId
+      },
+      metadata: {
+        modelId: aiModel._id,
+        provider: aiModel.provider.name
+      }
+    });
+
+    await speech.save();
+    // The chunk jobs settle the reservation from here - a client disconnect no longer releases it
+    creditInfo.handedOff = true;
+
+    try {
+      for (const chunk of speech.longForm.chunks) {
+        await this.enqueue('chunk', speech._id, { chunkIndex: chunk.index });
+      }
+    } catch (error) {
+      await this.markAsFailed(speech, 'Failed to queue generation');
+      throw error;
+    }
+
+    return speech;
+  }
+
+  // ===============================
+  // QUEUE HELPERS
+  // ===============================
+
+  /**
+   * Add a pipeline job, or run it inline (single attempt) when the queue is unavailable
+   */
+  async enqueue(stage, speechId, data = {}) {
+    const id = speechId.toString();
+
+    if (JobQueue.isInitialized) {
+      await JobQueue.generateLongFormSpeech(stage, id, data);
+      return;
+    }
+
+    logger.warn(`⚠️ [TTS-LONGFORM] JobQueue not initialized - running ${stage} inline for ${id}`);
+    setImmediate(() => {
+      this.runStage(stage, id, data, { isFinalAttempt: true }).catch(error => {
+        logger.error(`❌ [TTS-LONGFORM] Inline ${stage} failed for ${id}:`, error.message);
+      });
+    });
+  }
+
+  /**
+   * Run a pipeline stage (called by the 'tts-longform' queue processor)
+   * @param {string} stage - chunk | assemble
+   * @param {string} speechId - Speech ID
+   * @param {Object} data - Job data ({ chunkIndex } for chunk jobs)
+   * @param {Object} options
+   * @param {boolean} options.isFinalAttempt - Fail the generation if this attempt throws
+   */
+  async runStage(stage, speechId, data = {}, { isFinalAttempt = false } = {}) {
+    const speech = await Speech.findById(speechId);
+    if (!speech) {
+      logger.warn(`⚠️ [TTS-LONGFORM] Speech ${speechId} not found, dropping ${stage} job`);
+      return;
+    }
+
+    if (['completed', 'failed'].includes(speech.status)) {
+      return;
+    }
+
+    try {
+      switch (stage) {
+        case 'chunk':
+          return await this.renderChunk(speech, data.chunkIndex);
+        case 'assemble':
+          return await this.assemble(speech);
+        default:
+          throw new Error(`Unknown long-form speech stage: ${stage}`);
+      }
+    } catch (error) {
+      if (isFinalAttempt) {
+        await this.markAsFailed(speech, error.message);
+      }
+      throw error;
+    }
+  }
+
+  // ===============================
+  // STAGES
+  // ===============================
+
+  /**
+   * Render one chunk; the chunk that completes the set enqueues assembly
+   */
+  async renderChunk(speech, chunkIndex) {
+    const chunk = speech.longForm.chunks.find(c => c.index === chunkIndex);
+    if (!chunk) {
+      throw new Error(`Chunk ${chunkIndex} not found`);
+    }
+    if (chunk.status === 'completed') {
+      return;
+    }
+
+    const [aiModel, voice] = await Promise.all([
+      AIModel.findById(speech.metadata?.modelId),
+      VoiceModel.findById(speech.longForm.voiceModelId)
+    ]);
+    if (!aiModel) {
+      throw new Error('AI Model not found');
+    }
+    if (!voice) {
+      throw new Error('Voice not found');
+    }
+
+    // Chunks can wait in the queue - keep the hold alive while they render
+    if (speech.reservedCredits?.reservationId) {
+      await EnterpriseCreditService.extendReservation(speech.reservedCredits.reservationId);
+    }
+
+    // Only call the provider once per chunk - a retry resumes the stored job on the provider that took it
+    let provider;
+    let result;
+    if (chunk.providerJobId) {
+      const served = await ProviderRouter.getServingProvider(aiModel._id, chunk.servedBy);
+      if (!served) {
+        throw new Error('AI Model not found');
+      }
+      provider = served.provider;
+      result = await provider.checkSpeechStatus(chunk.providerJobId);
+    } else {
+      // Failover to the 'tts' routing policy candidates if the model's provider rejects the job
+      const routed = await ProviderRouter.submit(aiModel, candidateProvider => candidateProvider.generateSpeech({
+        text: chunk.text,
+        voiceUrl: StorageService.resolveUrl(voice.audioFile, { expiresIn: PROVIDER_URL_TTL })
+      }));
+      ({ provider, result } = routed);
+      await Speech.updateOne(
+        { _id: speech._id, 'longForm.chunks.index': chunkIndex },
+        {
+          $set: {
+            status: 'generating',
+            'longForm.chunks.$.status': 'processing',
+            'longForm.chunks.$.providerJobId': result.jobId,
+            'longForm.chunks.$.servedBy': routed.servedBy
+          }
+        }
+      );
+    }
+
+    try {
+      result = await SpeechGenerationService.waitForSpeech(provider, result);
+    } catch (error) {
+      // Render from scratch on retry
+      await Speech.updateOne(
+        { _id: speech._id, 'longForm.chunks.index': chunkIndex },
+        {
+          $set: { 'longForm.chunks.$.status': 'pending' },
+          $unset: { 'longForm.chunks.$.providerJobId': 1, 'longForm.chunks.$.servedBy': 1 }
+        }
+      );
+      throw error;
+    }
+
+    // Provider URLs expire - keep our own copy until the last chunk is done
+    const audio = await SpeechGenerationService.downloadAudio(result.audioUrl);
+    const upload = await StorageService.upload(
+      this.chunkKey(speech, chunkIndex),
+      SpeechGenerationService.requireWav(audio, aiModel),
+      { visibility: 'private' }
+    );
+
+    // Count each chunk once even if two attempts finish together
+    const updated = await Speech.findOneAndUpdate(
+      {
+        _id: speech._id,
+        status: { $nin: ['completed', 'failed'] },
+        'longForm.chunks': { $elemMatch: { index: chunkIndex, status: { $ne: 'completed' } } }
+      },
+      {
+        $set: {
+          'longForm.chunks.$.status': 'completed',
+          'longForm.chunks.$.audioUrl': upload.url,
+          'longForm.chunks.$.completedAt': new Date()
+        },
+        $inc: { 'longForm.completedChunks': 1 }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      // The generation ended (and cleaned up its chunks) while this one rendered
+      const current = await Speech.findById(speech._id).select('status');
+      if (!current || ['completed', 'failed'].includes(current.status)) {
+        await StorageService.delete(upload.url);
+      }
+      return;
+    }
+
+    const { completedChunks, totalChunks } = updated.longForm;
+    const progress = Math.floor((completedChunks / totalChunks) * RENDER_PROGRESS);
+    await Speech.updateOne({ _id: speech._id, progress: { $lt: progress } }, { $set: { progress } });
+    await this.notifyProgress(updated, 'rendering', progress);
+
+    if (completedChunks >= totalChunks) {
+      await this.requestAssemble(updated);
+    }
+  }
+
+  /**
+   * Claim the record for stitching and enqueue the assemble stage
+   */
+  async requestAssemble(speech) {
+    const claimed = await Speech.findOneAndUpdate(
+      { _id: speech._id, 'longForm.stage': 'rendering' },
+      { $set: { 'longForm.stage': 'stitching' } }
+    );
+    if (!claimed) {
+      return;
+    }
+
+    await this.enqueue('assemble', speech._id);
+  }
+
+  /**
+   * Stitch the rendered chunks, upload the result and settle credits
+   */
+  async assemble(speech) {
+    await this.notifyProgress(speech, 'stitching', RENDER_PROGRESS);
+
+    if (!speech.audioUrl) {
+      const chunks = [...speech.longForm.chunks].sort((a, b) => a.index - b.index);
+      const parts = [];
+
+      for (const chunk of chunks) {
+        if (!chunk.audioUrl) {
+          throw new Error(`Chunk ${chunk.index} has no audio`);
+        }
+        parts.push(WavUtil.normalize(await this.readChunk(chunk)));
+        if (chunk.pauseAfter) {
+          parts.push({ silence: chunk.pauseAfter });
+        }
+      }
+
+      const audio = WavUtil.concat(parts);
+      const upload = await StorageService.upload(
+        `VeeqAI/Text_to_Speech/tts_${speech.userId}_${speech._id}.wav`,
+        audio,
+        { visibility: 'private' }
+      );
+      speech.audioUrl = upload.url;
+      speech.storageBytes = upload.size;
+      speech.duration = Math.round(WavUtil.duration(audio));
+      await speech.save();
+      await StorageQuotaService.record(speech.userId, upload.size);
+    }
+
+    await this.settleCredits(speech);
+
+    speech.status = 'completed';
+    speech.progress = 100;
+    speech.longForm.stage = 'completed';
+    await speech.save();
+    await this.deleteChunks(speech);
+
+    await VoiceModel.updateOne({ _id: speech.longForm.voiceModelId }, { $inc: { usageCount: 1 } });
+    await this.notifyProgress(speech, 'completed', 100);
+
+    console.log(`✅ [TTS-LONGFORM] Speech ${speech._id} completed (${speech.longForm.totalChunks} chunks)`);
+
+    // Notify customer webhooks
+    await WebhookService.dispatch(speech.userId, 'speech.completed', {
+      id: speech._id,
+      voice: speech.voiceName,
+      characters: speech.text.length,
+      audioUrl: StorageService.resolveUrl(speech.audioUrl, { expiresIn: WEBHOOK_URL_TTL }),
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  // ===============================
+  // HELPERS
+  // ===============================
+
+  async settleCredits(speech) {
+    // Claim settlement atomically so a retried job can't charge twice
+    const claimed = await Speech.findOneAndUpdate(
+      { _id: speech._id, 'longForm.creditsSettledAt': { $exists: false } },
+      { $set: { 'longForm.creditsSettledAt': new Date(), 'longForm.stage': 'settling' } }
+    );
+    if (!claimed) {
+      return;
+    }
+
+    try {
+      if (speech.reservedCredits?.reservationId) {
+        await EnterpriseCreditService.consumeReservedCredits(speech.reservedCredits.reservationId, {
+          speechId: speech._id,
+          longForm: true,
+          chunks: speech.longForm.totalChunks
+        });
+      }
+    } catch (error) {
+      // Release the claim so the retry settles again
+      await Speech.updateOne({ _id: speech._id }, { $unset: { 'longForm.creditsSettledAt': 1 } });
+      throw error;
+    }
+
+    speech.longForm.creditsSettledAt = new Date();
+  }
+
+  /**
+   * Fail the generation and release its credit reservation
+   */
+  async markAsFailed(speech, errorMessage) {
+    const failed = await Speech.findOneAndUpdate(
+      { _id: speech._id, status: { $nin: ['completed', 'failed'] } },
+      { $set: { status: 'failed', error: errorMessage, 'longForm.stage': 'failed' } },
+      { new: true }
+    );
+    if (!failed) {
+      return;
+    }
+
+    if (failed.reservedCredits?.reservationId && !failed.longForm.creditsSettledAt) {
+      try {
+        await EnterpriseCreditService.cancelReservation(failed.reservedCredits.reservationId, errorMessage);
+      } catch (error) {
+        logger.error(`❌ [TTS-LONGFORM] Failed to release reservation for speech ${speech._id}:`, error.message);
+      }
+    }
+
+    await this.deleteChunks(failed);
+
+    console.log(`❌ [TTS-LONGFORM] Speech ${speech._id} failed: ${errorMessage}`);
+
+    await this.notifyProgress(failed, 'failed', failed.progress);
+
+    // Notify customer webhooks
+    await WebhookService.dispatch(failed.userId, 'speech.failed', {
+      id: failed._id,
+      voice: failed.voiceName,
+      characters: failed.text.length,
+      error: errorMessage,
+      failedAt: new Date().toISOString()
+    });
+  }
+
+  chunkKey(speech, chunkIndex) {
+    return `VeeqAI/Text_to_Speech/chunks/${speech._id}_${chunkIndex}.wav`;
+  }
+
+  async readChunk(chunk) {
+    const { key, visibility } = StorageService.parse(chunk.audioUrl) || {};
+    const object = key && await StorageService.get(key, visibility);
+    if (!object) {
+      throw new Error(`Chunk ${chunk.index} audio is missing`);
+    }
+
+    const parts = [];
+    for await (const part of object.stream) {
+      parts.push(part);
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Delete the rendered chunk files once they're stitched or no longer needed
+   */
+  async deleteChunks(speech) {
+    await Promise.all(speech.longForm.chunks
+      .filter(chunk => chunk.audioUrl)
+      .map(chunk => StorageService.delete(chunk.audioUrl)));
+  }
+
+  async notifyProgress(speech, stage, progress) {
+    try {
+      await EventBus.publishWebSocketEvent('user_specific', {
+        userId: speech.userId.toString(),
+        type: 'SPEECH_PROGRESS',
+        speechId: speech._id.toString(),
+        stage,
+        progress,
+        completedChunks: speech.longForm.completedChunks,
+        totalChunks: speech.longForm.totalChunks
+      });
+    } catch (error) {
+      logger.debug(`📡 [TTS-LONGFORM] Progress notification failed for ${speech._id}:`, error.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new LongFormSpeechService();
@@ -0,0 +1,627 @@
+const crypto = require('crypto');
+const Music = require('../models/Music');
+const AIModel = require('../models/AIModel');
+const Usage = require('../models/Usage');
+const ProviderRouter = require('./ProviderRouter');
+const CreditService = require('./CreditService');
+const EnterpriseCreditService = require('./EnterpriseCreditService');
+const ArtworkGenerationService = require('./ArtworkGenerationService');
+const ReplicateProvider = require('./providers/ReplicateProvider');
+const StorageService = require('./StorageService');
+const EventBus = require('./events/EventBus');
+const JobQueue = require('./queue/JobQueue');
+const WebhookService = require('./WebhookService');
+const StorageQuotaService = require('./StorageQuotaService');
+const logger = require('./logger');
+
+// Progress reported to the client for each pipeline stage
+const STAGE_PROGRESS = {
+  queued: 0,
+  submitting: 5,
+  generating: 10,
+  finalizing: 80,
+  uploading: 85,
+  artwork: 90,
+  settling: 95,
+  completed: 100,
+  failed: 0
+};
+
+// Title suffix for derived tracks
+const OPERATION_LABELS = {
+  variation: 'Variation',
+  extend: 'Extended',
+  remix: 'Remix'
+};
+
+const DEFAULT_MUSIC_CREDITS = 300;
+// Signed URL lifetimes (seconds) for private tracks handed to providers and customer webhooks
+const PROVIDER_URL_TTL = 60 * 60;
+const WEBHOOK_URL_TTL = 24 * 60 * 60;
+const MAX_POLL_DURATION_MS = 20 * 60 * 1000;
+// A submit claim older than this is treated as abandoned (worker crashed mid-call)
+const SUBMIT_CLAIM_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Music generation pipeline shared by the app and public API routes
+ *
+ * The request only persists a 'queued' Music record; the 'music-generate' JobQueue runs:
+ *   submit   - send the job to the provider, record usage
+ *   poll     - check provider status until done (provider webhooks can finish earlier)
+ *   finalize - CDN upload, artwork, credit settlement, completion
+ * Every stage checks the record's pipeline timestamps first so retries are safe.
+ */
+class MusicGenerationService {
+  constructor() {
+    this.pollInterval = ReplicateProvider.isWebhookEnabled() ? 30000 : 5000;
+  }
+
+  /**
+   * Create a queued music record and enqueue its generation
+   * @param {Object} options
+   * @param {Object} options.user - Authenticated user document
+   * @param {Object} options.aiModel - Active AIModel document
+   * @param {Object} options.params - { prompt, duration, style, lyrics, ...extra model inputs (seed, negative_prompt...) }
+   * @param {Object} options.creditInfo - req.creditInfo from CreditLimitMiddleware.reserveCredits
+   * @param {Object} options.metadata - Request metadata for the usage record
+   * @param {Object} options.lineage - Derived tracks only: { parent, operation, derivation, title } from buildDerivative
+   * @returns {Promise<Object>} Saved Music document
+   */
+  async startGeneration({ user, aiModel, params, creditInfo, metadata = {}, lineage = null }) {
+    const { prompt, duration = 30, style = '', lyrics = '', ...parameters } = params;
+
+    // Don't queue work no provider will accept (the route returns 503 and the reservation is released)
+    await ProviderRouter.assertAvailable(aiModel);
+
+    // Local placeholder artwork (no CDN upload) so the client has something to show right away
+    const artworkData = await ArtworkGenerationService.generateArtworkFromPrompt(prompt);
+
+    const music = new Music({
+      userId: user._id,
+      title: lineage?.title || prompt.substring(0, 50), // Initial title
+      prompt,
+      duration,
+      style,
+      lyrics,
+      parameters,
+      parentId: lineage?.parent._id,
+      rootId: lineage ? (lineage.parent.rootId || lineage.parent._id) : undefined,
+      operation: lineage?.operation || 'generate',
+      derivation: lineage?.derivation,
+      modelId: aiModel._id,
+      modelName: aiModel.displayName,
+      provider: aiModel.provider.name,
+      status: 'queued',
+      progress: 0,
+      artworkData: artworkData,
+      artworkUrl: artworkData?.style?.background || artworkData?.gradient,
+      reservedCredits: {
+        amount: creditInfo.cost,
+        userId: user._id.toString(),
+        service: 'music',
+        reserved: !!creditInfo.reservationId,
+        reservationId: creditInfo.reservationId
+      },
+      metadata: {
+        request: metadata,
+        planId: creditInfo.plan.id?.toString()
+      }
+    });
+
+    await music.save();
+    // The pipeline settles the reservation from here - a client disconnect no longer releases it
+    creditInfo.handedOff = true;
+
+    try {
+      await this.enqueue('submit', music._id);
+    } catch (error) {
+      // Fail the record (and release its reservation) rather than leave it queued
+      const MusicProcessor = require('./MusicProcessor');
+      await MusicProcessor.markAsFailed(music, 'Failed to queue generation');
+      throw error;
+    }
+
+    return music;
+  }
+
+  /**
+   * Generation input for a new version of a finished track
+   * The parent's prompt, lyrics, style and model carry over; each operation changes one thing:
+   *   variation - same input with a new seed
+   *   extend    - continue the parent's audio by options.seconds
+   *   remix     - same lyrics in options.style
+   * @param {Object} parent - Completed Music document
+   * @param {string} operation - variation | extend | remix
+   * @param {Object} options - { seconds } for extend, { style } for remix
+   * @returns {Object} { params, lineage, billedDuration } - only the added audio is billed
+   */
+  buildDerivative(parent, operation, options = {}) {
+    const params = {
+      ...(parent.parameters || {}),
+      prompt: parent.prompt,
+      duration: parent.duration || 30,
+      style: parent.style || '',
+      lyrics: parent.lyrics || ''
+    };
+    const derivation = {};
+    let billedDuration = params.duration;
+
+    switch (operation) {
+      case 'variation':
+        derivation.seed = crypto.randomInt(0, 2 ** 31 - 1);
+        break;
+      case 'extend':
+        derivation.sourceAudioUrl = parent.cdnUrl || parent.audioUrl;
+        derivation.extendedBy = options.seconds;
+        params.duration = params.duration + options.seconds;
+        billedDuration = options.seconds;
+        break;
+      case 'remix':
+        derivation.parentStyle = params.style;
+        params.style = options.style;
+        break;
+      default:
+        throw new Error(`Unknown music operation: ${operation}`);
+    }
+
+    return {
+      params,
+      billedDuration,
+      lineage: {
+        parent,
+        operation,
+        derivation,
+        title: `${parent.title} (${OPERATION_LABELS[operation]})`
+      }
+    };
+  }
+
+  // ===============================
+  // QUEUE HELPERS
+  // ===============================
+
+  /**
+   * Add a pipeline job, or run it inline (single attempt) when the queue is unavailable
+   */
+  async enqueue(stage, musicId, options = {}) {
+    const id = musicId.toString();
+
+    if (JobQueue.isInitialized) {
+      await JobQueue.generateMusic(stage, id, options);
+      return;
+    }
+
+    logger.warn(`⚠️ [MUSIC-PIPELINE] JobQueue not initialized - running ${stage} inline for ${id}`);
+    setTimeout(() => {
+      this.runStage(stage, id, { isFinalAttempt: true }).catch(error => {
+        logger.error(`❌ [MUSIC-PIPELINE] Inline ${stage} failed for ${id}:`, error.message);
+      });
+    }, options.delay || 0);
+  }
+
+  /**
+   * Run a pipeline stage (called by the 'music-generate' queue processor)
+   * @param {string} stage - submit | poll | finalize
+   * @param {string} musicId - Music ID
+   * @param {Object} options
+   * @param {boolean} options.isFinalAttempt - Fail the generation if this attempt throws
+   */
+  async runStage(stage, musicId, { isFinalAttempt = false } = {}) {
+    const music = await Music.findById(musicId);
+    if (!music) {
+      logger.warn(`⚠️ [MUSIC-PIPELINE] Music ${musicId} not found, dropping ${stage} job`);
+      return;
+    }
+
+    if (['completed', 'failed'].includes(music.status)) {
+      return; // Already finalized (e.g. by a provider webhook)
+    }
+
+    try {
+      switch (stage) {
+        case 'submit':
+          return await this.submit(music);
+        case 'poll':
+          return await this.poll(music);
+        case 'finalize':
+          return await this.finalize(music, { isFinalAttempt });
+        default:
+          throw new Error(`Unknown music pipeline stage: ${stage}`);
+      }
+    } catch (error) {
+      await Music.updateOne({ _id: music._id }, { $set: { 'pipeline.lastError': error.message } });
+
+      if (isFinalAttempt) {
+        const MusicProcessor = require('./MusicProcessor');
+        await MusicProcessor.markAsFailed(music, error.message);
+      }
+      throw error;
+    }
+  }
+
+  // ===============================
+  // STAGES
+  // ===============================
+
+  /**
+   * Submit the generation to the provider and write the usage record
+   */
+  async submit(music) {
+    const aiModel = await AIModel.findById(music.modelId);
+    if (!aiModel) {
+      throw new Error('AI Model not found');
+    }
+
+    if (music.providerJobId && music.pipeline.usageRecordedAt) {
+      return; // Submitted by an earlier attempt, which scheduled the poll
+    }
+
+    // Only call the provider once - a retry after a crash reuses the stored job ID
+    if (!music.providerJobId) {
+      // Claim the submission atomically so duplicate submit jobs can't both reach the provider
+      const claimedAt = new Date();
+      const claimed = await Music.findOneAndUpdate(
+        {
+          _id: music._id,
+          providerJobId: null,
+          $or: [
+            { 'pipeline.stage': 'queued' },
+            { 'pipeline.stage': 'submitting', 'pipeline.submitClaimedAt': { $not: { $gt: new Date(claimedAt - SUBMIT_CLAIM_TTL_MS) } } }
+          ]
+        },
+        { $set: { 'pipeline.stage': 'submitting', 'pipeline.submitClaimedAt': claimedAt, progress: STAGE_PROGRESS.submitting } },
+        { new: true }
+      );
+      if (!claimed) {
+        // Another worker is submitting - check back once its claim would have expired
+        const current = await Music.findById(music._id).select('providerJobId');
+        if (current && !current.providerJobId) {
+          await this.enqueue('submit', music._id, { delay: SUBMIT_CLAIM_TTL_MS });
+        }
+        logger.info(`🎵 [MUSIC-PIPELINE] Submit for ${music._id} already claimed, skipping`);
+        return;
+      }
+      music = claimed;
+      await this.notifyProgress(music.userId, music._id, 'submitting');
+
+      if (music.reservedCredits?.reservationId) {
+        await EnterpriseCreditService.extendReservation(music.reservedCredits.reservationId);
+      }
+
+      // Failover to the capability's routing policy candidates if the model's provider rejects the job
+      const isExtension = music.operation === 'extend';
+      const routed = await ProviderRouter.submit(aiModel, (provider, candidate) => {
+        if (isExtension && !candidate.aiModel.capabilities?.features?.continuation) {
+          throw new Error('Model cannot extend tracks');
+        }
+
+        // Inputs were validated against the requested model - only pass what this one declares
+        const accepted = candidate.aiModel.getInputSchema()?.properties || {};
+        const parameters = Object.fromEntries(
+          Object.entries(music.parameters || {}).filter(([key]) => accepted[key])
+        );
+
+        return provider.generateMusic({
+          prompt: music.prompt,
+          // Extensions only generate the added seconds after the parent's audio
+          duration: isExtension ? music.derivation.extendedBy : music.duration,
+          style: music.style,
+          // Only models whose input schema declares lyrics receive them
+          lyrics: accepted.lyrics ? music.lyrics : undefined,
+          parameters,
+          seed: music.derivation?.seed,
+          // Private parents are stored by reference - the provider gets a signed URL
+          audioUrl: isExtension ? StorageService.resolveUrl(music.derivation.sourceAudioUrl, { expiresIn: PROVIDER_URL_TTL }) : undefined,
+          continuation: isExtension
+        });
+      }).catch(error => {
+        // Breaker open or provider at capacity - wait it out rather than use up queue attempts
+        if (error.code === 'PROVIDER_UNAVAILABLE' && Date.now() - music.createdAt.getTime() < MAX_POLL_DURATION_MS) {
+          return { unavailable: error };
+        }
+        return { error };
+      });
+
+      if (routed.unavailable || routed.error) {
+        // Release the claim for the next attempt
+        await Music.updateOne(
+          { _id: music._id, 'pipeline.submitClaimedAt': claimedAt },
+          { $set: { 'pipeline.stage': 'queued' }, $unset: { 'pipeline.submitClaimedAt': 1 } }
+        );
+      }
+      if (routed.error) {
+        throw routed.error;
+      }
+      if (routed.unavailable) {
+        const delay = (routed.unavailable.retryAfter || 5) * 1000;
+        logger.warn(`⚠️ [MUSIC-PIPELINE] Provider unavailable for ${music._id}, resubmitting in ${delay}ms`);
+        await this.enqueue('submit', music._id, { delay });
+        return;
+      }
+
+      const { result, servedBy } = routed;
+
+      music.providerJobId = result.jobId;
+      music.servedBy = servedBy;
+      music.provider = servedBy.provider.name;
+      music.estimatedTime = result.estimatedTime || 30;
+      music.status = 'processing';
+      music.pipeline.submittedAt = new Date();
+      await this.setStage(music, 'generating');
+    }
+
+    if (!music.pipeline.usageRecordedAt) {
+      const served = await ProviderRouter.getServingProvider(music.modelId, music.servedBy);
+      await this.recordUsage(music, served?.aiModel || aiModel);
+      music.pipeline.usageRecordedAt = new Date();
+      await music.save();
+    }
+
+    await this.enqueue('poll', music._id, { delay: this.pollInterval });
+  }
+
+  /**
+   * Check provider status; schedules itself again until the job is done
+   */
+  async poll(music) {
+    if (music.pipeline.stage !== 'generating') {
+      return; // Finalization already claimed by a webhook or sweep
+    }
+
+    const served = await ProviderRouter.getServingProvider(music.modelId, music.servedBy);
+    if (!served) {
+      throw new Error('AI Model not found');
+    }
+
+    const result = await served.provider.checkStatus(music.providerJobId);
+
+    if (['processing', 'starting'].includes(result.status)) {
+      const submittedAt = music.pipeline.submittedAt || music.createdAt;
+      if (Date.now() - submittedAt.getTime() > MAX_POLL_DURATION_MS) {
+        const MusicProcessor = require('./MusicProcessor');
+        await MusicProcessor.markAsFailed(music, 'Generation timed out');
+        return;
+      }
+
+      await this.enqueue('poll', music._id, { delay: this.pollInterval });
+      return;
+    }
+
+    const MusicProcessor = require('./MusicProcessor');
+    await MusicProcessor.applyStatus(music, result, served.aiModel.name);
+  }
+
+  /**
+   * Claim a finished provider job for finalization and enqueue the finalize stage
+   * Used by polling, the provider webhook route and the reconciliation sweep
+   * @returns {Promise<boolean>} False if another path already claimed it
+   */
+  async requestFinalize(music, audioUrl) {
+    const claimed = await Music.findOneAndUpdate(
+      {
+        _id: music._id,
+        status: { $in: ['queued', 'generating', 'processing'] },
+        'pipeline.stage': { $nin: ['finalizing', 'uploading', 'artwork', 'settling', 'completed'] }
+      },
+      { $set: { audioUrl, 'pipeline.stage': 'finalizing', progress: STAGE_PROGRESS.finalizing } }
+    );
+
+    if (!claimed) {
+      logger.debug(`🎵 [MUSIC-PIPELINE] Music ${music._id} already being finalized, skipping`);
+      return false;
+    }
+
+    await this.notifyProgress(music.userId, music._id, 'finalizing');
+    await this.enqueue('finalize', music._id);
+    return true;
+  }
+
+  /**
+   * CDN upload, artwork and credit settlement, then mark completed
+   * Upload and artwork are best-effort: on the final attempt they're skipped instead of failing the track
+   */
+  async finalize(music, { isFinalAttempt = false } = {}) {
+    // 1. Upload audio to CDN
+    if (!music.pipeline.audioUploadedAt) {
+      await this.setStage(music, 'uploading');
+      try {
+        const upload = await this.uploadAudio(music);
+        music.cdnUrl = upload.url;
+        music.storageBytes = upload.size;
+        music.pipeline.audioUploadedAt = new Date();
+        await music.save();
+        await StorageQuotaService.record(music.userId, upload.size);
+      } catch (error) {
+        if (!isFinalAttempt) throw error;
+        logger.error(`❌ [MUSIC-PIPELINE] CDN upload skipped for music ${music._id}:`, error.message);
+      }
+    }
+
+    // 2. Artwork
+    if (!music.pipeline.artworkGeneratedAt) {
+      await this.setStage(music, 'artwork');
+      try {
+        const artworkData = await ArtworkGenerationService.generateArtworkFromPrompt(
+          music.prompt,
+          music.genre,
+          music.mood,
+          music._id.toString()
+        );
+        music.artworkData = artworkData;
+        music.artworkUrl = artworkData.cdnUrl || artworkData.gradient; // CDN URL preferred, CSS gradient fallback
+        music.storageBytes = (music.storageBytes || 0) + (artworkData.cdnBytes || 0);
+        music.pipeline.artworkGeneratedAt = new Date();
+        await music.save();
+        await StorageQuotaService.record(music.userId, artworkData.cdnBytes);
+      } catch (error) {
+        if (!isFinalAttempt) throw error;
+        logger.error(`❌ [MUSIC-PIPELINE] Artwork skipped for music ${music._id}:`, error.message);
+      }
+    }
+
+    // 3. Settle credits exactly once
+    if (!music.pipeline.creditsSettledAt) {
+      await this.setStage(music, 'settling');
+      await this.settleCredits(music);
+    }
+
+    // 4. Complete
+    music.status = 'completed';
+    await this.setStage(music, 'completed');
+
+    console.log(`✅ [MUSIC-PIPELINE] Music ${music._id} completed`);
+
+    // Notify customer webhooks
+    await WebhookService.dispatch(music.userId, 'music.completed', {
+      id: music._id,
+      title: music.title,
+      prompt: music.prompt,
+      duration: music.duration,
+      audioUrl: StorageService.resolveUrl(music.cdnUrl || music.audioUrl, { expiresIn: WEBHOOK_URL_TTL }),
+      artworkUrl: music.artworkUrl,
+      parentId: music.parentId,
+      operation: music.operation,
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  // ===============================
+  // HELPERS
+  // ===============================
+
+  // Streams the provider output into storage; the extension follows the actual audio format
+  // Tracks that aren't public go to private storage and are served through signed URLs
+  async uploadAudio(music) {
+    return await StorageService.uploadFromUrl(
+      music.audioUrl,
+      `VeeqAI/Music/${music._id}_${Date.now()}`,
+      { appendExtension: true, visibility: music.isPublic ? 'public' : 'private' }
+    );
+  }
+
+  /**
+   * Publish or unpublish a track, moving its audio between the public CDN and private storage
+   * @param {Object} music - Music document
+   * @param {boolean} isPublic
+   * @returns {Promise<Object>} Saved Music document
+   */
+  async setVisibility(music, isPublic) {
+    if (music.cdnUrl) {
+      music.cdnUrl = await StorageService.setVisibility(music.cdnUrl, isPublic ? 'public' : 'private');
+    }
+    music.isPublic = isPublic;
+    await music.save();
+    return music;
+  }
+
+  async settleCredits(music) {
+    // Claim settlement atomically so a retried job can't charge twice
+    const claimed = await Music.findOneAndUpdate(
+      { _id: music._id, 'pipeline.creditsSettledAt': { $exists: false } },
+      { $set: { 'pipeline.creditsSettledAt': new Date() } }
+    );
+    if (!claimed) {
+      return;
+    }
+
+    const credits = music.reservedCredits?.amount ?? DEFAULT_MUSIC_CREDITS;
+    const metadata = {
+      musicId: music._id,
+      completedAt: new Date(),
+      audioUrl: music.audioUrl
+    };
+
+    try {
+      // Records created before reservations were introduced are charged directly
+      if (music.reservedCredits?.reservationId) {
+        await EnterpriseCreditService.consumeReservedCredits(music.reservedCredits.reservationId, metadata);
+      } else {
+        await CreditService.consumeCredits(music.userId, 'music', credits, metadata);
+      }
+
+      if (music.reservedCredits) {
+        music.reservedCredits.consumedAt = new Date();
+      }
+      console.log(`💳 [MUSIC-PIPELINE] Credits consumed for music ${music._id}: ${credits} credits`);
+    } catch (error) {
+      // Release the claim so the retry settles again
+      await Music.updateOne({ _id: music._id }, { $unset: { 'pipeline.creditsSettledAt': 1 } });
+      throw error;
+    }
+
+    music.pipeline.creditsSettledAt = new Date();
+    await music.save();
+  }
+
+  async recordUsage(music, aiModel) {
+    const plan = music.metadata?.planId
+      ? await CreditService.getPlanFromCache(music.metadata.planId)
+      : await CreditService.getUserPlan(music.userId);
+
+    await Usage.createUsageRecord({
+      userId: music.userId,
+      service: 'music',
+      operation: 'generate',
+      model: aiModel,
+      input: {
+        text: music.prompt,
+        characters: music.prompt.length,
+        duration: music.duration
+      },
+      output: {
+        duration: music.duration,
+        format: 'audio/mpeg'
+      },
+      parameters: {
+        style: music.style,
+        lyrics: music.lyrics?.substring(0, 100),
+        operation: music.operation,
+        parentId: music.parentId
+      },
+      performance: {
+        processingTime: music.estimatedTime * 1000,
+        success: true
+      },
+      provider: {
+        name: music.provider || aiModel.provider.name,
+        requestId: music.providerJobId
+      },
+      metadata: {
+        requestId: music._id.toString(),
+        method: 'POST',
+        ...(music.metadata?.request || {})
+      },
+      credits: music.reservedCredits?.amount,
+      creditCalculation: {
+        service: 'music',
+        baseRate: music.reservedCredits?.amount,
+        parameters: { duration: music.operation === 'extend' ? music.derivation.extendedBy : music.duration }
+      },
+      plan
+    });
+  }
+
+  async setStage(music, stage) {
+    music.pipeline.stage = stage;
+    music.progress = STAGE_PROGRESS[stage];
+    await music.save();
+    await this.notifyProgress(music.userId, music._id, stage);
+  }
+
+  async notifyProgress(userId, musicId, stage) {
+    try {
+      await EventBus.publishWebSocketEvent('user_specific', {
+        userId: userId.toString(),
+        type: 'MUSIC_PROGRESS',
+        musicId: musicId.toString(),
+        stage,
+        progress: STAGE_PROGRESS[stage]
+      });
+    } catch (error) {
+      logger.debug(`📡 [MUSIC-PIPELINE] Progress notification failed for ${musicId}:`, error.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new MusicGenerationService();
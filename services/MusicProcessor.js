@@ -1,19 +1,27 @@
 const Music = require('../models/Music');
-const AIModel = require('../models/AIModel');
-const ProviderFactory = require('./ProviderFactory');
-const cloudflareService = require('./cloudflare');
+const ProviderRouter = require('./ProviderRouter');
 const logger = require('./logger');
 const monitoring = require('./monitoring');
-const ArtworkGenerationService = require('./ArtworkGenerationService');
+const WebhookService = require('./WebhookService');
+const EnterpriseCreditService = require('./EnterpriseCreditService');
+const MusicGenerationService = require('./MusicGenerationService');
+
+// Stages owned by the pipeline's finalize job - provider polling no longer applies
+const FINALIZE_STAGES = ['finalizing', 'uploading', 'artwork', 'settling'];
 
 /**
- * Background service to process pending music generations
- * Checks Replicate status and updates database accordingly
+ * Reconciliation sweep for music generations
+ * Generations normally run through the 'music-generate' JobQueue pipeline and finish via
+ * its poll stage or the provider webhook (routes/provider-webhooks.js); this sweep picks up
+ * jobs that went quiet - a lost queue job or a webhook that never arrived
  */
 class MusicProcessor {
   constructor() {
     this.isProcessing = false;
     this.intervalId = null;
+    this.sweepInterval = 60000;
+    this.staleAfterMs = 5 * 60 * 1000; // Only records not updated for 5 minutes
+    this.staleFinalizeAfterMs = 15 * 60 * 1000; // Finalize retries back off - give them longer
   }
 
   /**
@@ -25,10 +33,10 @@ class MusicProcessor {
       return;
     }
 
-    console.log('🎵 [PROCESSOR] Starting music processor...');
+    console.log(`🎵 [PROCESSOR] Starting music reconciliation sweep (every ${this.sweepInterval / 1000}s)...`);
     this.intervalId = setInterval(() => {
       this.processPendingMusic();
-    }, 10000); // Check every 10 seconds
+    }, this.sweepInterval);
 
     // Initial run
     this.processPendingMusic();
@@ -56,10 +64,37 @@ class MusicProcessor {
     try {
       this.isProcessing = true;
 
-      // Find all processing music records
+      const staleBefore = new Date(Date.now() - this.staleAfterMs);
+
+      // Re-enqueue queued records whose submit job was lost (submit is idempotent)
+      const stuckQueued = await Music.find({
+        status: 'queued',
+        updatedAt: { $lt: staleBefore }
+      }).limit(50);
+
+      for (const music of stuckQueued) {
+        console.log(`🎵 [PROCESSOR] Re-enqueueing stale queued music ${music._id}`);
+        await MusicGenerationService.enqueue('submit', music._id);
+      }
+
+      // Re-enqueue finalize for records whose finalize job was lost (each finalize step is idempotent)
+      const stuckFinalizing = await Music.find({
+        status: { $in: ['generating', 'processing'] },
+        'pipeline.stage': { $in: FINALIZE_STAGES },
+        updatedAt: { $lt: new Date(Date.now() - this.staleFinalizeAfterMs) }
+      }).limit(50);
+
+      for (const music of stuckFinalizing) {
+        console.log(`🎵 [PROCESSOR] Re-enqueueing stale finalize for music ${music._id} (${music.pipeline.stage})`);
+        await MusicGenerationService.enqueue('finalize', music._id);
+      }
+
+      // Find processing music records that haven't been updated recently
       const pendingMusic = await Music.find({
         status: { $in: ['generating', 'processing'] },
-        providerJobId: { $exists: true, $ne: null }
+        providerJobId: { $exists: true, $ne: null },
+        'pipeline.stage': { $nin: FINALIZE_STAGES },
+        updatedAt: { $lt: staleBefore }
       }).limit(50); // Process max 50 at a time
 
       if (pendingMusic.length === 0) {
@@ -88,46 +123,20 @@ class MusicProcessor {
     try {
       console.log(`🎵 [PROCESSOR] Checking music ${music._id} (Job: ${music.providerJobId})`);
 
-      // Get the AI model
-      const aiModel = await AIModel.findById(music.modelId);
-      if (!aiModel) {
+      // Get the model and provider that actually took the job (may be a failover candidate)
+      const served = await ProviderRouter.getServingProvider(music.modelId, music.servedBy);
+      if (!served) {
         console.error(`🎵 [PROCESSOR] AI Model not found for music ${music._id}`);
         await this.markAsFailed(music, 'AI Model not found');
         return;
       }
 
-      // Get provider
-      const provider = ProviderFactory.getProvider(aiModel);
-
       // Check status from provider
-      const result = await provider.checkStatus(music.providerJobId);
+      const result = await served.provider.checkStatus(music.providerJobId);
       
       console.log(`🎵 [PROCESSOR] Status for ${music._id}: ${result.status}`);
 
-      switch (result.status) {
-        case 'succeeded':
-        case 'completed':
-          await this.handleCompleted(music, result);
-          monitoring.trackMusicGeneration('completed', aiModel.name);
-          break;
-
-        case 'failed':
-          await this.markAsFailed(music, result.error || 'Generation failed');
-          monitoring.trackMusicGeneration('failed', aiModel.name);
-          break;
-
-        case 'processing':
-        case 'starting':
-          // Update progress if available
-          if (result.progress !== undefined) {
-            music.progress = result.progress;
-            await music.save();
-          }
-          break;
-
-        default:
-          console.log(`🎵 [PROCESSOR] Unknown status: ${result.status} for music ${music._id}`);
-      }
+      await this.applyStatus(music, result, served.aiModel.name);
 
     } catch (error) {
       logger.error(`Error processing music ${music._id}:`, error);
@@ -139,8 +148,40 @@ class MusicProcessor {
     }
   }
 
+  /**
+   * Apply a provider status (from polling or an inbound webhook) to a music record
+   */
+  async applyStatus(music, result, modelName) {
+    switch (result.status) {
+      case 'succeeded':
+      case 'completed':
+        await this.handleCompleted(music, result);
+        monitoring.trackMusicGeneration('completed', modelName);
+        break;
+
+      case 'failed':
+      case 'canceled':
+        await this.markAsFailed(music, result.error || 'Generation failed');
+        monitoring.trackMusicGeneration('failed', modelName);
+        break;
+
+      case 'processing':
+      case 'starting':
+        // Update progress if available
+        if (result.progress !== undefined) {
+          music.progress = result.progress;
+          await music.save();
+        }
+        break;
+
+      default:
+        console.log(`🎵 [PROCESSOR] Unknown status: ${result.status} for music ${music._id}`);
+    }
+  }
+
   /**
    * Handle completed music generation
+   * Hands off to the generation pipeline's finalize stage (CDN, artwork, credits)
    */
   async handleCompleted(music, result) {
     try {
@@ -152,60 +193,7 @@ class MusicProcessor {
       }
 
       const audioUrl = result.output || result.audioUrl;
-      
-      // Update music record with direct URL first
-      music.audioUrl = audioUrl;
-      music.status = 'completed';
-      music.progress = 100;
-      
-      // 🎨 GENERATE ARTWORK FROM PROMPT AND UPLOAD TO CDN
-      try {
-        console.log(`🎨 [PROCESSOR] Generating artwork for music ${music._id}`);
-        const artworkData = await ArtworkGenerationService.generateArtworkFromPrompt(
-          music.prompt,
-          music.genre,
-          music.mood,
-          music._id // Pass musicId for CDN upload
-        );
-        
-        // Store artwork data in music record
-        music.artworkUrl = artworkData.cdnUrl || artworkData.gradient; // CDN URL preferred, CSS gradient fallback
-        music.artworkData = artworkData; // Full color data for frontend
-        
-        console.log(`✅ [PROCESSOR] Artwork generated: ${artworkData.baseColor} for music ${music._id}${artworkData.cdnUrl ? `, CDN: ${artworkData.cdnUrl}` : ''}`);
-      } catch (artworkError) {
-        logger.error(`Failed to generate artwork for music ${music._id}:`, artworkError);
-        // Set fallback artwork
-        music.artworkUrl = 'linear-gradient(135deg, #6366F1 0%, #8B5CF6 50%, #A855F7 100%)';
-      }
-      
-      await music.save();
-
-      console.log(`✅ [PROCESSOR] Music ${music._id} completed with URL: ${audioUrl}`);
-
-      // BASİT KREDİ TÜKETİMİ - Müzik tamamlandığında kredi düş
-      try {
-        const CreditService = require('./CreditService');
-        await CreditService.consumeCredits(
-          music.userId,
-          'music',
-          300, // Fixed 300 credits for music
-          {
-            musicId: music._id,
-            completedAt: new Date(),
-            audioUrl: audioUrl
-          }
-        );
-        
-        console.log(`💳 [PROCESSOR] Credits consumed for completed music ${music._id}: 300 credits`);
-      } catch (creditError) {
-        logger.error(`Failed to consume credits for music ${music._id}:`, creditError);
-      }
-
-      // Try to upload to CDN in background (don't block completion)
-      this.uploadToCDN(music, audioUrl).catch(error => {
-        logger.error(`CDN upload failed for music ${music._id}:`, error);
-      });
+      await MusicGenerationService.requestFinalize(music, audioUrl);
 
     } catch (error) {
       logger.error(`Error completing music ${music._id}:`, error);
@@ -213,56 +201,48 @@ class MusicProcessor {
     }
   }
 
-  /**
-   * Upload audio to CDN
-   */
-  async uploadToCDN(music, audioUrl) {
-    try {
-      console.log(`📡 [CDN] Uploading music ${music._id} to CDN...`);
-
-      // Download from Replicate and upload to Cloudflare
-      const response = await fetch(audioUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to download audio: ${response.status}`);
-      }
-
-      const audioBuffer = await response.arrayBuffer();
-      const fileName = `${music._id}_${Date.now()}.mp3`;
-      const fullPath = `VeeqAI/Music/${fileName}`;
-
-      const cdnUrl = await cloudflareService.uploadBuffer(
-        Buffer.from(audioBuffer),
-        fullPath,
-        'audio/mpeg'
-      );
-
-      // Update music record with CDN URL
-      music.cdnUrl = cdnUrl;
-      await music.save();
-
-      console.log(`✅ [CDN] Music ${music._id} uploaded to CDN: ${cdnUrl}`);
-
-    } catch (error) {
-      logger.error(`CDN upload error for music ${music._id}:`, error);
-      // Don't fail the music generation if CDN upload fails
-    }
-  }
-
   /**
    * Mark music as failed
    */
   async markAsFailed(music, errorMessage) {
     try {
-      music.status = 'failed';
-      music.progress = 0;
-      music.error = errorMessage; // Add error directly to music object
-      if (!music.metadata) music.metadata = {};
-      music.metadata.error = errorMessage;
-      await music.save();
+      // Claim the failure so duplicate webhook/sweep updates don't notify twice,
+      // and a late failure can't overwrite a track that already completed
+      const claimed = await Music.findOneAndUpdate(
+        { _id: music._id, status: { $nin: ['failed', 'completed'] } },
+        {
+          $set: {
+            status: 'failed',
+            progress: 0,
+            'pipeline.stage': 'failed',
+            error: errorMessage,
+            'metadata.error': errorMessage
+          }
+        },
+        { new: true }
+      );
+      if (!claimed) {
+        return;
+      }
+      music = claimed;
+
+      await MusicGenerationService.notifyProgress(music.userId, music._id, 'failed');
 
-      // Başarısız durumda kredi düşürme
+      // Başarısız durumda kredi düşürme - release the reservation
+      if (music.reservedCredits?.reservationId && !music.reservedCredits.consumedAt) {
+        await EnterpriseCreditService.cancelReservation(music.reservedCredits.reservationId, errorMessage);
+        await Music.updateOne({ _id: music._id }, { $set: { 'reservedCredits.releasedAt': new Date() } });
+      }
 
       console.log(`❌ [PROCESSOR] Music ${music._id} marked as failed: ${errorMessage}`);
+
+      // Notify customer webhooks
+      await WebhookService.dispatch(music.userId, 'music.failed', {
+        id: music._id,
+        prompt: music.prompt,
+        error: errorMessage,
+        failedAt: new Date().toISOString()
+      });
     } catch (error) {
       logger.error(`Error marking music as failed ${music._id}:`, error);
     }
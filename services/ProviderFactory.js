@@ -1,5 +1,8 @@
 const ReplicateProvider = require('./providers/ReplicateProvider');
 const CustomProvider = require('./providers/CustomProvider');
+const LocalProvider = require('./providers/LocalProvider');
+const MockProvider = require('./providers/MockProvider');
+const ProviderGuard = require('./ProviderGuard');
 
 class ProviderFactory {
   static providers = new Map();
@@ -8,9 +11,13 @@ class ProviderFactory {
     // Register all available providers
     this.registerProvider('replicate', ReplicateProvider);
     this.registerProvider('custom', CustomProvider);
+    this.registerProvider('local', LocalProvider);
+    // Scripted results for development and CI - never serve real users with it
+    if (process.env.NODE_ENV !== 'production' || process.env.ENABLE_MOCK_PROVIDER === 'true') {
+      this.registerProvider('mock', MockProvider);
+    }
     // Add more providers as needed
     // this.registerProvider('openai', OpenAIProvider);
-    // this.registerProvider('local', LocalProvider);
   }
   
   static registerProvider(name, ProviderClass) {
@@ -26,7 +33,8 @@ class ProviderFactory {
       throw new Error(`Provider '${providerName}' not found. Available providers: ${Array.from(this.providers.keys()).join(', ')}`);
     }
     
-    return new ProviderClass(modelConfig);
+    // Breaker, concurrency caps and rate limit around every outbound call
+    return ProviderGuard.wrap(new ProviderClass(modelConfig));
   }
   
   static getAvailableProviders() {
@@ -0,0 +1,391 @@
+const RedisManager = require('./redis/RedisManager');
+const monitoring = require('./monitoring');
+const logger = require('./logger');
+
+// Per-provider limits - concurrency is per instance, the request rate is shared through Redis
+const PROVIDER_LIMITS = {
+  replicate: { concurrency: 10, ratePerSecond: 8, burst: 20 },
+  custom: { concurrency: 5, ratePerSecond: 5, burst: 10 },
+  default: { concurrency: 5, ratePerSecond: 5, burst: 10 }
+};
+
+// Methods that start new provider work - these are rejected while a breaker is open.
+// Status checks are still let through so jobs already running can finish.
+const SUBMIT_METHODS = ['generateMusic', 'generateSpeech', 'isolateVoice'];
+const STATUS_METHODS = ['checkStatus', 'getResult', 'checkSpeechStatus', 'checkIsolationStatus', 'cancelGeneration'];
+
+const STATE_VALUES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+// Atomic token bucket; uses the Redis clock so instances don't need synced clocks
+// Returns 0 when a token was taken, otherwise the wait in ms until one is available
+const TOKEN_BUCKET_SCRIPT = `
+local rate = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local data = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(data[1]) or burst
+local ts = tonumber(data[2]) or now
+tokens = math.min(burst, tokens + math.max(0, now - ts) * rate / 1000)
+local wait = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+else
+  wait = math.ceil((1 - tokens) * 1000 / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(burst * 1000 / rate) + 1000)
+return wait
+`;
+
+class ProviderUnavailableError extends Error {
+  constructor(provider, message, retryAfter = null) {
+    super(message);
+    this.name = 'ProviderUnavailableError';
+    this.code = 'PROVIDER_UNAVAILABLE';
+    this.status = 503;
+    this.provider = provider;
+    this.retryAfter = retryAfter; // seconds
+  }
+}
+
+/**
+ * Outbound protection for AI provider calls
+ *   - circuit breaker per provider (CLOSED -> OPEN after repeated failures -> HALF_OPEN probe)
+ *   - in-flight cap per provider and across all providers (per instance, FIFO wait)
+ *   - token-bucket pacing per provider, shared by every instance through Redis
+ * ProviderFactory wraps every provider instance with wrap(), so provider classes stay unchanged.
+ */
+class ProviderGuard {
+  constructor() {
+    this.breakers = new Map();
+    this.slots = new Map(); // provider -> { inFlight, waiting: [] }
+    this.localBuckets = new Map();
+    this.totalInFlight = 0;
+    this.globalWaiting = [];
+
+    this.maxFailures = parseInt(process.env.PROVIDER_BREAKER_FAILURES) || 5;
+    this.resetTimeout = parseInt(process.env.PROVIDER_BREAKER_RESET_MS) || 30000;
+    this.maxInFlight = parseInt(process.env.PROVIDER_MAX_IN_FLIGHT) || 25;
+    this.acquireTimeout = parseInt(process.env.PROVIDER_ACQUIRE_TIMEOUT_MS) || 30000;
+    // A probe still running after this is treated as lost and another request may probe
+    this.probeTimeout = parseInt(process.env.PROVIDER_PROBE_TIMEOUT_MS) || 120000;
+  }
+
+  /**
+   * Guard the outbound methods of a provider instance
+   * @param {Object} provider - BaseProvider instance
+   * @returns {Object} The same instance
+   */
+  wrap(provider) {
+    for (const method of [...SUBMIT_METHODS, ...STATUS_METHODS]) {
+      const original = provider[method];
+      if (typeof original !== 'function') continue;
+
+      const submit = SUBMIT_METHODS.includes(method);
+      provider[method] = (...args) => this.execute(provider.name, () => original.apply(provider, args), { submit });
+    }
+    return provider;
+  }
+
+  /**
+   * Run one provider call under the breaker, concurrency caps and rate limit
+   * @param {string} name - Provider name
+   * @param {Function} operation - async () => result
+   * @param {Object} options
+   * @param {boolean} options.submit - New work (rejected while the breaker is open)
+   */
+  async execute(name, operation, { submit = true } = {}) {
+    if (submit) {
+      this.checkBreaker(name);
+    }
+
+    try {
+      await this.acquireSlot(name);
+    } catch (error) {
+      if (submit) {
+        this.endProbe(name);
+      }
+      throw error;
+    }
+
+    try {
+      await this.takeToken(name);
+
+      const result = await operation();
+      if (submit) {
+        this.recordSuccess(name);
+      }
+      monitoring.trackProviderCall(name, 'success');
+      return result;
+    } catch (error) {
+      if (error instanceof ProviderUnavailableError) {
+        if (submit) {
+          this.endProbe(name);
+        }
+      } else {
+        if (submit) {
+          // A client error still means the provider answered
+          this.isProviderFault(error) ? this.recordFailure(name, error) : this.recordSuccess(name);
+        }
+        monitoring.trackProviderCall(name, 'failure');
+      }
+      throw error;
+    } finally {
+      this.releaseSlot(name);
+    }
+  }
+
+  /**
+   * Whether new work can be sent to a provider right now
+   */
+  isAvailable(name) {
+    const breaker = this.breakers.get(name);
+    if (!breaker || breaker.state === 'CLOSED') {
+      return true;
+    }
+    if (breaker.state === 'HALF_OPEN') {
+      return !breaker.probing || this.isProbeStale(breaker);
+    }
+    // Open breakers become probe-able once the reset timeout has passed
+    return Date.now() - breaker.openedAt >= this.resetTimeout;
+  }
+
+  /**
+   * Seconds until an unavailable provider accepts work again (for Retry-After)
+   */
+  getRetryAfter(name) {
+    const breaker = this.breakers.get(name);
+    if (!breaker || breaker.state !== 'OPEN') {
+      return 5;
+    }
+    return Math.max(1, Math.ceil((this.resetTimeout - (Date.now() - breaker.openedAt)) / 1000));
+  }
+
+  /**
+   * Breaker and load state for the admin provider health route
+   */
+  getStats() {
+    const names = new Set([...this.breakers.keys(), ...this.slots.keys()]);
+    const providers = {};
+
+    for (const name of names) {
+      const breaker = this.getBreaker(name);
+      const slot = this.getSlot(name);
+      providers[name] = {
+        state: breaker.state,
+        failures: breaker.failures,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        inFlight: slot.inFlight,
+        waiting: slot.waiting.length,
+        concurrency: this.getLimits(name).concurrency
+      };
+    }
+
+    return {
+      inFlight: this.totalInFlight,
+      maxInFlight: this.maxInFlight,
+      providers
+    };
+  }
+
+  // ===============================
+  // CIRCUIT BREAKER
+  // ===============================
+
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, { state: 'CLOSED', failures: 0, openedAt: null, probing: false, probeStartedAt: null });
+    }
+    return this.breakers.get(name);
+  }
+
+  checkBreaker(name) {
+    const breaker = this.getBreaker(name);
+
+    if (breaker.state === 'OPEN') {
+      const elapsed = Date.now() - breaker.openedAt;
+      if (elapsed < this.resetTimeout) {
+        monitoring.trackProviderCall(name, 'rejected');
+        throw new ProviderUnavailableError(
+          name,
+          `${name} is temporarily unavailable. Please try again shortly.`,
+          this.getRetryAfter(name)
+        );
+      }
+      this.setState(name, breaker, 'HALF_OPEN');
+      logger.info(`⚡ [PROVIDER-GUARD] ${name} circuit HALF_OPEN - sending probe request`);
+    }
+
+    // One probe at a time while half-open - a hanging probe doesn't hold the slot forever
+    if (breaker.state === 'HALF_OPEN') {
+      if (breaker.probing && !this.isProbeStale(breaker)) {
+        monitoring.trackProviderCall(name, 'rejected');
+        throw new ProviderUnavailableError(name, `${name} is recovering. Please try again shortly.`, 5);
+      }
+      if (breaker.probing) {
+        logger.warn(`⚡ [PROVIDER-GUARD] ${name} probe got no answer within ${this.probeTimeout}ms - sending another`);
+      }
+      breaker.probing = true;
+      breaker.probeStartedAt = Date.now();
+    }
+  }
+
+  isProbeStale(breaker) {
+    return Date.now() - breaker.probeStartedAt >= this.probeTimeout;
+  }
+
+  recordSuccess(name) {
+    const breaker = this.getBreaker(name);
+    if (breaker.state === 'HALF_OPEN') {
+      logger.info(`✅ [PROVIDER-GUARD] ${name} circuit CLOSED - probe succeeded`);
+    }
+    breaker.failures = 0;
+    breaker.probing = false;
+    this.setState(name, breaker, 'CLOSED');
+  }
+
+  // Our own limits rejected the probe - let the next request try instead
+  endProbe(name) {
+    this.getBreaker(name).probing = false;
+  }
+
+  recordFailure(name, error) {
+    const breaker = this.getBreaker(name);
+    breaker.failures++;
+    breaker.probing = false;
+
+    if (breaker.state === 'HALF_OPEN' || breaker.failures >= this.maxFailures) {
+      breaker.openedAt = Date.now();
+      this.setState(name, breaker, 'OPEN');
+      logger.error(`⚡ [PROVIDER-GUARD] ${name} circuit OPEN after ${breaker.failures} failure(s): ${error.message}`);
+    }
+  }
+
+  setState(name, breaker, state) {
+    breaker.state = state;
+    monitoring.setProviderCircuitState(name, STATE_VALUES[state]);
+  }
+
+  // Client errors (bad input, auth) say nothing about provider health
+  isProviderFault(error) {
+    const status = error.status || error.response?.status || error.cause?.status || error.cause?.response?.status;
+    return !status || status >= 500 || status === 429;
+  }
+
+  // ===============================
+  // CONCURRENCY
+  // ===============================
+
+  getLimits(name) {
+    return PROVIDER_LIMITS[name] || PROVIDER_LIMITS.default;
+  }
+
+  getSlot(name) {
+    if (!this.slots.has(name)) {
+      this.slots.set(name, { inFlight: 0, waiting: [] });
+    }
+    return this.slots.get(name);
+  }
+
+  canStart(name) {
+    return this.getSlot(name).inFlight < this.getLimits(name).concurrency && this.totalInFlight < this.maxInFlight;
+  }
+
+  async acquireSlot(name) {
+    const slot = this.getSlot(name);
+
+    if (!this.canStart(name)) {
+      await new Promise((resolve, reject) => {
+        const waiter = { name, resolve };
+        const timer = setTimeout(() => {
+          slot.waiting.splice(slot.waiting.indexOf(waiter), 1);
+          this.globalWaiting.splice(this.globalWaiting.indexOf(waiter), 1);
+          monitoring.trackProviderCall(name, 'rejected');
+          reject(new ProviderUnavailableError(name, `${name} is at capacity. Please try again shortly.`, 10));
+        }, this.acquireTimeout);
+        waiter.resolve = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        slot.waiting.push(waiter);
+        this.globalWaiting.push(waiter);
+      });
+    }
+
+    slot.inFlight++;
+    this.totalInFlight++;
+    monitoring.setProviderInFlight(name, slot.inFlight);
+  }
+
+  releaseSlot(name) {
+    const slot = this.getSlot(name);
+    slot.inFlight--;
+    this.totalInFlight--;
+    monitoring.setProviderInFlight(name, slot.inFlight);
+
+    // Wake the oldest waiter that fits under both caps
+    const next = this.globalWaiting.find(waiter => this.canStart(waiter.name));
+    if (next) {
+      this.globalWaiting.splice(this.globalWaiting.indexOf(next), 1);
+      const waiting = this.getSlot(next.name).waiting;
+      waiting.splice(waiting.indexOf(next), 1);
+      next.resolve();
+    }
+  }
+
+  // ===============================
+  // RATE LIMIT
+  // ===============================
+
+  async takeToken(name) {
+    const { ratePerSecond, burst } = this.getLimits(name);
+    const deadline = Date.now() + this.acquireTimeout;
+
+    for (;;) {
+      const wait = await this.requestToken(name, ratePerSecond, burst);
+      if (wait <= 0) {
+        return;
+      }
+      if (Date.now() + wait > deadline) {
+        monitoring.trackProviderCall(name, 'rejected');
+        throw new ProviderUnavailableError(name, `${name} rate limit reached. Please try again shortly.`, Math.ceil(wait / 1000));
+      }
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  async requestToken(name, rate, burst) {
+    const local = () => this.requestLocalToken(name, rate, burst);
+
+    if (RedisManager.useMemoryCache || !RedisManager.cache) {
+      return local();
+    }
+
+    // Fall back to a per-instance bucket when Redis is down rather than blocking provider calls
+    const wait = await RedisManager.executeWithCircuitBreaker(
+      () => RedisManager.cache.eval(TOKEN_BUCKET_SCRIPT, 1, `provider:bucket:${name}`, rate, burst),
+      async () => local()
+    );
+    return Number(wait) || 0;
+  }
+
+  requestLocalToken(name, rate, burst) {
+    const now = Date.now();
+    const bucket = this.localBuckets.get(name) || { tokens: burst, ts: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.ts) * rate / 1000);
+    bucket.ts = now;
+    this.localBuckets.set(name, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) * 1000 / rate);
+  }
+}
+
+// Export singleton instance
+module.exports = new ProviderGuard();
+module.exports.ProviderUnavailableError = ProviderUnavailableError;
@@ -0,0 +1,283 @@
+const NodeCache = require('node-cache');
+const AIModel = require('../models/AIModel');
+const RoutingPolicy = require('../models/RoutingPolicy');
+const ProviderFactory = require('./ProviderFactory');
+const ProviderGuard = require('./ProviderGuard');
+const { ProviderUnavailableError } = ProviderGuard;
+const logger = require('./logger');
+
+/**
+ * Provider failover across equivalent models
+ *
+ * ProviderFactory maps one AIModel to one provider. The router wraps a submission in the
+ * capability's RoutingPolicy: the requested model runs first, then each enabled candidate in
+ * order, with unhealthy ones (low AIModel.stats.successRate or high recentLatency) moved to the
+ * end. Without a policy a request behaves exactly as before - one attempt on its own model.
+ * Candidates whose provider breaker is open (see ProviderGuard) are skipped without counting
+ * against the model's stats.
+ */
+class ProviderRouter {
+  constructor() {
+    this.cache = new NodeCache({ stdTTL: 60, checkperiod: 120 });
+  }
+
+  async getPolicy(capability) {
+    const cached = this.cache.get(capability);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const policy = await RoutingPolicy.findOne({ capability, isActive: true }).lean();
+    this.cache.set(capability, policy || null);
+    return policy || null;
+  }
+
+  // Called by the admin routes after a policy changes
+  invalidate(capability) {
+    this.cache.del(capability);
+  }
+
+  /**
+   * Ordered candidates for a request
+   * @param {Object} aiModel - Requested AIModel document
+   * @param {Object|null} policy - RoutingPolicy for aiModel.type
+   * @returns {Promise<Array>} [{ aiModel, modelConfig, label, fallback }]
+   */
+  async getCandidates(aiModel, policy) {
+    const candidates = [this.toCandidate(aiModel, null, false)];
+    if (!policy) {
+      return candidates;
+    }
+
+    const entries = policy.candidates.filter(entry => entry.enabled !== false);
+    const modelIds = entries.filter(entry => entry.model).map(entry => entry.model);
+    const models = modelIds.length > 0
+      ? await AIModel.find({ _id: { $in: modelIds }, type: aiModel.type, status: 'active' })
+      : [];
+    const modelsById = new Map(models.map(model => [model._id.toString(), model]));
+
+    for (const entry of entries) {
+      if (entry.model) {
+        const model = modelsById.get(entry.model.toString());
+        if (model && !model._id.equals(aiModel._id)) {
+          candidates.push(this.toCandidate(model, null, true));
+        }
+      } else if (entry.provider?.name && ProviderFactory.isProviderSupported(entry.provider.name)) {
+        candidates.push(this.toCandidate(aiModel, entry.provider, true));
+      }
+    }
+
+    const healthy = candidates.filter(candidate => this.isHealthy(candidate, policy)
+      && ProviderGuard.isAvailable(candidate.modelConfig.provider.name));
+    const unhealthy = candidates.filter(candidate => !healthy.includes(candidate));
+    return [...healthy, ...unhealthy];
+  }
+
+  /**
+   * Reject a request up front when no candidate's provider is taking new work
+   * Lets queued pipelines fail fast with PROVIDER_UNAVAILABLE instead of creating a record
+   * @param {Object} aiModel - Requested AIModel document
+   * @throws {ProviderUnavailableError}
+   */
+  async assertAvailable(aiModel) {
+    const policy = await this.getPolicy(aiModel.type);
+    const candidates = await this.getCandidates(aiModel, policy);
+    if (candidates.some(candidate => ProviderGuard.isAvailable(candidate.modelConfig.provider.name))) {
+      return;
+    }
+
+    const name = aiModel.provider.name;
+    throw new ProviderUnavailableError(
+      name,
+      `${aiModel.displayName || aiModel.name} is temporarily unavailable. Please try again shortly.`,
+      ProviderGuard.getRetryAfter(name)
+    );
+  }
+
+  /**
+   * Submit through the first candidate that accepts the job
+   * Model usage (success rate, latency) is recorded for every attempt
+   * @param {Object} aiModel - Requested AIModel document
+   * @param {Function} submit - async (provider, candidate) => provider result
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Per-attempt limit, defaults to the policy's submitTimeoutMs
+   * @returns {Promise<Object>} { result, provider, servedBy } - servedBy is stored on the generation record
+   */
+  async submit(aiModel, submit, options = {}) {
+    const policy = await this.getPolicy(aiModel.type);
+    const candidates = await this.getCandidates(aiModel, policy);
+    const failures = [];
+    let unavailable = 0;
+    let lastError;
+    const timeoutMs = options.timeoutMs ?? policy?.submitTimeoutMs;
+
+    for (const candidate of candidates) {
+      const startTime = Date.now();
+
+      try {
+        const provider = ProviderFactory.getProvider(candidate.modelConfig);
+        const result = await this.withTimeout(submit(provider, candidate), timeoutMs,
+          late => this.cancelLate(provider, candidate, late));
+
+        await this.recordUsage(candidate, true, Date.now() - startTime);
+        if (candidate.fallback) {
+          const reason = failures.length > 0 ? `after ${failures.length} failure(s)` : 'because the requested model is unhealthy';
+          logger.warn(`⚠️ [PROVIDER-ROUTER] ${aiModel.type} request for ${aiModel.name} served by ${candidate.label} ${reason}`);
+        }
+
+        return {
+          result,
+          provider,
+          servedBy: {
+            modelId: candidate.aiModel._id,
+            provider: {
+              name: candidate.modelConfig.provider.name,
+              modelId: candidate.modelConfig.provider.modelId,
+              apiEndpoint: candidate.modelConfig.provider.apiEndpoint
+            },
+            fallback: candidate.fallback,
+            attempts: failures.length + 1
+          }
+        };
+      } catch (error) {
+        // An open breaker or a full queue says nothing about the model itself
+        if (error.code === 'PROVIDER_UNAVAILABLE') {
+          unavailable++;
+        } else {
+          await this.recordUsage(candidate, false);
+        }
+        lastError = error;
+        failures.push(`${candidate.label}: ${error.message}`);
+        logger.warn(`⚠️ [PROVIDER-ROUTER] ${candidate.label} failed for ${aiModel.type}: ${error.message}`);
+      }
+    }
+
+    // A single candidate keeps its original error, and so does a request every provider turned away
+    if (failures.length === 1 || unavailable === failures.length) {
+      throw lastError;
+    }
+    const error = new Error(`All providers failed - ${failures.join('; ')}`);
+    error.code = 'ALL_PROVIDERS_FAILED';
+    throw error;
+  }
+
+  /**
+   * Provider that served a stored generation, for polling and webhooks
+   * @param {string} modelId - Requested AIModel ID on the record
+   * @param {Object} servedBy - servedBy from submit(), if recorded
+   * @returns {Promise<Object|null>} { aiModel, provider } or null if the model is gone
+   */
+  async getServingProvider(modelId, servedBy) {
+    const aiModel = await AIModel.findById(servedBy?.modelId || modelId);
+    if (!aiModel) {
+      return null;
+    }
+
+    const { modelConfig } = this.toCandidate(aiModel, servedBy?.provider?.name ? servedBy.provider : null, false);
+    return {
+      aiModel,
+      provider: ProviderFactory.getProvider(modelConfig)
+    };
+  }
+
+  // ===============================
+  // HELPERS
+  // ===============================
+
+  toCandidate(aiModel, providerOverride, fallback) {
+    let modelConfig = aiModel;
+
+    if (providerOverride) {
+      const base = aiModel.toObject();
+      modelConfig = {
+        ...base,
+        provider: {
+          ...base.provider,
+          name: providerOverride.name,
+          modelId: providerOverride.modelId || base.provider.modelId,
+          apiEndpoint: providerOverride.apiEndpoint || base.provider.apiEndpoint
+        }
+      };
+    }
+
+    return {
+      aiModel,
+      modelConfig,
+      fallback,
+      // Stats belong to the model's own provider, so provider overrides don't touch them
+      trackUsage: !providerOverride,
+      label: providerOverride ? `${aiModel.name}@${providerOverride.name}` : aiModel.name
+    };
+  }
+
+  isHealthy(candidate, policy) {
+    if (!candidate.trackUsage) {
+      return true;
+    }
+
+    const stats = candidate.aiModel.stats || {};
+    const health = policy.health || {};
+
+    if ((stats.totalUsage || 0) < (health.minSamples ?? 20)) {
+      return true;
+    }
+    if (stats.successRate < (health.minSuccessRate ?? 80)) {
+      return false;
+    }
+    if (stats.recentLatency && stats.recentLatency > (health.maxLatencyMs ?? 60000)) {
+      return false;
+    }
+    return true;
+  }
+
+  async recordUsage(candidate, success, processingTime = 0) {
+    if (!candidate.trackUsage) {
+      return;
+    }
+    try {
+      await candidate.aiModel.updateUsage(success, processingTime);
+    } catch (error) {
+      logger.debug(`📊 [PROVIDER-ROUTER] Failed to record usage for ${candidate.label}:`, error.message);
+    }
+  }
+
+  /**
+   * Race a submission against timeoutMs
+   * The provider may still accept the job after we've moved on - onLate gets its result so the
+   * orphaned job can be cancelled instead of running (and billing) alongside the fallback
+   */
+  withTimeout(promise, timeoutMs, onLate) {
+    if (!timeoutMs) {
+      return promise;
+    }
+
+    let timer;
+    let timedOut = false;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        reject(new Error(`Provider did not respond within ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+
+    promise
+      .then(result => timedOut && onLate?.(result))
+      .catch(() => {});
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async cancelLate(provider, candidate, result) {
+    if (!result?.jobId) {
+      return;
+    }
+    try {
+      await provider.cancelGeneration(result.jobId);
+      logger.warn(`⚠️ [PROVIDER-ROUTER] Cancelled late job ${result.jobId} on ${candidate.label}`);
+    } catch (error) {
+      logger.error(`❌ [PROVIDER-ROUTER] Failed to cancel late job ${result.jobId} on ${candidate.label}:`, error.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ProviderRouter();
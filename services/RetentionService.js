@@ -0,0 +1,218 @@
+const Music = require('../models/Music');
+const Speech = require('../models/Speech');
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const StorageService = require('./StorageService');
+const StorageQuotaService = require('./StorageQuotaService');
+const EmailService = require('./EmailService');
+const JobQueue = require('./queue/JobQueue');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum notice between the warning and the deletion
+const WARNING_DAYS = parseInt(process.env.RETENTION_WARNING_DAYS) || 7;
+
+// Users per query - keeps $in lists bounded
+const USER_CHUNK_SIZE = 500;
+
+// Record types the sweep expires: stored files to delete (paths or virtuals) and URL fields to clear
+const TARGETS = [
+  {
+    name: 'music',
+    label: 'track',
+    model: Music,
+    files: ['cdnUrl', 'artworkFileUrl'],
+    clear: ['cdnUrl', 'audioUrl', 'artworkUrl'],
+    exempt: { 'featured.isActive': { $ne: true } }
+  },
+  {
+    name: 'speech',
+    label: 'speech file',
+    model: Speech,
+    files: ['audioUrl'],
+    clear: ['audioUrl'],
+    exempt: {}
+  }
+];
+
+/**
+ * File retention (Plan.limits.fileRetention, days)
+ * A daily 'retention' JobQueue sweep works per plan:
+ *   1. warn    - completed files that reach the end of their retention within WARNING_DAYS get
+ *                retention.expiresAt, and each owner one notification and email
+ *   2. expire  - files past retention.expiresAt (and still past retention for the owner's current plan)
+ *                are deleted from storage and the record is marked 'expired'; metadata is kept
+ * Pinned files and featured tracks are never touched; pinning or unpinning clears a pending warning.
+ */
+class RetentionService {
+  /**
+   * Run one retention pass over every plan with a retention limit
+   * @returns {Promise<Object>} { warned, expired } record counts
+   */
+  async sweep() {
+    const totals = { warned: 0, expired: 0 };
+    const plans = await Plan.find({ 'limits.fileRetention': { $gt: 0 } }).select('name limits.fileRetention');
+
+    for (const plan of plans) {
+      const retentionDays = plan.limits.fileRetention;
+      const userIds = await Subscription.distinct('user', { plan: plan._id, status: 'active' });
+
+      for (let i = 0; i < userIds.length; i += USER_CHUNK_SIZE) {
+        const chunk = userIds.slice(i, i + USER_CHUNK_SIZE);
+        totals.warned += await this.warn(chunk, retentionDays);
+        totals.expired += await this.expire(chunk, retentionDays);
+      }
+    }
+
+    logger.info(`🧹 [RETENTION] Sweep finished: ${totals.warned} file(s) warned, ${totals.expired} expired`);
+    return totals;
+  }
+
+  /**
+   * Schedule deletion of files that are about to outlive their retention and tell their owners
+   * @returns {Promise<number>} Records warned
+   */
+  async warn(userIds, retentionDays) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + WARNING_DAYS * DAY_MS);
+    const createdBefore = new Date(now.getTime() - Math.max(0, retentionDays - WARNING_DAYS) * DAY_MS);
+
+    const countsByUser = new Map();
+    let warned = 0;
+
+    for (const target of TARGETS) {
+      // A longer retention (plan upgrade) cancels warnings for files no longer due
+      await target.model.updateMany(
+        { userId: { $in: userIds }, status: 'completed', 'retention.warnedAt': { $exists: true }, createdAt: { $gte: createdBefore } },
+        { $unset: { 'retention.warnedAt': 1, 'retention.expiresAt': 1 } }
+      );
+
+      const filter = {
+        ...this.eligible(target, userIds, createdBefore),
+        'retention.warnedAt': { $exists: false }
+      };
+
+      const perUser = await target.model.aggregate([
+        { $match: filter },
+        { $group: { _id: '$userId', count: { $sum: 1 } } }
+      ]);
+      if (perUser.length === 0) {
+        continue;
+      }
+
+      const result = await target.model.updateMany(filter, {
+        $set: { 'retention.warnedAt': now, 'retention.expiresAt': expiresAt }
+      });
+      warned += result.modifiedCount;
+
+      for (const { _id: userId, count } of perUser) {
+        const key = userId.toString();
+        const counts = countsByUser.get(key) || {};
+        counts[target.name] = count;
+        countsByUser.set(key, counts);
+      }
+    }
+
+    for (const [userId, counts] of countsByUser) {
+      await this.notify(userId, counts, expiresAt);
+    }
+
+    return warned;
+  }
+
+  /**
+   * Delete the stored files of records past their scheduled expiry
+   * @returns {Promise<number>} Records expired
+   */
+  async expire(userIds, retentionDays) {
+    const now = new Date();
+    const createdBefore = new Date(now.getTime() - retentionDays * DAY_MS);
+    let expired = 0;
+
+    for (const target of TARGETS) {
+      const filter = {
+        ...this.eligible(target, userIds, createdBefore),
+        'retention.expiresAt': { $lte: now }
+      };
+
+      const candidates = await target.model.find(filter).select('_id');
+      for (const { _id } of candidates) {
+        if (await this.expireRecord(target, _id, filter, now)) {
+          expired++;
+        }
+      }
+    }
+
+    return expired;
+  }
+
+  async expireRecord(target, id, filter, now) {
+    try {
+      // Claim with the same conditions so a file pinned or featured mid-sweep is left alone
+      const unset = Object.fromEntries(target.clear.map(field => [field, 1]));
+      const record = await target.model.findOneAndUpdate(
+        { ...filter, _id: id },
+        {
+          $set: { status: 'expired', storageBytes: 0, 'retention.expiredAt': now },
+          $unset: unset
+        }
+      );
+      if (!record) {
+        return false;
+      }
+
+      for (const field of target.files) {
+        await StorageService.delete(record[field]);
+      }
+      await StorageQuotaService.release(record);
+
+      logger.debug(`🧹 [RETENTION] Expired ${target.name} ${id}`);
+      return true;
+    } catch (error) {
+      logger.error(`❌ [RETENTION] Failed to expire ${target.name} ${id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Tell a user which files will be deleted - failures are logged, the sweep goes on
+   */
+  async notify(userId, counts, expiresAt) {
+    if (!JobQueue.isInitialized) {
+      return;
+    }
+
+    try {
+      const summary = TARGETS
+        .filter(target => counts[target.name])
+        .map(target => `${counts[target.name]} ${target.label}${counts[target.name] === 1 ? '' : 's'}`)
+        .join(' and ');
+      const date = expiresAt.toISOString().slice(0, 10);
+
+      await JobQueue.sendNotification(userId, {
+        type: 'retention_warning',
+        title: 'Files scheduled for deletion',
+        message: `${summary} will be deleted on ${date} under your plan's file retention. Pin or download them to keep them.`,
+        metadata: { counts, expiresAt, persist: true }
+      });
+
+      await EmailService.sendToUser(userId, 'retention-warning', { counts, summary, expiresAt });
+    } catch (error) {
+      logger.error(`❌ [RETENTION] Failed to notify user ${userId}:`, error.message);
+    }
+  }
+
+  eligible(target, userIds, createdBefore) {
+    return {
+      userId: { $in: userIds },
+      status: 'completed',
+      pinned: { $ne: true },
+      createdAt: { $lt: createdBefore },
+      ...target.exempt
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new RetentionService();
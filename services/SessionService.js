@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const net = require('net');
+const User = require('../models/User');
+const JWTService = require('../utils/jwt');
+const LocationService = require('./LocationService');
+const EmailService = require('./EmailService');
+const logger = require('./logger');
+
+// Sessions kept per user - the least recently created are dropped beyond this
+const MAX_SESSIONS = 20;
+
+// lastActiveAt is written at most this often per session
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Devices remembered per user - the oldest are forgotten beyond this
+const MAX_KNOWN_DEVICES = 50;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// "2001:db8::1" -> ['2001', 'db8', '0', '0', '0', '0', '0', '1']
+const expandIPv6 = (address) => {
+  const [head, tail] = address.toLowerCase().split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : Array(Math.max(0, 8 - left.length - right.length)).fill('0');
+  return [...left, ...fill, ...right].map(group => group.replace(/^0+(?=.)/, ''));
+};
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/SamsungBrowser\//, 'Samsung Internet'],
+  [/Firefox\/|FxiOS\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+const SYSTEMS = [
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux']
+];
+
+/**
+ * Signed-in devices
+ * Every login creates a session in User.refreshTokens; its ID is the `sid` claim of the access and
+ * refresh tokens issued for it. Revoking a session removes the record (its refresh token stops
+ * working) and puts the ID on JWTService's revocation list (its access tokens stop working).
+ * A login from a device not in User.knownDevices triggers a security email - devices are remembered
+ * after their sessions end, so signing out everywhere doesn't silence the next alert.
+ */
+class SessionService {
+  /**
+   * Start a session for a completed login
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (IP and user agent)
+   * @param {Object} options
+   * @param {boolean} options.signup - First session of a new account - its device is trusted
+   * @returns {Promise<Object>} { sessionId, accessToken, refreshToken }
+   */
+  async create(user, req, { signup = false } = {}) {
+    const sessionId = crypto.randomUUID();
+    const accessToken = await JWTService.generateAccessToken(user._id, user.email, user.role, sessionId);
+    const refreshToken = JWTService.generateRefreshToken(user._id, sessionId);
+    const { exp } = JWTService.verifyToken(refreshToken, 'refresh');
+
+    const userAgent = (req.get('user-agent') || '').slice(0, 512);
+    const deviceInfo = this.describeDevice(userAgent);
+    const ip = LocationService.extractIP(req);
+    const deviceId = this.deviceId(userAgent, ip);
+    const now = new Date();
+
+    const isKnownDevice = (user.knownDevices || []).includes(deviceId);
+    const isNewDevice = !signup && !isKnownDevice;
+
+    await User.updateOne({ _id: user._id }, { $pull: { refreshTokens: { expiresAt: { $lte: now } } } });
+    await User.updateOne({ _id: user._id }, {
+      $push: {
+        ...(!isKnownDevice && { knownDevices: { $each: [deviceId], $slice: -MAX_KNOWN_DEVICES } }),
+        refreshTokens: {
+          $each: [{
+            sessionId,
+            token: hashToken(refreshToken),
+            createdAt: now,
+            expiresAt: new Date(exp * 1000),
+            lastActiveAt: now,
+            deviceInfo,
+            deviceId,
+            ip,
+            userAgent
+          }],
+          $position: 0,
+          $slice: MAX_SESSIONS
+        }
+      }
+    });
+
+    // Location lookups call external services - don't hold up the login
+    this.locate(user, sessionId, { ip, deviceInfo, isNewDevice, signedInAt: now })
+      .catch(error => logger.error(`❌ [SESSION] Failed to locate session ${sessionId}:`, error.message));
+
+    return { sessionId, accessToken, refreshToken };
+  }
+
+  /**
+   * Check a refresh token against its session
+   * @param {Object} user - User document
+   * @param {Object} decoded - Verified refresh token payload
+   * @param {string} refreshToken - The token itself
+   * @returns {boolean} Whether the token may be used
+   */
+  isRefreshValid(user, decoded, refreshToken) {
+    // Password reset signs out every device
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return false;
+    }
+
+    // Tokens from before sessions were tracked - valid until revoked in bulk
+    if (!decoded.sid) {
+      return !(user.sessionsRevokedAt && Math.floor(user.sessionsRevokedAt.getTime() / 1000) > decoded.iat);
+    }
+
+    const session = (user.refreshTokens || []).find(entry => entry.sessionId === decoded.sid);
+    return !!session && session.expiresAt > new Date() && session.token === hashToken(refreshToken);
+  }
+
+  /**
+   * Record activity on a session (throttled to TOUCH_INTERVAL_MS)
+   * @param {Object} user - User document with refreshTokens
+   * @param {string} sessionId - `sid` claim
+   */
+  touch(user, sessionId) {
+    if (!sessionId) {
+      return;
+    }
+
+    const session = (user.refreshTokens || []).find(entry => entry.sessionId === sessionId);
+    if (!session || (session.lastActiveAt && Date.now() - session.lastActiveAt.getTime() < TOUCH_INTERVAL_MS)) {
+      return;
+    }
+
+    User.updateOne(
+      { _id: user._id, 'refreshTokens.sessionId': sessionId },
+      { $set: { 'refreshTokens.$.lastActiveAt': new Date() } }
+    ).catch(error => logger.error(`❌ [SESSION] Failed to touch session ${sessionId}:`, error.message));
+  }
+
+  /**
+   * Active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - `sid` of the calling token, flagged as current
+   * @returns {Promise<Array>}
+   */
+  async list(userId, currentSessionId = null) {
+    const user = await User.findById(userId).select('refreshTokens');
+    const now = new Date();
+
+    return (user?.refreshTokens || [])
+      .filter(session => session.sessionId && session.expiresAt > now)
+      .sort((a, b) => (b.lastActiveAt || b.createdAt) - (a.lastActiveAt || a.createdAt))
+      .map(session => ({
+        id: session.sessionId,
+        device: session.deviceInfo,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        location: session.location?.country
+          ? { city: session.location.city, country: session.location.country, countryCode: session.location.countryCode }
+          : null,
+        createdAt: session.createdAt,
+        lastActiveAt: session.lastActiveAt,
+        expiresAt: session.expiresAt,
+        current: session.sessionId === currentSessionId
+      }));
+  }
+
+  /**
+   * Sign out one session
+   * @returns {Promise<boolean>} False if the session doesn't exist
+   */
+  async revoke(userId, sessionId) {
+    const result = await User.updateOne(
+      { _id: userId, 'refreshTokens.sessionId': sessionId },
+      { $pull: { refreshTokens: { sessionId } } }
+    );
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    await JWTService.revokeSession(sessionId);
+    logger.info(`🔐 [SESSION] Session ${sessionId} of user ${userId} revoked`);
+    return true;
+  }
+
+  /**
+   * Sign out every session except `keepSessionId` (all of them when it's null)
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAll(userId, keepSessionId = null) {
+    const user = await User.findById(userId).select('refreshTokens');
+    const revoked = (user?.refreshTokens || [])
+      .map(session => session.sessionId)
+      .filter(sessionId => sessionId && sessionId !== keepSessionId);
+
+    const sessionsRevokedAt = new Date();
+    await User.updateOne(
+      { _id: userId },
+      keepSessionId
+        ? { $pull: { refreshTokens: { sessionId: { $ne: keepSessionId } } }, $set: { sessionsRevokedAt } }
+        : { $set: { refreshTokens: [], sessionsRevokedAt } }
+    );
+
+    for (const sessionId of revoked) {
+      await JWTService.revokeSession(sessionId);
+    }
+
+    logger.info(`🔐 [SESSION] ${revoked.length} session(s) of user ${userId} revoked`);
+    return revoked.length;
+  }
+
+  /**
+   * Resolve the session's approximate location, then send the new-device email
+   */
+  async locate(user, sessionId, { ip, deviceInfo, isNewDevice, signedInAt }) {
+    const location = await LocationService.getLocationFromIP(ip);
+    const known = location && location.source !== 'fallback';
+
+    if (known) {
+      await User.updateOne(
+        { _id: user._id, 'refreshTokens.sessionId': sessionId },
+        {
+          $set: {
+            'refreshTokens.$.location': {
+              city: location.city,
+              country: location.country,
+              countryCode: location.countryCode
+            }
+          }
+        }
+      );
+    }
+
+    if (isNewDevice) {
+      await EmailService.sendToUser(user, 'new-device-login', {
+        device: deviceInfo,
+        ip,
+        location: known ? [location.city, location.country].filter(Boolean).join(', ') : null,
+        signedInAt
+      });
+    }
+  }
+
+  /**
+   * Stable device identifier - the full user agent plus the IP's network (/24 for IPv4, /48 for
+   * IPv6), so a browser update or a new network counts as a new device but DHCP churn doesn't
+   */
+  deviceId(userAgent, ip) {
+    const address = String(ip || '').replace(/^::ffff:(?=\d+\.)/i, '');
+    let network = address;
+    if (net.isIPv4(address)) {
+      network = address.split('.').slice(0, 3).join('.');
+    } else if (net.isIPv6(address)) {
+      network = expandIPv6(address).slice(0, 3).join(':');
+    }
+    return crypto.createHash('sha256').update(`${userAgent || ''}|${network}`).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * Short device label from a user agent, e.g. "Chrome on macOS"
+   */
+  describeDevice(userAgent) {
+    if (!userAgent) {
+      return 'Unknown device';
+    }
+
+    const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+    const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+    if (browser && system) {
+      return `${browser} on ${system}`;
+    }
+    // API clients and scripts - first product token, e.g. "curl" or "axios"
+    return browser || system || userAgent.split(/[\s/]/)[0] || 'Unknown device';
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionService();
@@ -0,0 +1,437 @@
+const VoiceModel = require('../models/VoiceModel');
+const AIModel = require('../models/AIModel');
+const Speech = require('../models/Speech');
+const ProviderRouter = require('./ProviderRouter');
+const StorageService = require('./StorageService');
+const WebhookService = require('./WebhookService');
+const StorageQuotaService = require('./StorageQuotaService');
+const SsmlParser = require('../utils/ssml');
+const { SsmlError } = require('../utils/ssml');
+const WavUtil = require('../utils/wav');
+const AudioUtil = require('../utils/audio');
+
+// Provider value for each SSML emphasis level (config.inputMapping.emphasis)
+const EMPHASIS_VALUES = {
+  strong: 0.9,
+  moderate: 0.7,
+  reduced: 0.3
+};
+
+// Silence inserted between long-form chunks
+const SENTENCE_PAUSE_MS = 200;
+const PARAGRAPH_PAUSE_MS = 600;
+// Speech audio is private; webhook receivers get a signed URL valid this long (seconds)
+const WEBHOOK_URL_TTL = 24 * 60 * 60;
+// Cloned voice recordings are private too - providers fetch them through a signed URL
+const PROVIDER_URL_TTL = 60 * 60;
+
+class SpeechGenerationError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'SpeechGenerationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Text-to-speech workflow shared by the app and public API routes
+ * Resolves the voice and the TTS AIModel, renders the audio through the model's
+ * provider, uploads it and stores the Speech record
+ */
+class SpeechGenerationService {
+  constructor() {
+    this.pollInterval = 2000;
+    this.maxWaitMs = 3 * 60 * 1000;
+    this.maxSegmentLength = 1000; // Characters per provider request when the model sets no maxInputLength
+  }
+
+  /**
+   * Resolve a voice by ObjectId, or by group name and optional mood
+   * @param {string} voiceId - VoiceModel ID or baseVoiceName of a multi-mood group
+   * @param {string} mood - Optional mood within the group
+   * @param {string} userId - Requesting user; other users' cloned voices are never resolved
+   * @returns {Promise<Object|null>} VoiceModel document
+   */
+  async resolveVoice(voiceId, mood, userId = null) {
+    let voice;
+
+    // Check if voiceId is ObjectId or group name
+    try {
+      // First try as ObjectId for single voices
+      voice = await VoiceModel.findById(voiceId);
+    } catch (err) {
+      // Not an ObjectId, try as baseVoiceName for groups
+      voice = null;
+    }
+
+    if (voice && !voice.isAccessibleBy(userId)) {
+      voice = null;
+    }
+
+    if (!voice) {
+      // Try finding by baseVoiceName and mood for multi-mood groups
+      if (mood) {
+        voice = await VoiceModel.findOne({
+          baseVoiceName: voiceId,
+          mood: mood,
+          isActive: true,
+          ...VoiceModel.visibleTo(userId)
+        });
+      } else {
+        // Try finding first available mood for this group (sorted for consistency)
+        voice = await VoiceModel.findOne({
+          baseVoiceName: voiceId,
+          isActive: true,
+          ...VoiceModel.visibleTo(userId)
+        }).sort({ mood: 1, createdAt: 1 });
+      }
+    }
+
+    return voice;
+  }
+
+  /**
+   * Resolve the TTS model: the requested one, or the default active 'tts' AIModel
+   * @param {string} modelId - Optional AIModel ID
+   * @returns {Promise<Object|null>} AIModel document
+   */
+  async resolveModel(modelId) {
+    if (!modelId) {
+      return await AIModel.findDefault('tts');
+    }
+
+    try {
+      return await AIModel.findOne({ _id: modelId, type: 'tts', status: 'active' });
+    } catch (err) {
+      return null; // Not an ObjectId
+    }
+  }
+
+  /**
+   * Generate speech for a resolved voice
+   * @param {Object} user - Authenticated user document
+   * @param {string} text - Text to speak
+   * @param {Object} voice - VoiceModel document
+   * @param {Object} options
+   * @param {Object} options.aiModel - TTS AIModel (defaults to resolveModel())
+   * @param {Object} options.parameters - Per-request provider parameters
+   * @returns {Promise<Object>} Saved Speech document
+   */
+  async generate(user, text, voice, { aiModel, parameters = {} } = {}) {
+    aiModel = await this.requireModel(aiModel);
+    const startTime = Date.now();
+
+    const { result, servedBy } = await this.synthesize(aiModel, text, voice, parameters);
+
+    // Upload to CDN
+    // Streamed straight from the provider; the extension follows the actual audio format
+    const timestamp = Date.now();
+    const upload = await StorageService.uploadFromUrl(
+      result.audioUrl,
+      `VeeqAI/Text_to_Speech/tts_${user._id}_${timestamp}`,
+      { appendExtension: true, visibility: 'private' }
+    );
+
+    return await this.saveSpeech(user, text, [voice], aiModel, upload, {
+      providerJobId: result.jobId,
+      servedBy,
+      processingTime: Date.now() - startTime
+    });
+  }
+
+  /**
+   * Render an SSML document: every text segment is generated with its own voice/mood
+   * and prosody, then the audio is stitched with the requested pauses
+   * @param {Object} user - Authenticated user document
+   * @param {string} ssml - SSML document (validated with SsmlParser)
+   * @param {Object} defaultVoice - VoiceModel used outside <voice> tags
+   * @param {Object} options
+   * @param {Object} options.aiModel - TTS AIModel (defaults to resolveModel())
+   * @returns {Promise<Object>} Saved Speech document
+   */
+  async generateFromSsml(user, ssml, defaultVoice, { aiModel } = {}) {
+    aiModel = await this.requireModel(aiModel);
+    this.assertStitchable(aiModel);
+    const startTime = Date.now();
+    const maxSegmentLength = aiModel.config?.maxInputLength || this.maxSegmentLength;
+
+    const segments = SsmlParser.parse(ssml);
+    const voices = new Map([[defaultVoice._id.toString(), defaultVoice]]);
+    const voiceCache = new Map();
+    const parts = [];
+    const spoken = [];
+
+    for (const segment of segments) {
+      if (segment.type === 'break') {
+        parts.push({ silence: segment.duration });
+        continue;
+      }
+
+      const voice = await this.resolveSegmentVoice(segment, defaultVoice, voiceCache, user._id);
+      voices.set(voice._id.toString(), voice);
+
+      const parameters = this.getProsodyParameters(aiModel, segment);
+
+      for (const chunk of this.splitText(segment.text, maxSegmentLength)) {
+        const { result } = await this.synthesize(aiModel, chunk, voice, parameters);
+        parts.push(this.requireWav(await this.downloadAudio(result.audioUrl), aiModel));
+      }
+      spoken.push(segment.text);
+    }
+
+    const audio = WavUtil.concat(parts);
+
+    // Upload to CDN
+    const timestamp = Date.now();
+    const upload = await StorageService.upload(
+      `VeeqAI/Text_to_Speech/tts_${user._id}_${timestamp}.wav`,
+      audio,
+      { visibility: 'private' }
+    );
+
+    return await this.saveSpeech(user, spoken.join(' '), [...voices.values()], aiModel, upload, {
+      ssml: true,
+      segments: segments.length,
+      processingTime: Date.now() - startTime
+    });
+  }
+
+  // ===============================
+  // HELPERS
+  // ===============================
+
+  async requireModel(aiModel) {
+    aiModel = aiModel || await this.resolveModel();
+    if (!aiModel) {
+      throw new Error('No active TTS model configured');
+    }
+    return aiModel;
+  }
+
+  /**
+   * Run one request to completion on the first routing candidate that delivers it
+   * Speech jobs are short and stateless, so a job that fails after submission also moves on
+   * to the next candidate; ProviderRouter records model usage for every attempt
+   * @returns {Promise<Object>} { result, servedBy }
+   */
+  async synthesize(aiModel, text, voice, parameters = {}) {
+    const { result, servedBy } = await ProviderRouter.submit(aiModel, async (provider) => {
+      const submitted = await provider.generateSpeech({
+        text,
+        voiceUrl: StorageService.resolveUrl(voice.audioFile, { expiresIn: PROVIDER_URL_TTL }),
+        parameters
+      });
+      return await this.waitForSpeech(provider, submitted);
+    }, { timeoutMs: this.maxWaitMs });
+
+    return { result, servedBy };
+  }
+
+  /**
+   * Store the Speech record, count its storage, bump voice usage and notify customer webhooks
+   * @param {Object} upload - StorageService.upload() result for the audio
+   */
+  async saveSpeech(user, text, voices, aiModel, upload, metadata = {}) {
+    const [voice] = voices;
+
+    const speech = new Speech({
+      userId: user._id,
+      text: text,
+      voiceId: voice.name,
+      voiceName: voice.name,
+      audioUrl: upload.url,
+      storageBytes: upload.size,
+      model: aiModel.name,
+      status: 'completed',
+      metadata: {
+        modelId: aiModel._id,
+        provider: aiModel.provider.name,
+        ...metadata
+      }
+    });
+    await speech.save();
+    await StorageQuotaService.record(user._id, upload.size);
+
+    // Update voice usage
+    for (const usedVoice of voices) {
+      usedVoice.usageCount += 1;
+      await usedVoice.save();
+    }
+
+    // Notify customer webhooks
+    await WebhookService.dispatch(user._id, 'speech.completed', {
+      id: speech._id,
+      voice: voice.name,
+      characters: text.length,
+      audioUrl: StorageService.resolveUrl(speech.audioUrl, { expiresIn: WEBHOOK_URL_TTL }),
+      completedAt: new Date().toISOString()
+    });
+
+    return speech;
+  }
+
+  /**
+   * Voice for an SSML segment: <voice name mood> by VoiceModel ID or group name,
+   * otherwise the request voice
+   */
+  async resolveSegmentVoice(segment, defaultVoice, cache = new Map(), userId = null) {
+    if (!segment.voice) {
+      return defaultVoice;
+    }
+
+    const key = `${segment.voice}:${segment.mood || ''}`;
+    if (!cache.has(key)) {
+      cache.set(key, await this.resolveVoice(segment.voice, segment.mood, userId));
+    }
+
+    const voice = cache.get(key);
+    if (!voice) {
+      throw new SsmlError(`Voice "${segment.voice}"${segment.mood ? ` (${segment.mood})` : ''} not found`);
+    }
+    return voice;
+  }
+
+  /**
+   * Map SSML prosody and emphasis to provider inputs named in config.inputMapping
+   * Models without a mapping for a control simply ignore it
+   */
+  getProsodyParameters(aiModel, segment) {
+    const mapping = aiModel.config?.inputMapping || {};
+    const parameters = {};
+
+    if (mapping.speed && segment.rate !== 1) {
+      parameters[mapping.speed] = segment.rate;
+    }
+    if (mapping.pitch && segment.pitch !== 1) {
+      parameters[mapping.pitch] = segment.pitch;
+    }
+    if (mapping.emphasis && EMPHASIS_VALUES[segment.emphasis] !== undefined) {
+      parameters[mapping.emphasis] = EMPHASIS_VALUES[segment.emphasis];
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Split text into chunks of at most maxLength, preferring sentence then word boundaries
+   */
+  splitText(text, maxLength) {
+    const chunks = [];
+    let remaining = text.trim();
+
+    while (remaining.length > maxLength) {
+      const window = remaining.slice(0, maxLength + 1);
+      let cut = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+      cut = cut > 0 ? cut + 1 : window.lastIndexOf(' ');
+      if (cut <= 0) {
+        cut = maxLength;
+      }
+
+      chunks.push(remaining.slice(0, cut).trim());
+      remaining = remaining.slice(cut).trim();
+    }
+
+    if (remaining) {
+      chunks.push(remaining);
+    }
+    return chunks;
+  }
+
+  /**
+   * Split long-form text into provider-sized chunks at paragraph, then sentence boundaries
+   * @param {string} text - Input text
+   * @param {number} maxLength - Maximum characters per chunk
+   * @returns {Array<Object>} { text, pauseAfter } - pauseAfter is the silence (ms) to insert after the chunk
+   */
+  chunkText(text, maxLength) {
+    const paragraphs = text.split(/\n\s*\n/).map(paragraph => paragraph.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const chunks = [];
+
+    for (const paragraph of paragraphs) {
+      const parts = this.splitText(paragraph, maxLength);
+      parts.forEach((part, index) => {
+        chunks.push({
+          text: part,
+          pauseAfter: index === parts.length - 1 ? PARAGRAPH_PAUSE_MS : SENTENCE_PAUSE_MS
+        });
+      });
+    }
+
+    if (chunks.length > 0) {
+      chunks[chunks.length - 1].pauseAfter = 0;
+    }
+    return chunks;
+  }
+
+  /**
+   * Whether text is too long for a single provider request and must go through the long-form pipeline
+   */
+  isLongForm(aiModel, text) {
+    return text.length > (aiModel.config?.maxInputLength || this.maxSegmentLength);
+  }
+
+  /**
+   * SSML and long-form audio is stitched with WavUtil, which only reads WAV - reject models
+   * that declare another output format before any credits are spent on them
+   * @throws {SpeechGenerationError}
+   */
+  assertStitchable(aiModel) {
+    const formats = aiModel.config?.outputFormats || [];
+    if (!formats.every(format => /wav$/i.test(format))) {
+      throw new SpeechGenerationError(
+        `${aiModel.displayName || aiModel.name} returns ${formats.join(', ')} audio, which can't be combined. Use a model with WAV output for SSML or long texts.`,
+        'MODEL_OUTPUT_NOT_STITCHABLE'
+      );
+    }
+  }
+
+  /**
+   * Check provider output before stitching - models without declared output formats are only found out here
+   * @returns {Buffer} The audio, if it's WAV
+   */
+  requireWav(audio, aiModel) {
+    const format = AudioUtil.probe(audio)?.format;
+    if (format !== 'wav') {
+      throw new SpeechGenerationError(
+        `${aiModel.displayName || aiModel.name} returned ${format ? format.toUpperCase() : 'unrecognized'} audio; only WAV can be combined`,
+        'MODEL_OUTPUT_NOT_STITCHABLE',
+        502
+      );
+    }
+    return audio;
+  }
+
+  async downloadAudio(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to download audio: ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Poll the provider until a speech job finishes
+   */
+  async waitForSpeech(provider, result) {
+    const deadline = Date.now() + this.maxWaitMs;
+
+    while (result.status === 'processing') {
+      if (Date.now() > deadline) {
+        throw new Error('Speech generation timed out');
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      result = await provider.checkSpeechStatus(result.jobId);
+    }
+
+    if (result.status === 'failed' || !result.audioUrl) {
+      throw new Error(result.error || 'Speech generation failed');
+    }
+
+    return result;
+  }
+}
+
+// Export singleton instance
+module.exports = new SpeechGenerationService();
+module.exports.SpeechGenerationError = SpeechGenerationError;
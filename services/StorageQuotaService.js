@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const Music = require('../models/Music');
+const Speech = require('../models/Speech');
+const VoiceIsolation = require('../models/VoiceIsolation');
+const VoiceModel = require('../models/VoiceModel');
+const CreditService = require('./CreditService');
+const logger = require('./logger');
+
+const GB = 1024 * 1024 * 1024;
+
+// Rough output sizes used to check the quota before a generation runs
+const ESTIMATES = {
+  musicBytesPerSecond: 40 * 1024, // 320kbps MP3
+  speechBytesPerCharacter: 4 * 1024, // 24kHz 16-bit WAV at ~12 characters a second
+  isolationOverhead: 2 // input upload plus the isolated output
+};
+
+class StorageQuotaError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'StorageQuotaError';
+    this.code = 'STORAGE_QUOTA_EXCEEDED';
+    this.status = 403;
+    this.details = details;
+  }
+}
+
+/**
+ * Per-user storage accounting
+ * Each stored file's size is kept on its owning document (storageBytes) and the running total
+ * on the user's active Subscription (limits.storageUsed, bytes). The quota is Plan.limits.storage (GB).
+ */
+class StorageQuotaService {
+  /**
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { limit, used, available } in bytes - limit/available -1 = unlimited
+   */
+  async getQuota(userId) {
+    const plan = await CreditService.getUserPlan(userId);
+    const subscription = await Subscription.findOne({ user: userId, status: 'active' }).select('limits.storageUsed');
+
+    const used = subscription?.limits?.storageUsed || 0;
+    const storage = plan.limits?.storage;
+    if (storage === -1) {
+      return { limit: -1, used, available: -1 };
+    }
+
+    const limit = Math.round((storage ?? 0) * GB);
+    return { limit, used, available: Math.max(0, limit - used) };
+  }
+
+  /**
+   * Throw StorageQuotaError when storing `bytes` more would go over the user's quota
+   * @param {string} userId - User ID
+   * @param {number} bytes - Expected size of the new files
+   */
+  async assertAvailable(userId, bytes = 0) {
+    const quota = await this.getQuota(userId);
+    if (quota.limit === -1) {
+      return quota;
+    }
+
+    // A full quota blocks even when the size can't be estimated
+    if (quota.used >= quota.limit || quota.used + bytes > quota.limit) {
+      throw new StorageQuotaError(
+        'Storage quota exceeded. Delete some files or upgrade your plan.',
+        { used: quota.used, limit: quota.limit, required: bytes }
+      );
+    }
+    return quota;
+  }
+
+  /**
+   * Expected storage for a generation request, see ESTIMATES
+   * @param {string} service - tts | music | voice-isolator | voice-clone-creation
+   * @param {Object} params - { duration, characterCount, fileSize } (as for credit costs)
+   * @returns {number} Bytes
+   */
+  estimate(service, { duration = 0, characterCount = 0, fileSize = 0 } = {}) {
+    switch (service) {
+      case 'music':
+        return Math.round(duration * ESTIMATES.musicBytesPerSecond);
+      case 'tts':
+        return Math.round(characterCount * ESTIMATES.speechBytesPerCharacter);
+      case 'voice-isolator':
+        return fileSize * ESTIMATES.isolationOverhead;
+      default:
+        return fileSize;
+    }
+  }
+
+  /**
+   * Add stored bytes to the owning document and the user's running total
+   * Never throws - accounting must not fail an upload that already happened
+   * @param {string} userId - User ID
+   * @param {number} bytes - Size of the stored file(s)
+   * @param {Object} owner - Optional { model, id } - Mongoose model and document ID to add storageBytes to
+   */
+  async record(userId, bytes, owner = null) {
+    if (!userId || !bytes) {
+      return;
+    }
+
+    try {
+      if (owner) {
+        await owner.model.updateOne({ _id: owner.id }, { $inc: { storageBytes: bytes } });
+      }
+      await this.adjustUsed(userId, bytes);
+    } catch (error) {
+      logger.error(`❌ [STORAGE-QUOTA] Failed to record ${bytes} bytes for user ${userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Give back the space of a deleted document (its storageBytes)
+   * @param {Object} doc - Music, Speech, VoiceIsolation or VoiceModel document
+   * @param {string} userId - Owner, when the document doesn't carry userId
+   */
+  async release(doc, userId = doc?.userId) {
+    if (!doc?.storageBytes || !userId) {
+      return;
+    }
+
+    try {
+      await this.adjustUsed(userId, -doc.storageBytes);
+    } catch (error) {
+      logger.error(`❌ [STORAGE-QUOTA] Failed to release ${doc.storageBytes} bytes for user ${userId}:`, error.message);
+    }
+  }
+
+  async adjustUsed(userId, bytes) {
+    // Pipeline update keeps the total from going negative when older files had no recorded size
+    await Subscription.updateOne(
+      { user: userId, status: 'active' },
+      [{ $set: { 'limits.storageUsed': { $max: [0, { $add: [{ $ifNull: ['$limits.storageUsed', 0] }, bytes] }] } } }]
+    );
+  }
+
+  /**
+   * Storage used per kind of file
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { quota, breakdown: { music, speech, voiceIsolation, voiceClones } }
+   */
+  async getBreakdown(userId) {
+    const id = new mongoose.Types.ObjectId(String(userId));
+    const sum = async (model, match) => {
+      const [row] = await model.aggregate([
+        { $match: match },
+        { $group: { _id: null, bytes: { $sum: { $ifNull: ['$storageBytes', 0] } }, files: { $sum: 1 } } }
+      ]);
+      return { bytes: row?.bytes || 0, files: row?.files || 0 };
+    };
+
+    const [quota, music, speech, voiceIsolation, voiceClones] = await Promise.all([
+      this.getQuota(userId),
+      sum(Music, { userId: id, storageBytes: { $gt: 0 } }),
+      sum(Speech, { userId: id, storageBytes: { $gt: 0 } }),
+      sum(VoiceIsolation, { userId: id, storageBytes: { $gt: 0 } }),
+      sum(VoiceModel, { owner: id, storageBytes: { $gt: 0 } })
+    ]);
+
+    return { quota, breakdown: { music, speech, voiceIsolation, voiceClones } };
+  }
+}
+
+// Export singleton instance
+module.exports = new StorageQuotaService();
+module.exports.StorageQuotaError = StorageQuotaError;
@@ -0,0 +1,349 @@
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const S3Driver = require('./storage/S3Driver');
+const LocalDriver = require('./storage/LocalDriver');
+const MemoryDriver = require('./storage/MemoryDriver');
+const MimeUtil = require('../utils/mime');
+const logger = require('./logger');
+
+const DEFAULT_CACHE_CONTROL = 'public, max-age=31536000';
+const PRIVATE_CACHE_CONTROL = 'private, no-store';
+const DOWNLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_SIGNED_URL_TTL = 15 * 60; // seconds
+
+// Stored in place of a URL for private objects, e.g. storage://private/VeeqAI/Music/<id>.wav
+const PRIVATE_PREFIX = 'storage://private/';
+
+/**
+ * File storage for generated audio, uploads and artwork
+ *
+ * The driver comes from STORAGE_DRIVER:
+ *   r2     - Cloudflare R2 (CLOUDFLARE_* settings), the default when CLOUDFLARE_ACCOUNT_ID is set
+ *   s3     - any S3-compatible store (S3_* settings)
+ *   local  - files under STORAGE_LOCAL_ROOT/{public,private}, public ones served at /storage (default otherwise)
+ *   memory - in-process, for tests
+ * Content types are detected from the bytes, not the key's extension.
+ *
+ * Objects are public (CDN URL, cached for a year) or private. Private objects live in a separate
+ * bucket/directory with no public URL; records store a storage://private/ reference instead, and
+ * resolveUrl() turns it into a short-lived signed URL served by routes/files.js.
+ */
+class StorageService {
+  constructor() {
+    const driverName = process.env.STORAGE_DRIVER || (process.env.CLOUDFLARE_ACCOUNT_ID ? 'r2' : 'local');
+    this.driver = this.createDriver(driverName, 'public');
+    this.privateDriver = this.createDriver(driverName, 'private');
+    this.signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+    this.apiBaseUrl = (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+    logger.info(`📦 [STORAGE] Using ${this.driver.name} storage driver`);
+  }
+
+  createDriver(name, visibility) {
+    const port = process.env.PORT || 5000;
+    const localUrl = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${port}/storage`).replace(/\/+$/, '');
+    const isPrivate = visibility === 'private';
+    const localRoot = process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..', 'storage');
+
+    switch (name) {
+      case 'r2':
+      case 'cloudflare':
+        if (isPrivate) {
+          this.assertPrivateBucket('CLOUDFLARE_PRIVATE_BUCKET_NAME', 'CLOUDFLARE_BUCKET_NAME');
+        }
+        return new S3Driver({
+          endpoint: `https://${process.env.CLOUDFLARE_ACCOUNT_ID}.r2.cloudflarestorage.com`,
+          region: 'auto',
+          bucket: isPrivate ? process.env.CLOUDFLARE_PRIVATE_BUCKET_NAME : process.env.CLOUDFLARE_BUCKET_NAME,
+          accessKeyId: process.env.CLOUDFLARE_ACCESS_KEY_ID,
+          secretAccessKey: process.env.CLOUDFLARE_SECRET_ACCESS_KEY,
+          publicUrl: `https://${process.env.CLOUDFLARE_CUSTOM_DOMAIN}`
+        });
+      case 's3':
+        if (isPrivate) {
+          this.assertPrivateBucket('S3_PRIVATE_BUCKET', 'S3_BUCKET');
+        }
+        return new S3Driver({
+          endpoint: process.env.S3_ENDPOINT || undefined,
+          region: process.env.S3_REGION || 'us-east-1',
+          bucket: isPrivate ? process.env.S3_PRIVATE_BUCKET : process.env.S3_BUCKET,
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+          publicUrl: (process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '')
+        });
+      case 'local':
+        // Only the public directory is served under /storage
+        return new LocalDriver({
+          root: path.join(localRoot, visibility),
+          publicUrl: localUrl
+        });
+      case 'memory':
+        return new MemoryDriver({ publicUrl: localUrl });
+      default:
+        throw new Error(`Unknown storage driver '${name}'. Use one of: r2, s3, local, memory`);
+    }
+  }
+
+  /**
+   * Refuse to start without a separate private bucket - a shared one would put private files on the CDN
+   */
+  assertPrivateBucket(privateVar, publicVar) {
+    const bucket = process.env[privateVar];
+    if (!bucket || bucket === process.env[publicVar]) {
+      throw new Error(`${privateVar} must name a bucket separate from ${publicVar} - private files would otherwise be publicly reachable`);
+    }
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Object key, e.g. 'VeeqAI/Music/<id>.wav'
+   * @param {Buffer|Readable|ReadableStream} body - Contents; streams are not buffered
+   * @param {Object} options
+   * @param {string} options.contentType - Used only when the content isn't recognised
+   * @param {number} options.contentLength - Stream length, if known
+   * @param {boolean} options.appendExtension - Add the extension of the detected type to the key
+   * @param {string} options.visibility - public (default) | private
+   * @param {string} options.cacheControl
+   * @returns {Promise<Object>} { key, url, size, contentType } - url is a storage://private/ reference for private objects
+   */
+  async upload(key, body, options = {}) {
+    let head = body;
+    if (!Buffer.isBuffer(body)) {
+      const stream = typeof body.getReader === 'function' ? Readable.fromWeb(body) : body;
+      ({ head, stream: body } = await MimeUtil.peek(stream));
+    }
+
+    // A declared type only helps when it says more than "binary"
+    const declared = options.contentType && !options.contentType.endsWith('octet-stream') ? options.contentType : null;
+    const contentType = MimeUtil.fromContent(head) || declared || MimeUtil.detect(head, key);
+    if (options.appendExtension) {
+      key = `${key}.${MimeUtil.extension(contentType)}`;
+    }
+
+    const isPrivate = options.visibility === 'private';
+
+    try {
+      const { size } = await this.getDriver(options.visibility).put(key, body, {
+        contentType,
+        contentLength: options.contentLength,
+        cacheControl: options.cacheControl || (isPrivate ? PRIVATE_CACHE_CONTROL : DEFAULT_CACHE_CONTROL)
+      });
+
+      return { key, url: isPrivate ? `${PRIVATE_PREFIX}${key}` : this.driver.getUrl(key), size, contentType };
+    } catch (error) {
+      logger.error(`❌ [STORAGE] Upload failed for ${key}:`, error.message);
+      throw new Error(`Storage upload failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Download a URL (http(s) or data:) and stream it into storage
+   * @param {string} url - Source URL
+   * @param {string} key - Object key
+   * @param {Object} options - Same as upload()
+   * @returns {Promise<Object>} { key, url, size, contentType }
+   */
+  async uploadFromUrl(url, key, options = {}) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+    if (!response.ok || !response.body) {
+      throw new Error(`Failed to download file: ${response.status}`);
+    }
+
+    const length = parseInt(response.headers.get('content-length'));
+    return await this.upload(key, response.body, {
+      contentType: response.headers.get('content-type')?.split(';')[0] || undefined,
+      contentLength: Number.isFinite(length) ? length : undefined,
+      ...options
+    });
+  }
+
+  /**
+   * Delete a file by key or by a URL (or private reference) this service returned
+   * Failures are logged, not thrown - a leftover file shouldn't fail the caller
+   */
+  async delete(urlOrKey) {
+    if (!urlOrKey) {
+      return;
+    }
+
+    const { key, visibility } = this.parse(urlOrKey) || {};
+    if (!key) {
+      logger.warn(`⚠️ [STORAGE] Not deleting ${urlOrKey} - not a ${this.driver.name} storage URL`);
+      return;
+    }
+
+    try {
+      await this.getDriver(visibility).delete(key);
+      logger.debug(`🗑️ [STORAGE] Deleted ${key}`);
+    } catch (error) {
+      logger.error(`❌ [STORAGE] Delete failed for ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * @param {string} key - Object key
+   * @param {string} visibility - public (default) | private
+   * @returns {Promise<Object|null>} { stream, contentType, size } or null if missing
+   */
+  async get(key, visibility = 'public') {
+    return await this.getDriver(visibility).get(key);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { size, contentType } or null if missing
+   */
+  async stat(key, visibility = 'public') {
+    return await this.getDriver(visibility).stat(key);
+  }
+
+  /**
+   * Move a stored file between the public CDN and private storage
+   * @param {string} url - Public URL or private reference from upload()
+   * @param {string} visibility - Target: public | private
+   * @returns {Promise<string>} The file's new URL/reference (unchanged if already there)
+   */
+  async setVisibility(url, visibility) {
+    const current = this.parse(url);
+    if (!current || current.visibility === visibility) {
+      return url;
+    }
+
+    const file = await this.get(current.key, current.visibility);
+    if (!file) {
+      throw new Error(`Stored file not found: ${current.key}`);
+    }
+
+    const moved = await this.upload(current.key, file.stream, {
+      contentType: file.contentType,
+      contentLength: file.size,
+      visibility
+    });
+
+    // Deleting the source would remove the copy just written if both sides are the same store
+    const source = this.getDriver(current.visibility);
+    const target = this.getDriver(visibility);
+    const sameStore = source === target
+      || (source.bucket && source.bucket === target.bucket)
+      || (source.root && source.root === target.root);
+    if (!sameStore) {
+      await this.delete(url);
+    }
+
+    logger.info(`📦 [STORAGE] Moved ${current.key} to ${visibility} storage`);
+    return moved.url;
+  }
+
+  // ===============================
+  // SIGNED URLS
+  // ===============================
+
+  /**
+   * URL a client can fetch: private references become signed URLs, anything else is returned as is
+   * @param {string} url - Stored URL or private reference
+   * @param {Object} options - See getSignedUrl
+   * @returns {string|null}
+   */
+  resolveUrl(url, options = {}) {
+    if (!this.isPrivate(url)) {
+      return url || null;
+    }
+    return this.getSignedUrl(url.slice(PRIVATE_PREFIX.length), options).url;
+  }
+
+  /**
+   * Short-lived URL for a private object, verified by routes/files.js
+   * @param {string} key - Private object key
+   * @param {Object} options
+   * @param {number} options.expiresIn - Seconds, default 15 minutes
+   * @param {string} options.fileName - Sent as an attachment with this name (inline when omitted)
+   * @returns {Object} { url, expiresAt }
+   */
+  getSignedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL, fileName } = {}) {
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+    const payload = Buffer.from(JSON.stringify({
+      k: key,
+      e: Math.floor(expiresAt.getTime() / 1000),
+      f: fileName
+    })).toString('base64url');
+
+    return {
+      url: `${this.apiBaseUrl}/api/files/${payload}.${this.sign(payload)}`,
+      expiresAt
+    };
+  }
+
+  /**
+   * Check a signed URL token
+   * @returns {Object|null} { key, fileName } or null if the signature is wrong or expired
+   */
+  verifySignedToken(token) {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { k: key, e: expires, f: fileName } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!key || expires * 1000 < Date.now()) {
+        return null;
+      }
+      return { key, fileName };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  sign(payload) {
+    if (!this.signingSecret) {
+      throw new Error('STORAGE_SIGNING_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', this.signingSecret).update(payload).digest('base64url');
+  }
+
+  // ===============================
+  // HELPERS
+  // ===============================
+
+  isPrivate(url) {
+    return typeof url === 'string' && url.startsWith(PRIVATE_PREFIX);
+  }
+
+  /**
+   * Key and visibility of a stored URL, private reference or bare key
+   * @returns {Object|null} { key, visibility } or null for URLs this service didn't issue
+   */
+  parse(urlOrKey) {
+    if (this.isPrivate(urlOrKey)) {
+      return { key: urlOrKey.slice(PRIVATE_PREFIX.length), visibility: 'private' };
+    }
+    const key = this.keyFromUrl(urlOrKey) || (/^[a-z]+:/i.test(urlOrKey) ? null : urlOrKey);
+    return key ? { key, visibility: 'public' } : null;
+  }
+
+  getDriver(visibility = 'public') {
+    return visibility === 'private' ? this.privateDriver : this.driver;
+  }
+
+  getUrl(key) {
+    return this.driver.getUrl(key);
+  }
+
+  keyFromUrl(url) {
+    return this.driver.keyFromUrl(url);
+  }
+
+  // Whether /storage should serve files (local and memory drivers)
+  get servesFiles() {
+    return this.driver.servesFiles;
+  }
+}
+
+// Export singleton instance
+module.exports = new StorageService();
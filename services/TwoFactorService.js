@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const JWTService = require('../utils/jwt');
+const TotpUtil = require('../utils/totp');
+const logger = require('./logger');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'VeeqAI';
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorError extends Error {
+  constructor(message, code = 'TWO_FACTOR_INVALID', status = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * TOTP two-factor authentication
+ *   1. beginEnrollment   - new secret (stored encrypted, not yet enabled) and its otpauth:// URI
+ *   2. confirmEnrollment - a first valid code enables 2FA and returns single-use recovery codes
+ * Logins of enrolled users stop after the password with a challenge token (JWTService.generateChallengeToken);
+ * completeChallenge exchanges it plus a code for the user, and the route then issues access/refresh tokens.
+ * Recovery codes are stored as SHA-256 hashes; accepted TOTP steps are recorded so a code works once.
+ */
+class TwoFactorService {
+  /**
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+   */
+  async getStatus(userId) {
+    const user = await User.findById(userId).select('twoFactorEnabled twoFactorEnabledAt +twoFactorRecoveryCodes');
+    return {
+      enabled: !!user?.twoFactorEnabled,
+      enabledAt: user?.twoFactorEnabledAt || null,
+      recoveryCodesRemaining: user?.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+    };
+  }
+
+  /**
+   * Start enrollment - replaces any unconfirmed secret
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { secret, otpauthUrl } - shown once, for the authenticator app
+   */
+  async beginEnrollment(userId) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactorEnabled) {
+      throw new TwoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+
+    const secret = TotpUtil.generateSecret();
+    user.twoFactorSecret = this.encrypt(secret);
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: TotpUtil.keyUri({ secret, account: user.email, issuer: ISSUER })
+    };
+  }
+
+  /**
+   * Enable 2FA with a first code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<Object>} { recoveryCodes } - plain codes, shown once
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactorEnabled) {
+      throw new TwoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+    if (!user.twoFactorSecret) {
+      throw new TwoFactorError('Start two-factor setup first', 'TWO_FACTOR_NOT_STARTED');
+    }
+
+    const step = TotpUtil.verify(this.decrypt(user.twoFactorSecret), code);
+    if (step === null) {
+      throw new TwoFactorError('Invalid two-factor code', 'TWO_FACTOR_INVALID', 401);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorLastStep = step;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    logger.info(`🔐 [2FA] Enabled for user ${user._id}`);
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check a TOTP or recovery code - either is consumed on success
+   * @param {string} userId - User ID
+   * @param {string} code - 6-digit TOTP code or recovery code
+   * @returns {Promise<Object>} { method: 'totp' | 'recovery', recoveryCodesRemaining }
+   */
+  async verify(userId, code) {
+    const user = await this.loadUser(userId);
+    if (!user.twoFactorEnabled) {
+      throw new TwoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    const input = String(code || '').trim();
+    const recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+
+    const step = TotpUtil.verify(this.decrypt(user.twoFactorSecret), input);
+    if (step !== null) {
+      // Claim the step atomically - the same code can't be replayed, even concurrently
+      const claimed = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }]
+        },
+        { $set: { twoFactorLastStep: step } }
+      );
+      if (claimed.modifiedCount === 1) {
+        return { method: 'totp', recoveryCodesRemaining };
+      }
+    } else if (input) {
+      const hash = hashRecoveryCode(input);
+      const used = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hash },
+        { $pull: { twoFactorRecoveryCodes: hash } }
+      );
+      if (used.modifiedCount === 1) {
+        logger.info(`🔐 [2FA] Recovery code used by user ${user._id} (${recoveryCodesRemaining - 1} left)`);
+        return { method: 'recovery', recoveryCodesRemaining: recoveryCodesRemaining - 1 };
+      }
+    }
+
+    throw new TwoFactorError('Invalid two-factor code', 'TWO_FACTOR_INVALID', 401);
+  }
+
+  /**
+   * Turn 2FA off - needs a current code. Superadmins must stay enrolled.
+   */
+  async disable(userId, code) {
+    const user = await User.findById(userId);
+    if (user?.role === 'superadmin') {
+      throw new TwoFactorError('Super admins must keep two-factor authentication enabled', 'TWO_FACTOR_REQUIRED', 403);
+    }
+
+    await this.verifyWithLockout(user, code);
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: { twoFactorSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastStep: 1, twoFactorEnabledAt: 1 }
+      }
+    );
+
+    logger.info(`🔐 [2FA] Disabled for user ${userId}`);
+  }
+
+  /**
+   * Replace all recovery codes - needs a current code
+   * @returns {Promise<Object>} { recoveryCodes }
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    await this.verifyWithLockout(await User.findById(userId), code);
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: userId },
+      { $set: { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) } }
+    );
+    return { recoveryCodes };
+  }
+
+  // ===============================
+  // LOGIN CHALLENGE
+  // ===============================
+
+  /**
+   * Second login step
+   * Failed codes count towards the account lock (User.incLoginAttempts)
+   * @param {string} challengeToken - From the password step
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<Object>} { user, method, recoveryCodesRemaining }
+   */
+  async completeChallenge(challengeToken, code) {
+    const decoded = challengeToken ? JWTService.verifyToken(challengeToken, '2fa_challenge') : null;
+    const user = decoded ? await User.findById(decoded.sub) : null;
+    if (!user || user.status !== 'active') {
+      throw new TwoFactorError('Login challenge expired, please sign in again', 'TWO_FACTOR_CHALLENGE_INVALID', 401);
+    }
+
+    const result = await this.verifyWithLockout(user, code);
+    return { user, ...result };
+  }
+
+  /**
+   * verify() for codes typed by the user - failures count towards the account lock
+   * (User.incLoginAttempts), so a stolen session can't brute-force codes either
+   * @param {Object} user - User document
+   * @param {string} code - TOTP or recovery code
+   */
+  async verifyWithLockout(user, code) {
+    if (!user) {
+      throw new TwoFactorError('User not found', 'USER_NOT_FOUND', 404);
+    }
+    if (user.isLocked) {
+      throw new TwoFactorError('Too many failed attempts, try again later', 'TWO_FACTOR_LOCKED', 429);
+    }
+
+    let result;
+    try {
+      result = await this.verify(user._id, code);
+    } catch (error) {
+      if (error.code === 'TWO_FACTOR_INVALID') {
+        await user.incLoginAttempts();
+      }
+      throw error;
+    }
+
+    if (user.failedLoginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+    return result;
+  }
+
+  // ===============================
+  // HELPERS
+  // ===============================
+
+  async loadUser(userId) {
+    const user = await User.findById(userId).select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user) {
+      throw new TwoFactorError('User not found', 'USER_NOT_FOUND', 404);
+    }
+    return user;
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  // Secrets are AES-256-GCM encrypted with TWO_FACTOR_ENCRYPTION_KEY (defaults to JWT_SECRET)
+  encryptionKey() {
+    const key = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!key) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+    }
+    return crypto.createHash('sha256').update(key).digest();
+  }
+
+  encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+  }
+
+  decrypt(value) {
+    const [, iv, tag, encrypted] = String(value).split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  }
+}
+
+// Export singleton instance
+module.exports = new TwoFactorService();
+module.exports.TwoFactorError = TwoFactorError;
@@ -0,0 +1,205 @@
+const User = require('../models/User');
+const VoiceModel = require('../models/VoiceModel');
+const CreditService = require('./CreditService');
+const StorageService = require('./StorageService');
+const StorageQuotaService = require('./StorageQuotaService');
+const AudioUtil = require('../utils/audio');
+const logger = require('./logger');
+
+// Shown to the user before upload and stored verbatim with the voice
+const CONSENT = {
+  version: '2025-01',
+  statement: 'I confirm that the uploaded recording is my own voice, or that I have the explicit permission ' +
+    'of the person whose voice it is to create and use a synthetic copy of it. I will not use the cloned ' +
+    'voice to impersonate, deceive or harm anyone.'
+};
+
+const REQUIREMENTS = {
+  formats: ['wav', 'mp3'],
+  minDuration: 10, // seconds
+  maxDuration: 300,
+  maxFileSize: 20 * 1024 * 1024
+};
+
+class VoiceCloneError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'VoiceCloneError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Voice cloning for end users
+ * A clone is a private VoiceModel owned by the user: it takes one of the user's voice
+ * slots (User.voiceSlots, sized by Plan.limits.voiceSlots) and is billed as
+ * 'voice-clone-creation' by the route.
+ */
+class VoiceCloneService {
+  getConsent() {
+    return { ...CONSENT };
+  }
+
+  getRequirements() {
+    return { ...REQUIREMENTS };
+  }
+
+  /**
+   * Current slot allowance, synced from the user's plan
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { total, used, available } - total/available -1 = unlimited
+   */
+  async getSlots(userId) {
+    const plan = await CreditService.getUserPlan(userId);
+    const total = plan.limits?.voiceSlots ?? 0;
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { 'voiceSlots.total': total } },
+      { new: true }
+    ).select('voiceSlots');
+
+    const used = user?.voiceSlots?.used || 0;
+    return {
+      total,
+      used,
+      available: total === -1 ? -1 : Math.max(0, total - used)
+    };
+  }
+
+  /**
+   * Check a reference recording against the clone requirements
+   * @param {Object} file - multer file
+   * @returns {Object} AudioUtil.probe result
+   */
+  validateAudio(file) {
+    if (!file) {
+      throw new VoiceCloneError('Reference audio file is required', 'AUDIO_REQUIRED');
+    }
+    if (file.size > REQUIREMENTS.maxFileSize) {
+      throw new VoiceCloneError(`Audio file must be under ${REQUIREMENTS.maxFileSize / (1024 * 1024)}MB`, 'AUDIO_TOO_LARGE');
+    }
+
+    const audio = AudioUtil.probe(file.buffer);
+    if (!audio || !REQUIREMENTS.formats.includes(audio.format)) {
+      throw new VoiceCloneError(`Unsupported audio format. Use ${REQUIREMENTS.formats.join(' or ').toUpperCase()}`, 'INVALID_AUDIO_FORMAT');
+    }
+    if (audio.duration < REQUIREMENTS.minDuration || audio.duration > REQUIREMENTS.maxDuration) {
+      throw new VoiceCloneError(
+        `Reference audio must be between ${REQUIREMENTS.minDuration} and ${REQUIREMENTS.maxDuration} seconds (got ${Math.round(audio.duration)}s)`,
+        'INVALID_AUDIO_DURATION'
+      );
+    }
+
+    return audio;
+  }
+
+  /**
+   * Validate the recording, take a slot and store the private voice
+   * @param {Object} options
+   * @param {Object} options.user - Authenticated user document
+   * @param {Object} options.file - multer file with the reference recording
+   * @param {Object} options.details - { name, description, gender, age, language }
+   * @param {Object} options.consent - { accepted, ip, userAgent }
+   * @returns {Promise<Object>} Saved VoiceModel document
+   */
+  async createClone({ user, file, details, consent }) {
+    if (!consent?.accepted) {
+      throw new VoiceCloneError('You must accept the voice cloning consent statement', 'CONSENT_REQUIRED');
+    }
+
+    const audio = this.validateAudio(file);
+
+    const slots = await this.getSlots(user._id);
+    if (!(await this.claimSlot(user._id, slots.total))) {
+      throw new VoiceCloneError(`All ${slots.total} voice slot(s) are in use. Delete a voice or upgrade your plan.`, 'VOICE_SLOTS_EXHAUSTED', 403);
+    }
+
+    try {
+      const timestamp = Date.now();
+      const path = `VeeqAI/Voice_Clone/users/${user._id}/${timestamp}.${audio.format}`;
+      // Voice recordings are biometric data - never on the public CDN
+      const { url: audioUrl, size } = await StorageService.upload(path, file.buffer, { visibility: 'private' });
+
+      const voice = await VoiceModel.create({
+        name: details.name,
+        description: details.description || `${details.name} (cloned voice)`,
+        audioFile: audioUrl,
+        previewUrl: audioUrl,
+        gender: details.gender || 'neutral',
+        age: details.age || 'adult',
+        language: details.language || 'tr',
+        isActive: true,
+        owner: user._id,
+        consent: {
+          statement: CONSENT.statement,
+          version: CONSENT.version,
+          acceptedAt: new Date(),
+          ip: consent.ip,
+          userAgent: consent.userAgent
+        },
+        storageBytes: size,
+        source: {
+          format: audio.format,
+          duration: Math.round(audio.duration * 10) / 10,
+          size: file.size
+        }
+      });
+      await StorageQuotaService.record(user._id, size);
+
+      console.log(`🎙️ [VOICE-CLONE] User ${user._id} created voice ${voice._id} (${audio.format}, ${Math.round(audio.duration)}s)`);
+      return voice;
+    } catch (error) {
+      await this.releaseSlot(user._id);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one of the user's clones and free its slot
+   * @returns {Promise<boolean>} False if the voice doesn't exist or isn't theirs
+   */
+  async deleteClone(userId, voiceId) {
+    const voice = await VoiceModel.findOneAndDelete({ _id: voiceId, owner: userId });
+    if (!voice) {
+      return false;
+    }
+
+    await this.releaseSlot(userId);
+    await StorageService.delete(voice.audioFile);
+    await StorageQuotaService.release(voice, userId);
+    return true;
+  }
+
+  // ===============================
+  // SLOTS
+  // ===============================
+
+  /**
+   * Take a slot only if one is free - a single conditional update, so parallel uploads can't overbook
+   */
+  async claimSlot(userId, total) {
+    const filter = total === -1
+      ? { _id: userId }
+      : { _id: userId, $expr: { $lt: [{ $ifNull: ['$voiceSlots.used', 0] }, total] } };
+
+    const user = await User.findOneAndUpdate(filter, { $inc: { 'voiceSlots.used': 1 } });
+    return !!user;
+  }
+
+  async releaseSlot(userId) {
+    try {
+      await User.updateOne(
+        { _id: userId, 'voiceSlots.used': { $gt: 0 } },
+        { $inc: { 'voiceSlots.used': -1 } }
+      );
+    } catch (error) {
+      logger.error(`❌ [VOICE-CLONE] Failed to release voice slot for user ${userId}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new VoiceCloneService();
+module.exports.VoiceCloneError = VoiceCloneError;
@@ -0,0 +1,256 @@
+const AIModel = require('../models/AIModel');
+const VoiceIsolation = require('../models/VoiceIsolation');
+const ProviderRouter = require('./ProviderRouter');
+const StorageService = require('./StorageService');
+const StorageQuotaService = require('./StorageQuotaService');
+const AudioUtil = require('../utils/audio');
+const NetUtil = require('../utils/net');
+const { UnsafeUrlError } = require('../utils/net');
+
+const REQUIREMENTS = {
+  formats: ['wav', 'mp3'],
+  maxDuration: 30 * 60, // seconds
+  maxFileSize: 100 * 1024 * 1024
+};
+
+// Signed URL lifetime (seconds) for the private input handed to the provider
+const PROVIDER_URL_TTL = 60 * 60;
+
+class VoiceIsolationError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'VoiceIsolationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Voice isolation - strips music and background noise from a recording
+ * Processing runs on the provider of the selected 'voice-isolator' AIModel
+ * (see ProviderFactory; the 'local' provider works offline). Input and result are
+ * both stored privately; the route bills 'voice-isolator' per started minute of input.
+ */
+class VoiceIsolationService {
+  constructor() {
+    this.pollInterval = 2000;
+    this.maxWaitMs = 5 * 60 * 1000;
+  }
+
+  getRequirements() {
+    return { ...REQUIREMENTS };
+  }
+
+  /**
+   * Read and validate the input recording from an upload or a public URL
+   * @param {Object} options
+   * @param {Object} options.file - multer file (takes precedence)
+   * @param {string} options.url - http(s) URL of the recording
+   * @returns {Promise<Object>} { buffer, format, duration, size, fileName }
+   */
+  async loadInput({ file, url }) {
+    let buffer;
+    let fileName;
+
+    if (file) {
+      buffer = file.buffer;
+      fileName = file.originalname;
+    } else if (url) {
+      buffer = await this.downloadInput(url);
+      fileName = url.split('?')[0].split('/').pop();
+    } else {
+      throw new VoiceIsolationError('An audio file or audioUrl is required', 'AUDIO_REQUIRED');
+    }
+
+    if (buffer.length > REQUIREMENTS.maxFileSize) {
+      throw new VoiceIsolationError(`Audio must be under ${REQUIREMENTS.maxFileSize / (1024 * 1024)}MB`, 'AUDIO_TOO_LARGE');
+    }
+
+    const audio = AudioUtil.probe(buffer);
+    if (!audio || !REQUIREMENTS.formats.includes(audio.format)) {
+      throw new VoiceIsolationError(`Unsupported audio format. Use ${REQUIREMENTS.formats.join(' or ').toUpperCase()}`, 'INVALID_AUDIO_FORMAT');
+    }
+    if (audio.duration <= 0 || audio.duration > REQUIREMENTS.maxDuration) {
+      throw new VoiceIsolationError(
+        `Audio must be shorter than ${REQUIREMENTS.maxDuration / 60} minutes (got ${Math.round(audio.duration)}s)`,
+        'INVALID_AUDIO_DURATION'
+      );
+    }
+
+    return {
+      buffer,
+      format: audio.format,
+      duration: audio.duration,
+      size: buffer.length,
+      fileName
+    };
+  }
+
+  /**
+   * Requested model, or the default voice-isolator model
+   * @returns {Promise<Object|null>} AIModel document
+   */
+  async resolveModel(modelId) {
+    if (modelId) {
+      return await AIModel.findOne({ _id: modelId, type: 'voice-isolator', status: 'active' });
+    }
+    return await AIModel.findDefault('voice-isolator');
+  }
+
+  /**
+   * Run an input recording through the model's provider and store the result
+   * @param {Object} options
+   * @param {Object} options.user - Authenticated user document
+   * @param {Object} options.input - Result of loadInput
+   * @param {Object} options.aiModel - 'voice-isolator' AIModel document
+   * @param {number} options.credits - Credits billed, stored with the record
+   * @returns {Promise<Object>} Saved VoiceIsolation document
+   */
+  async isolate({ user, input, aiModel, credits = 0 }) {
+    // Skip the input upload when no provider will take the job
+    await ProviderRouter.assertAvailable(aiModel);
+
+    const startTime = Date.now();
+    const timestamp = Date.now();
+
+    const { url: inputUrl, size: inputSize } = await StorageService.upload(
+      `VeeqAI/Voice_Isolator/input/${user._id}_${timestamp}.${input.format}`,
+      input.buffer,
+      { visibility: 'private' }
+    );
+
+    // Jobs are short and stateless, so a job that fails after submission also moves to the next candidate
+    let result;
+    let servedBy;
+    try {
+      ({ result, servedBy } = await ProviderRouter.submit(aiModel, async (provider) => {
+        const submitted = await provider.isolateVoice({
+          audioUrl: StorageService.resolveUrl(inputUrl, { expiresIn: PROVIDER_URL_TTL }),
+          audio: input.buffer
+        });
+        return await this.waitForResult(provider, submitted);
+      }, { timeoutMs: this.maxWaitMs }));
+    } catch (error) {
+      await StorageService.delete(inputUrl);
+      throw error;
+    }
+
+    const output = await this.downloadAudio(result.audioUrl);
+    const outputFormat = AudioUtil.probe(output)?.format || 'wav';
+    const { url: audioUrl, size: outputSize } = await StorageService.upload(
+      `VeeqAI/Voice_Isolator/${user._id}_${timestamp}.${outputFormat}`,
+      output,
+      { visibility: 'private' }
+    );
+
+    const isolation = await VoiceIsolation.create({
+      userId: user._id,
+      inputUrl,
+      audioUrl,
+      storageBytes: inputSize + outputSize,
+      duration: Math.round(input.duration * 10) / 10,
+      format: input.format,
+      model: aiModel.name,
+      credits,
+      metadata: {
+        modelId: servedBy.modelId,
+        provider: servedBy.provider.name,
+        providerJobId: result.jobId,
+        processingTime: Date.now() - startTime,
+        fileName: input.fileName,
+        fileSize: input.size
+      }
+    });
+    await StorageQuotaService.record(user._id, isolation.storageBytes);
+
+    console.log(`🎧 [VOICE-ISOLATOR] User ${user._id} isolated ${Math.round(input.duration)}s of audio with ${aiModel.name}`);
+    return isolation;
+  }
+
+  /**
+   * Delete one of the user's isolations, its stored files and their quota usage
+   * @returns {Promise<boolean>} False if the isolation doesn't exist or isn't theirs
+   */
+  async deleteIsolation(userId, isolationId) {
+    const isolation = await VoiceIsolation.findOneAndDelete({ _id: isolationId, userId });
+    if (!isolation) {
+      return false;
+    }
+
+    await StorageService.delete(isolation.inputUrl);
+    await StorageService.delete(isolation.audioUrl);
+    await StorageQuotaService.release(isolation);
+    return true;
+  }
+
+  // ===============================
+  // HELPERS
+  // ===============================
+
+  async downloadInput(url) {
+    let response;
+    try {
+      response = await NetUtil.safeFetch(url, { signal: AbortSignal.timeout(30000) });
+    } catch (error) {
+      if (error instanceof UnsafeUrlError) {
+        throw new VoiceIsolationError(`audioUrl is not allowed: ${error.message}`, 'INVALID_AUDIO_URL');
+      }
+      throw new VoiceIsolationError('Could not download audio from audioUrl', 'AUDIO_DOWNLOAD_FAILED');
+    }
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new VoiceIsolationError(`Could not download audio from audioUrl (${response.status})`, 'AUDIO_DOWNLOAD_FAILED');
+    }
+
+    const tooLarge = () => new VoiceIsolationError(`Audio must be under ${REQUIREMENTS.maxFileSize / (1024 * 1024)}MB`, 'AUDIO_TOO_LARGE');
+    const declaredSize = parseInt(response.headers.get('content-length'));
+    if (declaredSize > REQUIREMENTS.maxFileSize) {
+      await response.body?.cancel();
+      throw tooLarge();
+    }
+
+    let buffer;
+    try {
+      buffer = await NetUtil.readBody(response, REQUIREMENTS.maxFileSize);
+    } catch (error) {
+      throw new VoiceIsolationError('Could not download audio from audioUrl', 'AUDIO_DOWNLOAD_FAILED');
+    }
+    if (!buffer) {
+      throw tooLarge();
+    }
+    return buffer;
+  }
+
+  async downloadAudio(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to download audio: ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Poll the provider until an isolation job finishes
+   */
+  async waitForResult(provider, result) {
+    const deadline = Date.now() + this.maxWaitMs;
+
+    while (result.status === 'processing') {
+      if (Date.now() > deadline) {
+        throw new Error('Voice isolation timed out');
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      result = await provider.checkIsolationStatus(result.jobId);
+    }
+
+    if (result.status === 'failed' || !result.audioUrl) {
+      throw new Error(result.error || 'Voice isolation failed');
+    }
+
+    return result;
+  }
+}
+
+// Export singleton instance
+module.exports = new VoiceIsolationService();
+module.exports.VoiceIsolationError = VoiceIsolationError;
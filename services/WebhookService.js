@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const JobQueue = require('./queue/JobQueue');
+const NetUtil = require('../utils/net');
+const logger = require('./logger');
+
+/**
+ * Outbound customer webhooks
+ * Creates a delivery log entry per subscribed endpoint and delivers it through the
+ * 'webhook' JobQueue (retries with exponential backoff)
+ *
+ * Signature scheme matches WebhookHandler.verifySignature:
+ *   X-Veeq-Signature = hex(HMAC-SHA256(secret, timestamp + body))
+ */
+class WebhookService {
+  constructor() {
+    this.requestTimeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+  }
+
+  /**
+   * Sign a payload
+   * @param {string} secret - Webhook signing secret
+   * @param {string} timestamp - Unix timestamp (seconds) sent in X-Veeq-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} Hex signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(timestamp + body)
+      .digest('hex');
+  }
+
+  /**
+   * Dispatch an event to all of the user's subscribed endpoints
+   * Never throws - webhook problems must not break the calling flow
+   * @param {string} userId - Owner of the webhooks
+   * @param {string} event - One of Webhook.EVENTS
+   * @param {Object} data - Event data
+   */
+  async dispatch(userId, event, data) {
+    try {
+      const webhooks = await Webhook.findSubscribers(userId, event);
+      if (webhooks.length === 0) {
+        return [];
+      }
+
+      const deliveries = [];
+      for (const webhook of webhooks) {
+        const delivery = new WebhookDelivery({
+          webhook: webhook._id,
+          user: userId,
+          event,
+          payload: {
+            event,
+            createdAt: new Date().toISOString(),
+            data
+          }
+        });
+        delivery.payload.id = delivery._id.toString();
+        await delivery.save();
+
+        await this.enqueue(delivery);
+        deliveries.push(delivery);
+      }
+
+      logger.info(`📤 [WEBHOOK-OUT] ${event} queued for ${deliveries.length} endpoint(s) of user ${userId}`);
+      return deliveries;
+    } catch (error) {
+      logger.error(`❌ [WEBHOOK-OUT] Failed to dispatch ${event} for user ${userId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Manually redeliver a logged delivery (creates a new log entry, same payload)
+   * @param {Object} delivery - WebhookDelivery document
+   * @returns {Promise<Object>} New WebhookDelivery document
+   */
+  async redeliver(delivery) {
+    const redelivery = new WebhookDelivery({
+      webhook: delivery.webhook,
+      user: delivery.user,
+      event: delivery.event,
+      payload: delivery.payload,
+      redeliveryOf: delivery._id
+    });
+    await redelivery.save();
+
+    await this.enqueue(redelivery);
+    return redelivery;
+  }
+
+  /**
+   * Queue a delivery, or deliver inline (single attempt) when the queue is unavailable
+   */
+  async enqueue(delivery) {
+    if (JobQueue.isInitialized) {
+      await JobQueue.deliverWebhook(delivery._id.toString());
+      return;
+    }
+
+    logger.warn('⚠️ [WEBHOOK-OUT] JobQueue not initialized - delivering inline without retries');
+    this.deliver(delivery._id, { isFinalAttempt: true }).catch(error => {
+      logger.error(`❌ [WEBHOOK-OUT] Inline delivery ${delivery._id} failed:`, error.message);
+    });
+  }
+
+  /**
+   * Perform a single delivery attempt (called by the 'webhook' queue processor)
+   * Throws on failure so the queue retries with backoff
+   * @param {string} deliveryId - WebhookDelivery ID
+   * @param {Object} options
+   * @param {boolean} options.isFinalAttempt - Mark the delivery as failed if this attempt fails
+   */
+  async deliver(deliveryId, { isFinalAttempt = false } = {}) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      logger.warn(`⚠️ [WEBHOOK-OUT] Delivery ${deliveryId} not found`);
+      return;
+    }
+
+    if (delivery.status === 'success') {
+      return;
+    }
+
+    const webhook = await Webhook.findById(delivery.webhook);
+    if (!webhook || webhook.status !== 'active') {
+      await delivery.recordAttempt({
+        success: false,
+        error: 'Webhook endpoint deleted or disabled',
+        isFinalAttempt: true
+      });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+
+    let response;
+    let responseBody;
+    let error;
+
+    try {
+      // DNS may have changed since the endpoint was saved
+      await NetUtil.assertPublicUrl(webhook.url, { protocols: ['https:'] });
+      response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'VeeqAI-Webhooks/1.0',
+          'X-Veeq-Event': delivery.event,
+          'X-Veeq-Delivery': delivery.payload.id,
+          'X-Veeq-Timestamp': timestamp,
+          'X-Veeq-Signature': this.sign(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.requestTimeout)
+      });
+      responseBody = await response.text().catch(() => '');
+
+      if (!response.ok) {
+        error = `Endpoint responded with ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `Request timed out after ${this.requestTimeout}ms`
+        : requestError.message;
+    }
+
+    const success = !error;
+    await delivery.recordAttempt({
+      success,
+      responseStatus: response?.status,
+      responseBody,
+      responseTime: Date.now() - startTime,
+      error,
+      isFinalAttempt
+    });
+    await webhook.recordDelivery(success);
+
+    if (!success) {
+      logger.warn(`⚠️ [WEBHOOK-OUT] Delivery ${delivery._id} (${delivery.event}) failed: ${error}`);
+      throw new Error(error);
+    }
+
+    logger.info(`✅ [WEBHOOK-OUT] Delivery ${delivery._id} (${delivery.event}) succeeded`);
+  }
+}
+
+// Export singleton instance
+module.exports = new WebhookService();
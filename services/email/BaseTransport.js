@@ -0,0 +1,31 @@
+/**
+ * Email transport interface
+ * Messages arrive rendered: { from, to, subject, text, html, headers }
+ */
+class BaseTransport {
+  constructor(options = {}) {
+    this.options = options;
+    this.name = 'base';
+  }
+
+  /**
+   * Send one message
+   * @param {Object} message - Rendered message
+   * @returns {Promise<Object>} { messageId }
+   */
+  async send(message) {
+    throw new Error('Must implement send method');
+  }
+
+  /**
+   * Whether a send error means the address will never accept mail (SMTP 5xx)
+   * Permanent failures suppress the address instead of being retried
+   */
+  isPermanentFailure(error) {
+    return error?.responseCode >= 500 && error.responseCode < 600;
+  }
+
+  async close() {}
+}
+
+module.exports = BaseTransport;
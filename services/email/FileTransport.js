@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const BaseTransport = require('./BaseTransport');
+
+/**
+ * Local mail sink for development - every message is written to EMAIL_FILE_DIR as an .eml file
+ * Open the files with any mail client to check rendering and links
+ */
+class FileTransport extends BaseTransport {
+  /**
+   * @param {Object} options - { dir }
+   */
+  constructor(options) {
+    super(options);
+    this.name = 'file';
+    this.dir = path.resolve(options.dir);
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+    const filePath = path.join(this.dir, `${Date.now()}_${safeTo}.eml`);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(filePath, info.message);
+
+    return { messageId: info.messageId, path: filePath };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+const BaseTransport = require('./BaseTransport');
+
+/**
+ * In-process outbox for tests - messages are kept in `messages`, newest last
+ */
+class MemoryTransport extends BaseTransport {
+  constructor(options) {
+    super(options);
+    this.name = 'memory';
+    this.messages = [];
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    this.messages.push({ ...message, messageId: info.messageId, raw: info.message.toString('utf8') });
+    return { messageId: info.messageId };
+  }
+
+  // Test helper
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = MemoryTransport;
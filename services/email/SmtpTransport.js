@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+const BaseTransport = require('./BaseTransport');
+
+/**
+ * SMTP delivery (SES, Postmark, SendGrid, ... or a local sink such as Mailpit on port 1025)
+ */
+class SmtpTransport extends BaseTransport {
+  /**
+   * @param {Object} options - { host, port, secure, user, pass }
+   */
+  constructor(options) {
+    super(options);
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+      pool: true
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    // Servers can accept the envelope but refuse every recipient
+    if (info.rejected?.length && !info.accepted?.length) {
+      const error = new Error(`Recipient rejected: ${info.rejected.join(', ')}`);
+      error.responseCode = info.rejectedErrors?.[0]?.responseCode;
+      throw error;
+    }
+    return { messageId: info.messageId };
+  }
+
+  async close() {
+    this.transporter.close();
+  }
+}
+
+module.exports = SmtpTransport;
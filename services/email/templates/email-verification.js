@@ -0,0 +1,26 @@
+// data: { name, verifyUrl, expiresInHours } - verifyUrl comes in secretData, so it is not logged
+module.exports = {
+  category: 'transactional',
+  locales: {
+    en: (data) => ({
+      subject: 'Confirm your email address',
+      greeting: `Hi ${data.name || 'there'},`,
+      paragraphs: [
+        'Please confirm that this is your email address to finish setting up your VeeqAI account.',
+        `The link is valid for ${data.expiresInHours || 24} hours.`
+      ],
+      action: { label: 'Confirm email', url: data.verifyUrl },
+      outro: ['If you didn\'t create a VeeqAI account, you can ignore this email.']
+    }),
+    tr: (data) => ({
+      subject: 'E-posta adresinizi doğrulayın',
+      greeting: data.name ? `Merhaba ${data.name},` : 'Merhaba,',
+      paragraphs: [
+        'VeeqAI hesabınızın kurulumunu tamamlamak için lütfen e-posta adresinizi doğrulayın.',
+        `Bağlantı ${data.expiresInHours || 24} saat geçerlidir.`
+      ],
+      action: { label: 'E-postamı doğrula', url: data.verifyUrl },
+      outro: ['Bir VeeqAI hesabı oluşturmadıysanız bu e-postayı yok sayabilirsiniz.']
+    })
+  }
+};
@@ -0,0 +1,50 @@
+const { renderText, renderHtml } = require('./layout');
+
+const DEFAULT_LOCALE = 'en';
+
+// Template name -> module; names are what callers pass to EmailService.send
+const TEMPLATES = {
+  'password-reset': require('./password-reset'),
+  'email-verification': require('./email-verification'),
+  'payment-receipt': require('./payment-receipt'),
+  'maintenance-notice': require('./maintenance-notice'),
+  'retention-warning': require('./retention-warning'),
+  'new-device-login': require('./new-device-login')
+};
+
+/**
+ * Render a template in the given locale (falls back to English)
+ * @param {string} name - Template name
+ * @param {string} locale - e.g. 'en', 'tr' or 'tr-TR'
+ * @param {Object} data - templateData
+ * @returns {Object} { subject, text, html, locale, category }
+ */
+const render = (name, locale, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const language = String(locale || DEFAULT_LOCALE).toLowerCase().split(/[-_]/)[0];
+  const resolved = template.locales[language] ? language : DEFAULT_LOCALE;
+  const content = template.locales[resolved](data);
+
+  return {
+    subject: content.subject,
+    text: renderText(content, resolved),
+    html: renderHtml(content, resolved),
+    locale: resolved,
+    category: template.category
+  };
+};
+
+const exists = (name) => Object.prototype.hasOwnProperty.call(TEMPLATES, name);
+
+const getCategory = (name) => TEMPLATES[name]?.category;
+
+module.exports = {
+  render,
+  exists,
+  getCategory,
+  names: Object.keys(TEMPLATES)
+};
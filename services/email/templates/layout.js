@@ -0,0 +1,76 @@
+/**
+ * Shared email layout
+ * Templates return content blocks ({ subject, greeting, paragraphs, action, outro }) and this
+ * turns them into a plain-text and an HTML body, escaping every value for the HTML part.
+ */
+
+const BRAND = 'VeeqAI';
+
+const FOOTERS = {
+  en: 'You are receiving this email because you have a VeeqAI account.',
+  tr: 'Bu e-postayı bir VeeqAI hesabınız olduğu için alıyorsunuz.'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const INTL_LOCALES = { en: 'en-US', tr: 'tr-TR' };
+
+const formatDate = (value, locale) => {
+  if (!value) {
+    return '';
+  }
+  return new Intl.DateTimeFormat(INTL_LOCALES[locale] || locale, {
+    dateStyle: 'long',
+    timeStyle: 'short',
+    timeZone: 'UTC'
+  }).format(new Date(value)) + ' UTC';
+};
+
+const formatMoney = (amount, currency = 'USD', locale) => {
+  return new Intl.NumberFormat(INTL_LOCALES[locale] || locale, { style: 'currency', currency }).format(amount || 0);
+};
+
+const renderText = (content, locale) => {
+  const lines = [];
+  if (content.greeting) lines.push(content.greeting, '');
+  for (const paragraph of content.paragraphs || []) lines.push(paragraph, '');
+  if (content.action) lines.push(`${content.action.label}: ${content.action.url}`, '');
+  for (const paragraph of content.outro || []) lines.push(paragraph, '');
+  lines.push('--', `${BRAND} - ${FOOTERS[locale] || FOOTERS.en}`);
+  return lines.join('\n');
+};
+
+const renderHtml = (content, locale) => {
+  const paragraph = (text) => `<p style="margin:0 0 16px;line-height:1.5">${escapeHtml(text)}</p>`;
+  const action = content.action
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(content.action.url)}" style="background:#6d28d9;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block">${escapeHtml(content.action.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>${escapeHtml(content.subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px">
+<h1 style="margin:0 0 24px;font-size:20px">${BRAND}</h1>
+${content.greeting ? paragraph(content.greeting) : ''}
+${(content.paragraphs || []).map(paragraph).join('\n')}
+${action}
+${(content.outro || []).map(paragraph).join('\n')}
+<p style="margin:32px 0 0;font-size:12px;color:#71717a">${escapeHtml(FOOTERS[locale] || FOOTERS.en)}</p>
+</div>
+</body>
+</html>`;
+};
+
+module.exports = {
+  escapeHtml,
+  formatDate,
+  formatMoney,
+  renderText,
+  renderHtml
+};
@@ -0,0 +1,30 @@
+const { formatDate } = require('./layout');
+
+// data: { name, startsAt, endsAt, message }
+module.exports = {
+  category: 'notice',
+  locales: {
+    en: (data) => ({
+      subject: 'Scheduled maintenance on VeeqAI',
+      greeting: `Hi ${data.name || 'there'},`,
+      paragraphs: [
+        `VeeqAI will be under maintenance from ${formatDate(data.startsAt, 'en')}` +
+          (data.endsAt ? ` until ${formatDate(data.endsAt, 'en')}.` : '.'),
+        'Generations may be unavailable during this window. Work in progress is kept and resumes afterwards.',
+        ...(data.message ? [data.message] : [])
+      ],
+      outro: ['Thank you for your patience.']
+    }),
+    tr: (data) => ({
+      subject: 'VeeqAI planlı bakım bildirimi',
+      greeting: data.name ? `Merhaba ${data.name},` : 'Merhaba,',
+      paragraphs: [
+        `VeeqAI ${formatDate(data.startsAt, 'tr')}` +
+          (data.endsAt ? ` ile ${formatDate(data.endsAt, 'tr')} arasında bakımda olacak.` : ' itibarıyla bakımda olacak.'),
+        'Bu süre içinde üretimler kullanılamayabilir. Devam eden işler korunur ve bakımdan sonra sürer.',
+        ...(data.message ? [data.message] : [])
+      ],
+      outro: ['Anlayışınız için teşekkür ederiz.']
+    })
+  }
+};
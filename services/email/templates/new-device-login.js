@@ -0,0 +1,34 @@
+const { formatDate } = require('./layout');
+
+const sessionsUrl = () => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/settings/security`;
+
+// data: { name, device, ip, location, signedInAt } - see SessionService.locate
+module.exports = {
+  category: 'transactional',
+  locales: {
+    en: (data) => ({
+      subject: 'New sign-in to your VeeqAI account',
+      greeting: `Hi ${data.name || 'there'},`,
+      paragraphs: [
+        'Your account was just signed in to from a device we haven\'t seen before.',
+        `Device: ${data.device || 'Unknown device'}`,
+        `Location: ${data.location || 'Unknown'}${data.ip ? ` (IP ${data.ip})` : ''}`,
+        `Time: ${formatDate(data.signedInAt, 'en')}`
+      ],
+      action: { label: 'Review active sessions', url: sessionsUrl() },
+      outro: ['If this was you, there is nothing to do. If not, sign out that session and reset your password right away.']
+    }),
+    tr: (data) => ({
+      subject: 'VeeqAI hesabınızda yeni oturum açıldı',
+      greeting: data.name ? `Merhaba ${data.name},` : 'Merhaba,',
+      paragraphs: [
+        'Hesabınıza daha önce görmediğimiz bir cihazdan giriş yapıldı.',
+        `Cihaz: ${data.device || 'Bilinmeyen cihaz'}`,
+        `Konum: ${data.location || 'Bilinmiyor'}${data.ip ? ` (IP ${data.ip})` : ''}`,
+        `Zaman: ${formatDate(data.signedInAt, 'tr')}`
+      ],
+      action: { label: 'Aktif oturumları incele', url: sessionsUrl() },
+      outro: ['Bu siz idiyseniz bir şey yapmanıza gerek yok. Değilse o oturumu kapatın ve şifrenizi hemen sıfırlayın.']
+    })
+  }
+};
@@ -0,0 +1,26 @@
+// data: { name, resetUrl, expiresInMinutes } - resetUrl comes in secretData, so it is not logged
+module.exports = {
+  category: 'transactional',
+  locales: {
+    en: (data) => ({
+      subject: 'Reset your VeeqAI password',
+      greeting: `Hi ${data.name || 'there'},`,
+      paragraphs: [
+        'We received a request to reset the password for your VeeqAI account.',
+        `The link below is valid for ${data.expiresInMinutes || 60} minutes and can be used once.`
+      ],
+      action: { label: 'Reset password', url: data.resetUrl },
+      outro: ['If you didn\'t ask for this, you can ignore this email - your password stays the same.']
+    }),
+    tr: (data) => ({
+      subject: 'VeeqAI şifrenizi sıfırlayın',
+      greeting: data.name ? `Merhaba ${data.name},` : 'Merhaba,',
+      paragraphs: [
+        'VeeqAI hesabınızın şifresini sıfırlamak için bir istek aldık.',
+        `Aşağıdaki bağlantı ${data.expiresInMinutes || 60} dakika geçerlidir ve yalnızca bir kez kullanılabilir.`
+      ],
+      action: { label: 'Şifremi sıfırla', url: data.resetUrl },
+      outro: ['Bu isteği siz yapmadıysanız bu e-postayı yok sayabilirsiniz - şifreniz değişmez.']
+    })
+  }
+};
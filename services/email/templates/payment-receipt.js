@@ -0,0 +1,32 @@
+const { formatDate, formatMoney } = require('./layout');
+
+// data: { name, planName, amount, currency, paymentId, paidAt, periodEnd }
+module.exports = {
+  category: 'transactional',
+  locales: {
+    en: (data) => ({
+      subject: `Your VeeqAI receipt - ${data.planName}`,
+      greeting: `Hi ${data.name || 'there'},`,
+      paragraphs: [
+        `Thank you for your payment. Your ${data.planName} plan is active.`,
+        `Amount: ${formatMoney(data.amount, data.currency, 'en')}`,
+        `Date: ${formatDate(data.paidAt || new Date(), 'en')}`,
+        ...(data.paymentId ? [`Payment reference: ${data.paymentId}`] : []),
+        ...(data.periodEnd ? [`Current period ends: ${formatDate(data.periodEnd, 'en')}`] : [])
+      ],
+      outro: ['Keep this email for your records.']
+    }),
+    tr: (data) => ({
+      subject: `VeeqAI ödeme makbuzunuz - ${data.planName}`,
+      greeting: data.name ? `Merhaba ${data.name},` : 'Merhaba,',
+      paragraphs: [
+        `Ödemeniz için teşekkürler. ${data.planName} planınız aktif.`,
+        `Tutar: ${formatMoney(data.amount, data.currency, 'tr')}`,
+        `Tarih: ${formatDate(data.paidAt || new Date(), 'tr')}`,
+        ...(data.paymentId ? [`Ödeme referansı: ${data.paymentId}`] : []),
+        ...(data.periodEnd ? [`Dönem bitişi: ${formatDate(data.periodEnd, 'tr')}`] : [])
+      ],
+      outro: ['Bu e-postayı kayıtlarınız için saklayın.']
+    })
+  }
+};
@@ -0,0 +1,33 @@
+const { formatDate } = require('./layout');
+
+// data: { name, summary, counts, expiresAt } - see RetentionService.notify
+module.exports = {
+  category: 'notice',
+  locales: {
+    en: (data) => ({
+      subject: 'Some of your files will be deleted soon',
+      greeting: `Hi ${data.name || 'there'},`,
+      paragraphs: [
+        `${data.summary} will be deleted on ${formatDate(data.expiresAt, 'en')} under your plan's file retention.`,
+        'Pin the files you want to keep, or download them before then. Upgrading your plan also extends retention.'
+      ],
+      action: { label: 'Review my files', url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/library` }
+    }),
+    tr: (data) => {
+      const counts = data.counts || {};
+      const parts = [];
+      if (counts.music) parts.push(`${counts.music} parça`);
+      if (counts.speech) parts.push(`${counts.speech} ses dosyası`);
+
+      return {
+        subject: 'Bazı dosyalarınız yakında silinecek',
+        greeting: data.name ? `Merhaba ${data.name},` : 'Merhaba,',
+        paragraphs: [
+          `Planınızın dosya saklama süresi nedeniyle ${parts.join(' ve ') || 'bazı dosyalarınız'} ${formatDate(data.expiresAt, 'tr')} tarihinde silinecek.`,
+          'Saklamak istediğiniz dosyaları sabitleyin veya bu tarihten önce indirin. Planınızı yükseltmek saklama süresini de uzatır.'
+        ],
+        action: { label: 'Dosyalarımı incele', url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/library` }
+      };
+    }
+  }
+};
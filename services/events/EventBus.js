@@ -192,6 +192,11 @@ class EventBus extends EventEmitter {
     try {
       await RedisManager.publish(channel, event);
       this.metrics.published++;
+
+      // Without Redis there is no subscriber round-trip - deliver WebSocket events to this instance directly
+      if (RedisManager.useMemoryCache && channel === this.channels.WEBSOCKET) {
+        this.handleWebSocketEvent(event);
+      }
       this.metrics.lastActivity = Date.now();
       
       // Emit locally as well for same-instance listeners
@@ -108,6 +108,28 @@ class MonitoringService {
       registers: [this.register]
     });
     
+    // AI provider metrics (see ProviderGuard)
+    this.providerCalls = new prometheus.Counter({
+      name: 'provider_calls_total',
+      help: 'Total outbound AI provider calls',
+      labelNames: ['provider', 'outcome'],
+      registers: [this.register]
+    });
+    
+    this.providerCircuitState = new prometheus.Gauge({
+      name: 'provider_circuit_state',
+      help: 'Provider circuit breaker state (0 closed, 1 half-open, 2 open)',
+      labelNames: ['provider'],
+      registers: [this.register]
+    });
+    
+    this.providerInFlight = new prometheus.Gauge({
+      name: 'provider_in_flight',
+      help: 'AI provider calls currently in flight on this instance',
+      labelNames: ['provider'],
+      registers: [this.register]
+    });
+    
     // Error Metrics
     this.errors = new prometheus.Counter({
       name: 'application_errors_total',
@@ -165,6 +187,27 @@ class MonitoringService {
     this.creditUsage.inc({ service, user_type: userType }, amount);
   }
   
+  /**
+   * Track AI provider call (success, failure, rejected)
+   */
+  trackProviderCall(provider, outcome) {
+    this.providerCalls.inc({ provider, outcome });
+  }
+  
+  /**
+   * Update provider circuit breaker state
+   */
+  setProviderCircuitState(provider, state) {
+    this.providerCircuitState.set({ provider }, state);
+  }
+  
+  /**
+   * Update provider in-flight calls
+   */
+  setProviderInFlight(provider, count) {
+    this.providerInFlight.set({ provider }, count);
+  }
+  
   /**
    * Track error
    */
@@ -474,6 +474,7 @@ class IyzicoService {
 
       // Create or update subscription
       let subscription = await Subscription.findOne({ userId: payment.userId, status: 'active' });
+      const isRenewal = !!subscription;
       
       if (subscription) {
         // Update existing subscription
@@ -514,6 +515,29 @@ class IyzicoService {
         credits: plan.credits
       });
 
+      // Notify customer webhooks
+      if (isRenewal) {
+        const WebhookService = require('../WebhookService');
+        await WebhookService.dispatch(user._id, 'subscription.renewed', {
+          subscriptionId: subscription._id,
+          plan: plan.name,
+          amount: payment.amount,
+          currency: payment.currency,
+          currentPeriodStart: subscription.currentPeriodStart,
+          currentPeriodEnd: subscription.currentPeriodEnd
+        });
+      }
+
+      const EmailService = require('../EmailService');
+      await EmailService.sendToUser(user, 'payment-receipt', {
+        planName: plan.displayName || plan.name,
+        amount: payment.amount,
+        currency: payment.currency,
+        paymentId: payment.paymentId || payment.conversationId,
+        paidAt: subscription.lastPaymentDate,
+        periodEnd: subscription.currentPeriodEnd
+      });
+
       return subscription;
 
     } catch (error) {
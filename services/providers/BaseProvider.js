@@ -19,6 +19,26 @@ class BaseProvider {
     throw new Error('Must implement getResult method')
   }
   
+  // Text-to-speech (AIModel type 'tts')
+  // Resolves to { jobId, status: 'processing' | 'succeeded' | 'failed', audioUrl, error }
+  async generateSpeech(params) {
+    throw new Error(`Speech generation not supported by provider '${this.name}'`)
+  }
+  
+  async checkSpeechStatus(jobId) {
+    throw new Error(`Speech generation not supported by provider '${this.name}'`)
+  }
+  
+  // Voice isolation (AIModel type 'voice-isolator')
+  // Resolves to { jobId, status, audioUrl, error } like generateSpeech
+  async isolateVoice(params) {
+    throw new Error(`Voice isolation not supported by provider '${this.name}'`)
+  }
+  
+  async checkIsolationStatus(jobId) {
+    throw new Error(`Voice isolation not supported by provider '${this.name}'`)
+  }
+  
   // Optional methods
   async cancelGeneration(jobId) {
     throw new Error('Cancel not supported for this provider')
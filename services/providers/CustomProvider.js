@@ -23,13 +23,18 @@ class CustomProvider extends BaseProvider {
           prompt: style ? `${style}, ${prompt}` : prompt,
           duration,
           model: this.modelId,
-          ...this.config.defaultParameters
+          ...this.config.defaultParameters,
+          ...params.parameters,
+          lyrics: params.lyrics || undefined,
+          seed: params.seed ?? params.parameters?.seed,
+          input_audio: params.audioUrl,
+          continuation: params.continuation || undefined
         }),
         timeout: this.timeout
       });
       
       if (!response.ok) {
-        throw new Error(`Custom API error: ${response.status} ${response.statusText}`);
+        throw Object.assign(new Error(`Custom API error: ${response.status} ${response.statusText}`), { status: response.status });
       }
       
       const result = await response.json();
@@ -44,7 +49,7 @@ class CustomProvider extends BaseProvider {
       
     } catch (error) {
       console.error('Custom provider generation error:', error);
-      throw new Error(`Custom generation failed: ${error.message}`);
+      throw new Error(`Custom generation failed: ${error.message}`, { cause: error });
     }
   }
   
@@ -121,6 +126,89 @@ class CustomProvider extends BaseProvider {
     }
   }
   
+  async generateSpeech(params) {
+    try {
+      const { text, voiceUrl, parameters = {} } = params;
+      
+      const response = await fetch(`${this.apiEndpoint}/tts`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`,
+          ...this.config.customHeaders
+        },
+        body: JSON.stringify({
+          text,
+          voice_url: voiceUrl,
+          model: this.modelId,
+          ...this.config.defaultParameters,
+          ...parameters
+        }),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      
+      if (!response.ok) {
+        throw Object.assign(new Error(`Custom API error: ${response.status} ${response.statusText}`), { status: response.status });
+      }
+      
+      return this.toSpeechResult(await response.json());
+      
+    } catch (error) {
+      console.error('Custom provider speech error:', error);
+      throw new Error(`Custom speech generation failed: ${error.message}`, { cause: error });
+    }
+  }
+  
+  async checkSpeechStatus(jobId) {
+    const status = await this.checkStatus(jobId);
+    return this.toSpeechResult({ ...status, job_id: jobId, audio_url: status.output });
+  }
+  
+  async isolateVoice(params) {
+    try {
+      const { audioUrl, parameters = {} } = params;
+      
+      const response = await fetch(`${this.apiEndpoint}/isolate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`,
+          ...this.config.customHeaders
+        },
+        body: JSON.stringify({
+          audio_url: audioUrl,
+          model: this.modelId,
+          ...this.config.defaultParameters,
+          ...parameters
+        }),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      
+      if (!response.ok) {
+        throw Object.assign(new Error(`Custom API error: ${response.status} ${response.statusText}`), { status: response.status });
+      }
+      
+      return this.toSpeechResult(await response.json());
+      
+    } catch (error) {
+      console.error('Custom provider isolation error:', error);
+      throw new Error(`Custom voice isolation failed: ${error.message}`, { cause: error });
+    }
+  }
+  
+  async checkIsolationStatus(jobId) {
+    return await this.checkSpeechStatus(jobId);
+  }
+  
+  toSpeechResult(result) {
+    return {
+      jobId: result.job_id || result.id,
+      status: result.status === 'completed' ? 'succeeded' : result.status === 'failed' ? 'failed' : 'processing',
+      audioUrl: result.audio_url,
+      error: result.error
+    };
+  }
+  
   async cancelGeneration(jobId) {
     try {
       const response = await fetch(`${this.apiEndpoint}/cancel/${jobId}`, {
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const BaseProvider = require('./BaseProvider');
+const WavUtil = require('../../utils/wav');
+
+/**
+ * In-process stand-in provider for offline development and testing
+ * Nothing leaves the machine: results are returned synchronously as data: URLs
+ * (which fetch() can download like any other provider output)
+ */
+class LocalProvider extends BaseProvider {
+  constructor(modelConfig) {
+    super(modelConfig);
+    this.highPassHz = this.config.defaultParameters?.highPassHz || 100;
+    this.lowPassHz = this.config.defaultParameters?.lowPassHz || 7000;
+    this.gateDb = this.config.defaultParameters?.gateDb || -45;
+  }
+
+  /**
+   * Approximate voice isolation: band-limit to the speech range and gate quiet frames
+   * Only 16-bit PCM WAV input is supported
+   * @param {Object} params - { audioUrl, audio (Buffer, preferred when present) }
+   */
+  async isolateVoice(params) {
+    const jobId = `local_${crypto.randomUUID()}`;
+
+    try {
+      const input = params.audio || await this.download(params.audioUrl);
+      const { format, data } = WavUtil.parse(input);
+
+      if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+        throw new Error('Local provider only processes 16-bit PCM WAV audio');
+      }
+
+      const output = this.filterVoice(data, format);
+      const wav = WavUtil.build(format, output);
+
+      return {
+        jobId,
+        status: 'succeeded',
+        audioUrl: `data:audio/wav;base64,${wav.toString('base64')}`
+      };
+    } catch (error) {
+      return {
+        jobId,
+        status: 'failed',
+        error: error.message
+      };
+    }
+  }
+
+  async checkIsolationStatus(jobId) {
+    // Jobs finish synchronously, so there is nothing left to poll
+    return {
+      jobId,
+      status: 'failed',
+      error: 'Unknown local job'
+    };
+  }
+
+  // Helper methods
+  filterVoice(data, format) {
+    const channels = format.channels;
+    const frames = Math.floor(data.length / (2 * channels));
+    const output = Buffer.alloc(frames * 2 * channels);
+
+    const dt = 1 / format.sampleRate;
+    const highPassRc = 1 / (2 * Math.PI * this.highPassHz);
+    const lowPassRc = 1 / (2 * Math.PI * Math.min(this.lowPassHz, format.sampleRate * 0.45));
+    const highAlpha = highPassRc / (highPassRc + dt);
+    const lowAlpha = dt / (lowPassRc + dt);
+
+    const filtered = new Float32Array(frames * channels);
+
+    for (let channel = 0; channel < channels; channel++) {
+      let previousInput = 0;
+      let highPassed = 0;
+      let lowPassed = 0;
+
+      for (let frame = 0; frame < frames; frame++) {
+        const index = frame * channels + channel;
+        const sample = data.readInt16LE(index * 2) / 32768;
+
+        highPassed = highAlpha * (highPassed + sample - previousInput);
+        previousInput = sample;
+        lowPassed += lowAlpha * (highPassed - lowPassed);
+
+        filtered[index] = lowPassed;
+      }
+    }
+
+    // Noise gate on 20ms windows
+    const windowFrames = Math.max(1, Math.round(format.sampleRate * 0.02));
+    const threshold = Math.pow(10, this.gateDb / 20);
+
+    for (let start = 0; start < frames; start += windowFrames) {
+      const end = Math.min(frames, start + windowFrames);
+      let sumSquares = 0;
+      for (let i = start * channels; i < end * channels; i++) {
+        sumSquares += filtered[i] * filtered[i];
+      }
+      const rms = Math.sqrt(sumSquares / ((end - start) * channels));
+      const gain = rms < threshold ? 0.1 : 1;
+
+      for (let i = start * channels; i < end * channels; i++) {
+        const sample = Math.round(filtered[i] * gain * 32768);
+        output.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i * 2);
+      }
+    }
+
+    return output;
+  }
+
+  async download(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to download audio: ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+}
+
+module.exports = LocalProvider;
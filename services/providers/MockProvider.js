@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const BaseProvider = require('./BaseProvider');
+const WavUtil = require('../../utils/wav');
+
+// Timeline defaults - override per model with config.defaultParameters
+// or per request with params.parameters (when the model's input schema declares them)
+const DEFAULT_TIMELINE = {
+  scenario: 'success', // success | failure | error (submit throws) | stalled (never finishes)
+  queuedMs: 1000,
+  processingMs: 4000,
+  failureMessage: 'Mock generation failed'
+};
+
+const SCENARIOS = ['success', 'failure', 'error', 'stalled'];
+
+const SAMPLE_RATE = 8000;
+const FORMAT = {
+  audioFormat: 1,
+  channels: 1,
+  sampleRate: SAMPLE_RATE,
+  byteRate: SAMPLE_RATE * 2,
+  blockAlign: 2,
+  bitsPerSample: 16
+};
+
+// C major pentatonic, picked from the input hash
+const NOTES = [261.63, 293.66, 329.63, 392.0, 440.0, 523.25];
+
+/**
+ * Scripted provider for offline development and CI
+ *
+ * Jobs follow a fixed timeline: 'starting' for queuedMs, 'processing' with a rising progress
+ * for processingMs, then the scenario's outcome. The job ID carries the whole timeline, so
+ * status checks give the same answer in any process (API, queue workers) and after restarts.
+ * Audio is a WAV tone sequence derived from the input, so the same request always returns the
+ * same file. Results are data: URLs, which fetch() downloads like any provider output.
+ */
+class MockProvider extends BaseProvider {
+  async generateMusic(params) {
+    const duration = Math.max(1, Math.round(params.duration || 30));
+    const job = this.startJob('music', params.parameters, {
+      duration,
+      key: this.hashInput([params.prompt, params.style, params.lyrics, params.seed ?? params.parameters?.seed, params.audioUrl])
+    });
+
+    return {
+      jobId: job.id,
+      status: job.status.status,
+      estimatedTime: Math.ceil((job.timeline.q + job.timeline.p) / 1000)
+    };
+  }
+
+  async checkStatus(jobId) {
+    const job = this.decodeJob(jobId);
+    if (!job) {
+      return { status: 'failed', error: 'Unknown mock job' };
+    }
+
+    const result = this.getStatus(job);
+    return {
+      ...result,
+      output: result.audioUrl
+    };
+  }
+
+  async getResult(jobId) {
+    const result = await this.checkStatus(jobId);
+
+    if (result.status === 'succeeded') {
+      return {
+        status: 'completed',
+        audioUrl: result.audioUrl,
+        metadata: {
+          duration: this.decodeJob(jobId).d,
+          model: this.modelId,
+          provider: 'mock'
+        }
+      };
+    }
+    if (result.status === 'failed') {
+      throw new Error(result.error);
+    }
+    return { status: 'processing', progress: result.progress };
+  }
+
+  async generateSpeech(params) {
+    // Roughly 2.5 words per second of speech
+    const words = (params.text || '').trim().split(/\s+/).filter(Boolean).length;
+    const job = this.startJob('tts', params.parameters, {
+      duration: Math.max(1, Math.ceil(words / 2.5)),
+      key: this.hashInput([params.text, params.voiceUrl])
+    });
+
+    return this.toSpeechResult(job.id, job.status);
+  }
+
+  async checkSpeechStatus(jobId) {
+    const job = this.decodeJob(jobId);
+    if (!job) {
+      return { jobId, status: 'failed', error: 'Unknown mock job' };
+    }
+    return this.toSpeechResult(jobId, this.getStatus(job));
+  }
+
+  async cancelGeneration(jobId) {
+    return { jobId, status: 'canceled' };
+  }
+
+  // ===============================
+  // TIMELINE
+  // ===============================
+
+  /**
+   * Start a scripted job
+   * @param {string} kind - music | tts
+   * @param {Object} overrides - Per-request timeline overrides
+   * @param {Object} audio - { duration, key } - key seeds the generated tones
+   * @returns {Object} { id, timeline, status }
+   */
+  startJob(kind, overrides = {}, { duration, key }) {
+    const options = { ...DEFAULT_TIMELINE, ...this.config.defaultParameters };
+    for (const field of Object.keys(DEFAULT_TIMELINE)) {
+      if (overrides?.[field] !== undefined) {
+        options[field] = overrides[field];
+      }
+    }
+
+    if (!SCENARIOS.includes(options.scenario)) {
+      throw new Error(`Unknown mock scenario '${options.scenario}'. Use one of: ${SCENARIOS.join(', ')}`);
+    }
+    if (options.scenario === 'error') {
+      // Looks like a provider outage to ProviderGuard and ProviderRouter
+      throw Object.assign(new Error(options.failureMessage), { status: 503 });
+    }
+
+    const timeline = {
+      k: kind,
+      s: options.scenario,
+      t: Date.now(),
+      q: Math.max(0, Number(options.queuedMs) || 0),
+      p: Math.max(0, Number(options.processingMs) || 0),
+      d: duration,
+      h: key,
+      m: options.failureMessage
+    };
+    const id = `mock_${Buffer.from(JSON.stringify(timeline)).toString('base64url')}`;
+
+    return { id, timeline, status: this.getStatus(timeline) };
+  }
+
+  decodeJob(jobId) {
+    if (typeof jobId !== 'string' || !jobId.startsWith('mock_')) {
+      return null;
+    }
+    try {
+      return JSON.parse(Buffer.from(jobId.slice(5), 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Where a job is on its timeline
+   * @returns {Object} { status: starting | processing | succeeded | failed, progress, audioUrl, error }
+   */
+  getStatus(timeline) {
+    const elapsed = Date.now() - timeline.t;
+
+    if (elapsed < timeline.q) {
+      return { status: 'starting', progress: 0 };
+    }
+    if (timeline.s === 'stalled' || elapsed < timeline.q + timeline.p) {
+      const progress = timeline.s === 'stalled' ? 50 : Math.floor(((elapsed - timeline.q) / timeline.p) * 100);
+      return { status: 'processing', progress: Math.min(99, progress) };
+    }
+    if (timeline.s === 'failure') {
+      return { status: 'failed', progress: 100, error: timeline.m };
+    }
+
+    const wav = this.renderAudio(timeline.d, timeline.h);
+    return {
+      status: 'succeeded',
+      progress: 100,
+      audioUrl: `data:audio/wav;base64,${wav.toString('base64')}`
+    };
+  }
+
+  toSpeechResult(jobId, { status, audioUrl, error }) {
+    return {
+      jobId,
+      // Speech callers only distinguish processing from done
+      status: status === 'starting' ? 'processing' : status,
+      audioUrl,
+      error
+    };
+  }
+
+  // ===============================
+  // AUDIO
+  // ===============================
+
+  /**
+   * Deterministic tone sequence: half-second notes chosen from the input hash
+   * @param {number} duration - Seconds
+   * @param {string} key - Hex hash of the request input
+   * @returns {Buffer} 8kHz mono 16-bit WAV
+   */
+  renderAudio(duration, key) {
+    const frames = duration * SAMPLE_RATE;
+    const noteFrames = SAMPLE_RATE / 2;
+    const data = Buffer.alloc(frames * 2);
+
+    for (let frame = 0; frame < frames; frame++) {
+      const note = Math.floor(frame / noteFrames);
+      const digit = parseInt(key[note % key.length], 16);
+      const frequency = NOTES[digit % NOTES.length];
+
+      // Short fade in/out per note avoids clicks
+      const position = frame % noteFrames;
+      const envelope = Math.min(1, position / 200, (noteFrames - position) / 200);
+      const sample = Math.sin(2 * Math.PI * frequency * frame / SAMPLE_RATE) * envelope * 0.3;
+
+      data.writeInt16LE(Math.round(sample * 32767), frame * 2);
+    }
+
+    return WavUtil.build(FORMAT, data);
+  }
+
+  hashInput(values) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([this.modelId, ...values]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+}
+
+module.exports = MockProvider;
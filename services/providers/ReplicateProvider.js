@@ -1,5 +1,6 @@
 const BaseProvider = require('./BaseProvider');
 const Replicate = require('replicate');
+const { validateWebhook } = require('replicate');
 
 class ReplicateProvider extends BaseProvider {
   constructor(modelConfig) {
@@ -27,15 +28,40 @@ class ReplicateProvider extends BaseProvider {
         input.tags = style || 'music'; // Google Lyria requires tags
       }
 
-      // Add any additional config parameters
+      if (params.lyrics) {
+        input.lyrics = params.lyrics;
+      }
+
+      // Add any additional config parameters, then the request's schema-validated inputs
       if (this.modelConfig.config && this.modelConfig.config.defaultParameters) {
         input = { ...input, ...this.modelConfig.config.defaultParameters };
       }
+      if (params.parameters) {
+        input = { ...input, ...params.parameters };
+      }
+
+      // Variations and extensions (see MusicGenerationService.buildDerivative)
+      if (params.seed !== undefined) {
+        input.seed = params.seed;
+      }
+      if (params.audioUrl) {
+        input[this.config.inputMapping?.audio || 'input_audio'] = params.audioUrl;
+        input.continuation = !!params.continuation;
+      }
       
-      const prediction = await this.replicate.predictions.create({
+      const predictionOptions = {
         model: modelId, // Use the full model ID from database
         input: input
-      });
+      };
+
+      // Let Replicate notify us on completion instead of waiting for the polling sweep
+      const webhookUrl = ReplicateProvider.getWebhookUrl();
+      if (webhookUrl) {
+        predictionOptions.webhook = webhookUrl;
+        predictionOptions.webhook_events_filter = ['completed'];
+      }
+      
+      const prediction = await this.replicate.predictions.create(predictionOptions);
       
       return {
         jobId: prediction.id,
@@ -47,7 +73,7 @@ class ReplicateProvider extends BaseProvider {
       
     } catch (error) {
       console.error('Replicate generation error:', error);
-      throw new Error(`Replicate generation failed: ${error.message}`);
+      throw new Error(`Replicate generation failed: ${error.message}`, { cause: error });
     }
   }
   
@@ -102,6 +128,83 @@ class ReplicateProvider extends BaseProvider {
     }
   }
   
+  /**
+   * Text-to-speech prediction
+   * Waits up to 60s for the result (sync mode); longer jobs are finished via checkSpeechStatus
+   * @param {Object} params - { text, voiceUrl, parameters }
+   */
+  async generateSpeech(params) {
+    try {
+      const { text, voiceUrl, parameters = {} } = params;
+      const modelId = this.modelConfig.provider.modelId;
+      const mapping = this.config.inputMapping || {};
+
+      const input = {
+        ...(this.config.defaultParameters || {}),
+        ...parameters,
+        [mapping.text || 'prompt']: text
+      };
+      if (voiceUrl) {
+        input[mapping.voice || 'audio_prompt'] = voiceUrl;
+      }
+
+      const prediction = await this.replicate.predictions.create({
+        model: modelId,
+        input,
+        wait: 60
+      });
+
+      return this.toSpeechResult(prediction);
+    } catch (error) {
+      console.error('Replicate speech generation error:', error);
+      throw new Error(`Replicate speech generation failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async checkSpeechStatus(jobId) {
+    try {
+      const prediction = await this.replicate.predictions.get(jobId);
+      return this.toSpeechResult(prediction);
+    } catch (error) {
+      console.error('Replicate speech status error:', error);
+      return {
+        jobId,
+        status: 'failed',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Voice isolation prediction (sync mode like generateSpeech)
+   * @param {Object} params - { audioUrl, parameters }
+   */
+  async isolateVoice(params) {
+    try {
+      const { audioUrl, parameters = {} } = params;
+      const mapping = this.config.inputMapping || {};
+
+      const prediction = await this.replicate.predictions.create({
+        model: this.modelConfig.provider.modelId,
+        input: {
+          ...(this.config.defaultParameters || {}),
+          ...parameters,
+          [mapping.audio || 'audio']: audioUrl
+        },
+        wait: 60
+      });
+
+      return this.toSpeechResult(prediction);
+    } catch (error) {
+      console.error('Replicate voice isolation error:', error);
+      throw new Error(`Replicate voice isolation failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async checkIsolationStatus(jobId) {
+    return await this.checkSpeechStatus(jobId);
+  }
+
   async cancelGeneration(jobId) {
     try {
       await this.replicate.predictions.cancel(jobId);
@@ -112,7 +215,72 @@ class ReplicateProvider extends BaseProvider {
     }
   }
   
+  /**
+   * Public URL of the inbound Replicate webhook route (null when not configured)
+   */
+  static getWebhookUrl() {
+    if (process.env.REPLICATE_WEBHOOK_URL) {
+      return process.env.REPLICATE_WEBHOOK_URL;
+    }
+    if (process.env.API_BASE_URL) {
+      return `${process.env.API_BASE_URL.replace(/\/$/, '')}/api/provider-webhooks/replicate`;
+    }
+    return null;
+  }
+
+  static isWebhookEnabled() {
+    return !!ReplicateProvider.getWebhookUrl();
+  }
+
+  /**
+   * Verify an inbound Replicate webhook (Standard Webhooks signature)
+   * @param {Object} headers - Request headers (webhook-id, webhook-timestamp, webhook-signature)
+   * @param {string} rawBody - Raw request body
+   * @returns {Promise<boolean>} True if the signature is valid and the timestamp is recent
+   */
+  static async verifyWebhook(headers, rawBody) {
+    const secret = process.env.REPLICATE_WEBHOOK_SECRET;
+    const timestamp = parseInt(headers['webhook-timestamp']);
+
+    // Reject replays older than 5 minutes
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > 300) {
+      return false;
+    }
+
+    try {
+      return await validateWebhook({
+        id: headers['webhook-id'],
+        timestamp: headers['webhook-timestamp'],
+        signature: headers['webhook-signature'],
+        body: rawBody,
+        secret
+      });
+    } catch (error) {
+      console.error('Replicate webhook verification error:', error.message);
+      return false;
+    }
+  }
+
   // Helper methods
+  toSpeechResult(prediction) {
+    const status = prediction.status === 'succeeded'
+      ? 'succeeded'
+      : ['failed', 'canceled'].includes(prediction.status) ? 'failed' : 'processing';
+
+    // Stem separation models return { vocals, other, ... } - config.outputKey picks the file
+    let output = Array.isArray(prediction.output) ? prediction.output[0] : prediction.output;
+    if (output && typeof output === 'object') {
+      output = output[this.config.outputKey || 'vocals'] ?? Object.values(output)[0];
+    }
+
+    return {
+      jobId: prediction.id,
+      status,
+      audioUrl: output,
+      error: prediction.error
+    };
+  }
+
   estimateTime(duration) {
     // Rough estimate based on Replicate performance
     return Math.max(20, duration * 0.5); // At least 20 seconds
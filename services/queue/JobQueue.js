@@ -50,6 +50,46 @@ class JobQueue {
           attempts: 3,
           backoff: { type: 'exponential', delay: 5000 }
         }
+      },
+      'webhook': {
+        defaultJobOptions: {
+          removeOnComplete: 20,
+          removeOnFail: 100,
+          attempts: 6,
+          backoff: { type: 'exponential', delay: 10000 } // 10s, 20s, 40s, 80s, 160s
+        }
+      },
+      'music-generate': {
+        defaultJobOptions: {
+          removeOnComplete: 50,
+          removeOnFail: 100,
+          attempts: 5,
+          backoff: { type: 'exponential', delay: 5000 }
+        }
+      },
+      'tts-longform': {
+        defaultJobOptions: {
+          removeOnComplete: 100,
+          removeOnFail: 100,
+          attempts: 3,
+          backoff: { type: 'exponential', delay: 5000 }
+        }
+      },
+      'batch': {
+        defaultJobOptions: {
+          removeOnComplete: 20,
+          removeOnFail: 50,
+          attempts: 3,
+          backoff: { type: 'exponential', delay: 5000 }
+        }
+      },
+      'retention': {
+        defaultJobOptions: {
+          removeOnComplete: 10,
+          removeOnFail: 20,
+          attempts: 2,
+          backoff: { type: 'fixed', delay: 60000 }
+        }
       }
     };
   }
@@ -90,7 +130,9 @@ class JobQueue {
     };
 
     for (const [queueName, config] of Object.entries(this.queueConfigs)) {
-      const queue = new Queue(queueName, redisConfig);
+      const queue = process.env.REDIS_URL
+        ? new Queue(queueName, process.env.REDIS_URL)
+        : new Queue(queueName, redisConfig);
       
       // Set default job options
       queue.defaultJobOptions = config.defaultJobOptions;
@@ -110,7 +152,7 @@ class JobQueue {
 
     // Email processor
     this.addProcessor('email', async (job) => {
-      await this.processEmail(job.data);
+      await this.processEmail(job);
     });
 
     // Cache refresh processor
@@ -128,6 +170,31 @@ class JobQueue {
       await this.processModelSync(job.data);
     });
 
+    // Customer webhook delivery processor
+    this.addProcessor('webhook', async (job) => {
+      await this.processWebhookDelivery(job);
+    }, 5);
+
+    // Music generation pipeline processor (job name is the stage: submit | poll | finalize)
+    this.addProcessor('music-generate', async (job) => {
+      await this.processMusicGeneration(job);
+    }, 3);
+
+    // Long-form TTS processor (job name is the stage: chunk | assemble)
+    this.addProcessor('tts-longform', async (job) => {
+      await this.processLongFormSpeech(job);
+    }, 3);
+
+    // Batch scheduler - each tick collects results and starts the next items
+    this.addProcessor('batch', async (job) => {
+      await this.processBatchTick(job);
+    }, 2);
+
+    // File retention sweep (repeatable, see scheduleRetentionSweep)
+    this.addProcessor('retention', async (job) => {
+      await this.processRetentionSweep(job);
+    });
+
     // All processors registered
   }
 
@@ -212,18 +279,16 @@ class JobQueue {
     }
   }
 
-  async processEmail(data) {
-    const { to, subject, template, templateData } = data;
-    
-    logger.info(`📧 [JOBQUEUE] Processing email to ${to}:`, subject);
-    
-    // Email sending implementation would go here
-    // This could use services like SendGrid, AWS SES, etc.
-    
-    // For now, just log and simulate
-    await new Promise(resolve => setTimeout(resolve, 100));
-    
-    logger.info(`✅ [JOBQUEUE] Email sent successfully to ${to}`);
+  async processEmail(job) {
+    const { deliveryId, secretData } = job.data;
+    const EmailService = require('../EmailService');
+
+    logger.debug(`📧 [JOBQUEUE] Sending email ${deliveryId} (attempt ${job.attemptsMade + 1})`);
+
+    await EmailService.deliver(deliveryId, {
+      isFinalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1),
+      secretData
+    });
   }
 
   async processCacheRefresh(data) {
@@ -295,6 +360,55 @@ class JobQueue {
     }
   }
 
+  async processWebhookDelivery(job) {
+    const { deliveryId } = job.data;
+    const WebhookService = require('../WebhookService');
+    
+    logger.debug(`📤 [JOBQUEUE] Delivering webhook ${deliveryId} (attempt ${job.attemptsMade + 1})`);
+    
+    await WebhookService.deliver(deliveryId, {
+      isFinalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1)
+    });
+  }
+
+  async processMusicGeneration(job) {
+    const { musicId } = job.data;
+    const MusicGenerationService = require('../MusicGenerationService');
+
+    logger.debug(`🎵 [JOBQUEUE] Music ${job.name} for ${musicId} (attempt ${job.attemptsMade + 1})`);
+
+    await MusicGenerationService.runStage(job.name, musicId, {
+      isFinalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1)
+    });
+  }
+
+  async processLongFormSpeech(job) {
+    const { speechId, ...data } = job.data;
+    const LongFormSpeechService = require('../LongFormSpeechService');
+
+    logger.debug(`🗣️ [JOBQUEUE] Long-form speech ${job.name} for ${speechId} (attempt ${job.attemptsMade + 1})`);
+
+    await LongFormSpeechService.runStage(job.name, speechId, data, {
+      isFinalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1)
+    });
+  }
+
+  async processBatchTick(job) {
+    const { batchId } = job.data;
+    const BatchService = require('../BatchService');
+
+    await BatchService.runTick(batchId, {
+      isFinalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1)
+    });
+  }
+
+  async processRetentionSweep(job) {
+    const RetentionService = require('../RetentionService');
+
+    logger.info(`🧹 [JOBQUEUE] Retention sweep (attempt ${job.attemptsMade + 1})`);
+    await RetentionService.sweep();
+  }
+
   // ===============================
   // PUBLIC API METHODS
   // ===============================
@@ -331,6 +445,7 @@ class JobQueue {
     }, options);
   }
 
+  // emailData: { deliveryId, secretData } - queue emails through EmailService.send, which logs the delivery
   async sendEmail(emailData, options = {}) {
     return await this.addJob('email', 'send', emailData, options);
   }
@@ -354,6 +469,41 @@ class JobQueue {
     }, options);
   }
 
+  async deliverWebhook(deliveryId, options = {}) {
+    return await this.addJob('webhook', 'deliver', { deliveryId }, options);
+  }
+
+  async generateMusic(stage, musicId, options = {}) {
+    return await this.addJob('music-generate', stage, { musicId }, options);
+  }
+
+  async generateLongFormSpeech(stage, speechId, data = {}, options = {}) {
+    return await this.addJob('tts-longform', stage, { speechId, ...data }, options);
+  }
+
+  async tickBatch(batchId, options = {}) {
+    return await this.addJob('batch', 'tick', { batchId }, options);
+  }
+
+  // Repeatable jobs are keyed by name and schedule, so calling this on every start adds it once;
+  // schedules left over from an earlier RETENTION_SWEEP_CRON are removed first
+  async scheduleRetentionSweep(cron = process.env.RETENTION_SWEEP_CRON || '0 3 * * *') {
+    if (!this.isInitialized) {
+      throw new Error('JobQueue not initialized');
+    }
+
+    const queue = this.queues.get('retention');
+    const repeatable = await queue.getRepeatableJobs();
+    for (const job of repeatable) {
+      if (job.name === 'sweep' && job.cron !== cron) {
+        await queue.removeRepeatableByKey(job.key);
+        logger.info(`🗑️ [JOBQUEUE] Removed old retention sweep schedule (${job.cron})`);
+      }
+    }
+
+    return await this.addJob('retention', 'sweep', {}, { repeat: { cron } });
+  }
+
   // ===============================
   // MONITORING METHODS
   // ===============================
@@ -0,0 +1,66 @@
+/**
+ * Storage driver interface
+ * Keys are '/'-separated object paths (e.g. 'VeeqAI/Music/<id>.wav'); bodies are Buffers or
+ * readable streams. StorageService handles MIME detection, so drivers store what they're given.
+ */
+class BaseDriver {
+  constructor(options = {}) {
+    this.options = options;
+    this.name = 'base';
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer|Readable} body - Contents
+   * @param {Object} options - { contentType, contentLength (streams, when known), cacheControl }
+   * @returns {Promise<Object>} { size }
+   */
+  async put(key, body, options) {
+    throw new Error('Must implement put method');
+  }
+
+  /**
+   * Read an object
+   * @returns {Promise<Object|null>} { stream, contentType, size } or null if missing
+   */
+  async get(key) {
+    throw new Error('Must implement get method');
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { size, contentType } or null if missing
+   */
+  async stat(key) {
+    throw new Error('Must implement stat method');
+  }
+
+  async delete(key) {
+    throw new Error('Must implement delete method');
+  }
+
+  /**
+   * Public URL for a key
+   */
+  getUrl(key) {
+    return `${this.options.publicUrl}/${key}`;
+  }
+
+  /**
+   * Key for a URL returned by getUrl, or null for URLs this driver didn't issue
+   */
+  keyFromUrl(url) {
+    const prefix = `${this.options.publicUrl}/`;
+    if (typeof url !== 'string' || !url.startsWith(prefix)) {
+      return null;
+    }
+    return decodeURIComponent(url.slice(prefix.length).split('?')[0]);
+  }
+
+  // Whether the app itself serves this driver's files (see routes/storage.js)
+  get servesFiles() {
+    return false;
+  }
+}
+
+module.exports = BaseDriver;
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const BaseDriver = require('./BaseDriver');
+
+// Content types live beside the files, in a tree keys can't reach
+const META_DIR = '.meta';
+
+/**
+ * Files on local disk, served by the app under /storage (routes/storage.js)
+ * For development and single-instance setups without object storage
+ */
+class LocalDriver extends BaseDriver {
+  /**
+   * @param {Object} options - { root, publicUrl }
+   */
+  constructor(options) {
+    super(options);
+    this.name = 'local';
+    this.root = path.resolve(options.root);
+  }
+
+  async put(key, body, { contentType } = {}) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write under a temporary name so readers never see a partial file
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath));
+      }
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    const metaPath = this.resolveMeta(key);
+    await fs.promises.mkdir(path.dirname(metaPath), { recursive: true });
+    await fs.promises.writeFile(metaPath, JSON.stringify({ contentType }));
+
+    const { size } = await fs.promises.stat(filePath);
+    return { size };
+  }
+
+  async get(key) {
+    const stat = await this.stat(key);
+    if (!stat) {
+      return null;
+    }
+    return {
+      ...stat,
+      stream: fs.createReadStream(this.resolve(key))
+    };
+  }
+
+  async stat(key) {
+    try {
+      const { size } = await fs.promises.stat(this.resolve(key));
+      return { size, contentType: await this.readContentType(key) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+    await fs.promises.rm(this.resolveMeta(key), { force: true });
+  }
+
+  /**
+   * Absolute path of a key; rejects keys that would escape the storage root
+   */
+  resolve(key) {
+    const normalized = path.posix.normalize(String(key)).replace(/^\/+/, '');
+    if (!normalized || normalized.startsWith('..') || normalized.split('/')[0] === META_DIR) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.root, ...normalized.split('/'));
+  }
+
+  resolveMeta(key) {
+    const relative = path.relative(this.root, this.resolve(key));
+    return path.join(this.root, META_DIR, `${relative}.json`);
+  }
+
+  async readContentType(key) {
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(this.resolveMeta(key), 'utf8'));
+      return meta.contentType;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  get servesFiles() {
+    return true;
+  }
+}
+
+module.exports = LocalDriver;
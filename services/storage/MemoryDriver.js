@@ -0,0 +1,60 @@
+const { Readable } = require('stream');
+const BaseDriver = require('./BaseDriver');
+
+/**
+ * In-process object store for tests - contents are lost on restart
+ * Files are served by the app under /storage like the local driver's
+ */
+class MemoryDriver extends BaseDriver {
+  constructor(options) {
+    super(options);
+    this.name = 'memory';
+    this.objects = new Map(); // key -> { data, contentType }
+  }
+
+  async put(key, body, { contentType } = {}) {
+    let data = body;
+    if (!Buffer.isBuffer(body)) {
+      const chunks = [];
+      for await (const chunk of body) {
+        chunks.push(Buffer.from(chunk));
+      }
+      data = Buffer.concat(chunks);
+    }
+
+    this.objects.set(key, { data, contentType });
+    return { size: data.length };
+  }
+
+  async get(key) {
+    const object = this.objects.get(key);
+    if (!object) {
+      return null;
+    }
+    return {
+      stream: Readable.from([object.data]),
+      contentType: object.contentType,
+      size: object.data.length
+    };
+  }
+
+  async stat(key) {
+    const object = this.objects.get(key);
+    return object ? { size: object.data.length, contentType: object.contentType } : null;
+  }
+
+  async delete(key) {
+    this.objects.delete(key);
+  }
+
+  // Test helper
+  clear() {
+    this.objects.clear();
+  }
+
+  get servesFiles() {
+    return true;
+  }
+}
+
+module.exports = MemoryDriver;
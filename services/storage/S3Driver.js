@@ -0,0 +1,170 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const BaseDriver = require('./BaseDriver');
+
+// S3 requires every part but the last to be at least 5MB
+const PART_SIZE = 8 * 1024 * 1024;
+
+/**
+ * S3-compatible object storage (Cloudflare R2, AWS S3, MinIO)
+ * Streams of unknown length are sent as multipart uploads, holding one part in memory at a time
+ */
+class S3Driver extends BaseDriver {
+  /**
+   * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey, publicUrl, forcePathStyle }
+   */
+  constructor(options) {
+    super(options);
+    this.name = 's3';
+    this.bucket = options.bucket;
+
+    this.client = new S3Client({
+      region: options.region || 'auto',
+      endpoint: options.endpoint,
+      forcePathStyle: options.forcePathStyle,
+      credentials: {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      }
+    });
+  }
+
+  async put(key, body, { contentType, contentLength, cacheControl } = {}) {
+    const params = {
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType,
+      CacheControl: cacheControl
+    };
+
+    if (Buffer.isBuffer(body)) {
+      await this.client.send(new PutObjectCommand({ ...params, Body: body }));
+      return { size: body.length };
+    }
+
+    // A single request can stream straight through when the length is known up front
+    if (contentLength !== undefined && contentLength <= PART_SIZE) {
+      await this.client.send(new PutObjectCommand({ ...params, Body: body, ContentLength: contentLength }));
+      return { size: contentLength };
+    }
+
+    return await this.putMultipart(params, body);
+  }
+
+  async putMultipart(params, stream) {
+    let uploadId = null;
+    const parts = [];
+    let size = 0;
+    let pending = [];
+    let pendingLength = 0;
+
+    const sendPart = async (buffer) => {
+      if (!uploadId) {
+        const created = await this.client.send(new CreateMultipartUploadCommand(params));
+        uploadId = created.UploadId;
+      }
+      const partNumber = parts.length + 1;
+      const uploaded = await this.client.send(new UploadPartCommand({
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: buffer
+      }));
+      parts.push({ ETag: uploaded.ETag, PartNumber: partNumber });
+    };
+
+    try {
+      for await (const chunk of stream) {
+        pending.push(chunk);
+        pendingLength += chunk.length;
+        size += chunk.length;
+
+        if (pendingLength >= PART_SIZE) {
+          let buffer = Buffer.concat(pending);
+          while (buffer.length >= PART_SIZE) {
+            await sendPart(buffer.subarray(0, PART_SIZE));
+            buffer = buffer.subarray(PART_SIZE);
+          }
+          pending = [buffer];
+          pendingLength = buffer.length;
+        }
+      }
+
+      const rest = Buffer.concat(pending);
+
+      // Small enough for one request after all
+      if (!uploadId) {
+        await this.client.send(new PutObjectCommand({ ...params, Body: rest }));
+        return { size };
+      }
+
+      if (rest.length > 0) {
+        await sendPart(rest);
+      }
+      await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts }
+      }));
+      return { size };
+    } catch (error) {
+      if (uploadId) {
+        await this.client.send(new AbortMultipartUploadCommand({
+          Bucket: params.Bucket,
+          Key: params.Key,
+          UploadId: uploadId
+        })).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  async get(key) {
+    try {
+      const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return {
+        stream: object.Body,
+        contentType: object.ContentType,
+        size: object.ContentLength
+      };
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async stat(key) {
+    try {
+      const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return { size: head.ContentLength, contentType: head.ContentType };
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  isNotFound(error) {
+    return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+  }
+}
+
+module.exports = S3Driver;
@@ -0,0 +1,108 @@
+// Offline end-to-end generation against the 'mock' provider - no MongoDB, Redis or network needed
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const AIModel = require('../../models/AIModel');
+const ProviderRouter = require('../../services/ProviderRouter');
+const SpeechGenerationService = require('../../services/SpeechGenerationService');
+const StorageService = require('../../services/StorageService');
+const AudioUtil = require('../../utils/audio');
+const { mockModels } = require('../../scripts/seed-mock-models');
+
+const TIMELINE = { queuedMs: 20, processingMs: 50 };
+
+const buildModel = (name) => {
+  const aiModel = new AIModel(mockModels.find(model => model.name === name));
+  // Usage stats are written to MongoDB
+  jest.spyOn(aiModel, 'updateUsage').mockResolvedValue(aiModel);
+  return aiModel;
+};
+
+const readStored = async (key) => {
+  const object = await StorageService.get(key);
+  const chunks = [];
+  for await (const chunk of object.stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+describe('mock provider generation', () => {
+  beforeEach(() => {
+    // No routing policy - the requested model is the only candidate
+    jest.spyOn(ProviderRouter, 'getPolicy').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('generates, polls and stores a music track', async () => {
+    const aiModel = buildModel('mock-music');
+
+    const { result, provider, servedBy } = await ProviderRouter.submit(aiModel, provider =>
+      provider.generateMusic({ prompt: 'calm piano', duration: 3, parameters: TIMELINE }));
+
+    expect(result.jobId).toMatch(/^mock_/);
+    expect(servedBy.fallback).toBe(false);
+    expect(aiModel.updateUsage).toHaveBeenCalledWith(true, expect.any(Number));
+
+    let status = await provider.checkStatus(result.jobId);
+    while (status.status === 'starting' || status.status === 'processing') {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      status = await provider.checkStatus(result.jobId);
+    }
+    expect(status.status).toBe('succeeded');
+
+    const upload = await StorageService.uploadFromUrl(status.audioUrl, 'VeeqAI/Music/test-track', { appendExtension: true });
+    expect(upload.key).toBe('VeeqAI/Music/test-track.wav');
+    expect(upload.contentType).toBe('audio/wav');
+
+    const audio = AudioUtil.probe(await readStored(upload.key));
+    expect(audio).toMatchObject({ format: 'wav', channels: 1 });
+    expect(audio.duration).toBeCloseTo(3, 1);
+  });
+
+  it('reports scripted music failures', async () => {
+    const aiModel = buildModel('mock-music');
+
+    const { result, provider } = await ProviderRouter.submit(aiModel, provider =>
+      provider.generateMusic({ prompt: 'calm piano', duration: 3, parameters: { ...TIMELINE, scenario: 'failure' } }));
+
+    await new Promise(resolve => setTimeout(resolve, TIMELINE.queuedMs + TIMELINE.processingMs + 20));
+    const status = await provider.checkStatus(result.jobId);
+    expect(status.status).toBe('failed');
+    expect(status.audioUrl).toBeFalsy();
+  });
+
+  it('synthesizes and stores speech', async () => {
+    const aiModel = buildModel('mock-tts');
+    jest.replaceProperty(SpeechGenerationService, 'pollInterval', 20);
+
+    const { result } = await SpeechGenerationService.synthesize(aiModel, 'Hello from the test suite.',
+      { audioFile: null }, TIMELINE);
+
+    expect(result.status).toBe('succeeded');
+    expect(aiModel.updateUsage).toHaveBeenCalledWith(true, expect.any(Number));
+
+    const upload = await StorageService.uploadFromUrl(result.audioUrl, 'VeeqAI/Speech/test-speech', {
+      appendExtension: true,
+      visibility: 'private'
+    });
+    expect(upload.url).toBe('storage://private/VeeqAI/Speech/test-speech.wav');
+
+    const object = await StorageService.get(upload.key, 'private');
+    expect(object.size).toBe(upload.size);
+  });
+
+  it('records a failed speech request against the model', async () => {
+    const aiModel = buildModel('mock-tts');
+    jest.replaceProperty(SpeechGenerationService, 'pollInterval', 20);
+
+    await expect(SpeechGenerationService.synthesize(aiModel, 'Hello again.',
+      { audioFile: null }, { ...TIMELINE, scenario: 'failure' })).rejects.toThrow('Mock generation failed');
+
+    expect(aiModel.updateUsage).toHaveBeenCalledWith(false, 0);
+  });
+});
@@ -0,0 +1,99 @@
+// Password reset and email verification links work once and only before they expire - the users
+// collection is an in-memory stub
+const crypto = require('crypto');
+const User = require('../../models/User');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('User link tokens', () => {
+  let users;
+
+  beforeEach(() => {
+    users = [];
+
+    // Equality and $gt filters with an $unset update, as the consume* statics issue them
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const user = users.find(candidate => Object.entries(filter).every(([field, condition]) =>
+        condition?.$gt !== undefined
+          ? new Date(candidate[field]).getTime() > condition.$gt
+          : candidate[field] === condition));
+      if (!user) {
+        return null;
+      }
+      for (const field of Object.keys(update.$unset || {})) {
+        delete user[field];
+      }
+      return user;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const storeUser = (user) => {
+    const stored = user.toObject();
+    users.push(stored);
+    return stored;
+  };
+
+  describe.each([
+    ['password reset', 'generatePasswordResetToken', 'consumePasswordResetToken', 'passwordResetToken', 'passwordResetExpires', 60 * 60 * 1000],
+    ['email verification', 'generateEmailVerificationToken', 'consumeEmailVerificationToken', 'emailVerificationToken', 'emailVerificationExpires', 24 * 60 * 60 * 1000]
+  ])('%s', (label, generate, consume, tokenField, expiresField, lifetimeMs) => {
+    it('stores only the hash of the emailed token', () => {
+      const user = new User({ email: 'ana@example.com' });
+      const token = user[generate]();
+
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+      expect(user[tokenField]).toBe(sha256(token));
+      expect(user[expiresField].getTime()).toBeGreaterThan(Date.now() + lifetimeMs - 5000);
+      expect(user[expiresField].getTime()).toBeLessThanOrEqual(Date.now() + lifetimeMs);
+    });
+
+    it('accepts a token once', async () => {
+      const user = new User({ email: 'ana@example.com' });
+      const token = user[generate]();
+      const stored = storeUser(user);
+
+      const claimed = await User[consume](token);
+      expect(claimed).toBe(stored);
+      expect(stored[tokenField]).toBeUndefined();
+      expect(stored[expiresField]).toBeUndefined();
+
+      expect(await User[consume](token)).toBeNull();
+    });
+
+    it('refuses expired and unknown tokens', async () => {
+      const user = new User({ email: 'ana@example.com' });
+      const token = user[generate]();
+      user[expiresField] = new Date(Date.now() - 1000);
+      const stored = storeUser(user);
+
+      expect(await User[consume](token)).toBeNull();
+      expect(await User[consume](crypto.randomBytes(32).toString('hex'))).toBeNull();
+      expect(stored[tokenField]).toBe(sha256(token));
+    });
+
+    it('only accepts the latest token', async () => {
+      const user = new User({ email: 'ana@example.com' });
+      const first = user[generate]();
+      const second = user[generate]();
+      storeUser(user);
+
+      expect(await User[consume](first)).toBeNull();
+      expect(await User[consume](second)).not.toBeNull();
+    });
+  });
+
+  it('rejects tokens issued before the last password change', () => {
+    const user = new User({ email: 'ana@example.com' });
+    const issuedAt = Math.floor(Date.now() / 1000);
+
+    expect(user.changedPasswordAfter(issuedAt)).toBe(false);
+
+    user.passwordChangedAt = new Date((issuedAt + 5) * 1000);
+    expect(user.changedPasswordAfter(issuedAt)).toBe(true);
+    expect(user.changedPasswordAfter(issuedAt + 5)).toBe(false);
+  });
+});
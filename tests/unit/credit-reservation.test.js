@@ -0,0 +1,251 @@
+// Credit reservation lifecycle (reserve, consume, cancel, expiry) against in-memory model stubs - no MongoDB needed
+jest.mock('../../services/CreditService', () => ({ notifyIfLowCredits: jest.fn() }));
+
+const Subscription = require('../../models/Subscription');
+const CreditReservation = require('../../models/CreditReservation');
+const EventBus = require('../../services/events/EventBus');
+const EnterpriseCreditService = require('../../services/EnterpriseCreditService');
+
+// Just enough of the MongoDB query language for the service's filters and updates
+const get = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const set = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => (value[key] ??= {}), doc);
+  target[last] = value;
+};
+
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return get(doc, expression.slice(1));
+  }
+  if (expression === null || typeof expression !== 'object') {
+    return expression;
+  }
+  const [[operator, args]] = Object.entries(expression);
+  const values = args.map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case '$gte': return values[0] >= values[1];
+    case '$add': return values[0] + values[1];
+    case '$subtract': return values[0] - values[1];
+    case '$ifNull': return values[0] ?? values[1];
+    default: throw new Error(`Unsupported expression ${operator}`);
+  }
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$expr') {
+    return evaluate(condition, doc);
+  }
+  const value = get(doc, path);
+  if (condition instanceof Date || condition === null || typeof condition !== 'object') {
+    return String(value) === String(condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$gte': return value >= operand;
+      case '$lt': return value < operand;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+});
+
+const applyUpdate = (doc, update) => {
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    set(doc, path, value);
+  }
+  for (const [path, value] of Object.entries(update.$inc || {})) {
+    set(doc, path, (get(doc, path) || 0) + value);
+  }
+  for (const [path, value] of Object.entries(update.$max || {})) {
+    if (!(get(doc, path) >= value)) {
+      set(doc, path, value);
+    }
+  }
+  for (const [path, value] of Object.entries(update.$push || {})) {
+    set(doc, path, [...(get(doc, path) || []), value]);
+  }
+};
+
+// Chainable like a mongoose query
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.populate = () => promise;
+  promise.select = () => promise;
+  promise.limit = () => promise;
+  return promise;
+};
+
+const stubModel = (Model, docs) => {
+  const copy = doc => doc && structuredClone(doc);
+  jest.spyOn(Model, 'findOne').mockImplementation(filter => query(copy(docs.find(doc => matches(doc, filter)))));
+  jest.spyOn(Model, 'find').mockImplementation(filter => query(docs.filter(doc => matches(doc, filter)).map(copy)));
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return query(copy(doc));
+  });
+  jest.spyOn(Model, 'updateOne').mockImplementation((filter, update) => {
+    const doc = docs.find(candidate => matches(candidate, filter));
+    if (doc) {
+      applyUpdate(doc, update);
+    }
+    return query({ matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 });
+  });
+  jest.spyOn(Model, 'create').mockImplementation(async (values) => {
+    if (values.operationId && docs.some(doc => doc.operationId === values.operationId)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const doc = { _id: `doc-${docs.length + 1}`, status: 'reserved', createdAt: new Date(), ...values };
+    docs.push(doc);
+    return copy(doc);
+  });
+};
+
+describe('EnterpriseCreditService reservations', () => {
+  let subscriptions;
+  let reservations;
+
+  const subscription = () => subscriptions[0];
+  const reservation = (operationId) => reservations.find(doc => doc.operationId === operationId);
+
+  beforeEach(() => {
+    subscriptions = [{
+      _id: 'sub-1',
+      user: 'user-1',
+      status: 'active',
+      plan: { credits: { monthly: 100 } },
+      credits: { monthly: 100, used: 0, reserved: 0 }
+    }];
+    reservations = [];
+
+    stubModel(Subscription, subscriptions);
+    stubModel(CreditReservation, reservations);
+
+    jest.spyOn(EnterpriseCreditService, 'getRolloverCredits').mockResolvedValue(0);
+    jest.spyOn(EnterpriseCreditService, 'clearUserCreditCache').mockResolvedValue();
+    jest.spyOn(EnterpriseCreditService, 'notifyUserCreditUpdate').mockResolvedValue();
+    jest.spyOn(EnterpriseCreditService, 'getUserCreditInfo').mockImplementation(async () => {
+      const { credits } = subscription();
+      return { available: credits.monthly - credits.used - credits.reserved };
+    });
+    jest.spyOn(EventBus, 'publishSystemEvent').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('holds credits without charging them', async () => {
+    const result = await EnterpriseCreditService.reserveCredits('user-1', 'tts', 30, 'op-1');
+
+    expect(result).toMatchObject({ success: true, reservationId: 'op-1', amount: 30 });
+    expect(subscription().credits).toMatchObject({ used: 0, reserved: 30 });
+    expect(reservation('op-1')).toMatchObject({ status: 'reserved', amount: 30, service: 'tts' });
+  });
+
+  it('refuses to hold more than is available', async () => {
+    await EnterpriseCreditService.reserveCredits('user-1', 'tts', 80, 'op-1');
+
+    await expect(EnterpriseCreditService.reserveCredits('user-1', 'tts', 30, 'op-2')).rejects.toMatchObject({
+      code: 'INSUFFICIENT_CREDITS',
+      required: 30,
+      available: 20
+    });
+    expect(subscription().credits.reserved).toBe(80);
+    expect(reservation('op-2')).toBeUndefined();
+  });
+
+  it('gives the hold back when the operation ID is already taken', async () => {
+    await EnterpriseCreditService.reserveCredits('user-1', 'tts', 10, 'op-1');
+
+    await expect(EnterpriseCreditService.reserveCredits('user-1', 'tts', 10, 'op-1')).rejects.toThrow('duplicate key');
+    expect(subscription().credits.reserved).toBe(10);
+  });
+
+  it('moves the hold into used credits on consume, once', async () => {
+    await EnterpriseCreditService.reserveCredits('user-1', 'tts', 30, 'op-1');
+
+    const consumed = await EnterpriseCreditService.consumeReservedCredits('op-1', { speechId: 's-1' });
+    expect(consumed).toMatchObject({ success: true, creditsConsumed: 30 });
+    expect(subscription().credits).toMatchObject({ used: 30, reserved: 0, usageByService: { tts: 30 } });
+    expect(subscription().credits.history).toHaveLength(1);
+    expect(reservation('op-1').status).toBe('consumed');
+
+    const again = await EnterpriseCreditService.consumeReservedCredits('op-1');
+    expect(again).toMatchObject({ alreadyConsumed: true, creditsConsumed: 30 });
+    expect(subscription().credits).toMatchObject({ used: 30, reserved: 0 });
+  });
+
+  it('releases the hold on cancel and ignores later settlement', async () => {
+    await EnterpriseCreditService.reserveCredits('user-1', 'music', 40, 'op-1');
+
+    await EnterpriseCreditService.cancelReservation('op-1', 'Provider failed');
+    expect(subscription().credits).toMatchObject({ used: 0, reserved: 0 });
+    expect(reservation('op-1')).toMatchObject({ status: 'cancelled', cancellationReason: 'Provider failed' });
+
+    const again = await EnterpriseCreditService.cancelReservation('op-1');
+    expect(again.message).toBe('Reservation not active');
+    expect(subscription().credits.reserved).toBe(0);
+
+    await expect(EnterpriseCreditService.consumeReservedCredits('op-1')).rejects.toThrow('Invalid reservation status: cancelled');
+    expect(subscription().credits.used).toBe(0);
+  });
+
+  it('does not release a consumed reservation', async () => {
+    await EnterpriseCreditService.reserveCredits('user-1', 'tts', 30, 'op-1');
+    await EnterpriseCreditService.consumeReservedCredits('op-1');
+
+    await EnterpriseCreditService.cancelReservation('op-1', 'Client disconnected');
+    expect(subscription().credits).toMatchObject({ used: 30, reserved: 0 });
+    expect(reservation('op-1').status).toBe('consumed');
+  });
+
+  it('expires unclaimed holds and still charges work that finishes late', async () => {
+    await EnterpriseCreditService.reserveCredits('user-1', 'tts', 30, 'op-1');
+    await EnterpriseCreditService.reserveCredits('user-1', 'tts', 20, 'op-2');
+    reservation('op-1').expiresAt = new Date(Date.now() - 1000);
+
+    expect(await EnterpriseCreditService.cleanupExpiredReservations()).toBe(1);
+    expect(reservation('op-1').status).toBe('expired');
+    expect(reservation('op-2').status).toBe('reserved');
+    expect(subscription().credits).toMatchObject({ used: 0, reserved: 20 });
+
+    // The hold is gone already - only used credits change
+    const consumed = await EnterpriseCreditService.consumeReservedCredits('op-1');
+    expect(consumed.creditsConsumed).toBe(30);
+    expect(subscription().credits).toMatchObject({ used: 30, reserved: 20 });
+  });
+
+  it('extends held reservations only', async () => {
+    await EnterpriseCreditService.reserveCredits('user-1', 'tts', 30, 'op-1', {}, { ttl: 60 });
+    const before = reservation('op-1').expiresAt;
+
+    expect(await EnterpriseCreditService.extendReservation('op-1')).toBe(true);
+    expect(reservation('op-1').expiresAt.getTime()).toBeGreaterThan(before.getTime());
+
+    await EnterpriseCreditService.cancelReservation('op-1');
+    expect(await EnterpriseCreditService.extendReservation('op-1')).toBe(false);
+  });
+
+  it('splits part of a hold into a reservation of its own', async () => {
+    await EnterpriseCreditService.reserveCredits('user-1', 'tts', 50, 'batch-1');
+
+    await EnterpriseCreditService.splitReservation('batch-1', 20, 'item-1');
+    expect(reservation('batch-1').amount).toBe(30);
+    expect(reservation('item-1')).toMatchObject({ amount: 20, status: 'reserved' });
+
+    await expect(EnterpriseCreditService.splitReservation('batch-1', 40, 'item-2'))
+      .rejects.toMatchObject({ code: 'RESERVATION_EXHAUSTED' });
+
+    await EnterpriseCreditService.consumeReservedCredits('item-1');
+    await EnterpriseCreditService.cancelReservation('batch-1', 'Batch finished');
+    expect(subscription().credits).toMatchObject({ used: 20, reserved: 0 });
+  });
+});
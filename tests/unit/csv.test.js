@@ -0,0 +1,67 @@
+// CSV reading for batch uploads and writing for batch manifests
+const CsvUtil = require('../../utils/csv');
+
+describe('CsvUtil', () => {
+  describe('parse', () => {
+    it('maps rows to objects by header and skips blank rows', () => {
+      const csv = '\uFEFFprompt, duration ,style\r\ncalm piano,30,ambient\r\n\r\n,,\nupbeat synth,15,\n';
+
+      expect(CsvUtil.parse(csv)).toEqual([
+        { prompt: 'calm piano', duration: '30', style: 'ambient' },
+        { prompt: 'upbeat synth', duration: '15', style: '' }
+      ]);
+    });
+
+    it('reads quoted fields with commas, quotes and line breaks', () => {
+      const csv = 'text,voiceId\n"Hello, ""friend""\nsee you",ana\n';
+
+      expect(CsvUtil.parse(csv)).toEqual([
+        { text: 'Hello, "friend"\nsee you', voiceId: 'ana' }
+      ]);
+    });
+
+    it('fills missing cells and ignores unnamed columns', () => {
+      expect(CsvUtil.parse('a,,b\n1,2')).toEqual([{ a: '1', b: '' }]);
+    });
+
+    it('returns nothing for empty input', () => {
+      expect(CsvUtil.parse('')).toEqual([]);
+    });
+
+    it('rejects an unterminated quoted field', () => {
+      expect(() => CsvUtil.parse('text\n"never closed')).toThrow('Unterminated quoted field in CSV');
+    });
+  });
+
+  describe('stringify', () => {
+    it('writes a header row and quotes cells that need it', () => {
+      const csv = CsvUtil.stringify([
+        { index: 0, input: 'Hello, "world"', error: null },
+        { index: 1, input: 'two\nlines' }
+      ], ['index', 'input', 'error']);
+
+      expect(csv).toBe('index,input,error\r\n0,"Hello, ""world""",\r\n1,"two\nlines",\r\n');
+    });
+
+    it.each([
+      ['=HYPERLINK("http://evil.example")', '"\'=HYPERLINK(""http://evil.example"")"'],
+      ['+1+1', "'+1+1"],
+      ['-2+3', "'-2+3"],
+      ['@SUM(A1:A2)', "'@SUM(A1:A2)"],
+      ['\tcmd', "'\tcmd"],
+      ['\rcmd', '"\'\rcmd"']
+    ])('neutralizes the formula prefix in %j', (value, expected) => {
+      expect(CsvUtil.stringify([{ input: value }], ['input'])).toBe(`input\r\n${expected}\r\n`);
+    });
+
+    it('leaves numbers and ordinary text alone', () => {
+      expect(CsvUtil.stringify([{ credits: -5, input: 'calm = quiet' }], ['credits', 'input']))
+        .toBe('credits,input\r\n-5,calm = quiet\r\n');
+    });
+
+    it('round-trips through parse', () => {
+      const records = [{ prompt: 'a, "b"', style: 'c\nd' }];
+      expect(CsvUtil.parse(CsvUtil.stringify(records, ['prompt', 'style']))).toEqual(records);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// SSML parsing into speakable segments and pauses
+const SsmlParser = require('../../utils/ssml');
+const { SsmlError } = require('../../utils/ssml');
+
+const text = (value, overrides = {}) => ({
+  type: 'text',
+  text: value,
+  voice: null,
+  mood: null,
+  rate: 1,
+  pitch: 1,
+  emphasis: null,
+  ...overrides
+});
+
+describe('SsmlParser', () => {
+  it('splits text around breaks', () => {
+    expect(SsmlParser.parse('<speak>Hello <break time="1.5s"/> world <break strength="weak"/>again</speak>')).toEqual([
+      text('Hello'),
+      { type: 'break', duration: 1500 },
+      text('world'),
+      { type: 'break', duration: 250 },
+      text('again')
+    ]);
+  });
+
+  it('accepts input without a <speak> root', () => {
+    expect(SsmlParser.parse('Just   plain\ntext')).toEqual([text('Just plain text')]);
+  });
+
+  it('applies voice, prosody and emphasis to nested text', () => {
+    const segments = SsmlParser.parse(
+      '<speak><voice name="Ana" mood="calm">Hi <prosody rate="slow" pitch="+10%">there</prosody></voice>' +
+      '<emphasis level="strong">now</emphasis></speak>'
+    );
+
+    expect(segments).toEqual([
+      text('Hi', { voice: 'Ana', mood: 'calm' }),
+      text('there', { voice: 'Ana', mood: 'calm', rate: 0.75, pitch: 1.1 }),
+      text('now', { emphasis: 'strong' })
+    ]);
+  });
+
+  it('merges neighbouring text with the same settings', () => {
+    expect(SsmlParser.parse('<speak>One <prosody rate="100%">two</prosody> three</speak>')).toEqual([
+      text('One two three')
+    ]);
+  });
+
+  it('reads say-as digits and characters one by one', () => {
+    const segments = SsmlParser.parse(
+      '<speak><say-as interpret-as="digits">12-34</say-as> <say-as interpret-as="characters">AB C</say-as></speak>'
+    );
+    expect(segments.map(segment => segment.text)).toEqual(['1 2 3 4 A B C']);
+  });
+
+  it('decodes entities in text and attributes', () => {
+    expect(SsmlParser.parse('<speak><voice name="R&amp;D">Tom &amp; Jerry &lt;3</voice></speak>')).toEqual([
+      text('Tom & Jerry <3', { voice: 'R&D' })
+    ]);
+  });
+
+  it('counts only spoken characters for billing', () => {
+    expect(SsmlParser.spokenLength('<speak><prosody rate="fast">Hello</prosody><break time="2s"/>world</speak>')).toBe(10);
+  });
+
+  it('caps single breaks at 10 seconds', () => {
+    expect(SsmlParser.parse('<break time="30s"/>')).toEqual([{ type: 'break', duration: 10000 }]);
+  });
+
+  it('refuses more than a minute of silence in total', () => {
+    const ssml = `<speak>${'<break time="10s"/>'.repeat(7)}</speak>`;
+    expect(() => SsmlParser.parse(ssml)).toThrow('more than 60s of silence');
+  });
+
+  it.each([
+    ['', 'SSML input is empty'],
+    ['<speak>Hello', 'Unclosed tag <speak>'],
+    ['<speak>Hello</voice></speak>', 'Unexpected closing tag </voice>'],
+    ['<speak><audio src="x.mp3"/></speak>', 'Unsupported SSML tag <audio>'],
+    ['<speak><voice>Hi</voice></speak>', '<voice> requires a name attribute'],
+    ['<speak><speak>Hi</speak></speak>', '<speak> must be the root element'],
+    ['<speak><break time="soon"/></speak>', 'Invalid break time "soon"'],
+    ['<speak><prosody rate="-100%">Hi</prosody></speak>', 'Invalid rate "-100%"'],
+    ['<speak>1 < 2</speak>', 'Malformed tag in SSML input'],
+    ['x'.repeat(50001), 'SSML input is longer than 50000 characters']
+  ])('rejects invalid SSML %#', (ssml, message) => {
+    let error;
+    try {
+      SsmlParser.parse(ssml);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(SsmlError);
+    expect(error.code).toBe('INVALID_SSML');
+    expect(error.message).toContain(message);
+  });
+});
@@ -0,0 +1,71 @@
+// TOTP codes against the RFC 6238 appendix B test vectors (SHA-1 secret, last 6 digits)
+const TotpUtil = require('../../utils/totp');
+
+// "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('TotpUtil', () => {
+  it.each(RFC_VECTORS)('generates the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(TotpUtil.generate(RFC_SECRET, TotpUtil.stepAt(seconds * 1000))).toBe(code);
+  });
+
+  it('round-trips secrets through base32', () => {
+    expect(TotpUtil.base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+    expect(TotpUtil.base32Decode(RFC_SECRET.toLowerCase()).toString()).toBe('12345678901234567890');
+
+    const secret = TotpUtil.generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(TotpUtil.base32Decode(secret)).toHaveLength(20);
+  });
+
+  it('rejects secrets that are not base32', () => {
+    expect(() => TotpUtil.base32Decode('NOT-BASE32!')).toThrow('Invalid base32 secret');
+  });
+
+  it('verifies codes within the drift window and returns the matching step', () => {
+    const timeMs = 1111111111 * 1000;
+    const step = TotpUtil.stepAt(timeMs);
+
+    expect(TotpUtil.verify(RFC_SECRET, '050471', { timeMs })).toBe(step);
+    expect(TotpUtil.verify(RFC_SECRET, '050 471', { timeMs })).toBe(step);
+
+    const previous = TotpUtil.generate(RFC_SECRET, step - 1);
+    expect(TotpUtil.verify(RFC_SECRET, previous, { timeMs })).toBe(step - 1);
+    expect(TotpUtil.verify(RFC_SECRET, previous, { timeMs, window: 0 })).toBeNull();
+
+    const stale = TotpUtil.generate(RFC_SECRET, step - 2);
+    expect(TotpUtil.verify(RFC_SECRET, stale, { timeMs })).toBeNull();
+  });
+
+  it('refuses malformed codes', () => {
+    const timeMs = 59 * 1000;
+    expect(TotpUtil.verify(RFC_SECRET, '28708', { timeMs })).toBeNull();
+    expect(TotpUtil.verify(RFC_SECRET, '94287082', { timeMs })).toBeNull();
+    expect(TotpUtil.verify(RFC_SECRET, 'abcdef', { timeMs })).toBeNull();
+    expect(TotpUtil.verify(RFC_SECRET, undefined, { timeMs })).toBeNull();
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const uri = new URL(TotpUtil.keyUri({ secret: RFC_SECRET, account: 'ana@example.com', issuer: 'VeeqAI' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/VeeqAI:ana@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'VeeqAI',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
@@ -0,0 +1,69 @@
+// ZIP archives for batch downloads, read back through their central directory
+const zlib = require('zlib');
+const ZipUtil = require('../../utils/zip');
+
+const readZip = (zip) => {
+  const end = zip.length - 22;
+  expect(zip.readUInt32LE(end)).toBe(0x06054b50);
+
+  const count = zip.readUInt16LE(end + 10);
+  let pointer = zip.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(zip.readUInt32LE(pointer)).toBe(0x02014b50);
+    const crc = zip.readUInt32LE(pointer + 16);
+    const compressedSize = zip.readUInt32LE(pointer + 20);
+    const size = zip.readUInt32LE(pointer + 24);
+    const nameLength = zip.readUInt16LE(pointer + 28);
+    const offset = zip.readUInt32LE(pointer + 42);
+    const name = zip.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    expect(zip.readUInt32LE(offset)).toBe(0x04034b50);
+    const dataStart = offset + 30 + zip.readUInt16LE(offset + 26);
+    const data = zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize));
+
+    entries.push({ name, data, size, crc, time: zip.readUInt16LE(pointer + 12), date: zip.readUInt16LE(pointer + 14) });
+    pointer += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+describe('ZipUtil', () => {
+  it('stores every file so it can be read back', () => {
+    const audio = Buffer.from([0x52, 0x49, 0x46, 0x46, 0x00, 0xff, 0x10]);
+    const zip = ZipUtil.create([
+      { name: 'manifest.json', data: JSON.stringify({ items: 2 }) },
+      { name: 'audio/01 - café.wav', data: audio }
+    ]);
+
+    const entries = readZip(zip);
+    expect(entries.map(entry => entry.name)).toEqual(['manifest.json', 'audio/01 - café.wav']);
+    expect(JSON.parse(entries[0].data.toString())).toEqual({ items: 2 });
+    expect(entries[1].data.equals(audio)).toBe(true);
+
+    for (const entry of entries) {
+      expect(entry.size).toBe(entry.data.length);
+      expect(entry.crc).toBe(ZipUtil.crc32(entry.data));
+    }
+  });
+
+  it('writes an empty archive', () => {
+    const zip = ZipUtil.create([]);
+    expect(zip).toHaveLength(22);
+    expect(readZip(zip)).toEqual([]);
+  });
+
+  it('computes the standard CRC-32', () => {
+    expect(ZipUtil.crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+    expect(ZipUtil.crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  it('stores the file date in DOS format', () => {
+    const [entry] = readZip(ZipUtil.create([{ name: 'a.txt', data: 'a', date: new Date(2024, 2, 15, 13, 45, 31) }]));
+
+    expect(entry.date).toBe(((2024 - 1980) << 9) | (3 << 5) | 15);
+    expect(entry.time).toBe((13 << 11) | (45 << 5) | 15);
+  });
+});
@@ -0,0 +1,101 @@
+const WavUtil = require('./wav');
+
+/**
+ * AUDIO UTILITY
+ * Detects the format and duration of uploaded audio (WAV and MP3)
+ */
+
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320], // MPEG1 Layer III
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160] // MPEG2/2.5 Layer III
+};
+
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG1
+  2: [22050, 24000, 16000], // MPEG2
+  0: [11025, 12000, 8000] // MPEG2.5
+};
+
+class AudioUtil {
+
+  /**
+   * Inspect an audio file
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} { format: 'wav'|'mp3', duration (seconds), sampleRate, channels } or null if unsupported
+   */
+  static probe(buffer) {
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+      try {
+        const { format } = WavUtil.parse(buffer);
+        return {
+          format: 'wav',
+          duration: WavUtil.duration(buffer),
+          sampleRate: format.sampleRate,
+          channels: format.channels
+        };
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return this.probeMp3(buffer);
+  }
+
+  static probeMp3(buffer) {
+    let offset = 0;
+
+    // Skip ID3v2 tag
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'ID3') {
+      const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+      offset = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+    }
+
+    let duration = 0;
+    let frames = 0;
+    let sampleRate = 0;
+    let channels = 0;
+
+    while (offset + 4 <= buffer.length) {
+      const header = buffer.readUInt32BE(offset);
+
+      // Frame sync, Layer III only
+      if ((header & 0xFFE00000) >>> 0 !== 0xFFE00000 || ((header >> 17) & 0x3) !== 1) {
+        if (frames > 0) break; // Trailing tag (ID3v1, APE)
+        offset++;
+        continue;
+      }
+
+      const version = (header >> 19) & 0x3;
+      const bitrateIndex = (header >> 12) & 0xF;
+      const sampleRateIndex = (header >> 10) & 0x3;
+      const padding = (header >> 9) & 0x1;
+
+      if (version === 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        if (frames > 0) break;
+        offset++;
+        continue;
+      }
+
+      const isMpeg1 = version === 3;
+      const bitrate = MP3_BITRATES[isMpeg1 ? 1 : 2][bitrateIndex] * 1000;
+      sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+      channels = ((header >> 6) & 0x3) === 3 ? 1 : 2;
+
+      const samplesPerFrame = isMpeg1 ? 1152 : 576;
+      const frameLength = Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+
+      duration += samplesPerFrame / sampleRate;
+      frames++;
+      offset += frameLength;
+    }
+
+    // A couple of accidental sync words isn't an MP3
+    if (frames < 2) {
+      return null;
+    }
+
+    return { format: 'mp3', duration, sampleRate, channels };
+  }
+}
+
+module.exports = AudioUtil;
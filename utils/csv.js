@@ -0,0 +1,104 @@
+/**
+ * CSV UTILITY
+ * RFC 4180 reader/writer for batch uploads and manifests
+ */
+class CsvUtil {
+
+  /**
+   * Parse CSV with a header row into objects keyed by column name
+   * @param {string} text - CSV contents
+   * @returns {Array<Object>} One object per data row (blank rows skipped)
+   */
+  static parse(text) {
+    const rows = this.parseRows(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const headers = rows[0].map(header => header.trim());
+
+    return rows.slice(1)
+      .filter(row => row.some(cell => cell.trim() !== ''))
+      .map(row => {
+        const record = {};
+        headers.forEach((header, index) => {
+          if (header) {
+            record[header] = (row[index] ?? '').trim();
+          }
+        });
+        return record;
+      });
+  }
+
+  static parseRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error('Unterminated quoted field in CSV');
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Write objects as CSV
+   * String cells that a spreadsheet would run as a formula (=, +, -, @, tab, CR) get a leading
+   * apostrophe - manifests carry user prompts and file names
+   * @param {Array<Object>} records - Rows
+   * @param {Array<string>} columns - Column order (also the header row)
+   * @returns {string} CSV contents
+   */
+  static stringify(records, columns) {
+    const escape = (value) => {
+      let text = value === undefined || value === null ? '' : String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...records.map(record => columns.map(column => record[column]))]
+      .map(row => row.map(escape).join(','))
+      .join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = CsvUtil;
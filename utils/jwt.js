@@ -29,6 +29,9 @@ if (process.env.REDIS_URL) {
   console.log('💾 Using memory cache (Development mode - Redis not required)');
 }
 
+// Revoked session IDs are kept as long as an access token can live (refresh token lifetime upper bound)
+const REVOKED_SESSION_TTL = 30 * 24 * 60 * 60;
+
 /**
  * UNIFIED JWT TOKEN SERVICE
  * Standardized token generation and validation with session versioning
@@ -39,9 +42,10 @@ class JWTService {
    * @param {string} userId - User ID
    * @param {string} email - User email  
    * @param {string} role - User role
+   * @param {string} sessionId - Session (device) the token belongs to, see SessionService
    * @returns {Promise<string>} JWT token
    */
-  static async generateAccessToken(userId, email, role = 'user') {
+  static async generateAccessToken(userId, email, role = 'user', sessionId = null) {
     // Get current session version for this user
     let sv = '0';
     if (redisConnected && client) {
@@ -62,6 +66,7 @@ class JWTService {
       role,
       type: 'access',
       sv: sv,            // Session version for revocation
+      ...(sessionId && { sid: sessionId }),  // Session ID for per-device revocation
       jti: require('crypto').randomUUID(),  // Unique token ID
       iat: Math.floor(Date.now() / 1000)
     };
@@ -75,12 +80,14 @@ class JWTService {
   /**
    * Generate refresh token
    * @param {string} userId - User ID
+   * @param {string} sessionId - Session (device) the token belongs to, see SessionService
    * @returns {string} Refresh token
    */
-  static generateRefreshToken(userId) {
+  static generateRefreshToken(userId, sessionId = null) {
     const payload = {
       id: userId,
       type: 'refresh',
+      ...(sessionId && { sid: sessionId }),
       iat: Math.floor(Date.now() / 1000)
     };
 
@@ -90,15 +97,48 @@ class JWTService {
     });
   }
 
+  /**
+   * Generate a two-factor challenge token - proves the password step of a login,
+   * exchanged for access/refresh tokens with a valid code
+   * @param {string} userId - User ID
+   * @returns {string} Challenge token (5 minutes)
+   */
+  static generateChallengeToken(userId) {
+    const payload = {
+      sub: userId,
+      type: '2fa_challenge',
+      jti: require('crypto').randomUUID(),
+      iat: Math.floor(Date.now() / 1000)
+    };
+
+    return jwt.sign(payload, JWTService.challengeSecret(), {
+      expiresIn: '5m',
+      issuer: 'veeqai'
+    });
+  }
+
+  /**
+   * Challenge tokens get their own key so no access token check (including the legacy
+   * middleware, which doesn't look at `type`) can accept one
+   */
+  static challengeSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET must be set');
+    }
+    return `${process.env.JWT_SECRET}:2fa_challenge`;
+  }
+
   /**
    * Verify and decode token
    * @param {string} token - JWT token
-   * @param {string} type - 'access' or 'refresh'
+   * @param {string} type - 'access', 'refresh' or '2fa_challenge'
    * @returns {object} Decoded payload or null
    */
   static verifyToken(token, type = 'access') {
     try {
-      const secret = type === 'refresh' ? process.env.JWT_REFRESH_SECRET : process.env.JWT_SECRET;
+      const secret = type === 'refresh'
+        ? process.env.JWT_REFRESH_SECRET
+        : type === '2fa_challenge' ? JWTService.challengeSecret() : process.env.JWT_SECRET;
       
       const decoded = jwt.verify(token, secret);
       
@@ -147,21 +187,26 @@ class JWTService {
 
 
   /**
-   * Initialize session version for new user (default: 0)
+   * Initialize session version for a user (default: 0)
+   * An existing version is kept - resetting it on login would revive tokens revoked by
+   * logout or a password reset
    * @param {string} userId - User ID
    */
   static async initializeSession(userId) {
     if (redisConnected && client) {
       try {
-        // Always reset to 0 on login for consistency
-        await client.set(`session_version:${userId}`, '0');
+        await client.set(`session_version:${userId}`, '0', { NX: true });
       } catch (error) {
         console.warn('⚠️ Redis error, using memory cache:', error.message);
-        memoryCache.set(`session_version:${userId}`, '0');
+        if (!memoryCache.has(`session_version:${userId}`)) {
+          memoryCache.set(`session_version:${userId}`, '0');
+        }
       }
     } else {
-      // Use memory cache in development - always reset to 0
-      memoryCache.set(`session_version:${userId}`, '0');
+      // Use memory cache in development
+      if (!memoryCache.has(`session_version:${userId}`)) {
+        memoryCache.set(`session_version:${userId}`, '0');
+      }
     }
   }
 
@@ -201,6 +246,44 @@ class JWTService {
     }
   }
 
+  /**
+   * Revoke a single session - its access tokens are refused until they would have expired
+   * @param {string} sessionId - Session ID (`sid` claim)
+   */
+  static async revokeSession(sessionId) {
+    const key = `revoked_session:${sessionId}`;
+    if (redisConnected && client) {
+      try {
+        await client.set(key, '1', { EX: REVOKED_SESSION_TTL });
+        return;
+      } catch (error) {
+        console.warn('⚠️ Redis error, using memory cache:', error.message);
+      }
+    }
+    memoryCache.set(key, '1', REVOKED_SESSION_TTL);
+  }
+
+  /**
+   * @param {string} sessionId - Session ID (`sid` claim)
+   * @returns {Promise<boolean>} True if the session was revoked
+   */
+  static async isSessionRevoked(sessionId) {
+    const key = `revoked_session:${sessionId}`;
+    try {
+      if (redisConnected && client) {
+        try {
+          return (await client.get(key)) === '1';
+        } catch (error) {
+          console.warn('⚠️ Redis error, using memory cache:', error.message);
+        }
+      }
+      return memoryCache.get(key) === '1';
+    } catch (error) {
+      console.warn('⚠️ Error checking session revocation:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Get current session version for user
    * @param {string} userId - User ID
@@ -0,0 +1,141 @@
+const { Readable } = require('stream');
+
+/**
+ * MIME UTILITY
+ * Content-type detection from file signatures ("magic numbers"), falling back to the extension.
+ * Provider URLs and user uploads often carry the wrong extension (or none), so the bytes win.
+ */
+
+const EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/flac': 'flac',
+  'audio/aac': 'aac',
+  'audio/mp4': 'm4a',
+  'audio/webm': 'webm',
+  'video/mp4': 'mp4',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/json': 'json',
+  'text/csv': 'csv'
+};
+
+const TYPES_BY_EXTENSION = {
+  ...Object.fromEntries(Object.entries(EXTENSIONS).map(([type, extension]) => [extension, type])),
+  jpeg: 'image/jpeg',
+  mpga: 'audio/mpeg'
+};
+
+// Bytes needed to recognise every signature below
+const SNIFF_BYTES = 512;
+
+class MimeUtil {
+
+  /**
+   * Detect the content type of a file
+   * @param {Buffer} buffer - File contents (the first SNIFF_BYTES are enough)
+   * @param {string} fileName - Optional name/key used when the content isn't recognised
+   * @returns {string} MIME type, 'application/octet-stream' if unknown
+   */
+  static detect(buffer, fileName = '') {
+    return this.fromContent(buffer) || this.fromExtension(fileName) || 'application/octet-stream';
+  }
+
+  /**
+   * @returns {string|null} MIME type or null when no signature matches
+   */
+  static fromContent(buffer) {
+    if (!buffer || buffer.length < 4) {
+      return null;
+    }
+
+    const ascii = (start, end) => buffer.toString('ascii', start, end);
+
+    if (ascii(0, 4) === 'RIFF' && buffer.length >= 12) {
+      if (ascii(8, 12) === 'WAVE') return 'audio/wav';
+      if (ascii(8, 12) === 'WEBP') return 'image/webp';
+    }
+    if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+    if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+    if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+    if (ascii(0, 4) === '%PDF') return 'application/pdf';
+    if (ascii(0, 4) === 'GIF8') return 'image/gif';
+    if (buffer[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+    if (buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04) return 'application/zip';
+    if (buffer.readUInt32BE(0) === 0x1A45DFA3) return 'audio/webm';
+
+    if (buffer.length >= 12 && ascii(4, 8) === 'ftyp') {
+      const brand = ascii(8, 12);
+      return ['M4A ', 'M4B ', 'M4P '].includes(brand) ? 'audio/mp4' : 'video/mp4';
+    }
+
+    // MPEG audio frame sync (11 set bits); layer bits 00 mean an ADTS AAC stream
+    if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) {
+      return (buffer[1] & 0x06) === 0 ? 'audio/aac' : 'audio/mpeg';
+    }
+
+    const text = buffer.toString('utf8', 0, Math.min(buffer.length, SNIFF_BYTES)).trimStart();
+    if (text.startsWith('<svg') || (text.startsWith('<?xml') && text.includes('<svg'))) {
+      return 'image/svg+xml';
+    }
+
+    return null;
+  }
+
+  static fromExtension(fileName = '') {
+    const match = /\.([a-z0-9]+)$/i.exec(fileName.split('?')[0]);
+    return match ? TYPES_BY_EXTENSION[match[1].toLowerCase()] || null : null;
+  }
+
+  /**
+   * File extension for a MIME type (without the dot)
+   */
+  static extension(contentType) {
+    return EXTENSIONS[contentType] || 'bin';
+  }
+
+  /**
+   * Read the head of a stream for detection without consuming it
+   * @param {Readable|AsyncIterable} stream - Node stream or any async iterable of chunks
+   * @returns {Promise<Object>} { head: Buffer, stream: Readable } - stream replays the head first
+   */
+  static async peek(stream) {
+    const iterator = stream[Symbol.asyncIterator]();
+    const chunks = [];
+    let length = 0;
+    let done = false;
+
+    while (length < SNIFF_BYTES) {
+      const next = await iterator.next();
+      if (next.done) {
+        done = true;
+        break;
+      }
+      const chunk = Buffer.from(next.value);
+      chunks.push(chunk);
+      length += chunk.length;
+    }
+
+    async function* replay() {
+      yield* chunks;
+      if (done) return;
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        yield Buffer.from(next.value);
+      }
+    }
+
+    return {
+      head: Buffer.concat(chunks).subarray(0, SNIFF_BYTES),
+      stream: Readable.from(replay(), { objectMode: false })
+    };
+  }
+}
+
+module.exports = MimeUtil;
@@ -0,0 +1,177 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * NET UTILITY
+ * Guards for requests to user-supplied URLs (audio downloads, customer webhooks).
+ * Hostnames are resolved and every address must be public - loopback, private, link-local
+ * (cloud metadata) and reserved ranges are refused. Redirects are followed by hand so each
+ * hop is checked again, and bodies are read with a hard byte cap.
+ */
+
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) {
+  blockList.addSubnet(address, prefix, type);
+}
+
+const MAX_REDIRECTS = 5;
+
+class UnsafeUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeUrlError';
+    this.code = 'UNSAFE_URL';
+  }
+}
+
+class NetUtil {
+
+  /**
+   * Whether an IP address is publicly routable
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean}
+   */
+  static isPublicAddress(address) {
+    const type = net.isIP(address);
+    if (!type) {
+      return false;
+    }
+
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1 / ::ffff:7f00:1) - check the IPv4 address
+    const mapped = /^::ffff:(.+)$/i.exec(address);
+    if (type === 6 && mapped) {
+      const tail = mapped[1];
+      if (net.isIPv4(tail)) {
+        return NetUtil.isPublicAddress(tail);
+      }
+      const hex = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(tail);
+      if (hex) {
+        const value = (parseInt(hex[1], 16) << 16 | parseInt(hex[2], 16)) >>> 0;
+        return NetUtil.isPublicAddress([24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.'));
+      }
+    }
+
+    return !blockList.check(address, type === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  /**
+   * Check a user-supplied URL before requesting it
+   * @param {string|URL} url - URL to check
+   * @param {Object} options
+   * @param {Array<string>} options.protocols - Allowed protocols
+   * @returns {Promise<URL>} Parsed URL
+   * @throws {UnsafeUrlError} Invalid URL, other protocol, or a non-public host
+   */
+  static async assertPublicUrl(url, { protocols = ['http:', 'https:'] } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new UnsafeUrlError('Invalid URL');
+    }
+    if (!protocols.includes(parsed.protocol)) {
+      throw new UnsafeUrlError(`URL must use ${protocols.map(protocol => protocol.replace(':', '')).join(' or ')}`);
+    }
+    if (parsed.username || parsed.password) {
+      throw new UnsafeUrlError('URL must not contain credentials');
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await dns.lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+      } catch (error) {
+        throw new UnsafeUrlError(`Could not resolve ${hostname}`);
+      }
+    }
+
+    if (addresses.length === 0 || !addresses.every(address => NetUtil.isPublicAddress(address))) {
+      throw new UnsafeUrlError(`${hostname} is not a public address`);
+    }
+    return parsed;
+  }
+
+  /**
+   * fetch() for user-supplied URLs - every redirect hop is checked with assertPublicUrl
+   * @param {string|URL} url - URL to request
+   * @param {Object} options - fetch options, plus protocols and maxRedirects
+   * @returns {Promise<Response>}
+   * @throws {UnsafeUrlError}
+   */
+  static async safeFetch(url, { protocols, maxRedirects = MAX_REDIRECTS, ...options } = {}) {
+    let target = await NetUtil.assertPublicUrl(url, { protocols });
+
+    for (let hop = 0; ; hop++) {
+      const response = await fetch(target, { ...options, redirect: 'manual' });
+      const location = response.headers.get('location');
+
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return response;
+      }
+      await response.body?.cancel();
+
+      if (hop >= maxRedirects) {
+        throw new UnsafeUrlError(`Too many redirects (more than ${maxRedirects})`);
+      }
+      target = await NetUtil.assertPublicUrl(new URL(location, target), { protocols });
+    }
+  }
+
+  /**
+   * Read a response body, stopping once it exceeds maxBytes
+   * @param {Response} response - fetch response
+   * @param {number} maxBytes - Size limit
+   * @returns {Promise<Buffer|null>} Body, or null when it's too large
+   */
+  static async readBody(response, maxBytes) {
+    const chunks = [];
+    let size = 0;
+
+    const reader = response.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      size += value.length;
+      if (size > maxBytes) {
+        await reader.cancel();
+        return null;
+      }
+      chunks.push(value);
+    }
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = NetUtil;
+module.exports.UnsafeUrlError = UnsafeUrlError;
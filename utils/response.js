@@ -72,13 +72,17 @@ class ResponseUtil {
    * @param {array} errors - Validation errors array
    */
   static validationError(res, errors) {
-    return ResponseUtil.error(
-      res, 
-      'Validation failed', 
-      400, 
-      'VALIDATION_ERROR',
-      { fields: errors }
-    );
+    // Field errors are meant for the client, so unlike other details they're returned in every environment
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        status: 400,
+        timestamp: new Date().toISOString(),
+        details: { fields: errors }
+      }
+    });
   }
 
   /**
@@ -143,6 +147,23 @@ class ResponseUtil {
     );
   }
 
+  /**
+   * AI provider unavailable response (circuit open or provider at capacity)
+   * @param {object} res - Express response object
+   * @param {Error} error - ProviderUnavailableError
+   */
+  static providerUnavailable(res, error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return ResponseUtil.error(
+      res,
+      error.message || 'AI provider is temporarily unavailable',
+      503,
+      'PROVIDER_UNAVAILABLE'
+    );
+  }
+
   /**
    * Paginated response
    * @param {object} res - Express response object
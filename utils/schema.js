@@ -0,0 +1,116 @@
+/**
+ * SCHEMA UTILITY
+ * Validates request input against the JSON-schema subset used by AIModel.config.inputSchema:
+ *   type (string | integer | number | boolean), enum, minimum, maximum,
+ *   minLength, maxLength, pattern, default, required, additionalProperties: false
+ * Form and CSV values arrive as strings, so numbers and booleans are coerced first.
+ */
+
+class SchemaUtil {
+
+  /**
+   * Validate an input object
+   * @param {Object} schema - { type: 'object', properties, required, additionalProperties }
+   * @param {Object} input - Raw input (e.g. req.body)
+   * @returns {Object} { value, errors } - value holds only declared properties (coerced, defaults applied);
+   *   errors use the express-validator shape { type, path, msg, value, location }
+   */
+  static validate(schema, input = {}) {
+    const properties = schema?.properties || {};
+    const required = schema?.required || [];
+    const value = {};
+    const errors = [];
+
+    const fail = (path, msg, raw) => errors.push({ type: 'field', path, msg, value: raw, location: 'body' });
+
+    for (const [name, definition] of Object.entries(properties)) {
+      const raw = input[name];
+
+      if (raw === undefined || raw === null || raw === '') {
+        if (required.includes(name)) {
+          fail(name, `${name} is required`, raw);
+        } else if (definition.default !== undefined) {
+          value[name] = definition.default;
+        }
+        continue;
+      }
+
+      const coerced = this.coerce(definition.type, raw);
+      const error = this.check(name, definition, coerced);
+      if (error) {
+        fail(name, error, raw);
+        continue;
+      }
+      value[name] = coerced;
+    }
+
+    if (schema?.additionalProperties === false) {
+      for (const name of Object.keys(input)) {
+        if (!properties[name] && input[name] !== undefined) {
+          fail(name, `${name} is not supported by this model`, input[name]);
+        }
+      }
+    }
+
+    return { value, errors };
+  }
+
+  /**
+   * Check a single coerced value against its definition
+   * @returns {string|null} Error message
+   */
+  static check(name, definition, value) {
+    switch (definition.type) {
+      case 'string':
+        if (typeof value !== 'string') return `${name} must be a string`;
+        break;
+      case 'integer':
+        if (!Number.isInteger(value)) return `${name} must be an integer`;
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') return `${name} must be true or false`;
+        break;
+    }
+
+    if (definition.enum && !definition.enum.includes(value)) {
+      return `${name} must be one of: ${definition.enum.join(', ')}`;
+    }
+    if (definition.minimum !== undefined && value < definition.minimum) {
+      return `${name} must be at least ${definition.minimum}`;
+    }
+    if (definition.maximum !== undefined && value > definition.maximum) {
+      return `${name} must be at most ${definition.maximum}`;
+    }
+    if (definition.minLength !== undefined && value.length < definition.minLength) {
+      return `${name} must be at least ${definition.minLength} characters`;
+    }
+    if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+      return `${name} must be at most ${definition.maxLength} characters`;
+    }
+    if (definition.pattern && !new RegExp(definition.pattern).test(value)) {
+      return `${name} has an invalid format`;
+    }
+
+    return null;
+  }
+
+  static coerce(type, value) {
+    if ((type === 'integer' || type === 'number') && typeof value === 'string' && value.trim() !== '') {
+      const number = Number(value);
+      return isNaN(number) ? value : number;
+    }
+    if (type === 'boolean' && typeof value === 'string') {
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+    }
+    if (type === 'string' && typeof value === 'number') {
+      return String(value);
+    }
+    return value;
+  }
+}
+
+module.exports = SchemaUtil;
@@ -0,0 +1,316 @@
+/**
+ * SSML PARSER
+ * Turns an SSML document into a flat list of speakable segments and pauses
+ * Supported tags: <speak>, <break>, <prosody rate pitch>, <emphasis>, <say-as>, <voice>
+ */
+
+const BREAK_STRENGTHS = {
+  none: 0,
+  'x-weak': 100,
+  weak: 250,
+  medium: 500,
+  strong: 750,
+  'x-strong': 1000
+};
+
+const RATE_KEYWORDS = {
+  'x-slow': 0.5,
+  slow: 0.75,
+  medium: 1,
+  default: 1,
+  fast: 1.25,
+  'x-fast': 1.5
+};
+
+const PITCH_KEYWORDS = {
+  'x-low': 0.8,
+  low: 0.9,
+  medium: 1,
+  default: 1,
+  high: 1.1,
+  'x-high': 1.2
+};
+
+const EMPHASIS_LEVELS = ['strong', 'moderate', 'none', 'reduced'];
+
+const MAX_BREAK_MS = 10000;
+
+// Breaks aren't billed - cap the total silence and the markup around the billed text
+const MAX_TOTAL_BREAK_MS = 60000;
+const MAX_SSML_LENGTH = 50000;
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'"
+};
+
+class SsmlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SsmlError';
+    this.code = 'INVALID_SSML';
+  }
+}
+
+class SsmlParser {
+
+  /**
+   * Parse SSML into segments
+   * @param {string} ssml - SSML document (the <speak> root is optional)
+   * @returns {Array<Object>} { type: 'text', text, voice, mood, rate, pitch, emphasis } | { type: 'break', duration }
+   */
+  static parse(ssml) {
+    if (typeof ssml !== 'string' || !ssml.trim()) {
+      throw new SsmlError('SSML input is empty');
+    }
+    if (ssml.length > MAX_SSML_LENGTH) {
+      throw new SsmlError(`SSML input is longer than ${MAX_SSML_LENGTH} characters`);
+    }
+
+    const segments = [];
+    const stack = [{ tag: null, voice: null, mood: null, rate: 1, pitch: 1, emphasis: null, sayAs: null }];
+    const tagPattern = /<(\/?)([a-zA-Z][\w-]*)((?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+
+    let cursor = 0;
+    let totalBreak = 0;
+    let match;
+
+    while ((match = tagPattern.exec(ssml)) !== null) {
+      this.addText(segments, ssml.slice(cursor, match.index), stack[stack.length - 1]);
+      cursor = tagPattern.lastIndex;
+
+      const [, closing, rawTag, rawAttributes, selfClosing] = match;
+      const tag = rawTag.toLowerCase();
+      const attributes = this.parseAttributes(rawAttributes);
+
+      if (closing) {
+        const open = stack.pop();
+        if (!open.tag || open.tag !== tag) {
+          throw new SsmlError(`Unexpected closing tag </${tag}>`);
+        }
+        continue;
+      }
+
+      if (tag === 'break') {
+        const duration = this.parseBreak(attributes);
+        totalBreak += duration;
+        if (totalBreak > MAX_TOTAL_BREAK_MS) {
+          throw new SsmlError(`Breaks add up to more than ${MAX_TOTAL_BREAK_MS / 1000}s of silence`);
+        }
+        segments.push({ type: 'break', duration });
+        continue;
+      }
+
+      const state = this.openTag(tag, attributes, stack[stack.length - 1]);
+      if (!selfClosing) {
+        stack.push(state);
+      }
+    }
+
+    this.addText(segments, ssml.slice(cursor), stack[stack.length - 1]);
+
+    if (stack.length > 1) {
+      throw new SsmlError(`Unclosed tag <${stack[stack.length - 1].tag}>`);
+    }
+
+    return this.mergeSegments(segments);
+  }
+
+  /**
+   * Characters that will actually be spoken (markup excluded) - used for billing
+   * @param {string} ssml - SSML document
+   * @returns {number} Spoken character count
+   */
+  static spokenLength(ssml) {
+    return this.parse(ssml)
+      .filter(segment => segment.type === 'text')
+      .reduce((total, segment) => total + segment.text.length, 0);
+  }
+
+  // ===============================
+  // TAGS
+  // ===============================
+
+  static openTag(tag, attributes, parent) {
+    const state = { ...parent, tag };
+
+    switch (tag) {
+      case 'speak':
+        if (parent.tag !== null) {
+          throw new SsmlError('<speak> must be the root element');
+        }
+        break;
+
+      case 'voice':
+        if (!attributes.name) {
+          throw new SsmlError('<voice> requires a name attribute');
+        }
+        state.voice = attributes.name;
+        state.mood = attributes.mood || null;
+        break;
+
+      case 'prosody':
+        if (attributes.rate) {
+          state.rate = this.parseRelative(attributes.rate, RATE_KEYWORDS, 'rate');
+        }
+        if (attributes.pitch) {
+          state.pitch = this.parseRelative(attributes.pitch, PITCH_KEYWORDS, 'pitch');
+        }
+        break;
+
+      case 'emphasis': {
+        const level = attributes.level || 'moderate';
+        if (!EMPHASIS_LEVELS.includes(level)) {
+          throw new SsmlError(`Invalid emphasis level "${level}"`);
+        }
+        state.emphasis = level;
+        break;
+      }
+
+      case 'say-as':
+        if (!attributes['interpret-as']) {
+          throw new SsmlError('<say-as> requires an interpret-as attribute');
+        }
+        state.sayAs = attributes['interpret-as'];
+        break;
+
+      default:
+        throw new SsmlError(`Unsupported SSML tag <${tag}>`);
+    }
+
+    return state;
+  }
+
+  static parseAttributes(raw) {
+    const attributes = {};
+    const attributePattern = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = attributePattern.exec(raw)) !== null) {
+      attributes[match[1].toLowerCase()] = this.decodeEntities(match[2] ?? match[3]);
+    }
+
+    return attributes;
+  }
+
+  static parseBreak(attributes) {
+    if (attributes.time) {
+      const match = /^(\d+(?:\.\d+)?)(ms|s)$/.exec(attributes.time.trim());
+      if (!match) {
+        throw new SsmlError(`Invalid break time "${attributes.time}"`);
+      }
+      const duration = parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1);
+      return Math.min(Math.round(duration), MAX_BREAK_MS);
+    }
+
+    const strength = attributes.strength || 'medium';
+    if (BREAK_STRENGTHS[strength] === undefined) {
+      throw new SsmlError(`Invalid break strength "${strength}"`);
+    }
+    return BREAK_STRENGTHS[strength];
+  }
+
+  /**
+   * Keyword ("slow", "high") or percentage ("120%", "+10%", "-5%") as a multiplier
+   */
+  static parseRelative(value, keywords, name) {
+    const trimmed = value.trim().toLowerCase();
+
+    if (keywords[trimmed] !== undefined) {
+      return keywords[trimmed];
+    }
+
+    const match = /^([+-]?)(\d+(?:\.\d+)?)%$/.exec(trimmed);
+    if (!match) {
+      throw new SsmlError(`Invalid ${name} "${value}"`);
+    }
+
+    const percent = parseFloat(match[2]);
+    const multiplier = match[1] === '+' ? 1 + percent / 100
+      : match[1] === '-' ? 1 - percent / 100
+      : percent / 100;
+
+    if (multiplier <= 0) {
+      throw new SsmlError(`Invalid ${name} "${value}"`);
+    }
+    return multiplier;
+  }
+
+  // ===============================
+  // TEXT
+  // ===============================
+
+  static addText(segments, raw, state) {
+    if (raw.includes('<')) {
+      throw new SsmlError('Malformed tag in SSML input');
+    }
+
+    // Whitespace-only text is kept - it separates the words of the segments around it
+    let text = this.decodeEntities(raw).replace(/\s+/g, ' ');
+    if (!text) {
+      return;
+    }
+
+    if (state.sayAs && text.trim()) {
+      text = this.interpret(text.trim(), state.sayAs);
+    }
+
+    segments.push({
+      type: 'text',
+      text,
+      voice: state.voice,
+      mood: state.mood,
+      rate: state.rate,
+      pitch: state.pitch,
+      emphasis: state.emphasis
+    });
+  }
+
+  static interpret(text, interpretAs) {
+    switch (interpretAs) {
+      case 'characters':
+      case 'spell-out':
+        return text.replace(/\s+/g, '').split('').join(' ');
+      case 'digits':
+        return text.replace(/\D/g, '').split('').join(' ');
+      case 'telephone':
+        return text.replace(/[^\d+]/g, '').split('').join(' ');
+      default:
+        return text; // cardinal, ordinal, date... are read naturally by the model
+    }
+  }
+
+  static decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos);/g, entity => ENTITIES[entity]);
+  }
+
+  /**
+   * Join neighbouring text with the same voice and prosody, trim the edges
+   */
+  static mergeSegments(segments) {
+    const merged = [];
+
+    for (const segment of segments) {
+      const previous = merged[merged.length - 1];
+
+      if (segment.type === 'text' && previous?.type === 'text' &&
+          previous.voice === segment.voice && previous.mood === segment.mood &&
+          previous.rate === segment.rate && previous.pitch === segment.pitch &&
+          previous.emphasis === segment.emphasis) {
+        previous.text += segment.text;
+      } else {
+        merged.push({ ...segment });
+      }
+    }
+
+    return merged
+      .map(segment => segment.type === 'text' ? { ...segment, text: segment.text.replace(/\s+/g, ' ').trim() } : segment)
+      .filter(segment => segment.type === 'break' || segment.text);
+  }
+}
+
+module.exports = SsmlParser;
+module.exports.SsmlError = SsmlError;
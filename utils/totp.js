@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP UTILITY
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps) - the defaults
+ * every authenticator app supports. Secrets are base32 as in otpauth:// provisioning URIs.
+ */
+class TotpUtil {
+
+  static get STEP_SECONDS() {
+    return 30;
+  }
+
+  static get DIGITS() {
+    return 6;
+  }
+
+  /**
+   * @param {number} bytes - Secret length (20 = 160 bits, as recommended by RFC 4226)
+   * @returns {string} Base32 secret
+   */
+  static generateSecret(bytes = 20) {
+    return this.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  /**
+   * Time step number for a timestamp
+   * @param {number} timeMs - Unix time in milliseconds
+   */
+  static stepAt(timeMs = Date.now()) {
+    return Math.floor(timeMs / 1000 / this.STEP_SECONDS);
+  }
+
+  /**
+   * Code for a time step (RFC 4226 HOTP with the step as counter)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step, see stepAt
+   * @returns {string} Zero-padded code
+   */
+  static generate(secret, step = this.stepAt()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.DIGITS).padStart(this.DIGITS, '0');
+  }
+
+  /**
+   * Check a code against the current step and `window` steps either side (clock drift)
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {Object} options - { window, timeMs }
+   * @returns {number|null} Matching time step, or null - callers store it to refuse replays
+   */
+  static verify(secret, code, { window = 1, timeMs = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${this.DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const current = this.stepAt(timeMs);
+    for (let step = current - window; step <= current + window; step++) {
+      const expected = this.generate(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * otpauth:// URI for authenticator apps (rendered as a QR code by the client)
+   * @param {Object} options - { secret, account, issuer }
+   */
+  static keyUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.DIGITS),
+      period: String(this.STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  static base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = TotpUtil;
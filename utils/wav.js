@@ -0,0 +1,165 @@
+/**
+ * WAV UTILITY
+ * Minimal RIFF/WAVE reader and writer for stitching generated speech segments
+ */
+class WavUtil {
+
+  /**
+   * Read the fmt and data chunks of a WAV file
+   * @param {Buffer} buffer - WAV file contents
+   * @returns {Object} { format: { audioFormat, channels, sampleRate, byteRate, blockAlign, bitsPerSample }, data }
+   */
+  static parse(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Audio is not a WAV file');
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const chunkId = buffer.toString('ascii', offset, offset + 4);
+      const chunkSize = buffer.readUInt32LE(offset + 4);
+      const chunkStart = offset + 8;
+
+      if (chunkId === 'fmt ') {
+        format = {
+          audioFormat: buffer.readUInt16LE(chunkStart),
+          channels: buffer.readUInt16LE(chunkStart + 2),
+          sampleRate: buffer.readUInt32LE(chunkStart + 4),
+          byteRate: buffer.readUInt32LE(chunkStart + 8),
+          blockAlign: buffer.readUInt16LE(chunkStart + 12),
+          bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+        };
+      } else if (chunkId === 'data') {
+        // Streamed WAVs may declare a larger size than was written
+        data = buffer.subarray(chunkStart, Math.min(chunkStart + chunkSize, buffer.length));
+      }
+
+      offset = chunkStart + chunkSize + (chunkSize % 2); // Chunks are word aligned
+    }
+
+    if (!format || !data) {
+      throw new Error('WAV file is missing fmt or data chunk');
+    }
+
+    return { format, data };
+  }
+
+  /**
+   * Concatenate WAV files, inserting silence where requested
+   * All WAV parts must share the same sample format
+   * @param {Array<Buffer|Object>} parts - WAV buffers and { silence: milliseconds } entries
+   * @returns {Buffer} WAV file
+   */
+  static concat(parts) {
+    const wavs = parts.filter(part => Buffer.isBuffer(part)).map(part => this.parse(part));
+    if (wavs.length === 0) {
+      throw new Error('No audio to stitch');
+    }
+
+    const format = wavs[0].format;
+    for (const wav of wavs) {
+      if (wav.format.audioFormat !== format.audioFormat ||
+          wav.format.channels !== format.channels ||
+          wav.format.sampleRate !== format.sampleRate ||
+          wav.format.bitsPerSample !== format.bitsPerSample) {
+        throw new Error('Cannot stitch WAV segments with different sample formats');
+      }
+    }
+
+    let wavIndex = 0;
+    const chunks = parts.map(part => {
+      if (Buffer.isBuffer(part)) {
+        return wavs[wavIndex++].data;
+      }
+      return this.silence(part.silence, format);
+    });
+
+    return this.build(format, Buffer.concat(chunks));
+  }
+
+  /**
+   * Scale 16-bit PCM audio to a target RMS level so stitched segments play at the same loudness
+   * Gain is capped so peaks stay below peakDb; other sample formats are returned unchanged
+   * @param {Buffer} buffer - WAV file contents
+   * @param {Object} options
+   * @param {number} options.targetDb - Target RMS level in dBFS
+   * @param {number} options.peakDb - Maximum peak level in dBFS
+   * @returns {Buffer} WAV file
+   */
+  static normalize(buffer, { targetDb = -20, peakDb = -1 } = {}) {
+    const { format, data } = this.parse(buffer);
+    if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+      return buffer;
+    }
+
+    const samples = Math.floor(data.length / 2);
+    let sumSquares = 0;
+    let peak = 0;
+
+    for (let i = 0; i < samples; i++) {
+      const sample = data.readInt16LE(i * 2) / 32768;
+      sumSquares += sample * sample;
+      peak = Math.max(peak, Math.abs(sample));
+    }
+
+    const rms = Math.sqrt(sumSquares / Math.max(samples, 1));
+    if (rms === 0) {
+      return buffer; // Silence
+    }
+
+    const gain = Math.min(
+      Math.pow(10, targetDb / 20) / rms,
+      Math.pow(10, peakDb / 20) / peak
+    );
+
+    const output = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+      const sample = Math.round(data.readInt16LE(i * 2) * gain);
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i * 2);
+    }
+
+    return this.build(format, output);
+  }
+
+  /**
+   * Playback length of a WAV file
+   * @param {Buffer} buffer - WAV file contents
+   * @returns {number} Duration in seconds
+   */
+  static duration(buffer) {
+    const { format, data } = this.parse(buffer);
+    return format.byteRate ? data.length / format.byteRate : 0;
+  }
+
+  static silence(milliseconds, format) {
+    const frames = Math.round(format.sampleRate * milliseconds / 1000);
+    // 8-bit PCM is unsigned - its zero level is 128
+    const fill = format.audioFormat === 1 && format.bitsPerSample === 8 ? 0x80 : 0;
+    return Buffer.alloc(frames * format.blockAlign, fill);
+  }
+
+  static build(format, data) {
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(format.audioFormat, 20);
+    header.writeUInt16LE(format.channels, 22);
+    header.writeUInt32LE(format.sampleRate, 24);
+    header.writeUInt32LE(format.byteRate, 28);
+    header.writeUInt16LE(format.blockAlign, 32);
+    header.writeUInt16LE(format.bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(data.length, 40);
+
+    return Buffer.concat([header, data]);
+  }
+}
+
+module.exports = WavUtil;